@@ -6,6 +6,8 @@
 import { BrowserWindow } from "electron";
 import { getValue } from "./store.js";
 import { getScreenWidth, getScreenHeight } from "./dimensions.js";
+import { getDefaultProfileId, getProfileAuth, getProfilePartition, getProfileForSession } from "./profiles.js";
+import { createWindow, getWindowContents, isTabbedMode } from "./windowManager.js";
 
 // App URL configurations
 const APP_URLS = {
@@ -47,6 +49,20 @@ const APP_URLS = {
   },
 };
 
+// Blank document URLs for apps that support --new
+// The .new short links create the document in the signed-in account's OneDrive
+const NEW_DOCUMENT_URLS = {
+  word: "https://word.new",
+  excel: "https://excel.new",
+  powerpoint: "https://powerpoint.new",
+};
+
+// Outlook compose deeplinks
+const COMPOSE_URLS = {
+  personal: "https://outlook.live.com/mail/deeplink/compose",
+  work: "https://outlook.office.com/mail/deeplink/compose",
+};
+
 // App display names
 const APP_NAMES = {
   word: "Word",
@@ -62,20 +78,20 @@ const APP_NAMES = {
 
 /**
  * Get the current account type
- * @returns {'personal' | 'work'} Account type
+ * Account types are profile ids; "personal" and "work" are the built-in profiles
+ * @returns {string} Profile id of the default profile
  */
 export function getAccountType() {
-  return getValue("enterprise-or-normal") === "?auth=2" ? "work" : "personal";
+  return getDefaultProfileId();
 }
 
 /**
  * Get the session partition for the current account type
- * @param {string} [accountType] - Optional override for account type
+ * @param {string} [accountType] - Optional override for account type (profile id)
  * @returns {string} Session partition string
  */
 export function getPartition(accountType) {
-  const type = accountType || getAccountType();
-  return type === "work" ? "persist:work" : "persist:personal";
+  return getProfilePartition(accountType || getAccountType());
 }
 
 /**
@@ -85,7 +101,7 @@ export function getPartition(accountType) {
  * @returns {string} The app URL
  */
 export function getAppUrl(appName, accountType) {
-  const type = accountType || getAccountType();
+  const type = getProfileAuth(accountType || getAccountType());
   const app = APP_URLS[appName.toLowerCase()];
   if (!app) {
     console.error(`Unknown app: ${appName}`);
@@ -94,6 +110,64 @@ export function getAppUrl(appName, accountType) {
   return app[type];
 }
 
+/**
+ * Check if an app supports a startup action
+ * @param {string} appName - The app identifier
+ * @param {'compose' | 'new'} action - The action
+ * @returns {boolean}
+ */
+export function supportsAction(appName, action) {
+  const name = appName.toLowerCase();
+  if (action === "compose") return name === "outlook";
+  if (action === "new") return name in NEW_DOCUMENT_URLS;
+  return false;
+}
+
+/**
+ * Get the Outlook compose URL, optionally pre-filled
+ * @param {string} [accountType] - Optional override for account type
+ * @param {object} [fields] - Compose fields
+ * @param {string[]} [fields.to] - To recipients
+ * @param {string[]} [fields.cc] - Cc recipients
+ * @param {string[]} [fields.bcc] - Bcc recipients
+ * @param {string} [fields.subject] - Subject line
+ * @param {string} [fields.body] - Plain text body
+ * @returns {string} The compose URL
+ */
+export function getComposeUrl(accountType, fields = {}) {
+  const type = getProfileAuth(accountType || getAccountType());
+  const params = new URLSearchParams();
+
+  for (const field of ["to", "cc", "bcc"]) {
+    if (fields[field]?.length) params.set(field, fields[field].join(","));
+  }
+  if (fields.subject) params.set("subject", fields.subject);
+  if (fields.body) params.set("body", fields.body);
+
+  const query = params.toString();
+  return query ? `${COMPOSE_URLS[type]}?${query}` : COMPOSE_URLS[type];
+}
+
+/**
+ * Get URL for an app with an optional startup action applied
+ * Falls back to the app's landing page when the action is not supported.
+ * @param {string} appName - The app identifier
+ * @param {'compose' | 'new' | null} action - The action
+ * @param {string} [accountType] - Optional override for account type
+ * @param {object} [compose] - Compose fields for the compose action
+ * @returns {string} The URL
+ */
+export function getActionUrl(appName, action, accountType, compose) {
+  const type = accountType || getAccountType();
+
+  if (action && supportsAction(appName, action)) {
+    if (action === "compose") return getComposeUrl(type, compose);
+    if (action === "new") return NEW_DOCUMENT_URLS[appName.toLowerCase()];
+  }
+
+  return getAppUrl(appName, type);
+}
+
 /**
  * Get the display name for an app
  * @param {string} appName - The app identifier
@@ -132,11 +206,13 @@ export function getWindowOptions(overrides = {}) {
  * Launch an Office app
  * @param {string} appName - The app to launch (word, excel, powerpoint, outlook, onedrive, onenote, teams, allapps)
  * @param {object} [options] - Launch options
- * @param {string} [options.accountType] - Override account type ('personal' or 'work')
+ * @param {string} [options.accountType] - Override account type (profile id)
  * @param {boolean} [options.forceNewWindow] - Force opening in a new window
  * @param {boolean} [options.focusedWindow] - Use focused window instead of creating new one
  * @param {string} [options.action] - Special action (e.g., 'compose' for new email)
+ * @param {object} [options.compose] - Recipients, subject and body for the compose action
  * @returns {BrowserWindow|null} The window containing the app, or null if loaded in existing window
+ *   (in tabbed mode, the window the new tab opened in)
  */
 export function launchApp(appName, options = {}) {
   const {
@@ -144,27 +220,17 @@ export function launchApp(appName, options = {}) {
     forceNewWindow = false,
     focusedWindow = false,
     action = null,
+    compose = null,
   } = options;
 
-  let url = getAppUrl(appName, accountType);
-
-  // Handle special actions
-  if (action === "compose" && appName.toLowerCase() === "outlook") {
-    url = accountType === "work"
-      ? "https://outlook.office.com/mail/deeplink/compose"
-      : "https://outlook.live.com/mail/deeplink/compose";
-  } else if (action === "new" && appName.toLowerCase() === "word") {
-    url = accountType === "work"
-      ? "https://microsoft365.com/launch/word?auth=2&action=new"
-      : "https://microsoft365.com/launch/word?auth=1&action=new";
-  }
+  const url = getActionUrl(appName, action, accountType, compose);
 
   const openInNewWindow = forceNewWindow || getValue("websites-in-new-window") === "true";
 
   if (!openInNewWindow && !focusedWindow) {
     const focused = BrowserWindow.getFocusedWindow();
     if (focused) {
-      focused.loadURL(url).catch((err) => console.warn("Failed to load URL:", err));
+      getWindowContents(focused).loadURL(url).catch((err) => console.warn("Failed to load URL:", err));
       return null;
     }
   }
@@ -172,11 +238,16 @@ export function launchApp(appName, options = {}) {
   if (focusedWindow) {
     const focused = BrowserWindow.getFocusedWindow();
     if (focused) {
-      focused.loadURL(url).catch((err) => console.warn("Failed to load URL:", err));
+      getWindowContents(focused).loadURL(url).catch((err) => console.warn("Failed to load URL:", err));
       return null;
     }
   }
 
+  // New windows are new tabs in tabbed mode
+  if (isTabbedMode()) {
+    return createWindow({ url, appType: appName.toLowerCase(), accountType });
+  }
+
   // Create new window
   const windowOptions = getWindowOptions({ accountType });
   const newWindow = new BrowserWindow(windowOptions);
@@ -187,14 +258,19 @@ export function launchApp(appName, options = {}) {
 
 /**
  * Create a new window for a specific account type
- * @param {'personal' | 'work'} accountType - The account type
+ * In tabbed mode this opens a tab instead.
+ * @param {string} accountType - The account type (profile id)
  * @returns {BrowserWindow} The new window
  */
 export function createNewWindow(accountType) {
   const custompage = getValue("custompage") || "home";
-  const auth = accountType === "work" ? "?auth=2" : "?auth=1";
+  const auth = getProfileAuth(accountType) === "work" ? "?auth=2" : "?auth=1";
   const url = `https://microsoft365.com/${custompage}/${auth}`;
 
+  if (isTabbedMode()) {
+    return createWindow({ url, accountType });
+  }
+
   const windowOptions = getWindowOptions({ accountType });
   const newWindow = new BrowserWindow(windowOptions);
   newWindow.loadURL(url).catch((err) => console.warn("Failed to load URL:", err));
@@ -203,15 +279,17 @@ export function createNewWindow(accountType) {
 }
 
 /**
- * Navigate the focused window to home
+ * Navigate the focused window, or its active tab, to home
  */
 export function goHome() {
   const focused = BrowserWindow.getFocusedWindow();
   if (!focused) return;
 
+  const contents = getWindowContents(focused);
   const custompage = getValue("custompage") || "home";
-  const auth = getValue("enterprise-or-normal") || "?auth=1";
-  focused.loadURL(`https://microsoft365.com/${custompage}/${auth}`).catch((err) => console.warn("Failed to load URL:", err));
+  const profile = getProfileForSession(contents.session);
+  const auth = getProfileAuth(profile?.id) === "work" ? "?auth=2" : "?auth=1";
+  contents.loadURL(`https://microsoft365.com/${custompage}/${auth}`).catch((err) => console.warn("Failed to load URL:", err));
 }
 
 /**
@@ -231,4 +309,4 @@ export function getAppList() {
   ];
 }
 
-export { APP_URLS, APP_NAMES };
+export { APP_URLS, APP_NAMES, NEW_DOCUMENT_URLS, COMPOSE_URLS };
@@ -4,7 +4,16 @@
  */
 
 import { app } from "electron";
-import { getAppList, APP_NAMES } from "./appLauncher.js";
+import { existsSync } from "fs";
+import { dirname, resolve } from "path";
+import { getAppList, APP_NAMES, supportsAction, getAppDisplayName, getAccountType } from "./appLauncher.js";
+import { isFileSupported, validateFile, getSupportedExtensions } from "./fileHandler.js";
+import { isProtocolUrl, parseProtocolUrl } from "./protocol.js";
+import { createComposeFields } from "./mailto.js";
+import { generateCompletions, getCompletionShells } from "./completions.js";
+import { findProfile, getProfiles } from "./profiles.js";
+import { getFileManagerCommands, getFileManagers, installFileManagerActions, removeFileManagerActions } from "./fileManagers.js";
+import { printRecentDocuments } from "./recentDocuments.js";
 
 // Exit codes
 export const EXIT_CODES = {
@@ -12,15 +21,28 @@ export const EXIT_CODES = {
   INVALID_ARGUMENT: 1,
   UNKNOWN_APP: 2,
   FILE_NOT_FOUND: 3,
+  UNSUPPORTED_ACTION: 4,
+  UNSUPPORTED_FILE: 5,
+  INVALID_URL: 6,
+  NOT_RUNNING: 7,
+  WINDOW_NOT_FOUND: 8,
+  CONTROL_FAILED: 9,
+  CHECKS_FAILED: 10,
+  INTEGRATION_FAILED: 11,
+  PRINT_FAILED: 12,
+  OPEN_FAILED: 13,
 };
 
 /**
  * CLI argument definitions
+ * `complete` names the values shell completion offers for the option:
+ * "app", "account", "profile", "file", "shell" or "fileManagerCommand" (see completions.js)
  */
 const CLI_ARGS = {
   "--app": {
     description: "Launch a specific Office app",
     value: "<app-name>",
+    complete: "app",
     examples: ["--app word", "--app outlook"],
   },
   "--compose": {
@@ -28,21 +50,97 @@ const CLI_ARGS = {
     value: null,
     examples: ["--compose"],
   },
+  "--to": {
+    description: "Add To recipients (use with --compose, comma-separated or repeated)",
+    value: "<address>",
+    examples: ["--compose --to alice@example.com"],
+  },
+  "--cc": {
+    description: "Add Cc recipients (use with --compose)",
+    value: "<address>",
+    examples: ["--compose --cc bob@example.com"],
+  },
+  "--bcc": {
+    description: "Add Bcc recipients (use with --compose)",
+    value: "<address>",
+    examples: ["--compose --bcc carol@example.com"],
+  },
+  "--subject": {
+    description: "Set the subject line (use with --compose)",
+    value: "<text>",
+    examples: ['--compose --subject "Weekly report"'],
+  },
+  "--body": {
+    description: "Set the message body (use with --compose)",
+    value: "<text>",
+    examples: ['--compose --body "Hi all,"'],
+  },
   "--new": {
-    description: "Create a new document (use with --app)",
+    description: "Create a new blank document (use with --app word, excel or powerpoint)",
     value: null,
-    examples: ["--app word --new"],
+    examples: ["--app word --new", "--app excel --new"],
   },
   "--open": {
     description: "Open a file (will upload to OneDrive)",
     value: "<file-path>",
+    complete: "file",
     examples: ["--open document.docx"],
   },
+  "--upload": {
+    description: "Upload files to the OneDrive upload folder without opening them",
+    value: "<file-path>...",
+    complete: "file",
+    examples: ["--upload report.docx budget.xlsx"],
+  },
   "--account": {
     description: "Use specific account type",
     value: "<personal|work>",
+    complete: "account",
     examples: ["--account work"],
   },
+  "--profile": {
+    description: "Use a named profile (see Preferences > Profiles)",
+    value: "<name>",
+    complete: "profile",
+    examples: ["--profile contoso", "--app outlook --profile fabrikam"],
+  },
+  "--private": {
+    description: "Open a private window; its cookies and storage are discarded when it closes",
+    value: null,
+    examples: ["--private", "--app outlook --private --account work"],
+  },
+  "--doctor": {
+    description: "Print an environment report (display server, screen sharing, fonts, paths) and exit",
+    value: null,
+    examples: ["--doctor", "--doctor --json"],
+  },
+  "--print-to-pdf": {
+    description: "Save a page as PDF using the profile session and exit (see Preferences > Apps > Printing)",
+    value: "<url> <out.pdf>",
+    examples: ['--print-to-pdf "https://outlook.office.com/mail/inbox/id/..." message.pdf --account work'],
+  },
+  "--recent": {
+    description: "List recently opened documents and exit",
+    value: null,
+    examples: ["--recent", "--recent --json"],
+  },
+  "--json": {
+    description: "Print machine-readable output (use with --doctor, --recent or ctl)",
+    value: null,
+    examples: ["--doctor --json", "--recent --json"],
+  },
+  "--file-manager-actions": {
+    description: "Add or remove Open in Microsoft 365 and Upload to OneDrive in Nautilus, Dolphin, Nemo and Thunar",
+    value: "<install|remove>",
+    complete: "fileManagerCommand",
+    examples: ["--file-manager-actions install", "--file-manager-actions remove"],
+  },
+  "--completions": {
+    description: "Print a shell completion script",
+    value: "<bash|zsh|fish>",
+    complete: "shell",
+    examples: ["--completions bash > ~/.local/share/bash-completion/completions/ms-365-electron"],
+  },
   "--help": {
     description: "Show this help message",
     value: null,
@@ -55,17 +153,116 @@ const CLI_ARGS = {
   },
 };
 
+/**
+ * Control commands (`ms-365-electron ctl <command>`)
+ * The target is the positional argument the command takes, if any
+ */
+const CTL_COMMANDS = {
+  "list-windows": {
+    description: "List open windows and their ids",
+    target: null,
+  },
+  focus: {
+    description: "Bring a window to the front",
+    target: "<id>",
+  },
+  close: {
+    description: "Close a window",
+    target: "<id>",
+  },
+  unread: {
+    description: "Print the unread count",
+    target: null,
+  },
+  open: {
+    description: "Open an app, or focus its window (accepts --account)",
+    target: "<app>",
+  },
+};
+
+/**
+ * Get the user-supplied arguments from an argv array
+ * When running unpackaged (`electron .`) the app path takes an extra slot
+ * @param {string[]} argv - Full process argv
+ * @returns {string[]} User arguments
+ */
+function getUserArgs(argv) {
+  return argv.slice(process.defaultApp ? 2 : 1);
+}
+
+/**
+ * Check if an argument was added by Electron, Chromium or a desktop file
+ * @param {string} arg - Argument
+ * @returns {boolean}
+ */
+function isInternalArg(arg) {
+  return arg.startsWith("--ozone") || arg.startsWith("--enable") ||
+    arg.startsWith("--disable") || arg.startsWith("--no-") ||
+    arg === "%U" || arg === "%u" || arg === "%F" || arg === "%f";
+}
+
+/**
+ * Parse the arguments following `ctl`
+ * @param {string[]} args - Arguments after `ctl`
+ * @returns {{command: string|null, target: string|null, account: string|null, json: boolean, unknownArgs: string[]}}
+ */
+function parseControlArgs(args) {
+  const control = {
+    command: null,
+    target: null,
+    account: null,
+    json: false,
+    unknownArgs: [],
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (isInternalArg(arg)) continue;
+
+    if (arg === "--json") {
+      control.json = true;
+    } else if (arg === "--account") {
+      if (args[i + 1] && !args[i + 1].startsWith("--")) {
+        control.account = args[i + 1].toLowerCase();
+        i++;
+      }
+    } else if (!control.command && !arg.startsWith("-")) {
+      control.command = arg.toLowerCase();
+    } else if (!control.target && !arg.startsWith("-")) {
+      control.target = arg;
+    } else {
+      control.unknownArgs.push(arg);
+    }
+  }
+
+  return control;
+}
+
 /**
  * Parse command-line arguments
+ * @param {string[]} [argv] - Full argv to parse (defaults to this process)
  * @returns {object} Parsed arguments
  */
-export function parseArgs() {
-  const args = process.argv.slice(2);
+export function parseArgs(argv = process.argv) {
+  const args = getUserArgs(argv);
   const parsed = {
     app: null,
     action: null,
     file: null,
+    upload: null,
+    url: null,
+    compose: createComposeFields(),
     account: null,
+    profile: null,
+    private: false,
+    control: null,
+    doctor: false,
+    recent: false,
+    printToPdf: null,
+    json: false,
+    completions: null,
+    fileManagerActions: null,
     help: false,
     version: false,
     unknownArgs: [],
@@ -76,13 +273,17 @@ export function parseArgs() {
     const nextArg = args[i + 1];
 
     // Skip Electron/Chromium internal arguments
-    if (arg.startsWith("--ozone") || arg.startsWith("--enable") ||
-        arg.startsWith("--disable") || arg.startsWith("--no-") ||
-        arg === "%U" || arg === "%u" || arg === "%F" || arg === "%f") {
+    if (isInternalArg(arg)) {
       continue;
     }
 
     switch (arg) {
+      case "ctl":
+        // Everything after ctl belongs to the control command
+        parsed.control = parseControlArgs(args.slice(i + 1));
+        i = args.length;
+        break;
+
       case "--app":
         if (nextArg && !nextArg.startsWith("--")) {
           parsed.app = nextArg.toLowerCase();
@@ -99,6 +300,24 @@ export function parseArgs() {
         parsed.action = "new";
         break;
 
+      case "--to":
+      case "--cc":
+      case "--bcc":
+        if (nextArg && !nextArg.startsWith("--")) {
+          const field = arg.slice(2);
+          parsed.compose[field].push(...nextArg.split(",").map(a => a.trim()).filter(a => a));
+          i++;
+        }
+        break;
+
+      case "--subject":
+      case "--body":
+        if (nextArg !== undefined) {
+          parsed.compose[arg.slice(2)] = nextArg;
+          i++;
+        }
+        break;
+
       case "--open":
         if (nextArg && !nextArg.startsWith("--")) {
           parsed.file = nextArg;
@@ -106,6 +325,15 @@ export function parseArgs() {
         }
         break;
 
+      case "--upload":
+        // Takes every file up to the next option, as file managers pass a list
+        parsed.upload = parsed.upload || [];
+        while (args[i + 1] && !args[i + 1].startsWith("-")) {
+          parsed.upload.push(args[i + 1]);
+          i++;
+        }
+        break;
+
       case "--account":
         if (nextArg && !nextArg.startsWith("--")) {
           parsed.account = nextArg.toLowerCase();
@@ -113,6 +341,52 @@ export function parseArgs() {
         }
         break;
 
+      case "--profile":
+        if (nextArg && !nextArg.startsWith("--")) {
+          parsed.profile = nextArg;
+          i++;
+        }
+        break;
+
+      case "--private":
+        parsed.private = true;
+        break;
+
+      case "--doctor":
+        parsed.doctor = true;
+        break;
+
+      case "--recent":
+        parsed.recent = true;
+        break;
+
+      case "--print-to-pdf":
+        // Takes the page and the file to write
+        parsed.printToPdf = { url: null, output: null };
+        if (nextArg && !nextArg.startsWith("--")) {
+          parsed.printToPdf.url = nextArg;
+          i++;
+          if (args[i + 1] && !args[i + 1].startsWith("--")) {
+            parsed.printToPdf.output = args[i + 1];
+            i++;
+          }
+        }
+        break;
+
+      case "--json":
+        parsed.json = true;
+        break;
+
+      case "--completions":
+        parsed.completions = nextArg && !nextArg.startsWith("--") ? nextArg.toLowerCase() : "";
+        if (parsed.completions) i++;
+        break;
+
+      case "--file-manager-actions":
+        parsed.fileManagerActions = nextArg && !nextArg.startsWith("--") ? nextArg.toLowerCase() : "";
+        if (parsed.fileManagerActions) i++;
+        break;
+
       case "--help":
       case "-h":
         parsed.help = true;
@@ -127,7 +401,9 @@ export function parseArgs() {
         // Check if it's a file path (doesn't start with --)
         if (!arg.startsWith("--") && !arg.startsWith("-")) {
           // Could be a file path passed directly
-          if (arg.match(/\.(docx?|xlsx?|pptx?|pdf)$/i)) {
+          if (isProtocolUrl(arg)) {
+            parsed.url = arg;
+          } else if (isFileSupported(arg)) {
             parsed.file = arg;
           } else {
             parsed.unknownArgs.push(arg);
@@ -155,6 +431,7 @@ Microsoft 365 desktop client for Linux
 
 USAGE:
   ms-365-electron [OPTIONS]
+  ms-365-electron ctl <command> [--json]
 
 OPTIONS:
 `;
@@ -169,16 +446,62 @@ OPTIONS:
     help += "\n";
   }
 
+  help += `CONTROL COMMANDS (talk to the running instance):\n`;
+  for (const [command, info] of Object.entries(CTL_COMMANDS)) {
+    const usage = info.target ? `${command} ${info.target}` : command;
+    help += `  ${usage.padEnd(20)}${info.description}\n`;
+  }
+  help += `  Add --json for machine-readable output.\n\n`;
+
   help += `AVAILABLE APPS:\n`;
   help += `  ${appList.map(a => a.id).join(", ")}\n\n`;
 
+  help += `AVAILABLE PROFILES:\n`;
+  help += `  ${getProfiles().map(p => p.id).join(", ")}\n\n`;
+
   help += `EXAMPLES:\n`;
   help += `  ms-365-electron --app word              Launch Word\n`;
   help += `  ms-365-electron --app word --new        Create new Word document\n`;
   help += `  ms-365-electron --compose               Compose new email in Outlook\n`;
+  help += `  ms-365-electron --compose --to alice@example.com --subject "Hello"\n`;
+  help += `                                          Compose a pre-filled email\n`;
+  help += `  ms-365-electron "mailto:alice@example.com?subject=Hello"\n`;
+  help += `                                          Open a mail link in Outlook\n`;
   help += `  ms-365-electron --open document.docx    Open a document\n`;
+  help += `  ms-365-electron --upload *.xlsx         Upload spreadsheets to OneDrive\n`;
   help += `  ms-365-electron --app teams --account work\n`;
   help += `                                          Open Teams with work account\n`;
+  help += `  ms-365-electron --app outlook --profile contoso\n`;
+  help += `                                          Open Outlook in the "contoso" profile\n`;
+  help += `  ms-365-electron --private               Sign in once without keeping any data\n`;
+  help += `  ms-365-electron ctl list-windows --json\n`;
+  help += `                                          List open windows as JSON\n`;
+  help += `  ms-365-electron ctl focus 3             Focus window 3\n`;
+  help += `  ms-365-electron --recent                List recently opened documents\n`;
+  help += `  ms-365-electron --print-to-pdf "https://outlook.office.com/mail/" inbox.pdf\n`;
+  help += `                                          Save a page as PDF\n`;
+  help += `  ms-365-electron --doctor                Check the environment\n\n`;
+
+  help += `LINKS:\n`;
+  help += `  ms-365-electron "ms-365-electron://open?app=excel&account=work"\n`;
+  help += `  ms-365-electron "ms-365-electron://url?target=<encoded-url>&account=personal"\n\n`;
+
+  help += `EXIT CODES:\n`;
+  help += `  ${EXIT_CODES.SUCCESS}  Success\n`;
+  help += `  ${EXIT_CODES.INVALID_ARGUMENT}  Invalid argument\n`;
+  help += `  ${EXIT_CODES.UNKNOWN_APP}  Unknown app\n`;
+  help += `  ${EXIT_CODES.FILE_NOT_FOUND}  File not found or not readable\n`;
+  help += `  ${EXIT_CODES.UNSUPPORTED_ACTION}  Action not available for the app\n`;
+  help += `  ${EXIT_CODES.UNSUPPORTED_FILE}  Unsupported file type\n`;
+  help += `  ${EXIT_CODES.INVALID_URL}  Invalid link\n`;
+  help += `  ${EXIT_CODES.NOT_RUNNING}  ctl: MS-365-Electron is not running\n`;
+  help += `  ${EXIT_CODES.WINDOW_NOT_FOUND}  ctl: No window with that id\n`;
+  help += `  ${EXIT_CODES.CONTROL_FAILED}  ctl: The running instance did not answer\n`;
+  help += `  ${EXIT_CODES.CHECKS_FAILED} --doctor: At least one check failed\n`;
+  help += `  ${EXIT_CODES.INTEGRATION_FAILED} --file-manager-actions: Actions could not be installed or removed\n`;
+  help += `  ${EXIT_CODES.PRINT_FAILED} --print-to-pdf: The page could not be loaded or saved\n`;
+  help += `  ${EXIT_CODES.OPEN_FAILED} --open, --upload: The file could not be opened or uploaded\n`;
+  help += `     (first launch only; a running instance reports failures in a dialog)\n`;
 
   return help;
 }
@@ -191,12 +514,150 @@ export function getVersionText() {
   return `MS-365-Electron v${app.getVersion()}`;
 }
 
+/**
+ * Check if any compose field was given
+ * @param {object} compose - Compose fields
+ * @returns {boolean}
+ */
+function hasComposeFields(compose) {
+  return compose.to.length > 0 || compose.cc.length > 0 || compose.bcc.length > 0 ||
+    compose.subject !== "" || compose.body !== "";
+}
+
+/**
+ * Validate the arguments of a control command
+ * @param {object} control - Parsed control arguments from parseArgs()
+ * @returns {{valid: boolean, error?: string, exitCode?: number}}
+ */
+function validateControlArgs(control) {
+  const commands = Object.keys(CTL_COMMANDS);
+
+  if (!control.command) {
+    return {
+      valid: false,
+      error: `ctl requires a command. Available commands: ${commands.join(", ")}`,
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
+  const spec = CTL_COMMANDS[control.command];
+  if (!spec) {
+    return {
+      valid: false,
+      error: `Unknown ctl command: "${control.command}". Available commands: ${commands.join(", ")}`,
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
+  const unexpected = spec.target ? control.unknownArgs : [control.target, ...control.unknownArgs].filter(Boolean);
+  if (unexpected.length > 0) {
+    return {
+      valid: false,
+      error: `Unexpected argument for ctl ${control.command}: "${unexpected[0]}"`,
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
+  if (spec.target === "<id>" && !/^\d+$/.test(control.target || "")) {
+    return {
+      valid: false,
+      error: `ctl ${control.command} requires a window id. Use "ctl list-windows" to see open windows.`,
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
+  if (spec.target === "<app>") {
+    const validApps = getAppList().map(a => a.id);
+    if (!validApps.includes((control.target || "").toLowerCase())) {
+      return {
+        valid: false,
+        error: `Unknown app: "${control.target || ""}". Valid apps are: ${validApps.join(", ")}`,
+        exitCode: EXIT_CODES.UNKNOWN_APP,
+      };
+    }
+  }
+
+  // ctl open accepts any profile as its account
+  if (control.account && (control.command !== "open" || !findProfile(control.account))) {
+    return {
+      valid: false,
+      error: control.command === "open"
+        ? `Unknown profile: "${control.account}". Available profiles: ${getProfiles().map(p => p.id).join(", ")}`
+        : `--account is only accepted by ctl open.`,
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate --print-to-pdf and what it is combined with
+ * @param {object} parsed - Parsed arguments from parseArgs()
+ * @returns {{valid: boolean, error?: string, exitCode?: number}}
+ */
+function validatePrintToPdf(parsed) {
+  const { url, output } = parsed.printToPdf;
+  if (!url || !output) {
+    return {
+      valid: false,
+      error: "--print-to-pdf requires a page URL and an output file.",
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
+  if (parsed.file || parsed.upload || parsed.url || parsed.app || parsed.private || parsed.recent || parsed.doctor) {
+    return {
+      valid: false,
+      error: "--print-to-pdf can only be combined with --account or --profile.",
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
+  let protocol;
+  try {
+    protocol = new URL(url).protocol;
+  } catch {
+    protocol = null;
+  }
+  if (protocol !== "https:" && protocol !== "http:") {
+    return {
+      valid: false,
+      error: `Not a web page: "${url}"`,
+      exitCode: EXIT_CODES.INVALID_URL,
+    };
+  }
+
+  const outputDir = dirname(resolve(output));
+  if (!existsSync(outputDir)) {
+    return {
+      valid: false,
+      error: `Cannot write "${output}": the folder "${outputDir}" does not exist.`,
+      exitCode: EXIT_CODES.FILE_NOT_FOUND,
+    };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate parsed arguments
  * @param {object} parsed - Parsed arguments from parseArgs()
  * @returns {{valid: boolean, error?: string}}
  */
 export function validateArgs(parsed) {
+  if (parsed.control) {
+    return validateControlArgs(parsed.control);
+  }
+
+  if (parsed.json && !parsed.doctor && !parsed.recent) {
+    return {
+      valid: false,
+      error: "--json requires --doctor, --recent or ctl.",
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
   // Validate app name if provided
   if (parsed.app) {
     const validApps = getAppList().map(a => a.id);
@@ -218,6 +679,72 @@ export function validateArgs(parsed) {
     };
   }
 
+  if (parsed.profile) {
+    if (parsed.account) {
+      return {
+        valid: false,
+        error: "--profile and --account cannot be combined.",
+        exitCode: EXIT_CODES.INVALID_ARGUMENT,
+      };
+    }
+    if (!findProfile(parsed.profile)) {
+      return {
+        valid: false,
+        error: `Unknown profile: "${parsed.profile}". Available profiles: ${getProfiles().map(p => p.id).join(", ")}`,
+        exitCode: EXIT_CODES.INVALID_ARGUMENT,
+      };
+    }
+  }
+
+  // Files and links open in an existing session's OneDrive or mailbox
+  if (parsed.private && (parsed.file || parsed.url)) {
+    return {
+      valid: false,
+      error: "--private cannot be combined with files or links.",
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
+  if (parsed.upload) {
+    if (parsed.upload.length === 0) {
+      return {
+        valid: false,
+        error: "--upload requires at least one file.",
+        exitCode: EXIT_CODES.INVALID_ARGUMENT,
+      };
+    }
+    if (parsed.file || parsed.url || parsed.app || parsed.private) {
+      return {
+        valid: false,
+        error: "--upload cannot be combined with --open, --app, --compose, --private or links.",
+        exitCode: EXIT_CODES.INVALID_ARGUMENT,
+      };
+    }
+
+    for (const file of parsed.upload) {
+      const fileValidation = validateFile(file);
+      if (!fileValidation.valid) {
+        return {
+          valid: false,
+          error: `Cannot upload "${file}": ${fileValidation.error}`,
+          exitCode: EXIT_CODES.FILE_NOT_FOUND,
+        };
+      }
+      if (!isFileSupported(file)) {
+        return {
+          valid: false,
+          error: `Unsupported file type: "${file}". Supported types: ${getSupportedExtensions().join(", ")}`,
+          exitCode: EXIT_CODES.UNSUPPORTED_FILE,
+        };
+      }
+    }
+  }
+
+  if (parsed.printToPdf) {
+    const validation = validatePrintToPdf(parsed);
+    if (!validation.valid) return validation;
+  }
+
   // --new requires --app
   if (parsed.action === "new" && !parsed.app) {
     return {
@@ -227,15 +754,148 @@ export function validateArgs(parsed) {
     };
   }
 
+  // Recipients, subject and body only make sense when composing
+  if (hasComposeFields(parsed.compose) && parsed.action !== "compose") {
+    return {
+      valid: false,
+      error: "--to, --cc, --bcc, --subject and --body require --compose.",
+      exitCode: EXIT_CODES.INVALID_ARGUMENT,
+    };
+  }
+
+  // The app must be able to carry out the requested action
+  if (parsed.action && !supportsAction(parsed.app, parsed.action)) {
+    const error = parsed.action === "compose"
+      ? `--compose is only available for Outlook, not ${getAppDisplayName(parsed.app)}.`
+      : `--new is not available for ${getAppDisplayName(parsed.app)}. Use it with word, excel or powerpoint.`;
+    return {
+      valid: false,
+      error,
+      exitCode: EXIT_CODES.UNSUPPORTED_ACTION,
+    };
+  }
+
+  if (parsed.file) {
+    // A file decides its own app, so it cannot be combined with an action
+    if (parsed.action) {
+      return {
+        valid: false,
+        error: `--open cannot be combined with --${parsed.action}.`,
+        exitCode: EXIT_CODES.INVALID_ARGUMENT,
+      };
+    }
+
+    const fileValidation = validateFile(parsed.file);
+    if (!fileValidation.valid) {
+      return {
+        valid: false,
+        error: `Cannot open "${parsed.file}": ${fileValidation.error}`,
+        exitCode: EXIT_CODES.FILE_NOT_FOUND,
+      };
+    }
+
+    if (!isFileSupported(parsed.file)) {
+      return {
+        valid: false,
+        error: `Unsupported file type: "${parsed.file}". Supported types: ${getSupportedExtensions().join(", ")}`,
+        exitCode: EXIT_CODES.UNSUPPORTED_FILE,
+      };
+    }
+  }
+
+  if (parsed.url) {
+    const link = parseProtocolUrl(parsed.url);
+    if (!link.valid) {
+      return {
+        valid: false,
+        error: link.error,
+        exitCode: EXIT_CODES.INVALID_URL,
+      };
+    }
+  }
+
   return { valid: true };
 }
 
+/**
+ * Build the startup configuration from validated arguments
+ * File paths are resolved so they stay valid when forwarded to another process
+ * @param {object} parsed - Parsed arguments from parseArgs()
+ * @param {string} [cwd] - Directory relative paths are resolved against
+ * @returns {object} Startup config
+ */
+export function buildStartupConfig(parsed, cwd = process.cwd()) {
+  return {
+    exit: false,
+    startupApp: parsed.app,
+    startupAction: parsed.action,
+    startupFile: parsed.file ? resolve(cwd, parsed.file) : null,
+    startupUploads: parsed.upload ? parsed.upload.map((file) => resolve(cwd, file)) : null,
+    startupUrl: parsed.url,
+    composeFields: hasComposeFields(parsed.compose) ? parsed.compose : null,
+    accountType: parsed.profile ? findProfile(parsed.profile).id : parsed.account,
+    private: parsed.private,
+  };
+}
+
+/**
+ * Build the request a control command sends to the running instance
+ * @param {object} control - Validated control arguments
+ * @returns {{command: string, id?: number, app?: string, accountType?: string, json: boolean}}
+ */
+function buildControlRequest(control) {
+  const request = { command: control.command, json: control.json };
+  const { target } = CTL_COMMANDS[control.command];
+
+  if (target === "<id>") request.id = Number(control.target);
+  if (target === "<app>") request.app = control.target.toLowerCase();
+  if (control.account) request.accountType = findProfile(control.account).id;
+
+  return request;
+}
+
+/**
+ * Install or remove the file manager actions and report the result
+ * @param {string} command - "install" or "remove"
+ * @returns {{exit: boolean, code: number}} Exit config
+ */
+function runFileManagerActions(command) {
+  const commands = getFileManagerCommands();
+  if (!commands.includes(command)) {
+    console.error(`Error: --file-manager-actions requires ${commands.join(" or ")}`);
+    return { exit: true, code: EXIT_CODES.INVALID_ARGUMENT };
+  }
+
+  if (command === "remove") {
+    const result = removeFileManagerActions();
+    if (!result.success) {
+      console.error(`Error: The file manager actions could not be removed: ${result.error}`);
+      return { exit: true, code: EXIT_CODES.INTEGRATION_FAILED };
+    }
+    console.log("Removed the file manager actions.");
+    return { exit: true, code: EXIT_CODES.SUCCESS };
+  }
+
+  const result = installFileManagerActions();
+  if (!result.success) {
+    console.error(`Error: The file manager actions could not be installed: ${result.error}`);
+    return { exit: true, code: EXIT_CODES.INTEGRATION_FAILED };
+  }
+  if (result.installed.length === 0) {
+    console.error(`Error: No supported file manager found (${getFileManagers().map((manager) => manager.name).join(", ")}).`);
+    return { exit: true, code: EXIT_CODES.INTEGRATION_FAILED };
+  }
+  console.log(`Added file manager actions for ${result.installed.join(", ")}.`);
+  return { exit: true, code: EXIT_CODES.SUCCESS };
+}
+
 /**
  * Process CLI arguments and return startup configuration
+ * @param {string[]} [argv] - Full argv to process (defaults to this process)
  * @returns {object|null} Startup config or null if handled (help/version printed)
  */
-export function processCLI() {
-  const parsed = parseArgs();
+export function processCLI(argv = process.argv) {
+  const parsed = parseArgs(argv);
 
   // Handle help
   if (parsed.help) {
@@ -249,6 +909,22 @@ export function processCLI() {
     return { exit: true, code: EXIT_CODES.SUCCESS };
   }
 
+  // Handle completion scripts
+  if (parsed.completions !== null) {
+    const shells = getCompletionShells();
+    if (!shells.includes(parsed.completions)) {
+      console.error(`Error: --completions requires a shell: ${shells.join(", ")}`);
+      return { exit: true, code: EXIT_CODES.INVALID_ARGUMENT };
+    }
+    process.stdout.write(generateCompletions(parsed.completions, CLI_ARGS, CTL_COMMANDS));
+    return { exit: true, code: EXIT_CODES.SUCCESS };
+  }
+
+  // Handle file manager actions
+  if (parsed.fileManagerActions !== null) {
+    return runFileManagerActions(parsed.fileManagerActions);
+  }
+
   // Validate arguments
   const validation = validateArgs(parsed);
   if (!validation.valid) {
@@ -257,14 +933,36 @@ export function processCLI() {
     return { exit: true, code: validation.exitCode };
   }
 
+  // Recent documents are read from the store, so no instance is needed
+  if (parsed.recent) {
+    printRecentDocuments({ json: parsed.json });
+    return { exit: true, code: EXIT_CODES.SUCCESS };
+  }
+
+  // The page is exported by the running instance, or by this process when there is none
+  if (parsed.printToPdf) {
+    return {
+      exit: false,
+      printToPdf: {
+        url: parsed.printToPdf.url,
+        output: resolve(parsed.printToPdf.output),
+        accountType: parsed.profile ? findProfile(parsed.profile).id : parsed.account || getAccountType(),
+      },
+    };
+  }
+
+  // The doctor report replaces a normal start
+  if (parsed.doctor) {
+    return { exit: false, doctor: { json: parsed.json } };
+  }
+
+  // Control commands are sent to the running instance instead of starting one
+  if (parsed.control) {
+    return { exit: false, control: buildControlRequest(parsed.control) };
+  }
+
   // Return startup configuration
-  return {
-    exit: false,
-    startupApp: parsed.app,
-    startupAction: parsed.action,
-    startupFile: parsed.file,
-    accountType: parsed.account,
-  };
+  return buildStartupConfig(parsed);
 }
 
 /**
@@ -288,4 +986,4 @@ export function getAppForFile(filePath) {
   return fileTypeMap[ext] || { app: "onedrive", shouldUpload: true };
 }
 
-export { CLI_ARGS };
+export { CLI_ARGS, CTL_COMMANDS };
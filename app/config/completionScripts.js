@@ -0,0 +1,243 @@
+/**
+ * Completion Scripts Module
+ * Builds bash, zsh and fish completion scripts from option definitions
+ *
+ * This module does not use Electron, so the tests can check the generated
+ * scripts; completions.js looks up the values offered for each option.
+ */
+
+const COMMAND_NAME = "ms-365-electron";
+
+/**
+ * Values offered by the scripts
+ * @typedef {Object} CompletionSources
+ * @property {(kind: string) => string[]} getValues - Values for an option's `complete` kind
+ * @property {string[]} extensions - Supported file extensions, with the leading dot
+ */
+
+/**
+ * Strip the leading dot from file extensions
+ * @param {string[]} extensions - Extensions such as ".docx"
+ * @returns {string[]} Extensions
+ */
+function getExtensions(extensions) {
+  return extensions.map((ext) => ext.replace(/^\./, ""));
+}
+
+/**
+ * Quote a string for a POSIX or fish shell single-quoted literal
+ * @param {string} text - Text to quote
+ * @returns {string} Quoted text
+ */
+function shellQuote(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Escape an option description for a single-quoted zsh _arguments spec
+ * @param {string} text - Description
+ * @returns {string} Escaped description
+ */
+function zshEscape(text) {
+  return text.replace(/([[\]:\\])/g, "\\$1").replace(/'/g, "'\\''");
+}
+
+/**
+ * Generate the bash completion script
+ * @param {object} cliArgs - CLI_ARGS from cli.js
+ * @param {object} ctlCommands - CTL_COMMANDS from cli.js
+ * @param {CompletionSources} sources - Values offered for options
+ * @returns {string} Script
+ */
+function generateBash(cliArgs, ctlCommands, { getValues, extensions }) {
+  const options = Object.keys(cliArgs);
+  const extensionPattern = getExtensions(extensions).join("|");
+
+  const valueCases = Object.entries(cliArgs)
+    .filter(([, info]) => info.value)
+    .map(([arg, info]) => {
+      if (info.complete === "file") {
+        return `    ${arg})\n      _ms_365_electron_files\n      return ;;`;
+      }
+      const values = getValues(info.complete);
+      return values.length > 0
+        ? `    ${arg})\n      COMPREPLY=($(compgen -W ${shellQuote(values.join(" "))} -- "$cur"))\n      return ;;`
+        : `    ${arg})\n      return ;;`;
+    })
+    .join("\n");
+
+  return `# bash completion for ${COMMAND_NAME}
+# Generated by: ${COMMAND_NAME} --completions bash
+
+_ms_365_electron_files() {
+  local IFS=$'\\n' restore
+  restore=$(shopt -p extglob)
+  shopt -s extglob
+  compopt -o filenames 2>/dev/null
+  COMPREPLY+=($(compgen -d -- "$cur") $(compgen -f -X '!*.@(${extensionPattern})' -- "$cur"))
+  eval "$restore"
+}
+
+_ms_365_electron() {
+  local cur prev
+  cur="\${COMP_WORDS[COMP_CWORD]}"
+  prev="\${COMP_WORDS[COMP_CWORD-1]}"
+  COMPREPLY=()
+
+  if [[ \${COMP_WORDS[1]} == ctl ]]; then
+    if [[ $COMP_CWORD -eq 2 ]]; then
+      COMPREPLY=($(compgen -W ${shellQuote(Object.keys(ctlCommands).join(" "))} -- "$cur"))
+    elif [[ $prev == open ]]; then
+      COMPREPLY=($(compgen -W ${shellQuote(getValues("app").join(" "))} -- "$cur"))
+    elif [[ $prev == --account ]]; then
+      COMPREPLY=($(compgen -W ${shellQuote(getValues("profile").join(" "))} -- "$cur"))
+    else
+      COMPREPLY=($(compgen -W '--json --account' -- "$cur"))
+    fi
+    return
+  fi
+
+  case "$prev" in
+${valueCases}
+  esac
+
+  if [[ $cur == -* ]]; then
+    COMPREPLY=($(compgen -W ${shellQuote(options.join(" "))} -- "$cur"))
+    return
+  fi
+
+  if [[ $COMP_CWORD -eq 1 ]]; then
+    COMPREPLY=($(compgen -W 'ctl' -- "$cur"))
+  fi
+  _ms_365_electron_files
+}
+
+complete -F _ms_365_electron ${COMMAND_NAME}
+`;
+}
+
+/**
+ * Generate the zsh completion script
+ * @param {object} cliArgs - CLI_ARGS from cli.js
+ * @param {object} ctlCommands - CTL_COMMANDS from cli.js
+ * @param {CompletionSources} sources - Values offered for options
+ * @returns {string} Script
+ */
+function generateZsh(cliArgs, ctlCommands, { getValues, extensions }) {
+  const fileGlob = `*.(${getExtensions(extensions).join("|")})`;
+
+  const specs = Object.entries(cliArgs).map(([arg, info]) => {
+    const description = zshEscape(info.description);
+    if (!info.value) return `    '${arg}[${description}]'`;
+
+    const label = info.value.replace(/[<>]/g, "");
+    if (info.complete === "file") {
+      return `    '${arg}[${description}]:${label}:_files -g "${fileGlob}"'`;
+    }
+    const values = getValues(info.complete);
+    return `    '${arg}[${description}]:${label}:${values.length > 0 ? `(${values.join(" ")})` : " "}'`;
+  });
+
+  const commands = Object.entries(ctlCommands)
+    .map(([command, info]) => `    ${shellQuote(`${command}:${info.description}`)}`)
+    .join("\n");
+
+  return `#compdef ${COMMAND_NAME}
+# Generated by: ${COMMAND_NAME} --completions zsh
+
+_ms_365_electron_files() {
+  (( CURRENT == 2 )) && compadd -- ctl
+  _files -g '${fileGlob}'
+}
+
+_ms_365_electron() {
+  if [[ \${words[2]} == ctl ]]; then
+    local -a commands
+    commands=(
+${commands}
+    )
+    if (( CURRENT == 3 )); then
+      _describe -t commands 'ctl command' commands
+    elif [[ \${words[3]} == open ]] && (( CURRENT == 4 )); then
+      _values 'app' ${getValues("app").join(" ")}
+    else
+      _arguments '--json[Print machine-readable output]' '--account[Profile]:profile:(${getValues("profile").join(" ")})'
+    fi
+    return
+  fi
+
+  _arguments \\
+${specs.join(" \\\n")} \\
+    '*:file:_ms_365_electron_files'
+}
+
+_ms_365_electron "$@"
+`;
+}
+
+/**
+ * Generate the fish completion script
+ * @param {object} cliArgs - CLI_ARGS from cli.js
+ * @param {object} ctlCommands - CTL_COMMANDS from cli.js
+ * @param {CompletionSources} sources - Values offered for options
+ * @returns {string} Script
+ */
+function generateFish(cliArgs, ctlCommands, { getValues, extensions }) {
+  const command = `complete -c ${COMMAND_NAME}`;
+  const suffixes = extensions.join(" ");
+  const ctlNames = Object.keys(ctlCommands).join(" ");
+  const notCtl = "-n 'not __fish_seen_subcommand_from ctl'";
+
+  const lines = [
+    `# fish completion for ${COMMAND_NAME}`,
+    `# Generated by: ${COMMAND_NAME} --completions fish`,
+    "",
+    `${command} -f`,
+    `${command} ${notCtl} -k -a '(__fish_complete_suffix ${suffixes})'`,
+    `${command} -n '__fish_is_first_arg' -a ctl -d ${shellQuote("Control the running instance")}`,
+    "",
+  ];
+
+  for (const [arg, info] of Object.entries(cliArgs)) {
+    let line = `${command} ${notCtl} -l ${arg.slice(2)} -d ${shellQuote(info.description)}`;
+    if (info.complete === "file") {
+      line += ` -r -a '(__fish_complete_suffix ${suffixes})'`;
+    } else if (info.value) {
+      const values = getValues(info.complete);
+      line += values.length > 0 ? ` -x -a ${shellQuote(values.join(" "))}` : " -x";
+    }
+    lines.push(line);
+  }
+
+  lines.push("");
+  for (const [name, info] of Object.entries(ctlCommands)) {
+    lines.push(`${command} -n '__fish_seen_subcommand_from ctl; and not __fish_seen_subcommand_from ${ctlNames}' -a ${name} -d ${shellQuote(info.description)}`);
+  }
+  lines.push(`${command} -n '__fish_seen_subcommand_from ctl; and __fish_seen_subcommand_from open' -a ${shellQuote(getValues("app").join(" "))}`);
+  lines.push(`${command} -n '__fish_seen_subcommand_from ctl' -l json -d ${shellQuote("Print machine-readable output")}`);
+  lines.push(`${command} -n '__fish_seen_subcommand_from ctl' -l account -d ${shellQuote("Profile")} -x -a ${shellQuote(getValues("profile").join(" "))}`);
+
+  return `${lines.join("\n")}\n`;
+}
+
+// Script generators by shell
+const GENERATORS = {
+  bash: generateBash,
+  zsh: generateZsh,
+  fish: generateFish,
+};
+
+// Shells completion scripts can be generated for
+export const COMPLETION_SHELLS = Object.keys(GENERATORS);
+
+/**
+ * Build a completion script
+ * @param {'bash' | 'zsh' | 'fish'} shell - Target shell
+ * @param {object} cliArgs - Option definitions (CLI_ARGS)
+ * @param {object} ctlCommands - Control command definitions (CTL_COMMANDS)
+ * @param {CompletionSources} sources - Values offered for options
+ * @returns {string} Completion script
+ */
+export function buildCompletionScript(shell, cliArgs, ctlCommands, sources) {
+  return GENERATORS[shell](cliArgs, ctlCommands, sources);
+}
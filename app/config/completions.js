@@ -0,0 +1,55 @@
+/**
+ * Shell Completions Module
+ * Generates bash, zsh and fish completion scripts from the CLI definitions
+ */
+
+import { getAppList } from "./appLauncher.js";
+import { getSupportedExtensions } from "./fileHandler.js";
+import { getProfiles } from "./profiles.js";
+import { getFileManagerCommands } from "./fileManagers.js";
+import { buildCompletionScript, COMPLETION_SHELLS } from "./completionScripts.js";
+
+/**
+ * Get the values offered for an option's `complete` kind
+ * Files are completed by each shell's own file completion instead
+ * @param {string} kind - Completion kind from CLI_ARGS
+ * @returns {string[]} Values
+ */
+function getCompletionValues(kind) {
+  switch (kind) {
+    case "app":
+      return getAppList().map((a) => a.id);
+    case "account":
+      return ["personal", "work"];
+    case "profile":
+      return getProfiles().map((profile) => profile.id);
+    case "shell":
+      return getCompletionShells();
+    case "fileManagerCommand":
+      return getFileManagerCommands();
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get the shells completion scripts can be generated for
+ * @returns {string[]} Shell names
+ */
+export function getCompletionShells() {
+  return [...COMPLETION_SHELLS];
+}
+
+/**
+ * Generate a completion script
+ * @param {'bash' | 'zsh' | 'fish'} shell - Target shell
+ * @param {object} cliArgs - Option definitions (CLI_ARGS)
+ * @param {object} ctlCommands - Control command definitions (CTL_COMMANDS)
+ * @returns {string} Completion script
+ */
+export function generateCompletions(shell, cliArgs, ctlCommands) {
+  return buildCompletionScript(shell, cliArgs, ctlCommands, {
+    getValues: getCompletionValues,
+    extensions: getSupportedExtensions(),
+  });
+}
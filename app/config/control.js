@@ -0,0 +1,377 @@
+/**
+ * Control Socket Module
+ * Lets `ms-365-electron ctl <command>` drive the running instance
+ *
+ * The running instance listens on a Unix domain socket in XDG_RUNTIME_DIR.
+ * Each connection carries one JSON request line and gets one JSON response
+ * line back: {"ok": true, "result": ...} or {"ok": false, "error": "...", "code": n}
+ * Handlers may be async; the response is sent once they finish.
+ */
+
+import { app, BrowserWindow } from "electron";
+import { createServer, createConnection } from "net";
+import { existsSync, mkdirSync, unlinkSync, chmodSync } from "fs";
+import { dirname, join } from "path";
+import { getRuntimeDir } from "./xdg.js";
+import { EXIT_CODES } from "./cli.js";
+import { getBadgeCount } from "./badge.js";
+import { getAccountType, getAppDisplayName } from "./appLauncher.js";
+import { getWindowMeta, getWindowAccountType, getWindowContents, isPrivateWindow, detectAppType, focusOrCreateWindow } from "./windowManager.js";
+import { isAllowedDomain } from "./utils.js";
+import { getBoundFile } from "./editInPlace.js";
+import { printUrlToPdf } from "./printing.js";
+
+// How long the client waits for the running instance to answer
+const CONTROL_TIMEOUT_MS = 5000;
+
+// Requests are a single short line; anything longer is not a ctl client
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+let controlServer = null;
+
+/**
+ * Get the path of the control socket
+ * @returns {string} Socket path
+ */
+export function getControlSocketPath() {
+  return join(getRuntimeDir(), "control.sock");
+}
+
+/**
+ * Check if a window shows a Microsoft 365 page
+ * Splash and preferences windows are not listed
+ * @param {BrowserWindow} window - The window
+ * @returns {boolean}
+ */
+function isAppWindow(window) {
+  if (window.isDestroyed()) return false;
+  if (getWindowMeta(window)) return true;
+
+  try {
+    return isAllowedDomain(new URL(window.webContents.getURL()).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Describe a window for ctl output
+ * @param {BrowserWindow} window - The window
+ * @returns {{id: number, app: string, account: string, private: boolean, localFile: string|null, title: string, url: string, focused: boolean, visible: boolean, minimized: boolean}}
+ */
+function describeWindow(window) {
+  const url = getWindowContents(window).getURL();
+  const meta = getWindowMeta(window);
+
+  return {
+    id: window.id,
+    app: meta ? meta.appType : detectAppType(url),
+    account: getWindowAccountType(window),
+    private: isPrivateWindow(window),
+    localFile: getBoundFile(window),
+    title: window.getTitle(),
+    url,
+    focused: window.isFocused(),
+    visible: window.isVisible(),
+    minimized: window.isMinimized(),
+  };
+}
+
+/**
+ * Find an app window by id
+ * @param {number} id - Window id from `ctl list-windows`
+ * @returns {BrowserWindow|null}
+ */
+function findWindow(id) {
+  const window = BrowserWindow.fromId(id);
+  return window && isAppWindow(window) ? window : null;
+}
+
+/**
+ * Build the response for a window id that does not exist
+ * @param {number} id - Window id
+ * @returns {{ok: false, error: string, code: number}}
+ */
+function windowNotFound(id) {
+  return {
+    ok: false,
+    error: `No window with id ${id}. Use "ctl list-windows" to see open windows.`,
+    code: EXIT_CODES.WINDOW_NOT_FOUND,
+  };
+}
+
+/**
+ * Bring a window to the front, restoring it from the tray if needed
+ * @param {BrowserWindow} window - The window
+ */
+function raiseWindow(window) {
+  if (window.isMinimized()) window.restore();
+  if (!window.isVisible()) window.show();
+  window.focus();
+}
+
+// Command handlers, run in the running instance
+const COMMAND_HANDLERS = {
+  "list-windows": () => ({
+    ok: true,
+    result: BrowserWindow.getAllWindows().filter(isAppWindow).map(describeWindow),
+  }),
+
+  focus: ({ id }) => {
+    const window = findWindow(id);
+    if (!window) return windowNotFound(id);
+    raiseWindow(window);
+    return { ok: true, result: { id } };
+  },
+
+  close: ({ id }) => {
+    const window = findWindow(id);
+    if (!window) return windowNotFound(id);
+    window.close();
+    return { ok: true, result: { id } };
+  },
+
+  unread: () => ({ ok: true, result: { count: getBadgeCount() } }),
+
+  open: ({ app: appName, accountType }) => {
+    const window = focusOrCreateWindow(appName, accountType || getAccountType());
+    raiseWindow(window);
+    return { ok: true, result: { id: window.id, app: appName } };
+  },
+
+  // Sent by --print-to-pdf rather than typed as a ctl command
+  "print-to-pdf": async ({ url, output, accountType }) => {
+    const result = await printUrlToPdf(url, output, { accountType: accountType || getAccountType() });
+    return result.success
+      ? { ok: true, result: { url, output } }
+      : { ok: false, error: result.error, code: EXIT_CODES.PRINT_FAILED };
+  },
+};
+
+/**
+ * Run a control request
+ * @param {object} request - Parsed request
+ * @returns {Promise<{ok: boolean, result?: any, error?: string, code?: number}>} Response
+ */
+async function handleRequest(request) {
+  const handler = COMMAND_HANDLERS[request?.command];
+  if (!handler) {
+    return { ok: false, error: `Unknown command: "${request?.command}"`, code: EXIT_CODES.INVALID_ARGUMENT };
+  }
+
+  try {
+    return await handler(request);
+  } catch (error) {
+    console.error(`Control command "${request.command}" failed:`, error);
+    return { ok: false, error: error.message, code: EXIT_CODES.CONTROL_FAILED };
+  }
+}
+
+/**
+ * Serve one client connection
+ * @param {net.Socket} socket - Client socket
+ */
+function handleConnection(socket) {
+  let buffer = "";
+  let received = false;
+  socket.setEncoding("utf8");
+
+  socket.on("data", (chunk) => {
+    if (received) return;
+    buffer += chunk;
+    if (buffer.length > MAX_REQUEST_BYTES) {
+      socket.destroy();
+      return;
+    }
+
+    const newline = buffer.indexOf("\n");
+    if (newline === -1) return;
+    received = true;
+
+    let request;
+    try {
+      request = JSON.parse(buffer.slice(0, newline));
+    } catch {
+      socket.end(`${JSON.stringify({ ok: false, error: "Malformed request", code: EXIT_CODES.INVALID_ARGUMENT })}\n`);
+      return;
+    }
+    handleRequest(request).then((response) => {
+      if (!socket.destroyed) socket.end(`${JSON.stringify(response)}\n`);
+    });
+  });
+
+  socket.on("error", (error) => {
+    console.warn("Control client error:", error.message);
+  });
+}
+
+/**
+ * Stop listening and remove the socket
+ */
+function closeControlServer() {
+  if (!controlServer) return;
+
+  controlServer.close();
+  controlServer = null;
+  try {
+    unlinkSync(getControlSocketPath());
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Start the control socket server
+ * Only the primary instance should call this
+ */
+export function initializeControlServer() {
+  const socketPath = getControlSocketPath();
+
+  try {
+    mkdirSync(dirname(socketPath), { recursive: true, mode: 0o700 });
+    // mkdirSync leaves an existing directory alone, such as the cache directory
+    // used when XDG_RUNTIME_DIR is unset
+    chmodSync(dirname(socketPath), 0o700);
+    // This process holds the single instance lock, so a leftover socket is stale
+    if (existsSync(socketPath)) unlinkSync(socketPath);
+  } catch (error) {
+    console.error("Failed to prepare control socket:", error);
+    return;
+  }
+
+  controlServer = createServer(handleConnection);
+
+  controlServer.on("error", (error) => {
+    console.error("Control socket error:", error);
+  });
+
+  // The socket file is created while binding, so it must start out owner-only
+  const umask = process.umask(0o177);
+  try {
+    controlServer.listen(socketPath, () => {
+      console.log(`Control socket listening on ${socketPath}`);
+    });
+  } finally {
+    process.umask(umask);
+  }
+
+  app.on("will-quit", closeControlServer);
+}
+
+/**
+ * Format a window list as a table
+ * @param {object[]} windows - Windows from list-windows
+ * @returns {string} Table text
+ */
+function formatWindowTable(windows) {
+  if (windows.length === 0) return "No open windows";
+
+  const rows = windows.map((window) => [
+    String(window.id),
+    window.app,
+    window.private ? `${window.account} (private)` : window.account,
+    window.focused ? "*" : window.visible ? "" : "hidden",
+    window.title,
+  ]);
+  const header = ["ID", "APP", "ACCOUNT", "STATE", "TITLE"];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  );
+
+  return [header, ...rows]
+    .map((row) => row.map((cell, column) =>
+      column === row.length - 1 ? cell : cell.padEnd(widths[column])
+    ).join("  "))
+    .join("\n");
+}
+
+/**
+ * Format a successful result as human-readable text
+ * @param {string} command - Command name
+ * @param {any} result - Command result
+ * @returns {string|null} Text to print, or null for nothing
+ */
+function formatResult(command, result) {
+  switch (command) {
+    case "list-windows":
+      return formatWindowTable(result);
+    case "unread":
+      return String(result.count);
+    case "open":
+      return `Opened ${getAppDisplayName(result.app)} in window ${result.id}`;
+    case "print-to-pdf":
+      return `Saved ${result.output}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Send a command to the running instance and print the result
+ * Results go to stdout (as JSON with --json), errors to stderr.
+ * @param {{command: string, id?: number, app?: string, accountType?: string, json: boolean}} request - Request from processCLI()
+ * @param {object} [options] - Client options
+ * @param {number} [options.timeout] - How long to wait for the answer, in milliseconds
+ * @returns {Promise<number>} Exit code
+ */
+export function runControlCommand(request, { timeout = CONTROL_TIMEOUT_MS } = {}) {
+  const { json, ...message } = request;
+
+  return new Promise((resolve) => {
+    const socket = createConnection(getControlSocketPath());
+    let buffer = "";
+    let settled = false;
+
+    const finish = (code, error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) process.stderr.write(`Error: ${error}\n`);
+      resolve(code);
+    };
+
+    socket.setEncoding("utf8");
+    socket.setTimeout(timeout, () => {
+      finish(EXIT_CODES.CONTROL_FAILED, "MS-365-Electron did not respond.");
+    });
+
+    socket.on("connect", () => {
+      socket.write(`${JSON.stringify(message)}\n`);
+    });
+
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf("\n");
+      if (newline === -1) return;
+
+      let response;
+      try {
+        response = JSON.parse(buffer.slice(0, newline));
+      } catch {
+        finish(EXIT_CODES.CONTROL_FAILED, "Malformed response from MS-365-Electron.");
+        return;
+      }
+
+      if (!response.ok) {
+        finish(response.code ?? EXIT_CODES.CONTROL_FAILED, response.error);
+        return;
+      }
+
+      const output = json ? JSON.stringify(response.result, null, 2) : formatResult(message.command, response.result);
+      if (output !== null) process.stdout.write(`${output}\n`);
+      finish(EXIT_CODES.SUCCESS);
+    });
+
+    socket.on("error", (error) => {
+      if (error.code === "ENOENT" || error.code === "ECONNREFUSED") {
+        finish(EXIT_CODES.NOT_RUNNING, "MS-365-Electron is not running.");
+      } else {
+        finish(EXIT_CODES.CONTROL_FAILED, `Cannot reach MS-365-Electron: ${error.message}`);
+      }
+    });
+
+    socket.on("close", () => {
+      finish(EXIT_CODES.CONTROL_FAILED, "MS-365-Electron closed the connection without answering.");
+    });
+  });
+}
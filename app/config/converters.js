@@ -0,0 +1,519 @@
+/**
+ * Converters Module
+ * Converts files to the formats the web editors handle best before upload
+ *
+ * Converters are adapters with the extensions they read, the format they
+ * write and an availability check. LibreOffice (when installed) turns legacy
+ * and OpenDocument files into OOXML; built-in converters handle CSV/TSV,
+ * Markdown, plain text and RTF. Which converter runs is set per extension:
+ * "auto" picks the first available one, "none" uploads the file as is.
+ */
+
+import { execFile } from "child_process";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { basename, extname, join } from "path";
+import { pathToFileURL } from "url";
+import { getValue, setValue } from "./store.js";
+import { createDocx, createXlsx, MAX_HEADING_LEVEL } from "./ooxml.js";
+import { findExecutable } from "./utils.js";
+
+// LibreOffice can take a while to start, but a hung conversion must not block uploads forever
+const LIBREOFFICE_TIMEOUT_MS = 120 * 1000;
+
+// LibreOffice executable names, in order of preference
+const LIBREOFFICE_COMMANDS = ["soffice", "libreoffice"];
+
+// RTF groups whose content is not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  "fonttbl", "colortbl", "stylesheet", "info", "pict", "header", "footer", "headerl", "headerr",
+  "footerl", "footerr", "footnote", "object", "themedata", "colorschememapping", "latentstyles",
+  "datastore", "xmlnsdecl", "listtable", "listoverridetable", "rsidtbl", "generator", "filetbl",
+  "revtbl", "pgdsctbl", "fldinst", "bkmkstart", "bkmkend",
+]);
+
+// RTF control words that stand for a character
+const RTF_SYMBOLS = {
+  tab: "\t",
+  line: "\n",
+  emdash: "—",
+  endash: "–",
+  bullet: "•",
+  lquote: "‘",
+  rquote: "’",
+  ldblquote: "“",
+  rdblquote: "”",
+  emspace: " ",
+  enspace: " ",
+  "~": " ",
+};
+
+/**
+ * Converter adapter
+ * @typedef {Object} Converter
+ * @property {string} id - Stable identifier used in settings
+ * @property {string} name - Name shown to the user
+ * @property {string[]} from - Extensions it reads, with the dot
+ * @property {(ext: string) => string} to - Extension it writes for a source extension
+ * @property {() => boolean} isAvailable - Whether it can run here
+ * @property {(inputPath: string, outputDir: string) => Promise<string>} convert - Writes the converted file, returns its path
+ */
+
+/**
+ * Planned conversion for a file
+ * @typedef {Object} ConversionPlan
+ * @property {Converter} converter - Converter to run
+ * @property {string} to - Target extension
+ */
+
+/**
+ * Get the LibreOffice executable
+ * @returns {string|null} Full path, or null when LibreOffice is not installed
+ */
+export function getLibreOfficePath() {
+  for (const command of LIBREOFFICE_COMMANDS) {
+    const path = findExecutable(command);
+    if (path) return path;
+  }
+  return null;
+}
+
+/**
+ * Get the OOXML extension matching a source format
+ * @param {string} ext - Source extension
+ * @returns {string} .docx, .xlsx or .pptx
+ */
+function getOoxmlExtension(ext) {
+  if ([".xls", ".ods", ".csv", ".tsv"].includes(ext)) return ".xlsx";
+  if ([".ppt", ".odp"].includes(ext)) return ".pptx";
+  return ".docx";
+}
+
+/**
+ * Convert a file with LibreOffice in headless mode
+ * A throwaway user profile lets this run while LibreOffice is open.
+ * @param {string} inputPath - File to convert
+ * @param {string} outputDir - Directory for the result
+ * @returns {Promise<string>} Converted file
+ */
+function convertWithLibreOffice(inputPath, outputDir) {
+  const target = getOoxmlExtension(extname(inputPath).toLowerCase()).slice(1);
+  const args = [
+    "--headless",
+    "--norestore",
+    `-env:UserInstallation=${pathToFileURL(join(outputDir, ".libreoffice-profile")).href}`,
+    "--convert-to",
+    target,
+    "--outdir",
+    outputDir,
+    inputPath,
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile(getLibreOfficePath(), args, { timeout: LIBREOFFICE_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`LibreOffice failed: ${stderr.trim() || error.message}`));
+        return;
+      }
+      // LibreOffice exits 0 even when it could not read the file, so look for the output
+      const outputPath = join(outputDir, `${basename(inputPath, extname(inputPath))}.${target}`);
+      readFile(outputPath)
+        .then(() => resolve(outputPath))
+        .catch(() => reject(new Error(`LibreOffice did not produce a .${target} file. ${stderr.trim()}`.trim())));
+    });
+  });
+}
+
+/**
+ * Read a text file, dropping a UTF-8 byte order mark
+ * @param {string} filePath - File
+ * @returns {Promise<string>} Text
+ */
+async function readText(filePath) {
+  return (await readFile(filePath, "utf8")).replace(/^﻿/, "");
+}
+
+/**
+ * Parse delimiter-separated values (RFC 4180 quoting)
+ * @param {string} text - File content
+ * @param {string} separator - Field separator
+ * @returns {string[][]} Rows of fields
+ */
+export function parseDelimited(text, separator) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  // The last line may not end with a newline
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Split Markdown inline formatting into runs
+ * Links keep their text followed by the address.
+ * @param {string} text - Inline Markdown
+ * @returns {Array<{text: string, bold?: boolean, italic?: boolean, code?: boolean}>} Runs
+ */
+function parseMarkdownInline(text) {
+  const runs = [];
+  const pattern = /(\*\*|__)(.+?)\1|(\*|_)(.+?)\3|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) runs.push({ text: text.slice(last, match.index) });
+    if (match[2] !== undefined) runs.push({ text: match[2], bold: true });
+    else if (match[4] !== undefined) runs.push({ text: match[4], italic: true });
+    else if (match[5] !== undefined) runs.push({ text: match[5], code: true });
+    else runs.push({ text: `${match[6]} (${match[7]})` });
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) runs.push({ text: text.slice(last) });
+  return runs;
+}
+
+/**
+ * Parse Markdown into document paragraphs
+ * Covers headings, lists, quotes, code blocks and inline emphasis.
+ * @param {string} text - Markdown
+ * @returns {Array<object>} Paragraphs for createDocx
+ */
+export function parseMarkdown(text) {
+  const paragraphs = [];
+  let pending = [];
+  let inCode = false;
+
+  const flush = () => {
+    if (pending.length > 0) {
+      paragraphs.push({ runs: parseMarkdownInline(pending.join(" ")) });
+      pending = [];
+    }
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      flush();
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode) {
+      paragraphs.push({ style: "Code", runs: [{ text: line }] });
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*(\d+)[.)]\s+(.*)$/);
+    const quote = line.match(/^\s*>\s?(.*)$/);
+
+    if (heading) {
+      flush();
+      const level = Math.min(heading[1].length, MAX_HEADING_LEVEL);
+      paragraphs.push({ style: `Heading${level}`, runs: parseMarkdownInline(heading[2]) });
+    } else if (bullet) {
+      flush();
+      paragraphs.push({ runs: [{ text: "•\t" }, ...parseMarkdownInline(bullet[1])] });
+    } else if (numbered) {
+      flush();
+      paragraphs.push({ runs: [{ text: `${numbered[1]}.\t` }, ...parseMarkdownInline(numbered[2])] });
+    } else if (quote) {
+      flush();
+      paragraphs.push({ style: "Quote", runs: parseMarkdownInline(quote[1]) });
+    } else if (line.trim() === "") {
+      flush();
+    } else {
+      pending.push(line.trim());
+    }
+  }
+
+  flush();
+  return paragraphs;
+}
+
+/**
+ * Parse plain text into document paragraphs, one per line
+ * @param {string} text - Text
+ * @returns {Array<object>} Paragraphs for createDocx
+ */
+export function parsePlainText(text) {
+  return text.replace(/\r?\n$/, "").split(/\r?\n/).map((line) => ({ runs: [{ text: line }] }));
+}
+
+/**
+ * Parse RTF into document paragraphs
+ * Keeps text, paragraphs, bold and italic; tables, images and fonts are dropped.
+ * @param {string} text - RTF source
+ * @returns {Array<object>} Paragraphs for createDocx
+ */
+export function parseRtf(text) {
+  const paragraphs = [];
+  const decoder = new TextDecoder("windows-1252");
+  let runs = [];
+  let state = { bold: false, italic: false, skip: false, uc: 1 };
+  const stack = [];
+  let fallbackToSkip = 0;
+
+  const append = (chars) => {
+    if (state.skip) return;
+    if (fallbackToSkip > 0) {
+      fallbackToSkip--;
+      return;
+    }
+    const last = runs[runs.length - 1];
+    if (last && last.bold === state.bold && last.italic === state.italic) {
+      last.text += chars;
+    } else {
+      runs.push({ text: chars, bold: state.bold, italic: state.italic });
+    }
+  };
+
+  const endParagraph = () => {
+    if (state.skip) return;
+    paragraphs.push({ runs });
+    runs = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === "{") {
+      stack.push(state);
+      state = { ...state };
+    } else if (char === "}") {
+      state = stack.pop() || state;
+    } else if (char === "\\") {
+      const next = text[i + 1];
+      if (next === "\\" || next === "{" || next === "}") {
+        append(next);
+        i++;
+      } else if (next === "'") {
+        append(decoder.decode(Buffer.from(text.slice(i + 2, i + 4), "hex")));
+        i += 3;
+      } else if (next === "*") {
+        state.skip = true;
+        i++;
+      } else if (next === "\n" || next === "\r") {
+        endParagraph();
+        i++;
+      } else {
+        const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(text.slice(i + 1)) || /^(~)/.exec(text.slice(i + 1));
+        if (!match) continue;
+        i += match[0].length;
+        const [, word, param] = match;
+        const value = param === undefined ? null : Number(param);
+
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) state.skip = true;
+        else if (word === "par") endParagraph();
+        else if (word === "b") state.bold = value !== 0;
+        else if (word === "i") state.italic = value !== 0;
+        else if (word === "plain") Object.assign(state, { bold: false, italic: false });
+        else if (word === "uc") state.uc = value ?? 1;
+        else if (word === "u") {
+          append(String.fromCharCode(value < 0 ? value + 65536 : value));
+          // The next characters are a fallback for readers without Unicode
+          fallbackToSkip = state.uc;
+        } else if (RTF_SYMBOLS[word]) append(RTF_SYMBOLS[word]);
+      }
+    } else if (char !== "\r" && char !== "\n") {
+      append(char);
+    }
+  }
+
+  if (runs.length > 0) paragraphs.push({ runs });
+  return paragraphs;
+}
+
+/**
+ * Build a converter that writes a document from parsed text
+ * @param {(text: string) => Array<object>} parse - Parser returning paragraphs
+ * @returns {(inputPath: string, outputDir: string) => Promise<string>} Convert function
+ */
+function documentConverter(parse) {
+  return async (inputPath, outputDir) => {
+    const outputPath = join(outputDir, `${basename(inputPath, extname(inputPath))}.docx`);
+    await writeFile(outputPath, createDocx(parse(await readText(inputPath))));
+    return outputPath;
+  };
+}
+
+/**
+ * Convert delimited text to a workbook
+ * @param {string} inputPath - .csv or .tsv file
+ * @param {string} outputDir - Directory for the result
+ * @returns {Promise<string>} Converted file
+ */
+async function convertDelimited(inputPath, outputDir) {
+  const stem = basename(inputPath, extname(inputPath));
+  const separator = extname(inputPath).toLowerCase() === ".tsv" ? "\t" : ",";
+  const outputPath = join(outputDir, `${stem}.xlsx`);
+  await writeFile(outputPath, createXlsx(parseDelimited(await readText(inputPath), separator), stem));
+  return outputPath;
+}
+
+/**
+ * Registered converters, in the order "auto" tries them
+ * @type {Converter[]}
+ */
+const CONVERTERS = [
+  {
+    id: "libreoffice",
+    name: "LibreOffice",
+    from: [".doc", ".odt", ".rtf", ".xls", ".ods", ".ppt", ".odp"],
+    to: getOoxmlExtension,
+    isAvailable: () => getLibreOfficePath() !== null,
+    convert: convertWithLibreOffice,
+  },
+  {
+    id: "builtin-table",
+    name: "Built-in",
+    from: [".csv", ".tsv"],
+    to: () => ".xlsx",
+    isAvailable: () => true,
+    convert: convertDelimited,
+  },
+  {
+    id: "builtin-markdown",
+    name: "Built-in",
+    from: [".md"],
+    to: () => ".docx",
+    isAvailable: () => true,
+    convert: documentConverter(parseMarkdown),
+  },
+  {
+    id: "builtin-text",
+    name: "Built-in",
+    from: [".txt"],
+    to: () => ".docx",
+    isAvailable: () => true,
+    convert: documentConverter(parsePlainText),
+  },
+  {
+    id: "builtin-rtf",
+    name: "Built-in",
+    from: [".rtf"],
+    to: () => ".docx",
+    isAvailable: () => true,
+    convert: documentConverter(parseRtf),
+  },
+];
+
+/**
+ * Get the extensions any converter reads
+ * @returns {string[]} Extensions with the dot
+ */
+export function getConvertibleExtensions() {
+  return [...new Set(CONVERTERS.flatMap((converter) => converter.from))];
+}
+
+/**
+ * Get the converters that read an extension
+ * @param {string} ext - Extension with the dot
+ * @returns {Converter[]}
+ */
+export function getConvertersFor(ext) {
+  return CONVERTERS.filter((converter) => converter.from.includes(ext.toLowerCase()));
+}
+
+/**
+ * Get the conversion setting for an extension
+ * @param {string} ext - Extension with the dot
+ * @returns {string} "auto", "none" or a converter id
+ */
+export function getConversionSetting(ext) {
+  return getValue("conversions")?.[ext.toLowerCase()] || "auto";
+}
+
+/**
+ * Set the conversion for an extension
+ * @param {string} ext - Extension with the dot
+ * @param {string} setting - "auto", "none" or a converter id
+ * @returns {{success: boolean, error?: string}}
+ */
+export function setConversionSetting(ext, setting) {
+  const key = ext.toLowerCase();
+  const converters = getConvertersFor(key);
+  if (converters.length === 0) {
+    return { success: false, error: `No converter reads ${ext} files` };
+  }
+  if (setting !== "auto" && setting !== "none" && !converters.some((converter) => converter.id === setting)) {
+    return { success: false, error: `Unknown converter for ${ext}: ${setting}` };
+  }
+
+  setValue("conversions", { ...getValue("conversions"), [key]: setting });
+  return { success: true };
+}
+
+/**
+ * Work out how a file would be converted before upload
+ * @param {string} filePath - File to upload
+ * @returns {{plan: ConversionPlan|null, unavailable?: Converter}} The plan, or null with the
+ *   converter that was asked for but cannot run
+ */
+export function planConversion(filePath) {
+  const ext = extname(filePath).toLowerCase();
+  const setting = getConversionSetting(ext);
+  if (setting === "none") return { plan: null };
+
+  const candidates = getConvertersFor(ext).filter((converter) => setting === "auto" || converter.id === setting);
+  const converter = candidates.find((candidate) => candidate.isAvailable());
+  if (!converter) {
+    return { plan: null, unavailable: candidates[0] };
+  }
+  return { plan: { converter, to: converter.to(ext) } };
+}
+
+/**
+ * Convert a file into a temporary directory
+ * Call cleanup() once the converted file has been uploaded.
+ * @param {string} filePath - File to convert
+ * @param {ConversionPlan} plan - Plan from planConversion()
+ * @returns {Promise<{success: boolean, filePath?: string, cleanup: () => Promise<void>, error?: string}>}
+ */
+export async function convertFile(filePath, plan) {
+  const outputDir = await mkdtemp(join(tmpdir(), "ms-365-electron-convert-"));
+  const cleanup = () => rm(outputDir, { recursive: true, force: true }).catch(() => {});
+
+  try {
+    const outputPath = await plan.converter.convert(filePath, outputDir);
+    console.log(`Converted "${filePath}" to ${plan.to} with ${plan.converter.name}`);
+    return { success: true, filePath: outputPath, cleanup };
+  } catch (error) {
+    console.error(`Failed to convert "${filePath}":`, error);
+    await cleanup();
+    return { success: false, cleanup, error: error.message };
+  }
+}
+
+export { CONVERTERS };
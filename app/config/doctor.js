@@ -0,0 +1,284 @@
+/**
+ * Doctor Module
+ * Environment diagnostics printed by `ms-365-electron --doctor`
+ */
+
+import { app } from "electron";
+import { accessSync, existsSync, constants } from "fs";
+import { getValue } from "./store.js";
+import { getDisplayServer, getScreenSharingCapabilities, isPipeWireAvailable } from "./wayland.js";
+import { needsBundledFonts, hasBundledFonts, getBundledFontsPath } from "./fonts.js";
+import { getAllPaths } from "./xdg.js";
+import { getArchitecture, getOptimalUserAgent } from "./arch.js";
+import { areHotkeysSupported } from "./hotkeyManager.js";
+import { EXIT_CODES } from "./cli.js";
+import useragents from "../useragents.json" with { type: "json" };
+
+/**
+ * Diagnostic check result
+ * @typedef {Object} CheckResult
+ * @property {string} id - Stable identifier for scripts
+ * @property {string} name - Human-readable name
+ * @property {'pass' | 'warn' | 'fail'} status - Outcome
+ * @property {string} detail - What was found
+ * @property {string} [hint] - How to fix a warning or failure
+ */
+
+/**
+ * Check that a display server was detected
+ * @returns {CheckResult}
+ */
+function checkDisplayServer() {
+  const displayServer = getDisplayServer();
+  const result = { id: "display-server", name: "Display server" };
+
+  if (displayServer === "unknown") {
+    return {
+      ...result,
+      status: "fail",
+      detail: "Neither WAYLAND_DISPLAY nor DISPLAY is set",
+      hint: "Start the app from a graphical session, or export XDG_SESSION_TYPE, WAYLAND_DISPLAY or DISPLAY.",
+    };
+  }
+
+  return { ...result, status: "pass", detail: displayServer };
+}
+
+/**
+ * Check that screen sharing can work on this display server
+ * @returns {CheckResult}
+ */
+function checkScreenSharing() {
+  const capabilities = getScreenSharingCapabilities();
+  const result = { id: "screen-sharing", name: "Screen sharing" };
+
+  if (capabilities.displayServer === "unknown") {
+    return {
+      ...result,
+      status: "warn",
+      detail: "Cannot tell without a display server",
+      hint: "Fix the display server check first.",
+    };
+  }
+
+  if (capabilities.nativeScreenShare) {
+    return {
+      ...result,
+      status: "pass",
+      detail: capabilities.pipeWireAvailable ? "PipeWire available" : `Native ${capabilities.displayServer} capture`,
+    };
+  }
+
+  return {
+    ...result,
+    status: "fail",
+    detail: "Wayland session without a PipeWire socket",
+    hint: "Install and start PipeWire and xdg-desktop-portal (systemctl --user start pipewire).",
+  };
+}
+
+/**
+ * Check that Chromium can find fonts
+ * @returns {CheckResult}
+ */
+function checkFonts() {
+  const result = { id: "fonts", name: "Fonts" };
+
+  if (needsBundledFonts()) {
+    if (!hasBundledFonts()) {
+      return {
+        ...result,
+        status: "fail",
+        detail: `Bundled fonts are needed but missing from ${getBundledFontsPath()}`,
+        hint: "Reinstall MS-365-Electron; the package or AppImage is incomplete.",
+      };
+    }
+    return { ...result, status: "pass", detail: `Using bundled fonts (${process.env.FONTCONFIG_FILE || getBundledFontsPath()})` };
+  }
+
+  if (!existsSync("/etc/fonts/fonts.conf")) {
+    return {
+      ...result,
+      status: "warn",
+      detail: "No system fontconfig configuration found",
+      hint: "Install fontconfig and a font package such as Noto Sans, or text may render blank.",
+    };
+  }
+
+  return { ...result, status: "pass", detail: "System fontconfig" };
+}
+
+/**
+ * Check that the XDG directories exist and are writable
+ * @returns {CheckResult}
+ */
+function checkDirectories() {
+  const result = { id: "directories", name: "Directories" };
+  const missing = [];
+  const readOnly = [];
+
+  for (const [name, path] of Object.entries(getAllPaths())) {
+    if (!existsSync(path)) {
+      missing.push(name);
+      continue;
+    }
+    try {
+      accessSync(path, constants.W_OK);
+    } catch {
+      readOnly.push(`${name} (${path})`);
+    }
+  }
+
+  if (readOnly.length > 0) {
+    return {
+      ...result,
+      status: "fail",
+      detail: `Not writable: ${readOnly.join(", ")}`,
+      hint: "Fix the ownership of these directories, e.g. chown -R \"$USER\" <directory>.",
+    };
+  }
+
+  if (!process.env.XDG_RUNTIME_DIR) {
+    return {
+      ...result,
+      status: "warn",
+      detail: "XDG_RUNTIME_DIR is not set; the ctl socket lives in the cache directory",
+      hint: "Log in through a session manager (systemd-logind) so XDG_RUNTIME_DIR is set.",
+    };
+  }
+
+  if (missing.length > 0) {
+    return {
+      ...result,
+      status: "warn",
+      detail: `Not created yet: ${missing.join(", ")}`,
+      hint: "They are created the next time the app starts normally.",
+    };
+  }
+
+  return { ...result, status: "pass", detail: "All directories writable" };
+}
+
+/**
+ * Check the user agent against the detected architecture
+ * @returns {CheckResult}
+ */
+function checkUserAgent() {
+  const architecture = getArchitecture();
+  const userAgent = getValue("useragentstring");
+  const result = { id: "user-agent", name: "User agent" };
+
+  if (userAgent && userAgent !== getOptimalUserAgent() && !Object.values(useragents).includes(userAgent)) {
+    return {
+      ...result,
+      status: "warn",
+      detail: `Custom user agent on ${architecture}: ${userAgent}`,
+      hint: "If apps refuse to load or lack features, pick the default in Preferences > Network.",
+    };
+  }
+
+  return { ...result, status: "pass", detail: `Default for ${architecture}` };
+}
+
+/**
+ * Check that enabled global hotkeys can work
+ * @returns {CheckResult}
+ */
+function checkHotkeys() {
+  const result = { id: "hotkeys", name: "Global hotkeys" };
+
+  if (getValue("globalHotkeys") !== true) {
+    return { ...result, status: "pass", detail: "Disabled" };
+  }
+
+  if (!areHotkeysSupported()) {
+    return {
+      ...result,
+      status: "warn",
+      detail: `Enabled, but global shortcuts are unreliable on ${getDisplayServer()}`,
+      hint: "Bind shortcuts in your desktop settings to commands such as \"ms-365-electron ctl open word\".",
+    };
+  }
+
+  return { ...result, status: "pass", detail: "Enabled" };
+}
+
+// Checks in report order
+const CHECKS = [
+  checkDisplayServer,
+  checkScreenSharing,
+  checkFonts,
+  checkDirectories,
+  checkUserAgent,
+  checkHotkeys,
+];
+
+/**
+ * Run all checks and collect environment information
+ * @returns {{version: string, environment: object, paths: object, checks: CheckResult[], summary: {pass: number, warn: number, fail: number}}}
+ */
+export function runDiagnostics() {
+  const checks = CHECKS.map((check) => check());
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  checks.forEach((check) => summary[check.status]++);
+
+  return {
+    version: app.getVersion(),
+    environment: {
+      electron: process.versions.electron,
+      chrome: process.versions.chrome,
+      node: process.versions.node,
+      platform: process.platform,
+      architecture: getArchitecture(),
+      desktop: process.env.XDG_CURRENT_DESKTOP || null,
+      displayServer: getDisplayServer(),
+      pipeWire: isPipeWireAvailable(),
+      packaging: process.env.FLATPAK_ID ? "flatpak" : process.env.APPIMAGE ? "appimage" : app.isPackaged ? "package" : "source",
+    },
+    paths: getAllPaths(),
+    checks,
+    summary,
+  };
+}
+
+/**
+ * Format a diagnostics report as text
+ * @param {object} report - Report from runDiagnostics()
+ * @returns {string} Report text
+ */
+function formatReport(report) {
+  const { environment, paths, checks, summary } = report;
+  const lines = [
+    `MS-365-Electron v${report.version} diagnostics`,
+    "",
+    `Electron ${environment.electron} (Chromium ${environment.chrome}, Node ${environment.node})`,
+    `${environment.platform} ${environment.architecture}, ${environment.desktop || "unknown desktop"} on ${environment.displayServer}, ${environment.packaging} install`,
+    "",
+    "Paths:",
+    ...Object.entries(paths).map(([name, path]) => `  ${name.padEnd(8)} ${path}`),
+    "",
+    "Checks:",
+  ];
+
+  const nameWidth = Math.max(...checks.map((check) => check.name.length));
+  for (const check of checks) {
+    lines.push(`  [${check.status.toUpperCase()}] ${check.name.padEnd(nameWidth)}  ${check.detail}`);
+    if (check.hint && check.status !== "pass") {
+      lines.push(`         ${" ".repeat(nameWidth)}  -> ${check.hint}`);
+    }
+  }
+
+  lines.push("", `${summary.pass} passed, ${summary.warn} warning${summary.warn === 1 ? "" : "s"}, ${summary.fail} failed`);
+  return lines.join("\n");
+}
+
+/**
+ * Print the diagnostics report
+ * @param {{json: boolean}} options - Output options from processCLI()
+ * @returns {number} Exit code: non-zero when a check failed
+ */
+export function printDoctorReport({ json = false } = {}) {
+  const report = runDiagnostics();
+  process.stdout.write(`${json ? JSON.stringify(report, null, 2) : formatReport(report)}\n`);
+  return report.summary.fail > 0 ? EXIT_CODES.CHECKS_FAILED : EXIT_CODES.SUCCESS;
+}
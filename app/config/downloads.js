@@ -0,0 +1,597 @@
+/**
+ * Downloads Module
+ * Saves downloads from every session and shows them in a downloads panel
+ *
+ * Files are saved to the download folder (or wherever the user picks when
+ * asked per download). The panel shows progress with pause, resume, cancel
+ * and "show in folder"; finished downloads are kept in a persisted history
+ * and announced with a desktop notification.
+ */
+
+import { app, BrowserWindow, ipcMain, nativeTheme, shell } from "electron";
+import { existsSync } from "fs";
+import { mkdir } from "fs/promises";
+import { randomUUID } from "crypto";
+import { dirname, extname, join, basename } from "path";
+import { fileURLToPath } from "url";
+import { getValue, setValue } from "./store.js";
+import { getDownloadDir } from "./xdg.js";
+import { showNotification } from "./notifications.js";
+import { getContentsWindow } from "./windowManager.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Finished downloads kept in the history
+const MAX_HISTORY = 100;
+
+// Downloads in progress by id
+const activeDownloads = new Map();
+
+// Finished downloads of private windows; never persisted
+let privateHistory = [];
+
+// Windows showing download progress on their taskbar entry
+const progressWindows = new Set();
+
+let downloadsWindow = null;
+
+/**
+ * Download shown in the panel
+ * @typedef {Object} DownloadEntry
+ * @property {string} id - Download id
+ * @property {string} filename - File name
+ * @property {string} url - Source URL
+ * @property {string} savePath - Local file (empty until the user picked one)
+ * @property {'progressing' | 'paused' | 'completed' | 'cancelled' | 'interrupted'} state - State
+ * @property {number} receivedBytes - Bytes received
+ * @property {number} totalBytes - Total size, 0 when unknown
+ * @property {number} startTime - Start time (ms)
+ * @property {number} [endTime] - End time (ms)
+ * @property {boolean} [isPrivate] - Whether the download came from a private window
+ * @property {boolean} [missing] - Whether a completed file no longer exists
+ */
+
+/**
+ * Get the folder downloads are saved to
+ * @returns {string} Path to the download folder
+ */
+export function getDownloadFolder() {
+  return getValue("downloadDirectory") || getDownloadDir();
+}
+
+/**
+ * Get the persisted download history, newest first
+ * @returns {DownloadEntry[]}
+ */
+function getHistory() {
+  return getValue("downloadHistory") || [];
+}
+
+/**
+ * Get all downloads: in progress first, then finished, newest first
+ * @returns {DownloadEntry[]}
+ */
+export function getDownloads() {
+  const active = [...activeDownloads.values()].map(({ entry }) => ({ ...entry })).reverse();
+  const finished = [...privateHistory, ...getHistory()]
+    .sort((a, b) => b.startTime - a.startTime)
+    .map((entry) => ({
+      ...entry,
+      // The file may have been moved or deleted since
+      missing: entry.state === "completed" && !existsSync(entry.savePath),
+    }));
+  return [...active, ...finished];
+}
+
+/**
+ * Send the download list to the panel and update window progress bars
+ */
+function emitDownloadsChanged() {
+  if (downloadsWindow && !downloadsWindow.isDestroyed()) {
+    downloadsWindow.webContents.send("downloads:changed", getDownloads());
+  }
+  updateProgressBars();
+}
+
+/**
+ * Show the combined progress of each window's downloads on its taskbar entry
+ */
+function updateProgressBars() {
+  const totals = new Map();
+  for (const { entry, window } of activeDownloads.values()) {
+    if (!window || window.isDestroyed()) continue;
+    const total = totals.get(window) || { received: 0, size: 0 };
+    total.received += entry.receivedBytes;
+    total.size += entry.totalBytes;
+    totals.set(window, total);
+  }
+
+  // Only clear bars this module set; uploads show progress on windows too
+  for (const window of progressWindows) {
+    if (!totals.has(window) && !window.isDestroyed()) window.setProgressBar(-1);
+  }
+  progressWindows.clear();
+
+  for (const [window, total] of totals) {
+    // Indeterminate when the size of a download is unknown
+    window.setProgressBar(total.size > 0 ? total.received / total.size : 2);
+    progressWindows.add(window);
+  }
+}
+
+/**
+ * Pick a path in a folder that does not exist yet, e.g. "report (1).pdf"
+ * Paths of downloads still in progress count as taken.
+ * @param {string} folder - Target folder
+ * @param {string} filename - Suggested file name
+ * @returns {string} Free path
+ */
+function getUniquePath(folder, filename) {
+  const taken = new Set([...activeDownloads.values()].map(({ entry }) => entry.savePath));
+  const extension = extname(filename);
+  const stem = basename(filename, extension);
+
+  let candidate = join(folder, filename);
+  for (let n = 1; existsSync(candidate) || taken.has(candidate); n++) {
+    candidate = join(folder, `${stem} (${n})${extension}`);
+  }
+  return candidate;
+}
+
+/**
+ * Move a finished download into the history
+ * @param {DownloadEntry} entry - Download
+ */
+function addToHistory(entry) {
+  if (entry.isPrivate) {
+    privateHistory.unshift(entry);
+    return;
+  }
+  setValue("downloadHistory", [entry, ...getHistory()].slice(0, MAX_HISTORY));
+}
+
+/**
+ * Announce a finished download
+ * @param {DownloadEntry} entry - Download
+ */
+function notifyDone(entry) {
+  if (entry.state === "completed") {
+    showNotification({
+      title: "Download Complete",
+      body: entry.filename,
+      type: "general",
+      onClick: () => shell.showItemInFolder(entry.savePath),
+    });
+  } else if (entry.state === "interrupted") {
+    showNotification({
+      title: "Download Failed",
+      body: entry.filename,
+      type: "general",
+      onClick: () => showDownloads(),
+    });
+  }
+}
+
+/**
+ * Track a download started in a session
+ * @param {DownloadItem} item - Download item
+ * @param {WebContents} webContents - Contents that started the download
+ * @param {boolean} isPrivate - Whether the session is a private window's
+ */
+function trackDownload(item, webContents, isPrivate) {
+  const entry = {
+    id: randomUUID(),
+    filename: item.getFilename(),
+    url: item.getURL(),
+    savePath: "",
+    state: "progressing",
+    receivedBytes: 0,
+    totalBytes: item.getTotalBytes(),
+    startTime: Date.now(),
+    ...(isPrivate && { isPrivate: true }),
+  };
+
+  const folder = getDownloadFolder();
+  if (getValue("askWhereToSave") === true) {
+    // Without a save path Electron asks with a save dialog
+    item.setSaveDialogOptions({ defaultPath: join(folder, entry.filename) });
+  } else {
+    entry.savePath = getUniquePath(folder, entry.filename);
+    item.setSavePath(entry.savePath);
+    entry.filename = basename(entry.savePath);
+  }
+
+  // Tabs live in views, so find the window the tab belongs to
+  const window = webContents ? getContentsWindow(webContents) : null;
+  activeDownloads.set(entry.id, { entry, item, window });
+
+  item.on("updated", (event, state) => {
+    entry.savePath = item.getSavePath();
+    entry.filename = basename(entry.savePath) || entry.filename;
+    entry.receivedBytes = item.getReceivedBytes();
+    entry.totalBytes = item.getTotalBytes();
+    entry.state = state === "interrupted" ? "interrupted" : item.isPaused() ? "paused" : "progressing";
+    emitDownloadsChanged();
+  });
+
+  item.once("done", (event, state) => {
+    entry.savePath = item.getSavePath();
+    entry.filename = basename(entry.savePath) || entry.filename;
+    entry.receivedBytes = item.getReceivedBytes();
+    entry.state = state;
+    entry.endTime = Date.now();
+
+    activeDownloads.delete(entry.id);
+    // A save dialog that was cancelled leaves nothing worth keeping
+    if (entry.savePath) {
+      addToHistory(entry);
+      notifyDone(entry);
+    }
+    emitDownloadsChanged();
+
+    if (state === "interrupted") {
+      console.warn(`Download of "${entry.filename}" failed`);
+    }
+  });
+
+  emitDownloadsChanged();
+}
+
+/**
+ * Save downloads of a session through the download manager
+ * Used for every profile session and for private window sessions.
+ * @param {Session} targetSession - Session to handle downloads for
+ */
+export function handleSessionDownloads(targetSession) {
+  const isPrivate = !targetSession.isPersistent();
+
+  targetSession.on("will-download", (event, item, webContents) => {
+    // The folder may not exist yet; setSavePath does not create it
+    mkdir(getDownloadFolder(), { recursive: true }).catch((error) => {
+      console.warn("Failed to create the download folder:", error.message);
+    });
+    trackDownload(item, webContents, isPrivate);
+  });
+}
+
+/**
+ * Apply an action from the downloads panel
+ * @param {string} id - Download id
+ * @param {'pause' | 'resume' | 'cancel' | 'open' | 'show' | 'remove'} action - Action
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function runDownloadAction(id, action) {
+  const active = activeDownloads.get(id);
+  const entry = active?.entry || getDownloads().find((download) => download.id === id);
+  if (!entry) {
+    return { success: false, error: "Unknown download" };
+  }
+
+  switch (action) {
+    case "pause":
+      active?.item.pause();
+      break;
+
+    case "resume":
+      if (active?.item.canResume()) active.item.resume();
+      break;
+
+    case "cancel":
+      active?.item.cancel();
+      break;
+
+    case "open": {
+      const error = await shell.openPath(entry.savePath);
+      if (error) return { success: false, error };
+      break;
+    }
+
+    case "show":
+      shell.showItemInFolder(entry.savePath);
+      break;
+
+    case "remove":
+      if (active) return { success: false, error: "Download is still in progress" };
+      privateHistory = privateHistory.filter((download) => download.id !== id);
+      setValue("downloadHistory", getHistory().filter((download) => download.id !== id));
+      break;
+
+    default:
+      return { success: false, error: `Unknown action: ${action}` };
+  }
+
+  emitDownloadsChanged();
+  return { success: true };
+}
+
+/**
+ * Remove all finished downloads from the history
+ * Downloaded files are kept.
+ */
+export function clearDownloadHistory() {
+  privateHistory = [];
+  setValue("downloadHistory", []);
+  emitDownloadsChanged();
+}
+
+/**
+ * Generate HTML for the downloads panel
+ * @returns {string} HTML
+ */
+function getDownloadsHTML() {
+  const isDark = nativeTheme.shouldUseDarkColors;
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'self'; style-src 'unsafe-inline'; script-src 'unsafe-inline'">
+  <title>Downloads</title>
+  <style>
+    :root {
+      --bg-primary: ${isDark ? "#1e1e1e" : "#fafafa"};
+      --bg-secondary: ${isDark ? "#2d2d2d" : "#ffffff"};
+      --bg-hover: ${isDark ? "#3d3d3d" : "#f0f0f0"};
+      --text-primary: ${isDark ? "#ffffff" : "#1a1a1a"};
+      --text-secondary: ${isDark ? "#b0b0b0" : "#666666"};
+      --border-color: ${isDark ? "#404040" : "#e0e0e0"};
+      --accent-color: #0078d4;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, sans-serif;
+      font-size: 14px;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      padding: 16px 24px;
+    }
+
+    header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 12px;
+    }
+
+    header h2 {
+      font-size: 20px;
+      font-weight: 600;
+    }
+
+    .download {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 12px 0;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .download-info {
+      flex: 1;
+      min-width: 0;
+    }
+
+    .download-info .title {
+      font-weight: 500;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .download-info .title.missing {
+      text-decoration: line-through;
+    }
+
+    .download-info .description {
+      font-size: 12px;
+      color: var(--text-secondary);
+      margin-top: 2px;
+    }
+
+    progress {
+      width: 100%;
+      height: 4px;
+      margin-top: 6px;
+      accent-color: var(--accent-color);
+    }
+
+    .button {
+      padding: 6px 12px;
+      font-size: 13px;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      background: var(--bg-secondary);
+      color: var(--text-primary);
+      cursor: pointer;
+    }
+
+    .button:hover {
+      background: var(--bg-hover);
+    }
+
+    .empty {
+      color: var(--text-secondary);
+      text-align: center;
+      padding: 48px 0;
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <h2>Downloads</h2>
+    <button class="button" id="clear">Clear History</button>
+  </header>
+  <div id="list"></div>
+
+  <script>
+    const ACTIONS = {
+      progressing: [['pause', 'Pause'], ['cancel', 'Cancel']],
+      paused: [['resume', 'Resume'], ['cancel', 'Cancel']],
+      completed: [['open', 'Open'], ['show', 'Show in Folder'], ['remove', 'Remove']],
+      cancelled: [['remove', 'Remove']],
+      interrupted: [['remove', 'Remove']],
+    };
+
+    function formatBytes(bytes) {
+      const units = ['B', 'KB', 'MB', 'GB'];
+      let value = bytes;
+      let unit = 0;
+      while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+      }
+      return (unit === 0 ? value : value.toFixed(1)) + ' ' + units[unit];
+    }
+
+    function describe(download) {
+      const size = download.totalBytes > 0
+        ? formatBytes(download.receivedBytes) + ' of ' + formatBytes(download.totalBytes)
+        : formatBytes(download.receivedBytes);
+      switch (download.state) {
+        case 'progressing': return size;
+        case 'paused': return 'Paused, ' + size;
+        case 'completed': return download.missing ? 'Deleted' : formatBytes(download.receivedBytes) + ' \\u00b7 ' + new URL(download.url).hostname;
+        case 'cancelled': return 'Cancelled';
+        default: return 'Failed';
+      }
+    }
+
+    function render(downloads) {
+      const list = document.getElementById('list');
+      list.replaceChildren();
+      if (downloads.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = 'No downloads';
+        list.append(empty);
+        return;
+      }
+
+      for (const download of downloads) {
+        const row = document.createElement('div');
+        row.className = 'download';
+
+        const info = document.createElement('div');
+        info.className = 'download-info';
+        const title = document.createElement('div');
+        title.className = download.missing ? 'title missing' : 'title';
+        title.textContent = download.filename;
+        title.title = download.savePath;
+        const description = document.createElement('div');
+        description.className = 'description';
+        description.textContent = describe(download);
+        info.append(title, description);
+
+        if (download.state === 'progressing' || download.state === 'paused') {
+          const progress = document.createElement('progress');
+          if (download.totalBytes > 0) {
+            progress.max = download.totalBytes;
+            progress.value = download.receivedBytes;
+          }
+          info.append(progress);
+        }
+        row.append(info);
+
+        for (const [action, label] of ACTIONS[download.state] || []) {
+          if (download.missing && action !== 'remove') continue;
+          const button = document.createElement('button');
+          button.className = 'button';
+          button.textContent = label;
+          button.addEventListener('click', () => {
+            window.electronAPI.invoke('downloads:action', { id: download.id, action });
+          });
+          row.append(button);
+        }
+        list.append(row);
+      }
+    }
+
+    document.getElementById('clear').addEventListener('click', () => {
+      window.electronAPI.invoke('downloads:clear');
+    });
+
+    window.electronAPI.on('downloads:changed', render);
+    window.electronAPI.invoke('downloads:list').then(render);
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Create and show the downloads panel
+ * @returns {BrowserWindow} Downloads window
+ */
+export function showDownloads() {
+  if (downloadsWindow && !downloadsWindow.isDestroyed()) {
+    downloadsWindow.show();
+    downloadsWindow.focus();
+    return downloadsWindow;
+  }
+
+  downloadsWindow = new BrowserWindow({
+    width: 560,
+    height: 480,
+    minWidth: 400,
+    minHeight: 300,
+    title: "Downloads",
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: false,
+      preload: join(__dirname, "..", "preload.js"),
+    },
+  });
+
+  downloadsWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(getDownloadsHTML())}`);
+
+  downloadsWindow.on("closed", () => {
+    downloadsWindow = null;
+  });
+
+  return downloadsWindow;
+}
+
+/**
+ * Check that an IPC call comes from the downloads panel
+ * App windows share the preload, so their pages can invoke the channels too
+ * @param {Electron.IpcMainInvokeEvent} event - IPC event
+ * @returns {boolean}
+ */
+function isFromPanel(event) {
+  return Boolean(downloadsWindow) && !downloadsWindow.isDestroyed() && event.sender === downloadsWindow.webContents;
+}
+
+/**
+ * Initialize the download manager
+ * Registers the panel's IPC handlers and records downloads cut off by quitting
+ */
+export function initializeDownloads() {
+  ipcMain.handle("downloads:list", (event) => (isFromPanel(event) ? getDownloads() : []));
+
+  ipcMain.handle("downloads:action", (event, { id, action }) =>
+    isFromPanel(event) ? runDownloadAction(id, action) : { success: false, error: "Not allowed" }
+  );
+
+  ipcMain.handle("downloads:clear", (event) => {
+    if (isFromPanel(event)) clearDownloadHistory();
+  });
+
+  app.on("will-quit", () => {
+    for (const { entry } of activeDownloads.values()) {
+      entry.state = "interrupted";
+      entry.endTime = Date.now();
+      if (entry.savePath) addToHistory(entry);
+    }
+    activeDownloads.clear();
+  });
+}
@@ -1,15 +1,23 @@
 /**
  * Drag-and-Drop Handler
  * Handles file drops to upload/attach files
+ *
+ * Files and directories dropped on OneDrive are uploaded to the folder shown;
+ * files dropped on Outlook are attached to the open draft. Both go through the
+ * upload queue.
  */
 
-import { ipcMain, dialog, BrowserWindow } from "electron";
+import { ipcMain, dialog } from "electron";
 import { existsSync, statSync } from "fs";
-import { basename, extname } from "path";
-import { isFileSupported, getAppForFile } from "./fileHandler.js";
+import { readdir, stat } from "fs/promises";
+import { basename, join } from "path";
+import { isGraphConfigured, resolveFolderUrl, getOpenDraft } from "./graph.js";
+import { getContentsWindow, getWindowAccountType, isPrivateWindow } from "./windowManager.js";
+import { enqueueUploads, showUploads } from "./uploadQueue.js";
 
-// Maximum file size for drag-and-drop (50MB)
-const MAX_DROP_FILE_SIZE = 50 * 1024 * 1024;
+// Limits for dropped directories
+const MAX_DROP_DEPTH = 16;
+const MAX_DROP_FILES = 1000;
 
 // Supported drop zones
 const DROP_ZONES = {
@@ -52,12 +60,8 @@ export function validateDroppedFile(filePath) {
   try {
     const stats = statSync(filePath);
 
-    if (!stats.isFile()) {
-      return { valid: false, error: "Not a file" };
-    }
-
-    if (stats.size > MAX_DROP_FILE_SIZE) {
-      return { valid: false, error: "File too large (max 50MB)" };
+    if (!stats.isFile() && !stats.isDirectory()) {
+      return { valid: false, error: "Not a file or directory" };
     }
 
     return { valid: true };
@@ -114,26 +118,10 @@ export function getDropHandlerScript() {
         e.stopPropagation();
       });
 
-      // Handle drop
+      // Handle drop; the preload reports the dropped files to the main process
       document.addEventListener('drop', (e) => {
         e.preventDefault();
         e.stopPropagation();
-
-        const files = Array.from(e.dataTransfer.files);
-        if (files.length === 0) return;
-
-        // Get file paths
-        const filePaths = files.map(f => f.path).filter(p => p);
-
-        if (filePaths.length > 0) {
-          // Send to main process
-          window.electronAPI?.send('drop:files', {
-            paths: filePaths,
-            url: window.location.href,
-            targetElement: e.target.tagName,
-            targetClass: e.target.className,
-          });
-        }
       });
 
       // Add visual feedback
@@ -204,6 +192,120 @@ export function getDropHandlerScript() {
   `;
 }
 
+/**
+ * List the files of dropped paths, descending into directories
+ * Symbolic links inside directories are skipped, and so is anything past
+ * MAX_DROP_DEPTH levels or MAX_DROP_FILES files. Unreadable directories are
+ * listed in the errors while the rest of the drop is kept.
+ * @param {string[]} filePaths - Dropped paths
+ * @returns {Promise<{files: Array<{filePath: string, size: number, folder: string}>, errors: string[]}>}
+ *   Files with the folder they sit in below the drop, e.g. "Photos/2024"
+ */
+async function collectDroppedFiles(filePaths) {
+  const files = [];
+  const errors = [];
+  let truncated = false;
+
+  const walk = async (dirPath, folder, depth) => {
+    if (depth > MAX_DROP_DEPTH) {
+      errors.push(`${folder}: more than ${MAX_DROP_DEPTH} folders deep`);
+      return;
+    }
+    // A directory or file that can't be read is reported and skipped
+    let entries;
+    try {
+      entries = await readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      errors.push(`${folder}: ${error.message}`);
+      return;
+    }
+
+    for (const entry of entries) {
+      if (files.length >= MAX_DROP_FILES) {
+        truncated = true;
+        return;
+      }
+      const entryPath = join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath, `${folder}/${entry.name}`, depth + 1);
+      } else if (entry.isFile()) {
+        try {
+          files.push({ filePath: entryPath, size: (await stat(entryPath)).size, folder });
+        } catch (error) {
+          errors.push(`${folder}/${entry.name}: ${error.message}`);
+        }
+      }
+    }
+  };
+
+  for (const filePath of filePaths) {
+    if (files.length >= MAX_DROP_FILES) {
+      truncated = true;
+      break;
+    }
+
+    const validation = validateDroppedFile(filePath);
+    if (!validation.valid) {
+      errors.push(`${basename(filePath)}: ${validation.error}`);
+      continue;
+    }
+
+    try {
+      const stats = await stat(filePath);
+      if (stats.isDirectory()) {
+        await walk(filePath, basename(filePath), 1);
+      } else {
+        files.push({ filePath, size: stats.size, folder: "" });
+      }
+    } catch (error) {
+      errors.push(`${basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  if (truncated) {
+    errors.push(`Only the first ${MAX_DROP_FILES} files are uploaded`);
+  }
+  return { files, errors };
+}
+
+/**
+ * Get a name for the OneDrive folder shown in a page
+ * @param {string} url - OneDrive page URL
+ * @returns {string} Folder name
+ */
+function getFolderLabel(url) {
+  const id = new URL(url).searchParams.get("id");
+  if (!id) return "OneDrive";
+  return id.startsWith("/") ? id.split("/").filter(Boolean).pop() : "the open folder";
+}
+
+/**
+ * Work out where dropped files go for a drop action
+ * @param {'upload' | 'attach'} action - Drop zone action
+ * @param {string} accountType - Profile id of the window
+ * @param {string} url - Current URL
+ * @returns {Promise<object|null>} Upload destination, or null when there is no open draft
+ */
+async function getDropDestination(action, accountType, url) {
+  if (action === "attach") {
+    const draft = await getOpenDraft(accountType);
+    if (!draft) return null;
+    return {
+      type: "draft",
+      accountType,
+      messageId: draft.id,
+      label: draft.subject ? `"${draft.subject}"` : "the open draft",
+    };
+  }
+
+  return {
+    type: "folder",
+    accountType,
+    parent: await resolveFolderUrl(accountType, url),
+    label: getFolderLabel(url),
+  };
+}
+
 /**
  * Handle dropped files
  * @param {string[]} filePaths - File paths
@@ -214,25 +316,21 @@ async function handleDroppedFiles(filePaths, url, window) {
   const appType = detectActiveApp(url);
   const action = DROP_ZONES[appType]?.action || "upload";
 
-  // Validate files
-  const validFiles = [];
-  const errors = [];
+  // Word, Excel and PowerPoint insert dropped files themselves
+  if (action !== "upload" && action !== "attach") return;
 
-  for (const filePath of filePaths) {
-    const validation = validateDroppedFile(filePath);
-    if (validation.valid) {
-      validFiles.push({
-        path: filePath,
-        name: basename(filePath),
-        ext: extname(filePath),
-        supported: isFileSupported(filePath),
-      });
-    } else {
-      errors.push(`${basename(filePath)}: ${validation.error}`);
-    }
+  if (!isGraphConfigured()) {
+    dialog.showErrorBox("Cannot Upload Files", "Uploading dropped files needs a Microsoft Graph client id (Preferences > Apps).");
+    return;
   }
+  if (isPrivateWindow(window)) {
+    dialog.showErrorBox("Cannot Upload Files", "Files dropped on private windows cannot be uploaded.");
+    return;
+  }
+
+  const { files, errors } = await collectDroppedFiles(filePaths);
 
-  if (validFiles.length === 0) {
+  if (files.length === 0) {
     dialog.showErrorBox(
       "Cannot Drop Files",
       errors.join("\n") || "No valid files to drop"
@@ -240,14 +338,33 @@ async function handleDroppedFiles(filePaths, url, window) {
     return;
   }
 
+  let destination;
+  try {
+    destination = await getDropDestination(action, getWindowAccountType(window), url);
+  } catch (error) {
+    console.error("Failed to find where dropped files go:", error);
+    dialog.showErrorBox("Cannot Upload Files", `The upload destination could not be found.\n\n${error.message}`);
+    return;
+  }
+
+  if (!destination) {
+    dialog.showErrorBox(
+      "No Open Draft",
+      "Start a message in Outlook and wait until it is saved as a draft, then drop the files again."
+    );
+    return;
+  }
+
   // Show info dialog
-  const fileList = validFiles.map((f) => f.name).join("\n");
+  const shown = files.slice(0, 10).map((f) => (f.folder ? `${f.folder}/${basename(f.filePath)}` : basename(f.filePath)));
+  const more = files.length > shown.length ? `\n...and ${files.length - shown.length} more` : "";
+  const skipped = errors.length > 0 ? `\n\nSkipped:\n${errors.join("\n")}` : "";
 
   const result = await dialog.showMessageBox(window, {
     type: "info",
     title: "Upload Files",
-    message: `${action === "attach" ? "Attach" : "Upload"} ${validFiles.length} file(s)?`,
-    detail: `Files:\n${fileList}\n\nNote: Files will be uploaded via the web interface.`,
+    message: `${action === "attach" ? "Attach" : "Upload"} ${files.length} file(s) to ${destination.label}?`,
+    detail: `Files:\n${shown.join("\n")}${more}${skipped}`,
     buttons: ["Continue", "Cancel"],
     defaultId: 0,
     cancelId: 1,
@@ -257,39 +374,33 @@ async function handleDroppedFiles(filePaths, url, window) {
     return;
   }
 
-  // For now, show instructions
-  // A full implementation would use the Microsoft Graph API
-  dialog.showMessageBox(window, {
-    type: "info",
-    title: "Upload Files",
-    message: "Please use the upload button",
-    detail:
-      "Drag-and-drop directly into the web interface, or use the upload/attach button to add your files.",
-    buttons: ["OK"],
-  });
+  enqueueUploads(files, destination);
+  showUploads();
 }
 
 /**
  * Initialize drop handler
  */
 export function initializeDropHandler() {
-  // Handle file drops from renderer
-  ipcMain.on("drop:files", async (event, data) => {
-    const window = BrowserWindow.fromWebContents(event.sender);
-    if (window) {
-      await handleDroppedFiles(data.paths, data.url, window);
-    }
+  // The preload reports trusted drops; where they go is taken from the page
+  // that received them, not from the message
+  ipcMain.on("drop:files", async (event, { paths } = {}) => {
+    const window = getContentsWindow(event.sender);
+    const url = event.sender.getURL();
+    if (!window || !Array.isArray(paths) || !/^https:/.test(url)) return;
+
+    await handleDroppedFiles(paths.filter((path) => typeof path === "string"), url, window);
   });
 }
 
 /**
- * Inject drop handler into a window
- * @param {BrowserWindow} window - Window to inject into
+ * Inject drop handler into a page
+ * @param {Electron.WebContents} contents - Page to inject into
  */
-export function injectDropHandler(window) {
-  window.webContents.executeJavaScript(getDropHandlerScript()).catch(() => {
+export function injectDropHandler(contents) {
+  contents.executeJavaScript(getDropHandlerScript()).catch(() => {
     // Ignore errors
   });
 }
 
-export { DROP_ZONES, MAX_DROP_FILE_SIZE };
+export { DROP_ZONES };
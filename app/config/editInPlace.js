@@ -0,0 +1,290 @@
+/**
+ * Edit In Place Module
+ * Edits a local Office file in the web editor and writes the result back
+ *
+ * The file is uploaded to a staging folder in OneDrive and opened in a window
+ * bound to the local path. "Save Back" (or closing the window) downloads the
+ * latest version over the local file; if the local file changed in the
+ * meantime, that version is kept next to it as a .bak file first.
+ */
+
+import { app, dialog, BrowserWindow } from "electron";
+import { copyFile, rename, stat, writeFile } from "fs/promises";
+import { homedir } from "os";
+import { basename } from "path";
+import { createWindow } from "./windowManager.js";
+import { uploadToOneDrive, getDriveItem, downloadDriveItem, deleteDriveItem, getEditorUrl } from "./graph.js";
+
+// OneDrive folder staged copies are uploaded to
+const STAGING_FOLDER = ".ms-365-electron-staging";
+
+// Time the web editor gets to finish its last autosave after the window closes
+const SAVE_SETTLE_MS = 3000;
+
+// Bindings by BrowserWindow id
+const bindings = new Map();
+
+let isQuitting = false;
+
+/**
+ * Local file bound to an editor window
+ * @typedef {Object} EditBinding
+ * @property {string} filePath - Local file
+ * @property {string} accountType - Profile id the staged copy belongs to
+ * @property {string} itemId - Drive item id of the staged copy
+ * @property {string} cTag - Content tag of the version last written locally
+ * @property {number} localMtimeMs - Local modification time when last synced
+ * @property {number} localSize - Local size when last synced
+ * @property {boolean} [closing] - Whether the window is saving back before closing
+ */
+
+/**
+ * Shorten a path for display by replacing the home directory with ~
+ * @param {string} filePath - Path
+ * @returns {string} Display path
+ */
+function getDisplayPath(filePath) {
+  const home = homedir();
+  return filePath.startsWith(`${home}/`) ? `~${filePath.slice(home.length)}` : filePath;
+}
+
+/**
+ * Notify listeners that the set of bound windows changed
+ */
+function emitBindingsChanged() {
+  app.emit("edit-bindings-changed", getEditBindings());
+}
+
+/**
+ * Get the local file a window is editing
+ * @param {BrowserWindow} window - The window
+ * @returns {string|null} Local file path
+ */
+export function getBoundFile(window) {
+  return bindings.get(window.id)?.filePath || null;
+}
+
+/**
+ * Get all windows that are editing local files
+ * @returns {Array<{windowId: number, filePath: string, displayPath: string}>}
+ */
+export function getEditBindings() {
+  return [...bindings.entries()].map(([windowId, binding]) => ({
+    windowId,
+    filePath: binding.filePath,
+    displayPath: getDisplayPath(binding.filePath),
+  }));
+}
+
+/**
+ * Write downloaded content over the local file
+ * Keeps the local version as .bak when it changed since the last sync
+ * @param {EditBinding} binding - Binding
+ * @param {Buffer} content - New content
+ * @returns {Promise<{backupPath: string|null}>}
+ */
+async function writeBack(binding, content) {
+  let backupPath = null;
+
+  const local = await stat(binding.filePath).catch(() => null);
+  if (local && (local.mtimeMs !== binding.localMtimeMs || local.size !== binding.localSize)) {
+    backupPath = `${binding.filePath}.bak`;
+    await copyFile(binding.filePath, backupPath);
+  }
+
+  // Write next to the file and rename so a failed write never leaves half a document
+  const tempPath = `${binding.filePath}.ms-365-electron.tmp`;
+  await writeFile(tempPath, content);
+  await rename(tempPath, binding.filePath);
+
+  const written = await stat(binding.filePath);
+  binding.localMtimeMs = written.mtimeMs;
+  binding.localSize = written.size;
+
+  return { backupPath };
+}
+
+/**
+ * Download the edited document over the local file
+ * @param {BrowserWindow} window - Bound window
+ * @returns {Promise<{success: boolean, changed?: boolean, backupPath?: string|null, error?: string}>}
+ */
+export async function saveBack(window) {
+  const binding = bindings.get(window.id);
+  if (!binding) {
+    return { success: false, error: "This window is not editing a local file." };
+  }
+
+  try {
+    const item = await getDriveItem(binding.accountType, binding.itemId);
+    if (item.cTag === binding.cTag) {
+      return { success: true, changed: false, backupPath: null };
+    }
+
+    const content = await downloadDriveItem(binding.accountType, binding.itemId);
+    const { backupPath } = await writeBack(binding, content);
+    binding.cTag = item.cTag;
+
+    console.log(`Saved "${binding.filePath}" back from OneDrive${backupPath ? `, previous version kept as ${backupPath}` : ""}`);
+    return { success: true, changed: true, backupPath };
+  } catch (error) {
+    console.error(`Failed to save "${binding.filePath}" back:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save the focused window back and report the outcome
+ * Used by File > Save Back to Local File
+ */
+export async function saveBackFocusedWindow() {
+  const window = BrowserWindow.getFocusedWindow();
+  if (!window || !bindings.has(window.id)) {
+    dialog.showMessageBox({
+      type: "info",
+      title: "Save Back",
+      message: "This window is not editing a local file.",
+      buttons: ["OK"],
+    });
+    return;
+  }
+
+  const { filePath } = bindings.get(window.id);
+  const result = await saveBack(window);
+
+  if (!result.success) {
+    dialog.showErrorBox("Save Back Failed", `"${getDisplayPath(filePath)}" was not updated.\n\n${result.error}`);
+    return;
+  }
+
+  dialog.showMessageBox(window, {
+    type: "info",
+    title: "Save Back",
+    message: result.changed ? `Saved to ${getDisplayPath(filePath)}` : "No changes to save",
+    detail: result.backupPath
+      ? `The local file had changed since it was opened; that version was kept as ${basename(result.backupPath)}.`
+      : "",
+    buttons: ["OK"],
+  });
+}
+
+/**
+ * Save back and remove the staged copy once a bound window closes
+ * The window is hidden while this runs and destroyed afterwards.
+ * @param {BrowserWindow} window - Bound window
+ */
+async function finishEditing(window) {
+  const binding = bindings.get(window.id);
+  window.hide();
+
+  await new Promise((resolve) => setTimeout(resolve, SAVE_SETTLE_MS));
+  const result = await saveBack(window);
+
+  if (result.success) {
+    deleteDriveItem(binding.accountType, binding.itemId).catch((error) => {
+      console.warn(`Failed to remove the staged copy of "${binding.filePath}":`, error.message);
+    });
+    if (result.backupPath) {
+      dialog.showMessageBox({
+        type: "warning",
+        title: "Local File Changed",
+        message: `${getDisplayPath(binding.filePath)} was changed while it was being edited`,
+        detail: `The edited version was saved; the local changes were kept as ${basename(result.backupPath)}.`,
+        buttons: ["OK"],
+      });
+    }
+  } else {
+    // Keep the staged copy so the edits are not lost
+    dialog.showErrorBox(
+      "Save Back Failed",
+      `"${getDisplayPath(binding.filePath)}" was not updated.\n\n${result.error}\n\nThe edited copy is still in the "${STAGING_FOLDER}" folder of your OneDrive.`
+    );
+  }
+
+  bindings.delete(window.id);
+  emitBindingsChanged();
+  window.destroy();
+
+  // Closing was deferred, so finish a quit that was requested meanwhile
+  if (isQuitting) app.quit();
+}
+
+/**
+ * Bind a window to a local file
+ * @param {BrowserWindow} window - Editor window
+ * @param {EditBinding} binding - Binding
+ */
+function bindWindow(window, binding) {
+  bindings.set(window.id, binding);
+  const displayPath = getDisplayPath(binding.filePath);
+
+  // Show the bound file in the title
+  window.on("page-title-updated", (event, title) => {
+    event.preventDefault();
+    window.setTitle(`${title} — ${displayPath}`);
+  });
+
+  window.on("close", (event) => {
+    const current = bindings.get(window.id);
+    if (!current) return;
+    event.preventDefault();
+    if (!current.closing) {
+      current.closing = true;
+      finishEditing(window);
+    }
+  });
+
+  emitBindingsChanged();
+}
+
+/**
+ * Upload a local file and open it for editing, bound to its path
+ * @param {string} filePath - Local file
+ * @param {object} options - Options
+ * @param {string} options.accountType - Profile id
+ * @param {string} options.appType - App type for the editor window
+ * @param {(sent: number, total: number) => void} [options.onProgress] - Upload progress callback
+ * @returns {Promise<{success: boolean, window?: BrowserWindow, error?: string}>}
+ */
+export async function openForEditing(filePath, { accountType, appType, onProgress }) {
+  let local;
+  try {
+    local = await stat(filePath);
+  } catch (error) {
+    return { success: false, error: `Cannot access file: ${error.message}` };
+  }
+
+  const upload = await uploadToOneDrive(filePath, { accountType, folder: STAGING_FOLDER, onProgress });
+  if (!upload.success) {
+    return { success: false, error: upload.error };
+  }
+
+  // Saving back follows the window's life, so it never becomes a tab
+  const window = createWindow({
+    url: getEditorUrl(upload.item),
+    appType,
+    accountType,
+    tab: false,
+  });
+
+  bindWindow(window, {
+    filePath,
+    accountType,
+    itemId: upload.item.id,
+    cTag: upload.item.cTag,
+    localMtimeMs: local.mtimeMs,
+    localSize: local.size,
+  });
+
+  return { success: true, window };
+}
+
+/**
+ * Initialize edit-in-place
+ * Bound windows delay quitting until they have saved back
+ */
+export function initializeEditInPlace() {
+  app.on("before-quit", () => {
+    isQuitting = true;
+  });
+}
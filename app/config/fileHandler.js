@@ -5,23 +5,42 @@
 
 import { app, dialog, BrowserWindow } from "electron";
 import { getValue } from "./store.js";
-import { launchApp, getAccountType, getPartition } from "./appLauncher.js";
-import { createWindow } from "./windowManager.js";
+import { launchApp, getAccountType, getPartition, getAppDisplayName } from "./appLauncher.js";
+import { createWindow, getWindowContents } from "./windowManager.js";
+import { getProfileAuth, resolveProfile } from "./profiles.js";
+import { isGraphConfigured, getUploadFolder, uploadToOneDrive, getEditorUrl } from "./graph.js";
+import { openForEditing } from "./editInPlace.js";
+import { planConversion, convertFile } from "./converters.js";
+import { enqueueUploads, showUploads } from "./uploadQueue.js";
+import { openMailViewer } from "./mailViewer.js";
+import { importOutlookFile } from "./outlookImport.js";
 import { existsSync, statSync } from "fs";
 import { basename, extname } from "path";
 
 // File extension to app mapping
+// roundTrip marks formats the web editors save in place, so edits can be written back
+// viewer marks mail formats shown in the built-in mail viewer instead of being uploaded
+// import marks calendar and contact files added to Outlook through Microsoft Graph
 const FILE_TYPE_MAP = {
   ".doc": { app: "word", mimeType: "application/msword" },
-  ".docx": { app: "word", mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" },
+  ".docx": { app: "word", mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", roundTrip: true },
   ".xls": { app: "excel", mimeType: "application/vnd.ms-excel" },
-  ".xlsx": { app: "excel", mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  ".xlsx": { app: "excel", mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", roundTrip: true },
   ".ppt": { app: "powerpoint", mimeType: "application/vnd.ms-powerpoint" },
-  ".pptx": { app: "powerpoint", mimeType: "application/vnd.openxmlformats-officedocument.presentationml.presentation" },
+  ".pptx": { app: "powerpoint", mimeType: "application/vnd.openxmlformats-officedocument.presentationml.presentation", roundTrip: true },
   ".pdf": { app: "onedrive", mimeType: "application/pdf" },
   ".odt": { app: "word", mimeType: "application/vnd.oasis.opendocument.text" },
   ".ods": { app: "excel", mimeType: "application/vnd.oasis.opendocument.spreadsheet" },
   ".odp": { app: "powerpoint", mimeType: "application/vnd.oasis.opendocument.presentation" },
+  ".rtf": { app: "word", mimeType: "application/rtf" },
+  ".md": { app: "word", mimeType: "text/markdown" },
+  ".txt": { app: "word", mimeType: "text/plain" },
+  ".csv": { app: "excel", mimeType: "text/csv" },
+  ".tsv": { app: "excel", mimeType: "text/tab-separated-values" },
+  ".eml": { app: "outlook", mimeType: "message/rfc822", viewer: true },
+  ".msg": { app: "outlook", mimeType: "application/vnd.ms-outlook", viewer: true },
+  ".ics": { app: "outlook", mimeType: "text/calendar", import: true },
+  ".vcf": { app: "outlook", mimeType: "text/vcard", import: true },
 };
 
 // Supported file extensions
@@ -40,7 +59,7 @@ export function isFileSupported(filePath) {
 /**
  * Get app for file type
  * @param {string} filePath - File path
- * @returns {{app: string, mimeType: string}|null}
+ * @returns {{app: string, mimeType: string, roundTrip?: boolean, viewer?: boolean, import?: boolean}|null}
  */
 export function getAppForFile(filePath) {
   const ext = extname(filePath).toLowerCase();
@@ -79,9 +98,60 @@ export function validateFile(filePath) {
   }
 }
 
+/**
+ * Open OneDrive so the user can upload a file by hand
+ * Used when no Microsoft Graph client id is set up
+ * @param {string} fileName - Name of the file to upload
+ * @param {string} accountType - Profile id
+ */
+function openOneDriveForManualUpload(fileName, accountType) {
+  const oneDriveUrl = getProfileAuth(accountType) === "work"
+    ? "https://onedrive.live.com/upload"
+    : "https://onedrive.live.com/?id=root";
+
+  const window = createWindow({
+    url: oneDriveUrl,
+    appType: "onedrive",
+    accountType,
+  });
+
+  // Show instruction to user; in tabbed mode the new tab is the one shown
+  getWindowContents(window).once("did-finish-load", () => {
+    dialog.showMessageBox(window, {
+      type: "info",
+      title: "Upload File",
+      message: "Upload your file to OneDrive",
+      detail: `Please upload "${fileName}" using the OneDrive interface, then open it to edit.`,
+      buttons: ["OK"],
+    });
+  });
+}
+
+/**
+ * Describe the conversion offered for a file in the open dialog
+ * @param {string} filePath - File to upload
+ * @returns {{plan: object|null, checkboxLabel?: string, note?: string}}
+ */
+function describeConversion(filePath) {
+  const { plan, unavailable } = planConversion(filePath);
+  if (plan) {
+    return { plan, checkboxLabel: `Convert to ${plan.to} before uploading (${plan.converter.name})` };
+  }
+  if (unavailable) {
+    return {
+      plan: null,
+      note: `${unavailable.name} is not installed, so the file will be uploaded without converting it. Install it or choose another converter in Preferences > Apps.`,
+    };
+  }
+  return { plan: null };
+}
+
 /**
  * Handle opening a file
- * This will open the appropriate Office web app and trigger upload to OneDrive
+ * Uploads the file to OneDrive through Microsoft Graph and opens it in the web editor,
+ * either bound to the local file (edits are saved back) or as a separate copy.
+ * Copies can be converted first (see converters.js). Mail files open in the mail viewer,
+ * and calendar and contact files are imported into Outlook.
  * @param {string} filePath - Path to the file
  * @returns {Promise<{success: boolean, error?: string}>}
  */
@@ -104,54 +174,147 @@ export async function handleOpenFile(filePath) {
   }
 
   const fileInfo = getAppForFile(filePath);
+  if (fileInfo.viewer) {
+    return openMailViewer(filePath);
+  }
+  if (fileInfo.import) {
+    return importOutlookFile(filePath);
+  }
+
   const fileName = basename(filePath);
   const accountType = getAccountType();
+  const canUpload = isGraphConfigured();
+  const canEditInPlace = canUpload && fileInfo.roundTrip === true;
+  const folder = getUploadFolder();
+  const conversion = canUpload ? describeConversion(filePath) : { plan: null };
+  const copyDetail = [
+    `${canEditInPlace ? "\"Upload a Copy\" uploads" : "The file will be uploaded"} to ${folder ? `the "${folder}" folder of ` : ""}OneDrive (${resolveProfile(accountType).name}) and opened in the web editor.`,
+    conversion.note,
+  ].filter(Boolean).join("\n\n");
 
   // Show info dialog about file handling
+  const actions = canEditInPlace ? ["edit", "copy", "cancel"] : ["copy", "cancel"];
+  const labels = {
+    edit: "Edit and Save Back",
+    copy: canEditInPlace ? "Upload a Copy" : canUpload ? "Upload and Open" : "Open OneDrive",
+    cancel: "Cancel",
+  };
   const result = await dialog.showMessageBox({
     type: "info",
     title: "Open File in Microsoft 365",
-    message: `Open "${fileName}" in ${fileInfo.app.charAt(0).toUpperCase() + fileInfo.app.slice(1)}?`,
-    detail: "The file will be uploaded to OneDrive and opened in the web editor.\n\nNote: This will open OneDrive where you can upload and edit the file.",
-    buttons: ["Open OneDrive", "Cancel"],
+    message: `Open "${fileName}" in ${getAppDisplayName(fileInfo.app)}?`,
+    detail: canEditInPlace
+      ? `"Edit and Save Back" writes your changes back to the file when the window closes or on File > Save Back to Local File.\n\n${copyDetail}`
+      : canUpload
+        ? copyDetail
+        : "OneDrive will open so you can upload the file.\n\nSet a Microsoft Graph client id in Preferences > Apps to upload files directly.",
+    buttons: actions.map((action) => labels[action]),
     defaultId: 0,
-    cancelId: 1,
+    cancelId: actions.length - 1,
+    ...(conversion.plan && { checkboxLabel: conversion.checkboxLabel, checkboxChecked: true }),
   });
 
-  if (result.response === 1) {
-    return { success: false, error: "User cancelled" };
+  const action = actions[result.response];
+  if (action === "cancel") {
+    return { success: false, error: "User cancelled", cancelled: true };
   }
 
-  // For now, open OneDrive where user can upload the file
-  // A more advanced implementation would use the Microsoft Graph API
-  // to upload directly and then open the file
-  const oneDriveUrl = accountType === "work"
-    ? "https://onedrive.live.com/upload"
-    : "https://onedrive.live.com/?id=root";
+  if (!canUpload) {
+    openOneDriveForManualUpload(fileName, accountType);
+    return { success: true };
+  }
 
-  const window = createWindow({
-    url: oneDriveUrl,
-    appType: "onedrive",
-    accountType,
-  });
+  // Show upload progress on the window the file was opened from
+  const progressWindow = BrowserWindow.getFocusedWindow();
+  const onProgress = (sent, total) => progressWindow?.setProgressBar(sent / total);
 
-  // Show instruction to user
-  window.webContents.once("did-finish-load", () => {
-    dialog.showMessageBox(window, {
-      type: "info",
-      title: "Upload File",
-      message: "Upload your file to OneDrive",
-      detail: `Please upload "${fileName}" using the OneDrive interface, then open it to edit.`,
-      buttons: ["OK"],
+  // Convert into a temporary directory; the original file is left alone
+  let uploadPath = filePath;
+  let cleanup = null;
+  if (action === "copy" && conversion.plan && result.checkboxChecked) {
+    progressWindow?.setProgressBar(2); // Indeterminate while converting
+    const converted = await convertFile(filePath, conversion.plan);
+    if (converted.success) {
+      uploadPath = converted.filePath;
+      cleanup = converted.cleanup;
+    } else {
+      progressWindow?.setProgressBar(-1);
+      const { response } = await dialog.showMessageBox({
+        type: "warning",
+        title: "Conversion Failed",
+        message: `"${fileName}" could not be converted to ${conversion.plan.to}`,
+        detail: `${converted.error}\n\nUpload the original file instead?`,
+        buttons: ["Upload Original", "Cancel"],
+        defaultId: 0,
+        cancelId: 1,
+      });
+      if (response !== 0) {
+        return { success: false, error: converted.error };
+      }
+    }
+  }
+
+  const upload = action === "edit"
+    ? await openForEditing(filePath, { accountType, appType: fileInfo.app, onProgress })
+    : await uploadToOneDrive(uploadPath, { accountType, folder, onProgress });
+  if (progressWindow && !progressWindow.isDestroyed()) {
+    progressWindow.setProgressBar(-1);
+  }
+  await cleanup?.();
+
+  if (!upload.success) {
+    dialog.showErrorBox("Upload Failed", `"${fileName}" could not be uploaded to OneDrive.\n\n${upload.error}`);
+    return { success: false, error: upload.error };
+  }
+
+  if (action === "copy") {
+    createWindow({
+      url: getEditorUrl(upload.item),
+      appType: fileInfo.app,
+      accountType,
     });
-  });
+  }
+
+  return { success: true };
+}
+
+/**
+ * Upload files to OneDrive without opening them
+ * Used by --upload and the file manager actions; the files join the upload queue
+ * @param {string[]} filePaths - Files to upload
+ * @param {string} [accountType] - Profile id (defaults to the default profile)
+ * @returns {{success: boolean, error?: string}}
+ */
+export function handleUploadFiles(filePaths, accountType = getAccountType()) {
+  if (!isGraphConfigured()) {
+    const error = "Uploading needs a Microsoft Graph client id (Preferences > Apps).";
+    dialog.showErrorBox("Cannot Upload Files", error);
+    return { success: false, error };
+  }
+
+  const folder = getUploadFolder();
+  const files = [];
+  for (const filePath of filePaths) {
+    const validation = validateFile(filePath);
+    if (!validation.valid) {
+      dialog.showErrorBox("Cannot Upload File", `"${basename(filePath)}" cannot be uploaded.\n\n${validation.error}`);
+      continue;
+    }
+    files.push({ filePath, size: statSync(filePath).size, folder });
+  }
+  if (files.length === 0) {
+    return { success: false, error: "No files to upload" };
+  }
 
+  enqueueUploads(files, { type: "folder", accountType, parent: null, label: "OneDrive" });
+  showUploads();
   return { success: true };
 }
 
 /**
  * Initialize file handler
  * Sets up listeners for file open events
+ * Files passed on the command line arrive through processCLI() as startupFile
  */
 export function initializeFileHandler() {
   // Handle file open from command line or file manager
@@ -159,29 +322,6 @@ export function initializeFileHandler() {
     event.preventDefault();
     await handleOpenFile(filePath);
   });
-
-  // Handle files passed as command line arguments on startup
-  const handleStartupFiles = () => {
-    const args = process.argv.slice(1);
-    for (const arg of args) {
-      // Skip flags and electron internal args
-      if (arg.startsWith("-") || arg.startsWith("--")) continue;
-      if (arg === "." || arg.includes("node_modules")) continue;
-
-      // Check if it's a supported file
-      if (isFileSupported(arg)) {
-        handleOpenFile(arg);
-        break; // Only handle first file
-      }
-    }
-  };
-
-  // Run after app is ready
-  if (app.isReady()) {
-    handleStartupFiles();
-  } else {
-    app.on("ready", handleStartupFiles);
-  }
 }
 
 /**
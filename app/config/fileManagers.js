@@ -0,0 +1,429 @@
+/**
+ * File Manager Integration Module
+ * Adds "Open in Microsoft 365" and "Upload to OneDrive" to file manager context menus
+ *
+ * Actions are written for the file managers found on PATH: Nautilus
+ * (scripts), Dolphin (service menus), Nemo (actions) and Thunar (custom
+ * actions). They are generated from FILE_TYPE_MAP so they only apply to
+ * supported files. Everything written is recorded in the store, so removing
+ * the integration deletes exactly what installing it added.
+ */
+
+import { chmodSync, existsSync, mkdirSync, readFileSync, rmdirSync, rmSync, writeFileSync } from "fs";
+import { dirname, join, relative, resolve, sep } from "path";
+import { getValue, setValue } from "./store.js";
+import { getConfigHome, getDataHome } from "./xdg.js";
+import { findExecutable } from "./utils.js";
+import { getSupportedExtensions, getSupportedMimeTypes } from "./fileHandler.js";
+
+// Prefix of the ids that mark our Thunar actions
+const ACTION_ID_PREFIX = "ms-365-electron-";
+
+// Icon installed with the app
+const ICON_NAME = "ms-365-electron";
+
+// Commands accepted by --file-manager-actions
+const COMMANDS = ["install", "remove"];
+
+/**
+ * Context menu action
+ * @typedef {Object} FileAction
+ * @property {string} id - Action id
+ * @property {string} name - Menu label
+ * @property {string} description - Tooltip
+ * @property {string} flag - CLI flag the action runs
+ * @property {boolean} multiple - Whether the action takes several files
+ */
+
+/** @type {FileAction[]} */
+const ACTIONS = [
+  {
+    id: "open",
+    name: "Open in Microsoft 365",
+    description: "Upload to OneDrive and open in the web editor",
+    flag: "--open",
+    multiple: false,
+  },
+  {
+    id: "upload",
+    name: "Upload to OneDrive",
+    description: "Upload to the MS-365-Electron upload folder in OneDrive",
+    flag: "--upload",
+    multiple: true,
+  },
+];
+
+/**
+ * Get the commands --file-manager-actions accepts
+ * @returns {string[]}
+ */
+export function getFileManagerCommands() {
+  return [...COMMANDS];
+}
+
+/**
+ * Get the command line that starts this app
+ * @returns {string[]} Executable and arguments
+ */
+function getLaunchCommand() {
+  if (process.env.FLATPAK_ID) return ["flatpak", "run", process.env.FLATPAK_ID];
+  if (process.env.APPIMAGE) return [process.env.APPIMAGE];
+  // Unpackaged runs need the app path so the action starts the same project
+  if (process.defaultApp) return [process.execPath, resolve(process.argv[1])];
+  return [process.execPath];
+}
+
+/**
+ * Quote an argument for a POSIX shell
+ * @param {string} text - Argument
+ * @returns {string} Quoted argument
+ */
+function shellQuote(text) {
+  return /^[\w@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Quote an argument for the Exec key of a desktop entry
+ * Quoted arguments escape ", `, $ and \ with a backslash, and the backslash is
+ * escaped once more because Exec is a string value.
+ * @param {string} text - Argument
+ * @returns {string} Quoted argument
+ */
+function desktopQuote(text) {
+  if (/^[\w@+=:,./-]+$/.test(text)) return text;
+  return `"${text.replace(/(["`$\\])/g, "\\$1")}"`.replace(/\\/g, "\\\\").replace(/%/g, "%%");
+}
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Get supported extensions without the leading dot
+ * @returns {string[]}
+ */
+function getExtensions() {
+  return getSupportedExtensions().map((ext) => ext.slice(1));
+}
+
+/**
+ * Build a Nautilus script
+ * Nautilus offers scripts for every file, so the script drops unsupported ones.
+ * @param {FileAction} action - Action
+ * @returns {string} Script
+ */
+function buildNautilusScript(action) {
+  // Nautilus does not ignore case, so match e.g. "*.[dD][oO][cC][xX]"
+  const patterns = getExtensions()
+    .map((ext) => `*.${[...ext].map((char) => `[${char.toLowerCase()}${char.toUpperCase()}]`).join("")}`)
+    .join("|");
+  const command = getLaunchCommand().map(shellQuote).join(" ");
+
+  return `#!/bin/sh
+# Added by MS-365-Electron; remove with: ms-365-electron --file-manager-actions remove
+for file do
+  shift
+  case "$file" in
+    ${patterns}) set -- "$@" "$file" ;;
+  esac
+done
+[ "$#" -gt 0 ] || exit 0
+exec ${command} ${action.flag} ${action.multiple ? '"$@"' : '"$1"'}
+`;
+}
+
+/**
+ * Build the Dolphin service menu
+ * @returns {string} Desktop entry
+ */
+function buildDolphinServiceMenu() {
+  const command = getLaunchCommand().map(desktopQuote).join(" ");
+  const lines = [
+    "# Added by MS-365-Electron; remove with: ms-365-electron --file-manager-actions remove",
+    "[Desktop Entry]",
+    "Type=Service",
+    "ServiceTypes=KonqPopupMenu/Plugin",
+    `MimeType=${getSupportedMimeTypes()};`,
+    `Actions=${ACTIONS.map((action) => action.id).join(";")};`,
+  ];
+
+  for (const action of ACTIONS) {
+    lines.push(
+      "",
+      `[Desktop Action ${action.id}]`,
+      `Name=${action.name}`,
+      `Icon=${ICON_NAME}`,
+      `Exec=${command} ${action.flag} ${action.multiple ? "%F" : "%f"}`,
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Build a Nemo action
+ * @param {FileAction} action - Action
+ * @returns {string} Action file
+ */
+function buildNemoAction(action) {
+  const command = getLaunchCommand().map(shellQuote).join(" ");
+  return `# Added by MS-365-Electron; remove with: ms-365-electron --file-manager-actions remove
+[Nemo Action]
+Name=${action.name}
+Comment=${action.description}
+Exec=${command} ${action.flag} %F
+Icon-Name=${ICON_NAME}
+Selection=${action.multiple ? "notnone" : "s"}
+Extensions=${getExtensions().join(";")};
+`;
+}
+
+/**
+ * Build a Thunar custom action
+ * @param {FileAction} action - Action
+ * @returns {string} <action> element
+ */
+function buildThunarAction(action) {
+  const command = getLaunchCommand().map(shellQuote).join(" ");
+  return `\t<action>
+\t\t<icon>${ICON_NAME}</icon>
+\t\t<name>${escapeXml(action.name)}</name>
+\t\t<submenu></submenu>
+\t\t<unique-id>${ACTION_ID_PREFIX}${action.id}</unique-id>
+\t\t<command>${escapeXml(`${command} ${action.flag} ${action.multiple ? "%F" : "%f"}`)}</command>
+\t\t<description>${escapeXml(action.description)}</description>
+\t\t<range>${action.multiple ? "*" : "1"}</range>
+\t\t<patterns>${getExtensions().map((ext) => `*.${ext}`).join(";")}</patterns>
+\t\t<other-files/>
+\t\t<text-files/>
+\t</action>
+`;
+}
+
+/**
+ * Remove our actions from Thunar's custom actions
+ * @param {string} xml - uca.xml content
+ * @returns {string} Content without our actions
+ */
+function stripThunarActions(xml) {
+  const ours = new RegExp(`[ \\t]*<action>(?:(?!</action>)[\\s\\S])*<unique-id>${ACTION_ID_PREFIX}[a-z]+</unique-id>[\\s\\S]*?</action>\\n?`, "g");
+  return xml.replace(ours, "");
+}
+
+/**
+ * Get the path of Thunar's custom actions file
+ * @returns {string}
+ */
+function getThunarActionsPath() {
+  return join(getConfigHome(), "Thunar", "uca.xml");
+}
+
+/**
+ * Supported file managers
+ * `files` lists the files the integration owns; Thunar's actions live in a
+ * file shared with the user's own actions and are handled separately.
+ */
+const FILE_MANAGERS = [
+  {
+    id: "nautilus",
+    name: "Nautilus",
+    executables: ["nautilus"],
+    files: () => ACTIONS.map((action) => ({
+      path: join(getDataHome(), "nautilus", "scripts", action.name),
+      content: buildNautilusScript(action),
+      executable: true,
+    })),
+  },
+  {
+    id: "dolphin",
+    name: "Dolphin",
+    executables: ["dolphin"],
+    // Plasma 6 only loads service menus that are executable
+    files: () => [{
+      path: join(getDataHome(), "kio", "servicemenus", "ms-365-electron.desktop"),
+      content: buildDolphinServiceMenu(),
+      executable: true,
+    }],
+  },
+  {
+    id: "nemo",
+    name: "Nemo",
+    executables: ["nemo"],
+    files: () => ACTIONS.map((action) => ({
+      path: join(getDataHome(), "nemo", "actions", `${ACTION_ID_PREFIX}${action.id}.nemo_action`),
+      content: buildNemoAction(action),
+      executable: false,
+    })),
+  },
+  {
+    id: "thunar",
+    name: "Thunar",
+    executables: ["thunar", "Thunar"],
+    files: () => [],
+  },
+];
+
+/**
+ * Get the supported file managers and whether they are installed
+ * @returns {Array<{id: string, name: string, detected: boolean}>}
+ */
+export function getFileManagers() {
+  return FILE_MANAGERS.map((manager) => ({
+    id: manager.id,
+    name: manager.name,
+    detected: manager.executables.some((name) => findExecutable(name) !== null),
+  }));
+}
+
+/**
+ * Get the record of what the integration wrote
+ * @returns {{files: string[], dirs: string[], thunar: boolean, thunarCreated: boolean}}
+ */
+function getManifest() {
+  return { files: [], dirs: [], thunar: false, thunarCreated: false, ...getValue("fileManagerIntegration") };
+}
+
+/**
+ * Check whether the integration is installed
+ * @returns {boolean}
+ */
+export function isFileManagerIntegrationInstalled() {
+  const manifest = getManifest();
+  return manifest.files.length > 0 || manifest.thunar;
+}
+
+/**
+ * Create a directory, recording every directory that did not exist yet
+ * @param {string} dir - Directory
+ * @param {string[]} created - Receives the created directories, parents first
+ */
+function makeDir(dir, created) {
+  const first = mkdirSync(dir, { recursive: true });
+  if (!first) return;
+
+  // mkdirSync returns the topmost directory it created; record the chain down to dir
+  let current = first;
+  created.push(current);
+  for (const part of relative(first, dir).split(sep).filter(Boolean)) {
+    current = join(current, part);
+    created.push(current);
+  }
+}
+
+/**
+ * Add our actions to Thunar's custom actions
+ * @returns {boolean} Whether the file was created
+ */
+function installThunarActions() {
+  const path = getThunarActionsPath();
+  const existing = existsSync(path) ? readFileSync(path, "utf8") : null;
+  const actions = ACTIONS.map(buildThunarAction).join("");
+
+  if (existing === null) {
+    writeFileSync(path, `<?xml version="1.0" encoding="UTF-8"?>\n<actions>\n${actions}</actions>\n`);
+    return true;
+  }
+
+  const cleaned = stripThunarActions(existing);
+  if (!cleaned.includes("</actions>")) {
+    throw new Error(`${path} is not a Thunar custom actions file`);
+  }
+  writeFileSync(path, cleaned.replace("</actions>", `${actions}</actions>`));
+  return false;
+}
+
+/**
+ * Remove our actions from Thunar's custom actions
+ * The file is deleted when we created it and no other actions are left.
+ * @param {boolean} created - Whether installing created the file
+ */
+function removeThunarActions(created) {
+  const path = getThunarActionsPath();
+  if (!existsSync(path)) return;
+
+  const existing = readFileSync(path, "utf8");
+  const cleaned = stripThunarActions(existing);
+  if (created && !cleaned.includes("<action>")) {
+    rmSync(path, { force: true });
+  } else if (cleaned !== existing) {
+    writeFileSync(path, cleaned);
+  }
+}
+
+/**
+ * Remove the file manager actions
+ * Files recorded at install time are removed, as are our files at their
+ * usual paths in case the record was lost.
+ * @returns {{success: boolean, error?: string}}
+ */
+export function removeFileManagerActions() {
+  const manifest = getManifest();
+  const files = new Set([...manifest.files, ...FILE_MANAGERS.flatMap((manager) => manager.files().map((file) => file.path))]);
+
+  try {
+    for (const path of files) rmSync(path, { force: true });
+    removeThunarActions(manifest.thunarCreated);
+
+    // Directories we created go too, deepest first, unless something else was put in them
+    for (const dir of [...manifest.dirs].reverse()) {
+      try {
+        rmdirSync(dir);
+      } catch {
+        // Not empty or already gone
+      }
+    }
+  } catch (error) {
+    console.error("Failed to remove the file manager actions:", error);
+    return { success: false, error: error.message };
+  }
+
+  setValue("fileManagerIntegration", null);
+  return { success: true };
+}
+
+/**
+ * Install the actions for every file manager found on PATH
+ * Installing again replaces earlier actions, e.g. after the app moved.
+ * @returns {{success: boolean, installed: string[], error?: string}} Names of the file managers set up
+ */
+export function installFileManagerActions() {
+  if (isFileManagerIntegrationInstalled()) {
+    const removal = removeFileManagerActions();
+    if (!removal.success) return { success: false, installed: [], error: removal.error };
+  }
+
+  const detected = new Set(getFileManagers().filter((manager) => manager.detected).map((manager) => manager.id));
+  const manifest = { files: [], dirs: [], thunar: false, thunarCreated: false };
+  const installed = [];
+
+  try {
+    for (const manager of FILE_MANAGERS.filter((candidate) => detected.has(candidate.id))) {
+      if (manager.id === "thunar") {
+        makeDir(dirname(getThunarActionsPath()), manifest.dirs);
+        manifest.thunarCreated = installThunarActions();
+        manifest.thunar = true;
+      }
+
+      for (const file of manager.files()) {
+        makeDir(dirname(file.path), manifest.dirs);
+        writeFileSync(file.path, file.content);
+        if (file.executable) chmodSync(file.path, 0o755);
+        manifest.files.push(file.path);
+      }
+      installed.push(manager.name);
+    }
+  } catch (error) {
+    console.error("Failed to install the file manager actions:", error);
+    // Take back what was written so far
+    setValue("fileManagerIntegration", manifest);
+    removeFileManagerActions();
+    return { success: false, installed: [], error: error.message };
+  }
+
+  setValue("fileManagerIntegration", installed.length > 0 ? manifest : null);
+  return { success: true, installed };
+}
@@ -0,0 +1,1037 @@
+/**
+ * Microsoft Graph Module
+ * Signs each profile in to OneDrive and Outlook and uploads files through the Graph API
+ *
+ * Sign-in uses the OAuth authorization code flow with PKCE in a window that
+ * shares the profile's session partition, so an existing Microsoft 365 sign-in
+ * is reused. Tokens are kept per profile and only written to disk encrypted.
+ */
+
+import { app, BrowserWindow, safeStorage } from "electron";
+import { createHash, randomBytes } from "crypto";
+import { open, readFile, stat } from "fs/promises";
+import { basename } from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { getValue, setValue } from "./store.js";
+import { resolveProfile } from "./profiles.js";
+
+const DEFAULT_GRAPH_BASE_URL = "https://graph.microsoft.com/v1.0";
+const DEFAULT_AUTHORITY_URL = "https://login.microsoftonline.com";
+
+// Hosts the Graph API and sign-in authority URLs may point at: the Microsoft
+// clouds, or the local machine for testing against a mock server
+const GRAPH_HOSTS = ["graph.microsoft.com", "graph.microsoft.us", "dod-graph.microsoft.us", "microsoftgraph.chinacloudapi.cn"];
+const AUTHORITY_HOSTS = ["login.microsoftonline.com", "login.microsoftonline.us", "login.chinacloudapi.cn", "login.partner.microsoftonline.cn"];
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Native-client redirect; the sign-in window intercepts it before it loads
+const REDIRECT_URI = "http://localhost";
+const SCOPES = "Files.ReadWrite Mail.ReadWrite Calendars.ReadWrite Contacts.ReadWrite offline_access";
+
+// Graph accepts single-request uploads up to 4 MB; larger files use an upload session
+const SIMPLE_UPLOAD_LIMIT = 4 * 1024 * 1024;
+
+// Upload session chunks must be a multiple of 320 KiB
+const CHUNK_SIZE = 32 * 320 * 1024;
+
+// A failed chunk is retried with a doubling delay before the upload fails
+const CHUNK_RETRIES = 4;
+const CHUNK_RETRY_DELAY_MS = 1000;
+
+// Outlook takes attachments up to 3 MB inline and up to 150 MB through an
+// upload session, in chunks below 4 MB
+const SIMPLE_ATTACHMENT_LIMIT = 3 * 1024 * 1024;
+const MAX_ATTACHMENT_SIZE = 150 * 1024 * 1024;
+const ATTACHMENT_CHUNK_SIZE = 12 * 320 * 1024;
+
+// A draft last saved longer ago than this is not taken to be the open one
+const OPEN_DRAFT_MAX_AGE_MS = 30 * 60 * 1000;
+
+// Refresh access tokens a minute before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Tokens by profile id, decrypted
+const tokenCache = new Map();
+
+// Sign-ins in progress by profile id
+const pendingSignIns = new Map();
+
+/**
+ * Token set for one profile
+ * @typedef {Object} GraphTokens
+ * @property {string} accessToken - Bearer token for Graph requests
+ * @property {string} [refreshToken] - Token used to get a new access token
+ * @property {number} expiresAt - Access token expiry (ms since epoch)
+ * @property {string} [scope] - Scopes asked for; tokens from before a scope was added are renewed
+ */
+
+/**
+ * Check a Graph API or sign-in authority URL before it is used or saved
+ * Tokens are sent to these URLs, so only HTTPS Microsoft endpoints are
+ * accepted, and the local machine for a mock server.
+ * @param {'graphBaseUrl' | 'graphAuthorityUrl'} key - Setting the URL is for
+ * @param {string} url - URL; empty means the default
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateGraphUrl(key, url) {
+  if (!url) return { valid: true };
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { valid: false, error: `"${url}" is not a valid URL.` };
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  if (LOOPBACK_HOSTS.includes(hostname)) {
+    return parsed.protocol === "https:" || parsed.protocol === "http:"
+      ? { valid: true }
+      : { valid: false, error: "Local mock servers must use http or https." };
+  }
+
+  const hosts = key === "graphAuthorityUrl" ? AUTHORITY_HOSTS : GRAPH_HOSTS;
+  if (parsed.protocol !== "https:" || !hosts.includes(hostname) || parsed.username || parsed.password) {
+    return { valid: false, error: `Only https://${hosts[0]} and other Microsoft cloud endpoints, or localhost, can be used.` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Read a configured Graph URL, falling back to the default when it is unset or not allowed
+ * @param {'graphBaseUrl' | 'graphAuthorityUrl'} key - Setting
+ * @param {string} defaultUrl - Default URL
+ * @returns {string} URL without a trailing slash
+ */
+function getConfiguredUrl(key, defaultUrl) {
+  const url = getValue(key) || "";
+  if (!validateGraphUrl(key, url).valid) {
+    console.warn(`Ignoring ${key} "${url}": not a Microsoft endpoint`);
+    return defaultUrl;
+  }
+  return (url || defaultUrl).replace(/\/+$/, "");
+}
+
+/**
+ * Get the Graph API base URL
+ * Configurable so uploads and mail exports can be tested against a local mock server
+ * @returns {string} Base URL without a trailing slash
+ */
+export function getGraphBaseUrl() {
+  return getConfiguredUrl("graphBaseUrl", DEFAULT_GRAPH_BASE_URL);
+}
+
+/**
+ * Get the OAuth authority URL
+ * @returns {string} Authority URL without a trailing slash
+ */
+function getAuthorityUrl() {
+  return getConfiguredUrl("graphAuthorityUrl", DEFAULT_AUTHORITY_URL);
+}
+
+/**
+ * Get the OneDrive folder uploads go to
+ * @returns {string} Folder path without leading or trailing slashes ("" for the root)
+ */
+export function getUploadFolder() {
+  return (getValue("uploadFolder") || "").replace(/^\/+|\/+$/g, "");
+}
+
+/**
+ * Check if a Graph client id has been set up
+ * @returns {boolean}
+ */
+export function isGraphConfigured() {
+  return Boolean(getValue("graphClientId"));
+}
+
+/**
+ * Get the sign-in tenant for a profile
+ * @param {object} profile - Profile from profiles.js
+ * @returns {'consumers' | 'organizations'}
+ */
+function getTenant(profile) {
+  return profile.auth === "work" ? "organizations" : "consumers";
+}
+
+/**
+ * Check if tokens can be written to disk
+ * The basic_text backend only obfuscates, so it does not count
+ * @returns {boolean}
+ */
+function canPersistTokens() {
+  return safeStorage.isEncryptionAvailable() && safeStorage.getSelectedStorageBackend() !== "basic_text";
+}
+
+/**
+ * Load a profile's tokens
+ * @param {string} profileId - Profile id
+ * @returns {GraphTokens|null}
+ */
+function loadTokens(profileId) {
+  if (tokenCache.has(profileId)) return tokenCache.get(profileId);
+
+  const saved = getValue("graphTokens")?.[profileId];
+  if (!saved || !canPersistTokens()) return null;
+
+  try {
+    const tokens = JSON.parse(safeStorage.decryptString(Buffer.from(saved, "base64")));
+    tokenCache.set(profileId, tokens);
+    return tokens;
+  } catch (error) {
+    console.warn(`Failed to read saved OneDrive sign-in for "${profileId}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Save a profile's tokens
+ * @param {string} profileId - Profile id
+ * @param {GraphTokens} tokens - Tokens
+ */
+function saveTokens(profileId, tokens) {
+  tokenCache.set(profileId, tokens);
+
+  if (!canPersistTokens()) {
+    console.warn("No secure storage available; the OneDrive sign-in is kept until the app quits");
+    return;
+  }
+
+  const saved = { ...getValue("graphTokens") };
+  saved[profileId] = safeStorage.encryptString(JSON.stringify(tokens)).toString("base64");
+  setValue("graphTokens", saved);
+}
+
+/**
+ * Forget OneDrive sign-ins
+ * @param {string} [profileId] - Profile to sign out (all profiles when omitted)
+ */
+export function signOutGraph(profileId) {
+  if (!profileId) {
+    tokenCache.clear();
+    setValue("graphTokens", {});
+    return;
+  }
+
+  tokenCache.delete(profileId);
+  const saved = { ...getValue("graphTokens") };
+  delete saved[profileId];
+  setValue("graphTokens", saved);
+}
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ * @returns {{verifier: string, challenge: string}}
+ */
+function createPkcePair() {
+  const verifier = randomBytes(32).toString("base64url");
+  const challenge = createHash("sha256").update(verifier).digest("base64url");
+  return { verifier, challenge };
+}
+
+/**
+ * Show the sign-in page and wait for the authorization code
+ * @param {object} profile - Profile from profiles.js
+ * @param {string} challenge - PKCE challenge
+ * @returns {Promise<string>} Authorization code
+ */
+function requestAuthorizationCode(profile, challenge) {
+  const state = randomBytes(16).toString("base64url");
+  const authorizeUrl = new URL(`${getAuthorityUrl()}/${getTenant(profile)}/oauth2/v2.0/authorize`);
+  authorizeUrl.search = new URLSearchParams({
+    client_id: getValue("graphClientId"),
+    response_type: "code",
+    response_mode: "query",
+    redirect_uri: REDIRECT_URI,
+    scope: SCOPES,
+    state,
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return new Promise((resolve, reject) => {
+    const window = new BrowserWindow({
+      width: 520,
+      height: 680,
+      title: `Sign in to OneDrive (${profile.name})`,
+      autoHideMenuBar: true,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        partition: profile.partition,
+      },
+    });
+
+    let settled = false;
+    const finish = (error, code) => {
+      if (settled) return;
+      settled = true;
+      if (!window.isDestroyed()) window.destroy();
+      if (error) reject(error);
+      else resolve(code);
+    };
+
+    const onNavigate = (event, target) => {
+      let url;
+      try {
+        url = new URL(target);
+      } catch {
+        return;
+      }
+      if (url.origin !== REDIRECT_URI) return;
+
+      event.preventDefault();
+      const params = url.searchParams;
+      if (params.get("error")) {
+        finish(new Error(params.get("error_description") || params.get("error")));
+      } else if (params.get("state") !== state || !params.get("code")) {
+        finish(new Error("The sign-in response did not match the request."));
+      } else {
+        finish(null, params.get("code"));
+      }
+    };
+
+    window.webContents.on("will-redirect", onNavigate);
+    window.webContents.on("will-navigate", onNavigate);
+    window.on("closed", () => finish(new Error("Sign-in was cancelled.")));
+
+    window.loadURL(authorizeUrl.toString()).catch((error) => {
+      finish(new Error(`Cannot load the sign-in page: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Call the token endpoint
+ * @param {object} profile - Profile from profiles.js
+ * @param {object} params - Grant parameters
+ * @returns {Promise<GraphTokens>}
+ */
+async function requestTokens(profile, params) {
+  const response = await fetch(`${getAuthorityUrl()}/${getTenant(profile)}/oauth2/v2.0/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      client_id: getValue("graphClientId"),
+      scope: SCOPES,
+      ...params,
+    }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    throw new Error(data.error_description || data.error || `Token request failed (HTTP ${response.status})`);
+  }
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || params.refresh_token,
+    expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000,
+    scope: SCOPES,
+  };
+}
+
+/**
+ * Sign a profile in interactively
+ * Concurrent callers share one sign-in window
+ * @param {object} profile - Profile from profiles.js
+ * @returns {Promise<string>} Access token
+ */
+function signIn(profile) {
+  if (!pendingSignIns.has(profile.id)) {
+    const pending = (async () => {
+      const { verifier, challenge } = createPkcePair();
+      const code = await requestAuthorizationCode(profile, challenge);
+      const tokens = await requestTokens(profile, {
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: REDIRECT_URI,
+        code_verifier: verifier,
+      });
+      saveTokens(profile.id, tokens);
+      return tokens.accessToken;
+    })().finally(() => pendingSignIns.delete(profile.id));
+
+    pendingSignIns.set(profile.id, pending);
+  }
+
+  return pendingSignIns.get(profile.id);
+}
+
+/**
+ * Get a valid access token for a profile, refreshing or signing in as needed
+ * @param {string} [profileId] - Profile id (defaults to the default profile)
+ * @returns {Promise<string>} Access token
+ */
+export async function getAccessToken(profileId) {
+  const profile = resolveProfile(profileId);
+  const tokens = loadTokens(profile.id);
+
+  if (tokens && tokens.scope === SCOPES && tokens.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return tokens.accessToken;
+  }
+
+  if (tokens?.refreshToken) {
+    try {
+      const refreshed = await requestTokens(profile, {
+        grant_type: "refresh_token",
+        refresh_token: tokens.refreshToken,
+      });
+      saveTokens(profile.id, refreshed);
+      return refreshed.accessToken;
+    } catch (error) {
+      console.warn(`OneDrive token refresh failed for "${profile.id}", signing in again:`, error.message);
+    }
+  }
+
+  return signIn(profile);
+}
+
+/**
+ * Read the error message from a failed Graph response
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} Message
+ */
+async function getGraphError(response) {
+  const data = await response.json().catch(() => null);
+  return data?.error?.message || `Microsoft Graph returned HTTP ${response.status}`;
+}
+
+/**
+ * Make an authenticated Graph request
+ * @param {object} profile - Profile from profiles.js
+ * @param {string} path - Path below the base URL, or a full URL below it such as an @odata.nextLink
+ * @param {object} [options] - Fetch options
+ * @returns {Promise<Response>} Successful response
+ */
+async function graphFetch(profile, path, options = {}) {
+  const baseUrl = getGraphBaseUrl();
+  // The token is only ever sent to the configured Graph server
+  if (/^https?:/.test(path) && !path.startsWith(`${baseUrl}/`)) {
+    throw new Error(`Refusing to follow a link outside ${baseUrl}`);
+  }
+
+  const accessToken = await getAccessToken(profile.id);
+  const response = await fetch(/^https?:/.test(path) ? path : `${baseUrl}${path}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${accessToken}`, ...options.headers },
+  });
+
+  if (!response.ok) {
+    throw new Error(await getGraphError(response));
+  }
+  return response;
+}
+
+/**
+ * Make an authenticated Graph request that returns JSON
+ * @param {object} profile - Profile from profiles.js
+ * @param {string} path - Path below the base URL
+ * @param {object} [options] - Fetch options
+ * @returns {Promise<object>} Response JSON
+ */
+async function graphRequest(profile, path, options = {}) {
+  const response = await graphFetch(profile, path, options);
+  return response.json();
+}
+
+/**
+ * OneDrive folder given by item id instead of by path
+ * @typedef {Object} FolderRef
+ * @property {string} itemId - Drive item id of the folder
+ * @property {string} [driveId] - Drive holding the folder (defaults to the user's OneDrive)
+ */
+
+/**
+ * Build the API path of an existing item
+ * @param {string} itemId - Drive item id
+ * @param {string} [driveId] - Drive holding the item (defaults to the user's OneDrive)
+ * @returns {string} Path such as /drives/{drive}/items/{id}
+ */
+function getItemApiPath(itemId, driveId) {
+  const drive = driveId ? `/drives/${encodeURIComponent(driveId)}` : "/me/drive";
+  return `${drive}/items/${encodeURIComponent(itemId)}`;
+}
+
+/**
+ * Build the API path of a new item
+ * Missing folders on the way are created by OneDrive.
+ * @param {string} folder - Folder path, relative to the parent
+ * @param {string} fileName - File name
+ * @param {FolderRef} [parent] - Parent folder (defaults to the root of the user's OneDrive)
+ * @returns {string} Path such as /me/drive/root:/{folder}/{name}:
+ */
+function getNewItemApiPath(folder, fileName, parent) {
+  const base = parent ? getItemApiPath(parent.itemId, parent.driveId) : "/me/drive/root";
+  const itemPath = [...folder.split("/"), fileName]
+    .filter((segment) => segment)
+    .map(encodeURIComponent)
+    .join("/");
+  return `${base}:/${itemPath}:`;
+}
+
+/**
+ * Upload options shared by the upload helpers
+ * @typedef {Object} UploadOptions
+ * @property {string|null} [conflictBehavior] - "rename" for new items, null to replace
+ * @property {(sent: number, total: number) => void} [onProgress] - Progress callback
+ * @property {AbortSignal} [signal] - Cancels the upload
+ * @property {string} [uploadUrl] - Upload session of an earlier attempt to continue
+ * @property {(uploadUrl: string|null) => void} [onSession] - Called with the upload session to keep for a retry, or null once it can't be continued
+ */
+
+/**
+ * Upload a file in a single request
+ * @param {object} profile - Profile from profiles.js
+ * @param {string} target - API path of the item
+ * @param {string} filePath - Local file
+ * @param {number} size - File size
+ * @param {UploadOptions} options - Upload options
+ * @returns {Promise<object>} Drive item
+ */
+async function uploadSmallFile(profile, target, filePath, size, { conflictBehavior, onProgress, signal }) {
+  const query = conflictBehavior ? `?@microsoft.graph.conflictBehavior=${conflictBehavior}` : "";
+  const item = await graphRequest(profile, `${target}/content${query}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/octet-stream" },
+    body: await readFile(filePath, { signal }),
+    signal,
+  });
+  onProgress?.(size, size);
+  return item;
+}
+
+/**
+ * Build the error for a chunk the upload session did not accept
+ * Throttling and server errors are marked retryable.
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Error>} Error
+ */
+async function getChunkError(response) {
+  const error = new Error(await getGraphError(response));
+  error.retryable = response.status === 429 || response.status >= 500;
+  const retryAfter = Number(response.headers.get("Retry-After"));
+  if (retryAfter > 0) error.retryAfter = retryAfter * 1000;
+  return error;
+}
+
+/**
+ * Ask an upload session where to continue
+ * @param {string} uploadUrl - Upload URL of the session
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<number>} Offset of the first byte the session is missing
+ */
+async function getSessionOffset(uploadUrl, signal) {
+  const response = await fetch(uploadUrl, { signal }).catch((error) => {
+    error.retryable = true;
+    throw error;
+  });
+  if (!response.ok) {
+    throw await getChunkError(response);
+  }
+
+  // Ranges look like "26214400-" or "26214400-52428799"
+  const { nextExpectedRanges } = await response.json();
+  const offset = parseInt(nextExpectedRanges?.[0], 10);
+  if (Number.isNaN(offset)) {
+    throw new Error("The upload session is not expecting any more data");
+  }
+  return offset;
+}
+
+/**
+ * Send one chunk of a file to an upload session
+ * @param {string} uploadUrl - Upload URL of the session
+ * @param {FileHandle} file - Open file
+ * @param {number} offset - First byte of the chunk
+ * @param {number} length - Bytes in the chunk
+ * @param {number} size - File size
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Response>} Response
+ */
+async function sendChunk(uploadUrl, file, offset, length, size, signal) {
+  const chunk = Buffer.alloc(length);
+  const { bytesRead } = await file.read(chunk, 0, length, offset);
+  if (bytesRead < length) {
+    throw new Error("The file changed while it was being uploaded");
+  }
+
+  // The upload URL carries its own authorization; no bearer token is sent
+  const response = await fetch(uploadUrl, {
+    method: "PUT",
+    headers: { "Content-Range": `bytes ${offset}-${offset + length - 1}/${size}` },
+    body: chunk,
+    signal,
+  }).catch((error) => {
+    error.retryable = true;
+    throw error;
+  });
+
+  if (!response.ok) {
+    throw await getChunkError(response);
+  }
+  return response;
+}
+
+/**
+ * Send a file to an upload session in chunks
+ * A chunk that fails with a network error, throttling or a server error is
+ * retried with backoff, continuing from what the session reports it has
+ * received. The session is deleted only when the upload is cancelled.
+ * @param {string} uploadUrl - Upload URL of the session
+ * @param {string} filePath - Local file
+ * @param {number} size - File size
+ * @param {number} chunkSize - Bytes per request
+ * @param {UploadOptions & {start?: number}} options - Upload options and the offset to start from
+ * @returns {Promise<Response>} Response to the last chunk
+ */
+async function sendChunks(uploadUrl, filePath, size, chunkSize, { start = 0, onProgress, signal }) {
+  const file = await open(filePath, "r");
+  try {
+    let offset = start;
+    let failures = 0;
+    if (offset > 0) onProgress?.(offset, size);
+
+    for (;;) {
+      try {
+        // The failed chunk may have arrived in part, or not at all
+        if (failures > 0) offset = await getSessionOffset(uploadUrl, signal);
+
+        const length = Math.min(chunkSize, size - offset);
+        const response = await sendChunk(uploadUrl, file, offset, length, size, signal);
+        offset += length;
+        failures = 0;
+        onProgress?.(offset, size);
+        if (offset >= size) return response;
+      } catch (error) {
+        if (signal?.aborted || !error.retryable || failures >= CHUNK_RETRIES) throw error;
+        failures++;
+        await sleep(error.retryAfter ?? CHUNK_RETRY_DELAY_MS * 2 ** (failures - 1), undefined, { signal });
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      await fetch(uploadUrl, { method: "DELETE" }).catch(() => {});
+    }
+    throw error;
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Send a file through an upload session
+ * An upload session kept from an earlier attempt is continued where it
+ * stopped; a new one is created when there is none or it has expired.
+ * @param {() => Promise<string>} createSession - Creates a session and returns its upload URL
+ * @param {string} filePath - Local file
+ * @param {number} size - File size
+ * @param {number} chunkSize - Bytes per request
+ * @param {UploadOptions} options - Upload options
+ * @returns {Promise<Response>} Response to the last chunk
+ */
+async function sendThroughSession(createSession, filePath, size, chunkSize, options) {
+  const { signal, onSession } = options;
+
+  let uploadUrl = options.uploadUrl;
+  let start = uploadUrl ? await getSessionOffset(uploadUrl, signal).catch(() => null) : null;
+  if (start === null) {
+    uploadUrl = await createSession();
+    start = 0;
+    onSession?.(uploadUrl);
+  }
+
+  try {
+    return await sendChunks(uploadUrl, filePath, size, chunkSize, { ...options, start });
+  } catch (error) {
+    // Only a session that can still take the rest of the file is worth keeping
+    if (signal?.aborted || !error.retryable) onSession?.(null);
+    throw error;
+  }
+}
+
+/**
+ * Upload a file in chunks through an upload session
+ * @param {object} profile - Profile from profiles.js
+ * @param {string} target - API path of the item
+ * @param {string} filePath - Local file
+ * @param {number} size - File size
+ * @param {UploadOptions} options - Upload options
+ * @returns {Promise<object>} Drive item
+ */
+async function uploadLargeFile(profile, target, filePath, size, options) {
+  const { conflictBehavior, signal } = options;
+  const createSession = async () => {
+    const { uploadUrl } = await graphRequest(profile, `${target}/createUploadSession`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(conflictBehavior ? { item: { "@microsoft.graph.conflictBehavior": conflictBehavior } } : {}),
+      signal,
+    });
+    return uploadUrl;
+  };
+
+  // The last chunk returns the finished item
+  const response = await sendThroughSession(createSession, filePath, size, CHUNK_SIZE, options);
+  return response.json();
+}
+
+/**
+ * Upload a local file to an item, picking the upload method by size
+ * @param {object} profile - Profile from profiles.js
+ * @param {string} target - API path of the item
+ * @param {string} filePath - Local file
+ * @param {UploadOptions} options - Upload options
+ * @returns {Promise<object>} Drive item
+ */
+async function uploadFile(profile, target, filePath, options) {
+  const { size } = await stat(filePath);
+  return size <= SIMPLE_UPLOAD_LIMIT
+    ? uploadSmallFile(profile, target, filePath, size, options)
+    : uploadLargeFile(profile, target, filePath, size, options);
+}
+
+/**
+ * Upload a file to OneDrive
+ * Name clashes are resolved by OneDrive renaming the new file.
+ * @param {string} filePath - Local file
+ * @param {object} [options] - Upload options
+ * @param {string} [options.accountType] - Profile id (defaults to the default profile)
+ * @param {string} [options.folder] - OneDrive folder, relative to the parent (defaults to the upload folder setting)
+ * @param {FolderRef} [options.parent] - Folder the folder path starts from (defaults to the root)
+ * @param {(sent: number, total: number) => void} [options.onProgress] - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the upload
+ * @param {string} [options.uploadUrl] - Upload session of an earlier attempt to continue
+ * @param {(uploadUrl: string|null) => void} [options.onSession] - Receives the upload session to keep for a retry
+ * @returns {Promise<{success: boolean, item?: object, error?: string}>} Result with the Graph driveItem
+ */
+export async function uploadToOneDrive(filePath, { accountType, folder = getUploadFolder(), parent, onProgress, signal, uploadUrl, onSession } = {}) {
+  if (!isGraphConfigured()) {
+    return { success: false, error: "No Microsoft Graph client id is set up (Preferences > Apps)." };
+  }
+
+  const profile = resolveProfile(accountType);
+  const target = getNewItemApiPath(folder, basename(filePath), parent);
+
+  try {
+    const item = await uploadFile(profile, target, filePath, { conflictBehavior: "rename", onProgress, signal, uploadUrl, onSession });
+    console.log(`Uploaded "${filePath}" to OneDrive (${profile.id}) as "${item.name}"`);
+    return { success: true, item };
+  } catch (error) {
+    if (signal?.aborted) return { success: false, error: "Cancelled" };
+    console.error(`Failed to upload "${filePath}" to OneDrive:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Upload a local file as a new version of an existing item
+ * @param {string} filePath - Local file
+ * @param {object} options - Upload options
+ * @param {string} options.accountType - Profile id the item belongs to
+ * @param {string} options.itemId - Drive item id
+ * @param {string} [options.driveId] - Drive holding the item (defaults to the user's OneDrive)
+ * @param {(sent: number, total: number) => void} [options.onProgress] - Progress callback
+ * @returns {Promise<{success: boolean, item?: object, error?: string}>} Result with the updated driveItem
+ */
+export async function uploadNewVersion(filePath, { accountType, itemId, driveId, onProgress }) {
+  const profile = resolveProfile(accountType);
+
+  try {
+    const item = await uploadFile(profile, getItemApiPath(itemId, driveId), filePath, { conflictBehavior: null, onProgress });
+    console.log(`Uploaded "${filePath}" as a new version of "${item.name}"`);
+    return { success: true, item };
+  } catch (error) {
+    console.error(`Failed to upload a new version from "${filePath}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Find the drive item behind a document URL shown in a web editor
+ * OneDrive personal URLs carry the item id; other URLs go through the shares API.
+ * @param {string} accountType - Profile id the document is opened with
+ * @param {string} url - Document or web editor URL
+ * @returns {Promise<object>} Graph driveItem
+ */
+export function resolveDocumentUrl(accountType, url) {
+  const profile = resolveProfile(accountType);
+  const resid = new URL(url).searchParams.get("resid");
+  if (resid) {
+    return graphRequest(profile, getItemApiPath(resid));
+  }
+
+  const shareId = `u!${Buffer.from(url).toString("base64url")}`;
+  return graphRequest(profile, `/shares/${shareId}/driveItem`);
+}
+
+/**
+ * Find the folder shown in a OneDrive web page
+ * Folder views carry the folder in the id parameter: an item id in OneDrive
+ * personal, a server-relative path in OneDrive for Business and SharePoint.
+ * @param {string} accountType - Profile id the page is opened with
+ * @param {string} url - OneDrive page URL
+ * @returns {Promise<FolderRef|null>} The folder, or null for the root of the user's OneDrive
+ */
+export async function resolveFolderUrl(accountType, url) {
+  const profile = resolveProfile(accountType);
+  const pageUrl = new URL(url);
+  const id = pageUrl.searchParams.get("id");
+  if (!id) return null;
+
+  if (!id.startsWith("/")) {
+    return { itemId: id };
+  }
+
+  // The path is the folder's own URL on the same host, which the shares API resolves
+  const folderUrl = `${pageUrl.origin}${id.split("/").map(encodeURIComponent).join("/")}`;
+  const item = await graphRequest(profile, `/shares/u!${Buffer.from(folderUrl).toString("base64url")}/driveItem`);
+  return { itemId: item.id, driveId: item.parentReference?.driveId };
+}
+
+/**
+ * Get the draft being written in Outlook
+ * Outlook saves a draft shortly after typing starts, so the most recently saved
+ * draft is taken to be the open one.
+ * @param {string} accountType - Profile id
+ * @returns {Promise<object|null>} Graph message, or null when no recent draft exists
+ */
+export async function getOpenDraft(accountType) {
+  const profile = resolveProfile(accountType);
+  const { value } = await graphRequest(
+    profile,
+    "/me/mailFolders/drafts/messages?$orderby=lastModifiedDateTime desc&$top=1&$select=id,subject,lastModifiedDateTime"
+  );
+
+  const draft = value?.[0];
+  if (!draft || Date.now() - Date.parse(draft.lastModifiedDateTime) > OPEN_DRAFT_MAX_AGE_MS) {
+    return null;
+  }
+  return draft;
+}
+
+/**
+ * Attach a local file to a draft message
+ * @param {string} filePath - Local file
+ * @param {object} options - Upload options
+ * @param {string} options.accountType - Profile id the draft belongs to
+ * @param {string} options.messageId - Draft message id
+ * @param {(sent: number, total: number) => void} [options.onProgress] - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the upload
+ * @param {string} [options.uploadUrl] - Upload session of an earlier attempt to continue
+ * @param {(uploadUrl: string|null) => void} [options.onSession] - Receives the upload session to keep for a retry
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function attachToDraft(filePath, { accountType, messageId, onProgress, signal, uploadUrl, onSession }) {
+  const profile = resolveProfile(accountType);
+  const name = basename(filePath);
+  const attachments = `/me/messages/${encodeURIComponent(messageId)}/attachments`;
+
+  try {
+    const { size } = await stat(filePath);
+    if (size > MAX_ATTACHMENT_SIZE) {
+      return { success: false, error: "Outlook attachments are limited to 150 MB." };
+    }
+
+    if (size <= SIMPLE_ATTACHMENT_LIMIT) {
+      await graphRequest(profile, attachments, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          "@odata.type": "#microsoft.graph.fileAttachment",
+          name,
+          contentBytes: (await readFile(filePath, { signal })).toString("base64"),
+        }),
+        signal,
+      });
+      onProgress?.(size, size);
+    } else {
+      const createSession = async () => {
+        const session = await graphRequest(profile, `${attachments}/createUploadSession`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ AttachmentItem: { attachmentType: "file", name, size } }),
+          signal,
+        });
+        return session.uploadUrl;
+      };
+      await sendThroughSession(createSession, filePath, size, ATTACHMENT_CHUNK_SIZE, { onProgress, signal, uploadUrl, onSession });
+    }
+
+    console.log(`Attached "${filePath}" to draft ${messageId}`);
+    return { success: true };
+  } catch (error) {
+    if (signal?.aborted) return { success: false, error: "Cancelled" };
+    console.error(`Failed to attach "${filePath}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get a mail message's headers
+ * @param {string} accountType - Profile id the mailbox belongs to
+ * @param {string} messageId - Message id
+ * @returns {Promise<object>} Graph message with subject, sender and dates
+ */
+export function getMailMessage(accountType, messageId) {
+  return graphRequest(
+    resolveProfile(accountType),
+    `/me/messages/${encodeURIComponent(messageId)}?$select=id,subject,from,receivedDateTime,sentDateTime`
+  );
+}
+
+/**
+ * Download a mail message in MIME format
+ * @param {string} accountType - Profile id the mailbox belongs to
+ * @param {string} messageId - Message id
+ * @param {AbortSignal} [signal] - Cancels the download
+ * @returns {Promise<Buffer>} RFC 822 message
+ */
+export async function downloadMailMime(accountType, messageId, signal) {
+  const response = await graphFetch(resolveProfile(accountType), `/me/messages/${encodeURIComponent(messageId)}/$value`, { signal });
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Get a mail folder
+ * @param {string} accountType - Profile id the mailbox belongs to
+ * @param {string} folderId - Folder id or well-known name such as "inbox"
+ * @returns {Promise<object>} Graph mailFolder with displayName and totalItemCount
+ */
+export function getMailFolder(accountType, folderId) {
+  return graphRequest(resolveProfile(accountType), `/me/mailFolders/${encodeURIComponent(folderId)}`);
+}
+
+/**
+ * List one page of the messages in a mail folder, oldest first
+ * @param {string} accountType - Profile id the mailbox belongs to
+ * @param {string} folderId - Folder id or well-known name
+ * @param {object} [options] - Paging options
+ * @param {string} [options.nextPage] - Page link returned by the previous call
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<{messages: object[], nextPage: string|null}>} Messages with id, sender and received time
+ */
+export async function listMailFolderMessages(accountType, folderId, { nextPage, signal } = {}) {
+  const path = nextPage
+    || `/me/mailFolders/${encodeURIComponent(folderId)}/messages?$select=id,from,receivedDateTime&$orderby=receivedDateTime asc&$top=100`;
+  const data = await graphRequest(resolveProfile(accountType), path, { signal });
+  return { messages: data.value || [], nextPage: data["@odata.nextLink"] || null };
+}
+
+/**
+ * Create an event in the default calendar
+ * @param {string} accountType - Profile id the calendar belongs to
+ * @param {object} event - Graph event
+ * @returns {Promise<object>} Created event, with its id and webLink
+ */
+export function createCalendarEvent(accountType, event) {
+  return graphRequest(resolveProfile(accountType), "/me/events", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(event),
+  });
+}
+
+/**
+ * List the occurrences of a repeating event in a time window
+ * @param {string} accountType - Profile id the calendar belongs to
+ * @param {string} eventId - Repeating event id
+ * @param {object} window - Time window
+ * @param {string} window.start - Window start (ISO 8601, UTC)
+ * @param {string} window.end - Window end (ISO 8601, UTC)
+ * @param {string} window.timeZone - Time zone the occurrence times are given in
+ * @returns {Promise<object[]>} Occurrences with id and start
+ */
+export async function listEventOccurrences(accountType, eventId, { start, end, timeZone }) {
+  const query = new URLSearchParams({ startDateTime: start, endDateTime: end, $select: "id,start" });
+  const data = await graphRequest(resolveProfile(accountType), `/me/events/${encodeURIComponent(eventId)}/instances?${query}`, {
+    headers: { Prefer: `outlook.timezone="${timeZone}"` },
+  });
+  return data.value || [];
+}
+
+/**
+ * Delete a calendar event or one occurrence of a repeating event
+ * @param {string} accountType - Profile id the calendar belongs to
+ * @param {string} eventId - Event or occurrence id
+ * @returns {Promise<void>}
+ */
+export async function deleteCalendarEvent(accountType, eventId) {
+  await graphFetch(resolveProfile(accountType), `/me/events/${encodeURIComponent(eventId)}`, { method: "DELETE" });
+}
+
+/**
+ * Create a contact in the default contacts folder
+ * @param {string} accountType - Profile id the contacts belong to
+ * @param {object} contact - Graph contact
+ * @returns {Promise<object>} Created contact
+ */
+export function createContact(accountType, contact) {
+  return graphRequest(resolveProfile(accountType), "/me/contacts", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(contact),
+  });
+}
+
+/**
+ * Get the current metadata of a drive item
+ * @param {string} accountType - Profile id the item belongs to
+ * @param {string} itemId - Drive item id
+ * @param {string} [driveId] - Drive holding the item (defaults to the user's OneDrive)
+ * @returns {Promise<object>} Graph driveItem
+ */
+export function getDriveItem(accountType, itemId, driveId) {
+  return graphRequest(resolveProfile(accountType), getItemApiPath(itemId, driveId));
+}
+
+/**
+ * Download the content of a drive item
+ * @param {string} accountType - Profile id the item belongs to
+ * @param {string} itemId - Drive item id
+ * @param {string} [driveId] - Drive holding the item (defaults to the user's OneDrive)
+ * @returns {Promise<Buffer>} File content
+ */
+export async function downloadDriveItem(accountType, itemId, driveId) {
+  const response = await graphFetch(resolveProfile(accountType), `${getItemApiPath(itemId, driveId)}/content`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Delete a drive item (OneDrive moves it to the recycle bin)
+ * @param {string} accountType - Profile id the item belongs to
+ * @param {string} itemId - Drive item id
+ * @param {string} [driveId] - Drive holding the item (defaults to the user's OneDrive)
+ * @returns {Promise<void>}
+ */
+export async function deleteDriveItem(accountType, itemId, driveId) {
+  await graphFetch(resolveProfile(accountType), getItemApiPath(itemId, driveId), { method: "DELETE" });
+}
+
+/**
+ * Get the URL that opens an uploaded item in its web editor
+ * @param {object} item - Graph driveItem
+ * @returns {string} URL
+ */
+export function getEditorUrl(item) {
+  const url = new URL(item.webUrl);
+  // SharePoint opens documents read-only unless asked for the editor
+  if (url.searchParams.get("action") === "default") {
+    url.searchParams.set("action", "edit");
+  }
+  return url.toString();
+}
+
+/**
+ * Initialize Graph sign-in bookkeeping
+ * Removed profiles lose their saved OneDrive sign-in
+ */
+export function initializeGraph() {
+  app.on("profiles-changed", (profiles) => {
+    const ids = new Set(profiles.map((profile) => profile.id));
+    for (const profileId of Object.keys(getValue("graphTokens") || {})) {
+      if (!ids.has(profileId)) signOutGraph(profileId);
+    }
+  });
+}
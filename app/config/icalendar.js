@@ -0,0 +1,593 @@
+/**
+ * iCalendar Module
+ * Reads .ics files and turns their events into Microsoft Graph events
+ *
+ * Works offline and has no Electron dependencies. Recurrence rules are
+ * mapped to Graph's recurrence patterns; rules Outlook has no pattern for
+ * are reported instead of being imported wrong. The content line reader is
+ * shared with vcard.js, as vCard uses the same line format.
+ */
+
+// Graph's names for iCalendar weekdays, in Date.getUTCDay() order
+const WEEKDAYS = { SU: "sunday", MO: "monday", TU: "tuesday", WE: "wednesday", TH: "thursday", FR: "friday", SA: "saturday" };
+const WEEKDAY_ORDER = Object.values(WEEKDAYS);
+
+// Graph's week indexes for BYDAY and BYSETPOS ordinals
+const WEEK_INDEXES = { 1: "first", 2: "second", 3: "third", 4: "fourth", "-1": "last" };
+
+// Rule parts Graph's recurrence patterns have no equivalent for
+const UNSUPPORTED_RULE_PARTS = {
+  BYSECOND: "by second",
+  BYMINUTE: "by minute",
+  BYHOUR: "by hour",
+  BYYEARDAY: "by day of the year",
+  BYWEEKNO: "by week number",
+};
+
+// Windows time zone names, which Graph accepts as they are, all end like this
+const WINDOWS_ZONE = /(Standard Time|^UTC(?:[+-]\d{2})?)$/;
+
+/**
+ * Unescape an iCalendar or vCard TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+export function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+/**
+ * Split a structured value on unescaped separators and unescape the parts
+ * @param {string} value - Escaped value
+ * @param {string} separator - ";" or ","
+ * @returns {string[]} Parts
+ */
+export function splitValue(value, separator) {
+  const parts = [""];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "\\" && i + 1 < value.length) {
+      parts[parts.length - 1] += value.slice(i, i + 2);
+      i++;
+    } else if (value[i] === separator) {
+      parts.push("");
+    } else {
+      parts[parts.length - 1] += value[i];
+    }
+  }
+  return parts.map(unescapeText);
+}
+
+/**
+ * Split on a separator outside double quotes
+ * @param {string} text - Text to split
+ * @param {string} separator - Separator character
+ * @returns {string[]} Parts
+ */
+function splitUnquoted(text, separator) {
+  const parts = [""];
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push("");
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  }
+  return parts;
+}
+
+/**
+ * Parse one content line: [group.]NAME;PARAM=value,value:VALUE
+ * vCard 2.1 parameters without a name ("TEL;HOME;VOICE") are taken as TYPE.
+ * @param {string} line - Unfolded line
+ * @returns {{group: string|null, name: string, params: Object<string, string[]>, value: string}|null}
+ */
+function parseContentLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon <= 0) return null;
+
+  const [fullName, ...rawParams] = splitUnquoted(line.slice(0, colon), ";");
+  const dot = fullName.lastIndexOf(".");
+  const params = {};
+  for (const param of rawParams) {
+    const equals = param.indexOf("=");
+    const key = equals === -1 ? "TYPE" : param.slice(0, equals).trim().toUpperCase();
+    const values = equals === -1 ? [param] : splitUnquoted(param.slice(equals + 1), ",");
+    params[key] = [...(params[key] || []), ...values.map((value) => value.trim().replace(/^"|"$/g, ""))];
+  }
+
+  return {
+    group: dot === -1 ? null : fullName.slice(0, dot),
+    name: fullName.slice(dot + 1).trim().toUpperCase(),
+    params,
+    value: line.slice(colon + 1),
+  };
+}
+
+/**
+ * Read the content lines of an iCalendar or vCard file
+ * Unfolds continuation lines, and quoted-printable soft line breaks (vCard 2.1).
+ * @param {string} text - File contents
+ * @returns {Array<{group: string|null, name: string, params: Object<string, string[]>, value: string}>}
+ */
+export function readContentLines(text) {
+  const lines = [];
+  for (const line of text.replace(/^\uFEFF/, "").split(/\r\n|\n|\r/)) {
+    const last = lines.length - 1;
+    if (last >= 0 && /^[ \t]/.test(line)) {
+      lines[last] += line.slice(1);
+    } else if (last >= 0 && lines[last].endsWith("=") && /^[^:]*QUOTED-PRINTABLE/i.test(lines[last])) {
+      lines[last] = lines[last].slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  }
+  return lines.map(parseContentLine).filter(Boolean);
+}
+
+/**
+ * Read the components (BEGIN/END blocks) of an iCalendar or vCard file
+ * @param {string} text - File contents
+ * @returns {Array<{name: string, properties: Array<object>, components: Array<object>}>} Top-level components
+ */
+export function readComponents(text) {
+  const root = { name: "", properties: [], components: [] };
+  const stack = [root];
+
+  for (const property of readContentLines(text)) {
+    const current = stack[stack.length - 1];
+    if (property.name === "BEGIN") {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === "END") {
+      if (stack.length > 1 && current.name === property.value.trim().toUpperCase()) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  }
+  return root.components;
+}
+
+/**
+ * Get the first property with a name
+ * @param {object} component - Component
+ * @param {string} name - Property name
+ * @returns {object|undefined} Property
+ */
+function getProperty(component, name) {
+  return component.properties.find((property) => property.name === name);
+}
+
+/**
+ * Get a property's unescaped text
+ * @param {object} component - Component
+ * @param {string} name - Property name
+ * @returns {string} Text, "" when missing
+ */
+function getText(component, name) {
+  const property = getProperty(component, name);
+  return property ? unescapeText(property.value).trim() : "";
+}
+
+/**
+ * Get the time zone this system runs in
+ * @returns {string} IANA time zone name
+ */
+export function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/**
+ * Check whether a name is an IANA time zone
+ * @param {string} name - Time zone name
+ * @returns {boolean}
+ */
+function isIanaTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Turn a TZID into a time zone name Graph understands
+ * Calendar apps name zones in their own ways: IANA names, Windows names
+ * (Outlook), or prefixed ones like "/mozilla.org/20050126_1/Europe/Berlin".
+ * @param {string} tzid - TZID parameter
+ * @param {object} context - Parse context with the file's VTIMEZONE locations and warnings
+ * @returns {string} Time zone name
+ */
+function resolveTimeZone(tzid, context) {
+  const name = tzid.trim();
+  if (isIanaTimeZone(name) || WINDOWS_ZONE.test(name)) return name;
+
+  const location = context.timeZoneLocations.get(name);
+  if (location && isIanaTimeZone(location)) return location;
+
+  const embedded = /([A-Za-z]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?)$/.exec(name)?.[1];
+  if (embedded && isIanaTimeZone(embedded)) return embedded;
+
+  const fallback = getSystemTimeZone();
+  context.warnings.add(`The time zone "${name}" is not known; times are taken to be in ${fallback}.`);
+  return fallback;
+}
+
+/**
+ * Parse a DATE or DATE-TIME property
+ * Floating times (no zone) are local times, so they get the system time zone.
+ * @param {object} property - Property
+ * @param {object} context - Parse context
+ * @returns {{date: string, time?: string, timeZone?: string}} Date, with time and zone unless all-day
+ */
+function parseDateProperty(property, context) {
+  const value = property.value.trim();
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec(value);
+  if (!match) throw new Error(`"${value}" is not a valid ${property.name} date.`);
+
+  const [, year, month, day, hour, minute, second = "00", utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (!hour || property.params.VALUE?.[0]?.toUpperCase() === "DATE") return { date };
+
+  const tzid = property.params.TZID?.[0];
+  const timeZone = utc ? "UTC" : tzid ? resolveTimeZone(tzid, context) : context.defaultTimeZone;
+  return { date, time: `${hour}:${minute}:${second}`, timeZone };
+}
+
+/**
+ * Parse an iCalendar DURATION
+ * @param {string} value - Duration, e.g. "PT1H30M" or "-P1D"
+ * @returns {number|null} Seconds, or null when invalid
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 3600 + Number(minutes) * 60 + Number(seconds);
+  return sign === "-" ? -total : total;
+}
+
+/**
+ * Add seconds to a date, as wall-clock time in its own zone
+ * @param {{date: string, time?: string, timeZone?: string}} value - Date
+ * @param {number} seconds - Seconds to add
+ * @returns {{date: string, time?: string, timeZone?: string}} Date
+ */
+function addSeconds(value, seconds) {
+  const [year, month, day] = value.date.split("-").map(Number);
+  const [hour, minute, second] = (value.time || "00:00:00").split(":").map(Number);
+  const iso = new Date(Date.UTC(year, month - 1, day, hour, minute, second) + seconds * 1000).toISOString();
+  return value.time ? { ...value, date: iso.slice(0, 10), time: iso.slice(11, 19) } : { date: iso.slice(0, 10) };
+}
+
+/**
+ * Parse a calendar address (ORGANIZER, ATTENDEE)
+ * @param {object} property - Property
+ * @returns {{name: string, address: string}}
+ */
+function parseCalendarAddress(property) {
+  return {
+    name: property.params.CN?.[0] || "",
+    address: property.value.trim().replace(/^mailto:/i, ""),
+  };
+}
+
+/**
+ * Parse an RRULE into its parts
+ * @param {string} value - Rule, e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+ * @returns {Object<string, string>} Parts by upper-case name
+ */
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(";")) {
+    const [key, ...rest] = part.split("=");
+    if (key.trim()) rule[key.trim().toUpperCase()] = rest.join("=").trim().toUpperCase();
+  }
+  return rule;
+}
+
+/**
+ * Get the reminder of an event from its first alarm before the start
+ * @param {object} component - VEVENT component
+ * @returns {number|null} Minutes before the start
+ */
+function getReminderMinutes(component) {
+  for (const alarm of component.components.filter((child) => child.name === "VALARM")) {
+    const trigger = getProperty(alarm, "TRIGGER");
+    if (!trigger || trigger.params.RELATED?.[0]?.toUpperCase() === "END") continue;
+    const seconds = parseDuration(trigger.value);
+    if (seconds !== null && seconds <= 0) return Math.round(-seconds / 60);
+  }
+  return null;
+}
+
+/**
+ * Parse a VEVENT component
+ * @param {object} component - VEVENT component
+ * @param {object} context - Parse context
+ * @returns {object} Event
+ */
+function parseEvent(component, context) {
+  const warnings = new Set();
+  const eventContext = { ...context, warnings };
+  const startProperty = getProperty(component, "DTSTART");
+  if (!startProperty) throw new Error("An event has no start date.");
+
+  const start = parseDateProperty(startProperty, eventContext);
+  const endProperty = getProperty(component, "DTEND");
+  const duration = parseDuration(getProperty(component, "DURATION")?.value || "");
+  let end;
+  if (endProperty) {
+    end = parseDateProperty(endProperty, eventContext);
+  } else if (duration !== null) {
+    end = addSeconds(start, duration);
+  } else {
+    // Without an end, all-day events last the day and others take no time
+    end = start.time ? start : addSeconds(start, 24 * 3600);
+  }
+  if (!start.time && end.time) end = { date: end.date };
+
+  const ruleProperty = getProperty(component, "RRULE");
+  const exdates = component.properties
+    .filter((property) => property.name === "EXDATE")
+    .flatMap((property) => property.value.split(",").map((value) => parseDateProperty({ ...property, value }, eventContext)));
+  if (getProperty(component, "RDATE")) {
+    warnings.add("Extra dates added with RDATE are not imported.");
+  }
+
+  const classification = getText(component, "CLASS").toUpperCase();
+  return {
+    uid: getText(component, "UID"),
+    recurrenceId: getProperty(component, "RECURRENCE-ID")?.value.trim() || null,
+    summary: getText(component, "SUMMARY"),
+    description: getText(component, "DESCRIPTION"),
+    location: getText(component, "LOCATION"),
+    start,
+    end,
+    allDay: !start.time,
+    recurrence: ruleProperty ? parseRule(ruleProperty.value) : null,
+    exdates,
+    organizer: getProperty(component, "ORGANIZER") ? parseCalendarAddress(getProperty(component, "ORGANIZER")) : null,
+    attendees: component.properties.filter((property) => property.name === "ATTENDEE").map(parseCalendarAddress),
+    reminderMinutes: getReminderMinutes(component),
+    free: getText(component, "TRANSP").toUpperCase() === "TRANSPARENT",
+    sensitivity: classification === "PRIVATE" ? "private" : classification === "CONFIDENTIAL" ? "confidential" : "normal",
+    categories: component.properties
+      .filter((property) => property.name === "CATEGORIES")
+      .flatMap((property) => splitValue(property.value, ","))
+      .map((category) => category.trim())
+      .filter(Boolean),
+    warnings,
+  };
+}
+
+/**
+ * Parse an iCalendar file
+ * Changes to single occurrences of a repeating event (RECURRENCE-ID) are
+ * dropped with a warning; the repeating event itself is kept.
+ * @param {string} text - File contents
+ * @returns {{method: string, events: Array<object>}} Calendar method ("" when unset) and events
+ * @throws {Error} When the file holds no calendar
+ */
+export function parseICalendar(text) {
+  const calendars = readComponents(text).filter((component) => component.name === "VCALENDAR");
+  if (calendars.length === 0) throw new Error("The file is not an iCalendar file.");
+
+  const events = [];
+  let method = "";
+  for (const calendar of calendars) {
+    method ||= getText(calendar, "METHOD").toUpperCase();
+    const timeZoneLocations = new Map(
+      calendar.components
+        .filter((component) => component.name === "VTIMEZONE")
+        .map((component) => [getText(component, "TZID"), getText(component, "X-LIC-LOCATION")])
+    );
+    const calendarZone = getText(calendar, "X-WR-TIMEZONE");
+    const context = {
+      timeZoneLocations,
+      defaultTimeZone: calendarZone && isIanaTimeZone(calendarZone) ? calendarZone : getSystemTimeZone(),
+    };
+
+    for (const component of calendar.components.filter((child) => child.name === "VEVENT")) {
+      events.push(parseEvent(component, context));
+    }
+  }
+
+  const repeating = new Map(events.filter((event) => event.recurrence && event.uid).map((event) => [event.uid, event]));
+  return {
+    method,
+    events: events.filter((event) => {
+      const master = event.recurrenceId && repeating.get(event.uid);
+      if (!master) return true;
+      master.warnings.add("Changes to single occurrences are not imported.");
+      return false;
+    }),
+  };
+}
+
+/**
+ * Get the Graph weekday of a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Weekday, e.g. "monday"
+ */
+function getWeekday(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return WEEKDAY_ORDER[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+/**
+ * Parse BYDAY into weekdays with their ordinals
+ * @param {string} [value] - BYDAY, e.g. "MO,WE" or "-1FR"
+ * @returns {Array<{ordinal: number|null, day: string}>}
+ */
+function parseByDay(value) {
+  if (!value) return [];
+  return value.split(",").map((part) => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(part.trim());
+    if (!match) throw new Error(`"${part}" is not a valid weekday.`);
+    return { ordinal: match[1] ? Number(match[1]) : null, day: WEEKDAYS[match[2]] };
+  });
+}
+
+/**
+ * Get the day of the month a monthly or yearly rule repeats on
+ * @param {Object<string, string>} rule - Rule parts
+ * @param {Array<{ordinal: number|null, day: string}>} days - BYDAY weekdays
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @returns {{dayOfMonth: number}|{daysOfWeek: string[], index: string}}
+ */
+function getMonthDay(rule, days, startDate) {
+  if (rule.BYMONTHDAY) {
+    const dayOfMonth = Number(rule.BYMONTHDAY);
+    if (days.length > 0 || !Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      throw new Error("Outlook only repeats on one day of the month, counted from the start.");
+    }
+    return { dayOfMonth };
+  }
+
+  if (days.length > 0) {
+    const positions = rule.BYSETPOS ? rule.BYSETPOS.split(",").map(Number) : [];
+    const ordinals = new Set(days.map((day) => day.ordinal ?? (positions.length === 1 ? positions[0] : null)));
+    const [ordinal] = ordinals;
+    if (ordinals.size !== 1 || positions.length > 1 || !WEEK_INDEXES[ordinal]) {
+      throw new Error("Outlook only repeats on the first, second, third, fourth or last weekday of the month.");
+    }
+    return { daysOfWeek: days.map((day) => day.day), index: WEEK_INDEXES[ordinal] };
+  }
+
+  return { dayOfMonth: Number(startDate.slice(8, 10)) };
+}
+
+/**
+ * Convert an RRULE to a Graph patternedRecurrence
+ * @param {Object<string, string>} rule - Rule parts from parseICalendar()
+ * @param {{date: string, timeZone?: string}} start - First occurrence
+ * @returns {{pattern: object, range: object}} Graph recurrence
+ * @throws {Error} When Outlook has no pattern for the rule
+ */
+export function toGraphRecurrence(rule, start) {
+  for (const [part, description] of Object.entries(UNSUPPORTED_RULE_PARTS)) {
+    if (rule[part]) throw new Error(`Outlook cannot repeat events ${description}.`);
+  }
+
+  const interval = Number(rule.INTERVAL || 1);
+  if (!Number.isInteger(interval) || interval < 1) throw new Error(`"${rule.INTERVAL}" is not a valid interval.`);
+  const days = parseByDay(rule.BYDAY);
+  const hasOrdinals = days.some((day) => day.ordinal !== null);
+
+  let pattern;
+  switch (rule.FREQ) {
+    case "DAILY":
+      if (days.length === 0) {
+        pattern = { type: "daily", interval };
+        break;
+      }
+      // "Every weekday" is written as a daily rule limited to some days
+      if (interval !== 1 || hasOrdinals) throw new Error("Outlook cannot repeat events every few days on set weekdays.");
+      pattern = { type: "weekly", interval: 1, daysOfWeek: days.map((day) => day.day), firstDayOfWeek: "monday" };
+      break;
+    case "WEEKLY":
+      if (hasOrdinals) throw new Error("Weekly events cannot repeat on numbered weekdays.");
+      pattern = {
+        type: "weekly",
+        interval,
+        daysOfWeek: days.length > 0 ? days.map((day) => day.day) : [getWeekday(start.date)],
+        firstDayOfWeek: WEEKDAYS[rule.WKST] || "monday",
+      };
+      break;
+    case "MONTHLY":
+    case "YEARLY": {
+      const yearly = rule.FREQ === "YEARLY";
+      if (rule.BYMONTH && (!yearly || rule.BYMONTH.includes(","))) {
+        throw new Error("Outlook cannot repeat events in several months of the year.");
+      }
+      const monthDay = getMonthDay(rule, days, start.date);
+      pattern = {
+        type: `${monthDay.index ? "relative" : "absolute"}${yearly ? "Yearly" : "Monthly"}`,
+        interval,
+        ...monthDay,
+        ...(yearly && { month: Number(rule.BYMONTH || start.date.slice(5, 7)) }),
+      };
+      break;
+    }
+    default:
+      throw new Error(rule.FREQ ? `Outlook cannot repeat events ${rule.FREQ.toLowerCase()}.` : "The repeat rule has no frequency.");
+  }
+
+  const range = { startDate: start.date, recurrenceTimeZone: start.timeZone || getSystemTimeZone() };
+  if (rule.COUNT) {
+    const count = Number(rule.COUNT);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`"${rule.COUNT}" is not a valid count.`);
+    Object.assign(range, { type: "numbered", numberOfOccurrences: count });
+  } else if (rule.UNTIL) {
+    const until = /^(\d{4})(\d{2})(\d{2})/.exec(rule.UNTIL);
+    if (!until) throw new Error(`"${rule.UNTIL}" is not a valid end date.`);
+    Object.assign(range, { type: "endDate", endDate: `${until[1]}-${until[2]}-${until[3]}` });
+  } else {
+    range.type = "noEnd";
+  }
+
+  return { pattern, range };
+}
+
+/**
+ * Convert a parsed date to a Graph dateTimeTimeZone
+ * All-day dates become midnight in the system time zone.
+ * @param {{date: string, time?: string, timeZone?: string}} value - Date
+ * @returns {{dateTime: string, timeZone: string}}
+ */
+function toDateTimeTimeZone(value) {
+  return {
+    dateTime: `${value.date}T${value.time || "00:00:00"}`,
+    timeZone: value.time ? value.timeZone : getSystemTimeZone(),
+  };
+}
+
+/**
+ * Format a calendar address
+ * @param {{name: string, address: string}} person - Organizer or attendee
+ * @returns {string} "Name <address>"
+ */
+function formatPerson(person) {
+  return person.name && person.name !== person.address ? `${person.name} <${person.address}>` : person.address;
+}
+
+/**
+ * Convert a parsed event to a Graph event
+ * Attendees are listed in the body rather than added, so importing a file
+ * sends no invitations.
+ * @param {object} event - Event from parseICalendar()
+ * @returns {object} Graph event for POST /me/events
+ * @throws {Error} When the event repeats in a way Outlook cannot
+ */
+export function toGraphEvent(event) {
+  const notes = [
+    event.organizer && `Organizer: ${formatPerson(event.organizer)}`,
+    event.attendees.length > 0 && `Attendees: ${event.attendees.map(formatPerson).join(", ")}`,
+  ].filter(Boolean);
+
+  return {
+    subject: event.summary,
+    body: { contentType: "text", content: [event.description, notes.join("\n")].filter(Boolean).join("\n\n") },
+    start: toDateTimeTimeZone(event.start),
+    end: toDateTimeTimeZone(event.end),
+    isAllDay: event.allDay,
+    showAs: event.free ? "free" : "busy",
+    sensitivity: event.sensitivity,
+    ...(event.location && { location: { displayName: event.location } }),
+    ...(event.categories.length > 0 && { categories: event.categories }),
+    ...(event.reminderMinutes !== null && { isReminderOn: true, reminderMinutesBeforeStart: event.reminderMinutes }),
+    ...(event.recurrence && { recurrence: toGraphRecurrence(event.recurrence, event.start) }),
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Single Instance Module
+ * Keeps one running process and forwards later invocations to it
+ */
+
+import { app } from "electron";
+import { parseArgs, validateArgs, buildStartupConfig } from "./cli.js";
+
+let gotInstanceLock = false;
+
+/**
+ * Request the single instance lock
+ * The startup config travels with the request so the running instance
+ * receives already-validated arguments with absolute file paths.
+ * @param {object} cliConfig - Startup config from processCLI()
+ * @returns {boolean} True if this process is the primary instance
+ */
+export function requestInstanceLock(cliConfig) {
+  gotInstanceLock = app.requestSingleInstanceLock({ cliConfig });
+  return gotInstanceLock;
+}
+
+/**
+ * Check if this process holds the single instance lock
+ * @returns {boolean}
+ */
+export function isPrimaryInstance() {
+  return gotInstanceLock;
+}
+
+/**
+ * Recover a startup config from a second instance's raw argv
+ * Used when the launching process did not send additional data.
+ * @param {string[]} argv - Second instance argv
+ * @param {string} workingDirectory - Second instance working directory
+ * @returns {object|null} Startup config, or null if the arguments are invalid
+ */
+function getConfigFromArgv(argv, workingDirectory) {
+  const parsed = parseArgs(argv);
+  const validation = validateArgs(parsed);
+  if (!validation.valid) {
+    console.warn(`Ignoring forwarded arguments: ${validation.error}`);
+    return null;
+  }
+  return buildStartupConfig(parsed, workingDirectory);
+}
+
+/**
+ * Initialize single instance handling
+ * @param {Function} handler - Called with the forwarded startup config
+ */
+export function initializeSingleInstance(handler) {
+  app.on("second-instance", (event, argv, workingDirectory, additionalData) => {
+    const config = additionalData?.cliConfig || getConfigFromArgv(argv, workingDirectory);
+    if (!config) return;
+
+    console.log("Received arguments from a second instance");
+    app.whenReady().then(() => handler(config));
+  });
+}
@@ -0,0 +1,487 @@
+/**
+ * Mail Export Module
+ * Saves Outlook messages as .eml files and archives mail folders to mbox
+ *
+ * Messages are downloaded in MIME format through Microsoft Graph; the message
+ * or folder is found from the URL of the Outlook window. An archive appends
+ * each message to <folder>.mbox and notes it in a progress file next to it,
+ * so a stopped or failed archive continues where it left off and running it
+ * again later only adds new messages.
+ */
+
+import { app, dialog, shell, BrowserWindow } from "electron";
+import { existsSync } from "fs";
+import { appendFile, mkdir, readFile, stat, truncate, writeFile } from "fs/promises";
+import { basename, dirname, join } from "path";
+import { getValue, setValue } from "./store.js";
+import { getDataDir } from "./xdg.js";
+import { getWindowMeta, getWindowAccountType, isPrivateWindow } from "./windowManager.js";
+import { isGraphConfigured, getMailMessage, downloadMailMime, getMailFolder, listMailFolderMessages } from "./graph.js";
+import { showNotification } from "./notifications.js";
+
+// Outlook on the web, for work/school and personal accounts
+const OUTLOOK_HOSTS = ["outlook.office.com", "outlook.office365.com", "outlook.live.com", "outlook.cloud.microsoft"];
+
+// Path segments after /mail/ that are views rather than folders
+const NON_FOLDER_SEGMENTS = ["id", "deeplink", "search", "compose", "options"];
+
+// Suffix of the progress file kept next to an mbox file
+const PROGRESS_SUFFIX = ".progress";
+
+// Running archive, one at a time
+let currentJob = null;
+
+/**
+ * Archive of a mail folder
+ * @typedef {Object} ArchiveJob
+ * @property {string} path - mbox file
+ * @property {string} accountType - Profile id the mailbox belongs to
+ * @property {string} folderId - Graph folder id or well-known name
+ * @property {string} folderName - Folder display name
+ * @property {number} done - Messages in the archive
+ * @property {number} total - Messages in the folder when the archive started
+ * @property {string} [error] - Why the archive stopped
+ */
+
+/**
+ * Get the directory mail folders are archived to
+ * @returns {string} Path to the archive directory
+ */
+export function getMailArchiveDir() {
+  return getValue("mailArchiveDirectory") || join(getDataDir(), "mail-archive");
+}
+
+/**
+ * Turn an id from an Outlook URL into a Graph id
+ * Outlook uses standard base64; Graph uses the URL-safe alphabet.
+ * @param {string} segment - URL path segment
+ * @returns {string} Graph id
+ */
+function toGraphId(segment) {
+  return decodeURIComponent(segment).replace(/\//g, "-").replace(/\+/g, "_");
+}
+
+/**
+ * Find the folder and message shown by an Outlook URL
+ * e.g. /mail/inbox/id/<message>, /mail/0/<folder>/id/<message>, /mail/deeplink/read/<message>
+ * @param {string} url - Outlook page URL
+ * @returns {{folderId: string|null, messageId: string|null}|null} Null when the URL is not Outlook mail
+ */
+export function parseOutlookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!OUTLOOK_HOSTS.includes(parsed.hostname.toLowerCase())) return null;
+
+  const itemId = parsed.searchParams.get("ItemID");
+  const segments = parsed.pathname.split("/").filter(Boolean);
+  if (segments[0] !== "mail") {
+    return itemId ? { folderId: null, messageId: toGraphId(itemId) } : null;
+  }
+
+  // Personal accounts add the mailbox index, e.g. /mail/0/inbox
+  const rest = segments.slice(1).filter((segment, index) => !(index === 0 && /^\d+$/.test(segment)));
+
+  let messageId = itemId ? toGraphId(itemId) : null;
+  const idIndex = rest.indexOf("id");
+  if (idIndex !== -1 && rest[idIndex + 1]) {
+    messageId = toGraphId(rest[idIndex + 1]);
+  } else if (rest[0] === "deeplink" && rest[1] === "read" && rest[2]) {
+    messageId = toGraphId(rest[2]);
+  }
+
+  const folderId = rest[0] && !NON_FOLDER_SEGMENTS.includes(rest[0]) ? toGraphId(rest[0]) : null;
+  return { folderId, messageId };
+}
+
+/**
+ * Turn a subject or folder name into a file name
+ * @param {string} text - Subject or name
+ * @param {string} fallback - Name used when nothing is left
+ * @returns {string} File name without extension
+ */
+function toFileName(text, fallback) {
+  return (text || "").replace(/[/\\:*?"<>|\u0000-\u001f]+/g, " ").replace(/\s+/g, " ").trim().slice(0, 100) || fallback;
+}
+
+/**
+ * Check that a window can export mail, and find what it shows
+ * @param {BrowserWindow} window - The window
+ * @param {string} title - Title for error dialogs
+ * @returns {{folderId: string|null, messageId: string|null, accountType: string}|null} Null after showing an error
+ */
+function getOutlookTarget(window, title) {
+  if (!isGraphConfigured()) {
+    dialog.showErrorBox(title, "Exporting mail needs a Microsoft Graph client id (Preferences > Apps).");
+    return null;
+  }
+  if (isPrivateWindow(window)) {
+    dialog.showErrorBox(title, "Mail in private windows cannot be exported.");
+    return null;
+  }
+
+  // Windows created by the window manager track their URL; others are asked directly
+  const target = parseOutlookUrl(getWindowMeta(window)?.url || window.webContents.getURL());
+  if (!target) {
+    dialog.showErrorBox(title, "This window does not show Outlook mail.");
+    return null;
+  }
+  return { ...target, accountType: getWindowAccountType(window) };
+}
+
+/**
+ * Save the message open in an Outlook window as an .eml file
+ * @param {BrowserWindow} window - Outlook window with a message open
+ * @returns {Promise<{success: boolean, filePath?: string, error?: string}>}
+ */
+export async function saveMessageAsEml(window) {
+  const title = "Cannot Save Message";
+  const target = getOutlookTarget(window, title);
+  if (!target) return { success: false, error: "Not available" };
+  if (!target.messageId) {
+    dialog.showErrorBox(title, "Open a message in Outlook first.");
+    return { success: false, error: "No message open" };
+  }
+
+  try {
+    const message = await getMailMessage(target.accountType, target.messageId);
+    const folder = getValue("emlSaveDirectory") || app.getPath("documents");
+    const { canceled, filePath } = await dialog.showSaveDialog(window, {
+      title: "Save Message as .eml",
+      defaultPath: join(folder, `${toFileName(message.subject, "Message")}.eml`),
+      filters: [{ name: "Email Messages", extensions: ["eml"] }],
+    });
+    if (canceled || !filePath) return { success: false, error: "Cancelled" };
+
+    await writeFile(filePath, await downloadMailMime(target.accountType, target.messageId));
+    setValue("emlSaveDirectory", dirname(filePath));
+    console.log(`Saved message ${target.messageId} as "${filePath}"`);
+
+    showNotification({
+      title: "Message Saved",
+      body: basename(filePath),
+      type: "general",
+      onClick: () => shell.showItemInFolder(filePath),
+    });
+    return { success: true, filePath };
+  } catch (error) {
+    console.error(`Failed to save message ${target.messageId}:`, error);
+    dialog.showErrorBox(title, `The message could not be saved.\n\n${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save the message in the focused window as .eml
+ * Used by File > Save Message as .eml
+ */
+export function saveFocusedMessageAsEml() {
+  const window = BrowserWindow.getFocusedWindow();
+  if (window) saveMessageAsEml(window);
+}
+
+/**
+ * Format a date the way mbox "From " lines expect, e.g. "Mon Jan  1 10:00:00 2024"
+ * @param {string} isoDate - ISO date
+ * @returns {string} asctime date in UTC
+ */
+function toAsctime(isoDate) {
+  const date = Number.isNaN(Date.parse(isoDate)) ? new Date() : new Date(isoDate);
+  // toUTCString gives "Mon, 01 Jan 2024 10:00:00 GMT"
+  const [weekday, day, month, year, time] = date.toUTCString().replace(",", "").split(" ");
+  return `${weekday} ${month} ${String(Number(day)).padStart(2, " ")} ${time} ${year}`;
+}
+
+/**
+ * Build the mbox entry for a message
+ * Uses mboxrd quoting: lines starting with "From " (after any ">") get one more ">".
+ * @param {Buffer} mime - RFC 822 message
+ * @param {object} message - Graph message with from and receivedDateTime
+ * @returns {Buffer} Entry ending in a blank line
+ */
+function toMboxEntry(mime, message) {
+  const sender = message.from?.emailAddress?.address || "MAILER-DAEMON";
+  const body = mime.toString("latin1")
+    .replace(/\r\n/g, "\n")
+    .replace(/^(>*From )/gm, ">$1")
+    .replace(/\n*$/, "\n");
+  return Buffer.from(`From ${sender.replace(/\s/g, "")} ${toAsctime(message.receivedDateTime)}\n${body}\n`, "latin1");
+}
+
+/**
+ * Read an archive's progress file
+ * Line one describes the folder; every later line is "<mbox size> <message id>",
+ * written after the message was appended.
+ * @param {string} progressPath - Progress file
+ * @returns {Promise<{folder: object|null, ids: Set<string>, size: number}>}
+ */
+async function readProgress(progressPath) {
+  const content = await readFile(progressPath, "utf8").catch(() => "");
+  const [header, ...lines] = content.split("\n").filter(Boolean);
+
+  let folder = null;
+  try {
+    folder = header ? JSON.parse(header) : null;
+  } catch {
+    folder = null;
+  }
+
+  const ids = new Set();
+  let size = 0;
+  for (const line of lines) {
+    const [bytes, id] = line.split(" ");
+    if (!id || Number.isNaN(Number(bytes))) continue;
+    ids.add(id);
+    size = Number(bytes);
+  }
+  return { folder, ids, size };
+}
+
+/**
+ * Pick the mbox file for a folder
+ * Folders with the same name get numbered files; a folder archived before keeps its file.
+ * @param {string} accountType - Profile id
+ * @param {string} folderId - Folder id
+ * @param {string} folderName - Folder display name
+ * @returns {Promise<string>} mbox path
+ */
+async function getArchivePath(accountType, folderId, folderName) {
+  const dir = join(getMailArchiveDir(), toFileName(accountType, "account"));
+  const stem = toFileName(folderName, "Folder");
+
+  for (let n = 1; ; n++) {
+    const candidate = join(dir, n === 1 ? `${stem}.mbox` : `${stem} (${n}).mbox`);
+    const { folder } = await readProgress(`${candidate}${PROGRESS_SUFFIX}`);
+    if (folder ? folder.folderId === folderId && folder.accountType === accountType : !existsSync(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Get the archives that were stopped before they finished
+ * @returns {ArchiveJob[]}
+ */
+function getUnfinishedJobs() {
+  return getValue("mailArchiveJobs") || [];
+}
+
+/**
+ * Remember or forget an unfinished archive
+ * @param {ArchiveJob} job - Archive
+ * @param {boolean} unfinished - Whether it still has to be resumed
+ */
+function saveJob(job, unfinished) {
+  const { controller, windowId, ...entry } = job;
+  const others = getUnfinishedJobs().filter((candidate) => candidate.path !== job.path);
+  setValue("mailArchiveJobs", unfinished ? [...others, entry] : others);
+}
+
+/**
+ * Get the archive status for the tray menu
+ * @returns {{running: ArchiveJob|null, unfinished: ArchiveJob[]}}
+ */
+export function getMailArchiveStatus() {
+  const running = currentJob ? { ...currentJob, controller: undefined } : null;
+  return {
+    running,
+    unfinished: getUnfinishedJobs().filter((job) => job.path !== currentJob?.path),
+  };
+}
+
+/**
+ * Report archive progress to the tray and the window that started it
+ */
+function emitProgress() {
+  const window = currentJob ? BrowserWindow.fromId(currentJob.windowId) : null;
+  if (window && !window.isDestroyed()) {
+    window.setProgressBar(currentJob.total > 0 ? Math.min(currentJob.done / currentJob.total, 1) : 2);
+  }
+  app.emit("mail-archive-changed", getMailArchiveStatus());
+}
+
+/**
+ * Append the folder's messages that are not in the archive yet
+ * @param {ArchiveJob} job - Archive to run
+ * @returns {Promise<number>} Messages added
+ */
+async function appendNewMessages(job) {
+  const progressPath = `${job.path}${PROGRESS_SUFFIX}`;
+  await mkdir(dirname(job.path), { recursive: true });
+
+  const progress = await readProgress(progressPath);
+  if (!progress.folder) {
+    await writeFile(progressPath, `${JSON.stringify({ folderId: job.folderId, accountType: job.accountType, folderName: job.folderName })}\n`);
+  }
+
+  // A message cut off by a crash is dropped and downloaded again
+  let size = progress.size;
+  const current = await stat(job.path).catch(() => null);
+  if (!current) {
+    await writeFile(job.path, "");
+  } else if (current.size !== size) {
+    await truncate(job.path, size);
+  }
+
+  job.done = progress.ids.size;
+  emitProgress();
+
+  let added = 0;
+  let nextPage = null;
+  do {
+    const page = await listMailFolderMessages(job.accountType, job.folderId, { nextPage, signal: job.controller.signal });
+    for (const message of page.messages) {
+      if (progress.ids.has(message.id)) continue;
+
+      const entry = toMboxEntry(await downloadMailMime(job.accountType, message.id, job.controller.signal), message);
+      await appendFile(job.path, entry);
+      size += entry.length;
+      await appendFile(progressPath, `${size} ${message.id}\n`);
+      progress.ids.add(message.id);
+
+      job.done++;
+      added++;
+      emitProgress();
+    }
+    nextPage = page.nextPage;
+  } while (nextPage);
+
+  return added;
+}
+
+/**
+ * Run an archive to the end, or until it fails or is stopped
+ * @param {ArchiveJob} job - Archive to run
+ * @param {number} [windowId] - Window showing the progress bar
+ */
+async function runArchive(job, windowId) {
+  currentJob = { ...job, error: undefined, controller: new AbortController(), windowId };
+  saveJob(currentJob, true);
+  emitProgress();
+
+  try {
+    const added = await appendNewMessages(currentJob);
+    saveJob(currentJob, false);
+    console.log(`Archived ${added} new messages from "${job.folderName}" to "${job.path}"`);
+    showNotification({
+      title: "Mail Archived",
+      body: added > 0
+        ? `${added} messages from "${job.folderName}" were added to ${basename(job.path)}.`
+        : `"${job.folderName}" has no new messages.`,
+      type: "general",
+      onClick: () => shell.showItemInFolder(job.path),
+    });
+  } catch (error) {
+    const stopped = currentJob.controller.signal.aborted;
+    currentJob.error = stopped ? "Stopped" : error.message;
+    saveJob(currentJob, true);
+    if (!stopped) {
+      console.error(`Failed to archive "${job.folderName}":`, error);
+      showNotification({
+        title: "Mail Archive Stopped",
+        body: `"${job.folderName}" could not be archived: ${error.message} Resume it from the tray menu.`,
+        type: "general",
+      });
+    }
+  } finally {
+    const window = BrowserWindow.fromId(windowId ?? -1);
+    if (window && !window.isDestroyed()) window.setProgressBar(-1);
+    currentJob = null;
+    emitProgress();
+  }
+}
+
+/**
+ * Archive the mail folder shown in an Outlook window to mbox
+ * A folder archived before only gets its new messages.
+ * @param {BrowserWindow} window - Outlook window showing a folder
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function archiveMailFolder(window) {
+  const title = "Cannot Archive Folder";
+  if (currentJob) {
+    dialog.showErrorBox(title, `"${currentJob.folderName}" is still being archived. Wait for it to finish or stop it from the tray menu.`);
+    return { success: false, error: "Busy" };
+  }
+
+  const target = getOutlookTarget(window, title);
+  if (!target) return { success: false, error: "Not available" };
+  if (!target.folderId) {
+    dialog.showErrorBox(title, "Open a mail folder in Outlook first.");
+    return { success: false, error: "No folder open" };
+  }
+
+  let folder;
+  try {
+    folder = await getMailFolder(target.accountType, target.folderId);
+  } catch (error) {
+    console.error(`Failed to look up mail folder ${target.folderId}:`, error);
+    dialog.showErrorBox(title, `The folder could not be found.\n\n${error.message}`);
+    return { success: false, error: error.message };
+  }
+
+  const job = {
+    path: await getArchivePath(target.accountType, folder.id, folder.displayName),
+    accountType: target.accountType,
+    folderId: folder.id,
+    folderName: folder.displayName,
+    done: 0,
+    total: folder.totalItemCount || 0,
+  };
+  runArchive(job, window.id);
+  return { success: true };
+}
+
+/**
+ * Archive the folder in the focused window
+ * Used by File > Archive Mail Folder to mbox
+ */
+export function archiveFocusedMailFolder() {
+  const window = BrowserWindow.getFocusedWindow();
+  if (window) archiveMailFolder(window);
+}
+
+/**
+ * Continue an archive that was stopped
+ * @param {string} path - mbox file of the archive
+ */
+export function resumeMailArchive(path) {
+  const job = getUnfinishedJobs().find((candidate) => candidate.path === path);
+  if (!job || currentJob) return;
+  runArchive(job);
+}
+
+/**
+ * Stop the running archive; it can be resumed later
+ */
+export function stopMailArchive() {
+  currentJob?.controller.abort();
+}
+
+/**
+ * Forget a stopped archive; the messages archived so far are kept
+ * @param {string} path - mbox file of the archive
+ */
+export function discardMailArchive(path) {
+  saveJob({ path }, false);
+  app.emit("mail-archive-changed", getMailArchiveStatus());
+}
+
+/**
+ * Open the archive directory in the file manager
+ */
+export async function openMailArchiveDir() {
+  await mkdir(getMailArchiveDir(), { recursive: true }).catch(() => {});
+  shell.openPath(getMailArchiveDir());
+}
+
+/**
+ * Initialize mail export
+ * A running archive is stopped when the app quits and offered for resuming next time
+ */
+export function initializeMailExport() {
+  app.on("will-quit", stopMailArchive);
+}
@@ -0,0 +1,943 @@
+/**
+ * Mail Parser Module
+ * Reads RFC 822 (.eml) messages and Outlook .msg files for the mail viewer
+ *
+ * Both are turned into the same shape: addresses, subject, date, plain text
+ * and HTML bodies, and attachments with their content. .msg files are
+ * Compound File Binary (OLE) containers of MAPI properties; messages that
+ * only carry an RTF body show their plain text body instead.
+ */
+
+import { randomUUID } from "crypto";
+import { readFile } from "fs/promises";
+
+// Nested multiparts and embedded messages beyond this are not opened
+const MAX_DEPTH = 16;
+
+// Compound File Binary signature
+const CFB_SIGNATURE = Buffer.from("d0cf11e0a1b11ae1", "hex");
+
+// Sector numbers from here up mark free sectors and chain ends
+const MAX_REGULAR_SECTOR = 0xfffffffa;
+
+// Directory entry that does not exist
+const NO_STREAM = 0xffffffff;
+
+// Directory entry types
+const STORAGE = 1;
+const STREAM = 2;
+
+// MAPI property ids
+const PROP = {
+  SUBJECT: 0x0037,
+  CLIENT_SUBMIT_TIME: 0x0039,
+  SENT_REPRESENTING_NAME: 0x0042,
+  SENT_REPRESENTING_EMAIL: 0x0065,
+  TRANSPORT_HEADERS: 0x007d,
+  RECIPIENT_TYPE: 0x0c15,
+  SENDER_NAME: 0x0c1a,
+  SENDER_EMAIL: 0x0c1f,
+  DELIVERY_TIME: 0x0e06,
+  BODY: 0x1000,
+  HTML: 0x1013,
+  INTERNET_MESSAGE_ID: 0x1035,
+  DISPLAY_NAME: 0x3001,
+  EMAIL_ADDRESS: 0x3003,
+  ATTACH_DATA: 0x3701,
+  ATTACH_FILENAME: 0x3704,
+  ATTACH_METHOD: 0x3705,
+  ATTACH_LONG_FILENAME: 0x3707,
+  ATTACH_MIME_TAG: 0x370e,
+  ATTACH_CONTENT_ID: 0x3712,
+  SMTP_ADDRESS: 0x39fe,
+  INTERNET_CODEPAGE: 0x3fde,
+  MESSAGE_CODEPAGE: 0x3ffd,
+  SENDER_SMTP_ADDRESS: 0x5d01,
+  SENT_REPRESENTING_SMTP_ADDRESS: 0x5d02,
+  ATTACHMENT_HIDDEN: 0x7ffe,
+};
+
+// MAPI property types
+const PT_LONG = 0x0003;
+const PT_BOOLEAN = 0x000b;
+const PT_STRING8 = 0x001e;
+const PT_UNICODE = 0x001f;
+const PT_SYSTIME = 0x0040;
+const PT_BINARY = 0x0102;
+
+// Attachment method of an embedded message
+const ATTACH_EMBEDDED_MSG = 5;
+
+// Size of the header before the entries of a __properties_version1.0 stream
+const PROPERTY_HEADER_SIZE = { message: 32, embedded: 24, child: 8 };
+
+// Windows code pages that are not windows-<n> or iso-8859-<n>
+const CODEPAGES = {
+  874: "windows-874",
+  932: "shift_jis",
+  936: "gbk",
+  949: "euc-kr",
+  950: "big5",
+  1200: "utf-16le",
+  20127: "us-ascii",
+  20866: "koi8-r",
+  21866: "koi8-u",
+  50220: "iso-2022-jp",
+  51932: "euc-jp",
+  54936: "gb18030",
+  65001: "utf-8",
+};
+
+// File extensions for attachments that arrive without a name
+const TYPE_EXTENSIONS = {
+  "text/plain": ".txt",
+  "text/html": ".html",
+  "text/calendar": ".ics",
+  "text/vcard": ".vcf",
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "application/pdf": ".pdf",
+  "message/rfc822": ".eml",
+};
+
+/**
+ * Mail address
+ * @typedef {Object} MailAddress
+ * @property {string} name - Display name, may be empty
+ * @property {string} address - Address, may be empty
+ */
+
+/**
+ * Mail attachment
+ * @typedef {Object} MailAttachment
+ * @property {string} name - File name
+ * @property {string} contentType - MIME type
+ * @property {number} size - Size in bytes
+ * @property {Buffer} data - Content
+ * @property {string} [contentId] - Content-ID the HTML body refers to it by
+ * @property {boolean} [inline] - Whether it is shown in the body, e.g. an embedded image
+ */
+
+/**
+ * Parsed message
+ * @typedef {Object} ParsedMail
+ * @property {string} subject - Subject
+ * @property {MailAddress[]} from - Senders
+ * @property {MailAddress[]} to - To recipients
+ * @property {MailAddress[]} cc - Cc recipients
+ * @property {MailAddress[]} replyTo - Reply-To addresses
+ * @property {Date|null} date - Sent date
+ * @property {string} messageId - Message-ID without angle brackets
+ * @property {string|null} text - Plain text body
+ * @property {string|null} html - HTML body
+ * @property {MailAttachment[]} attachments - Attachments
+ */
+
+/**
+ * Decode text in a charset, falling back to UTF-8 for unknown charsets
+ * @param {Buffer} bytes - Encoded text
+ * @param {string} [charset] - Charset label
+ * @returns {string} Text
+ */
+function decodeText(bytes, charset) {
+  try {
+    return new TextDecoder((charset || "utf-8").trim()).decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+/**
+ * Get the charset of a Windows code page
+ * @param {number} codepage - Code page number
+ * @returns {string} Charset label
+ */
+function getCodepageCharset(codepage) {
+  if (CODEPAGES[codepage]) return CODEPAGES[codepage];
+  if (codepage >= 1250 && codepage <= 1258) return `windows-${codepage}`;
+  if (codepage >= 28591 && codepage <= 28605) return `iso-8859-${codepage - 28590}`;
+  return "windows-1252";
+}
+
+/**
+ * Decode quoted-printable content (RFC 2045) or a Q-encoded word (RFC 2047)
+ * @param {string} text - Encoded text, one character per byte
+ * @param {boolean} [isWord] - Whether it is an encoded word, where "_" is a space
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeQuotedPrintable(text, isWord = false) {
+  const source = isWord
+    ? text.replace(/_/g, " ")
+    : text.replace(/[ \t]+(?=\r?\n)/g, "").replace(/=\r?\n/g, "");
+  const bytes = Buffer.alloc(source.length);
+  let length = 0;
+  for (let i = 0; i < source.length; i++) {
+    const hex = source.slice(i + 1, i + 3);
+    if (source[i] === "=" && /^[0-9a-f]{2}$/i.test(hex)) {
+      bytes[length++] = parseInt(hex, 16);
+      i += 2;
+    } else {
+      bytes[length++] = source.charCodeAt(i) & 0xff;
+    }
+  }
+  return bytes.subarray(0, length);
+}
+
+/**
+ * Decode the encoded words in a header (RFC 2047)
+ * Adjacent words in the same charset are joined before decoding, as senders
+ * split multi-byte characters across them.
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+function decodeEncodedWords(value) {
+  const word = /=\?([^?*]+)(?:\*[^?]*)?\?([bq])\?([^?]*)\?=/gi;
+  const run = /=\?[^?]+\?[bq]\?[^?]*\?=(?:\s*=\?[^?]+\?[bq]\?[^?]*\?=)*/gi;
+
+  return value.replace(run, (words) => {
+    const groups = [];
+    for (const [, charset, encoding, text] of words.matchAll(word)) {
+      const bytes = encoding.toLowerCase() === "b" ? Buffer.from(text, "base64") : decodeQuotedPrintable(text, true);
+      const last = groups[groups.length - 1];
+      if (last && last.charset.toLowerCase() === charset.toLowerCase()) {
+        last.bytes.push(bytes);
+      } else {
+        groups.push({ charset, bytes: [bytes] });
+      }
+    }
+    return groups.map((group) => decodeText(Buffer.concat(group.bytes), group.charset)).join("");
+  });
+}
+
+/**
+ * Split a header value on a separator outside quotes, comments and angle brackets
+ * @param {string} value - Header value
+ * @param {string} separator - Separator character
+ * @returns {string[]} Parts
+ */
+function splitHeaderList(value, separator) {
+  const parts = [];
+  let current = "";
+  let quoted = false;
+  let depth = 0;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === "\\" && quoted) {
+      current += char + (value[++i] ?? "");
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === "(" || char === "<")) depth++;
+    else if (!quoted && (char === ")" || char === ">")) depth = Math.max(0, depth - 1);
+
+    if (char === separator && !quoted && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse a structured header such as Content-Type, with RFC 2231 parameters
+ * @param {string} [value] - Header value
+ * @returns {{value: string, params: Object<string, string>}} Lower-case value and parameters
+ */
+function parseStructuredHeader(value = "") {
+  const [main, ...rest] = splitHeaderList(value, ";");
+  const params = {};
+  const extended = {};
+
+  for (const part of rest) {
+    const separator = part.indexOf("=");
+    if (separator === -1) continue;
+    const name = part.slice(0, separator).trim().toLowerCase();
+    let raw = part.slice(separator + 1).trim();
+    if (raw.startsWith('"')) raw = raw.replace(/^"|"$/g, "").replace(/\\(.)/g, "$1");
+
+    // name*=charset'lang'value, name*0=..., name*1*=...
+    const encoded = name.endsWith("*");
+    const stripped = encoded ? name.slice(0, -1) : name;
+    const section = /^(.+)\*(\d+)$/.exec(stripped);
+    if (!encoded && !section) {
+      params[name] = decodeEncodedWords(raw);
+      continue;
+    }
+    const base = section ? section[1] : stripped;
+    extended[base] ||= [];
+    extended[base][section ? Number(section[2]) : 0] = { raw, encoded };
+  }
+
+  for (const [name, sections] of Object.entries(extended)) {
+    let charset = "utf-8";
+    const bytes = sections.filter(Boolean).map(({ raw, encoded }, index) => {
+      if (!encoded) return Buffer.from(raw, "latin1");
+      const prefix = index === 0 ? /^([^']*)'[^']*'(.*)$/.exec(raw) : null;
+      if (prefix) {
+        charset = prefix[1] || charset;
+        raw = prefix[2];
+      }
+      return Buffer.from(raw.replace(/%([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))), "latin1");
+    });
+    params[name] = decodeText(Buffer.concat(bytes), charset);
+  }
+
+  return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Parse an address list header
+ * Groups ("Team: a@example.com, b@example.com;") are flattened.
+ * @param {string} [value] - Header value
+ * @returns {MailAddress[]} Addresses
+ */
+function parseAddresses(value) {
+  if (!value) return [];
+  const addresses = [];
+  for (let item of splitHeaderList(value, ",")) {
+    item = item.replace(/^[^"<@]*:\s*/, "").replace(/;\s*$/, "").trim();
+    if (!item) continue;
+
+    const angle = /<([^>]*)>/.exec(item);
+    let name;
+    let address;
+    if (angle) {
+      name = item.slice(0, angle.index);
+      address = angle[1];
+    } else {
+      name = /\((.*)\)/.exec(item)?.[1] || "";
+      address = item.replace(/\(.*\)/, "");
+    }
+    name = decodeEncodedWords(name.trim()).replace(/^"|"$/g, "").replace(/\\(.)/g, "$1").trim();
+    address = address.trim();
+    if (name || address) addresses.push({ name, address });
+  }
+  return addresses;
+}
+
+/**
+ * Parse a header block into fields
+ * Names are lower-case; raw UTF-8 (RFC 6532) is decoded, encoded words are not.
+ * @param {string} headerText - Header block, one character per byte
+ * @returns {Map<string, string[]>} Values of each field
+ */
+function parseHeaderFields(headerText) {
+  const fields = new Map();
+  const unfolded = headerText.replace(/\r?\n(?=[ \t])/g, "");
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+
+    const name = line.slice(0, colon).trim().toLowerCase();
+    const bytes = Buffer.from(line.slice(colon + 1).trim(), "latin1");
+    let value;
+    try {
+      value = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    } catch {
+      value = decodeText(bytes, "windows-1252");
+    }
+
+    if (!fields.has(name)) fields.set(name, []);
+    fields.get(name).push(value);
+  }
+  return fields;
+}
+
+/**
+ * Get the first value of a header field
+ * @param {Map<string, string[]>} fields - Header fields
+ * @param {string} name - Lower-case field name
+ * @returns {string} Value, or "" when missing
+ */
+function getField(fields, name) {
+  return fields.get(name)?.[0] || "";
+}
+
+/**
+ * Split an entity into its header block and body
+ * @param {Buffer} buffer - Entity
+ * @returns {{headerText: string, body: Buffer}}
+ */
+function splitEntity(buffer) {
+  const text = buffer.toString("latin1");
+  const leading = /^\r?\n/.exec(text);
+  if (leading) return { headerText: "", body: buffer.subarray(leading[0].length) };
+
+  const blank = /\r?\n\r?\n/.exec(text);
+  if (!blank) return { headerText: text, body: Buffer.alloc(0) };
+  return { headerText: text.slice(0, blank.index), body: buffer.subarray(blank.index + blank[0].length) };
+}
+
+/**
+ * Split a multipart body into its parts
+ * @param {Buffer} body - Multipart body
+ * @param {string} boundary - Boundary parameter
+ * @returns {Buffer[]} Parts
+ */
+function splitMultipart(body, boundary) {
+  const text = body.toString("latin1");
+  const delimiter = `--${boundary}`;
+
+  // Delimiters start a line and are followed by a line break, padding or "--"
+  const starts = [];
+  for (let index = text.indexOf(delimiter); index !== -1; index = text.indexOf(delimiter, index + delimiter.length)) {
+    const after = text[index + delimiter.length];
+    const atLineStart = index === 0 || text[index - 1] === "\n";
+    if (atLineStart && (after === undefined || /[\r\n \t]/.test(after) || text.startsWith("--", index + delimiter.length))) {
+      starts.push(index);
+    }
+  }
+
+  const parts = [];
+  for (let i = 0; i < starts.length; i++) {
+    if (text.startsWith("--", starts[i] + delimiter.length)) break;
+    const lineEnd = text.indexOf("\n", starts[i]);
+    if (lineEnd === -1) break;
+
+    // The line break before the next delimiter belongs to the delimiter
+    let end = i + 1 < starts.length ? starts[i + 1] - 1 : text.length;
+    if (i + 1 < starts.length && text[end - 1] === "\r") end--;
+    parts.push(body.subarray(lineEnd + 1, Math.max(end, lineEnd + 1)));
+  }
+  return parts;
+}
+
+/**
+ * Undo a Content-Transfer-Encoding
+ * @param {Buffer} body - Encoded body
+ * @param {string} encoding - Transfer encoding
+ * @returns {Buffer} Decoded body
+ */
+function decodeTransferEncoding(body, encoding) {
+  switch (encoding.trim().toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.toString("latin1"), "base64");
+    case "quoted-printable":
+      return decodeQuotedPrintable(body.toString("latin1"));
+    default:
+      return body;
+  }
+}
+
+/**
+ * Parse a MIME entity and its parts
+ * @param {Buffer} buffer - Entity
+ * @param {number} [depth] - Nesting depth
+ * @returns {object} Entity with headers, type, params, disposition and body or parts
+ */
+function parseEntity(buffer, depth = 0) {
+  const { headerText, body } = splitEntity(buffer);
+  const fields = parseHeaderFields(headerText);
+  const contentType = parseStructuredHeader(getField(fields, "content-type") || "text/plain");
+  const disposition = parseStructuredHeader(getField(fields, "content-disposition"));
+
+  const entity = {
+    fields,
+    type: contentType.value || "text/plain",
+    params: contentType.params,
+    disposition: disposition.value,
+    filename: disposition.params.filename || contentType.params.name || "",
+    contentId: getField(fields, "content-id").replace(/^<|>$/g, ""),
+    body: null,
+    parts: [],
+  };
+
+  if (entity.type.startsWith("multipart/") && contentType.params.boundary && depth < MAX_DEPTH) {
+    entity.parts = splitMultipart(body, contentType.params.boundary).map((part) => parseEntity(part, depth + 1));
+  } else {
+    entity.body = decodeTransferEncoding(body, getField(fields, "content-transfer-encoding"));
+  }
+  return entity;
+}
+
+/**
+ * Get the charset of an HTML body from its Content-Type or <meta> tag
+ * @param {object} entity - text/html entity
+ * @returns {string|undefined} Charset label
+ */
+function getHtmlCharset(entity) {
+  if (entity.params.charset) return entity.params.charset;
+  const head = entity.body.subarray(0, 4096).toString("latin1");
+  return /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head)?.[1];
+}
+
+/**
+ * Name an attachment that came without a file name
+ * @param {string} contentType - MIME type
+ * @param {number} number - Position in the attachment list
+ * @returns {string} File name
+ */
+function getFallbackName(contentType, number) {
+  return `Attachment ${number}${TYPE_EXTENSIONS[contentType] || ""}`;
+}
+
+/**
+ * Collect the bodies and attachments of an entity tree
+ * The first inline plain text and HTML parts are the bodies; everything else is an attachment.
+ * @param {object} entity - Parsed entity
+ * @param {ParsedMail} result - Message being filled in
+ */
+function collectParts(entity, result) {
+  if (entity.parts.length > 0) {
+    for (const part of entity.parts) collectParts(part, result);
+    return;
+  }
+  if (entity.body === null) return;
+
+  const isBody = entity.disposition !== "attachment" && !entity.filename;
+  if (isBody && entity.type === "text/plain" && result.text === null) {
+    result.text = decodeText(entity.body, entity.params.charset);
+    return;
+  }
+  if (isBody && entity.type === "text/html" && result.html === null) {
+    result.html = decodeText(entity.body, getHtmlCharset(entity));
+    return;
+  }
+
+  let name = entity.filename;
+  if (!name && entity.type === "message/rfc822") {
+    const subject = decodeEncodedWords(getField(parseHeaderFields(splitEntity(entity.body).headerText), "subject"));
+    name = subject ? `${subject}.eml` : "";
+  }
+  result.attachments.push({
+    name: name || getFallbackName(entity.type, result.attachments.length + 1),
+    contentType: entity.type,
+    size: entity.body.length,
+    data: entity.body,
+    ...(entity.contentId && { contentId: entity.contentId }),
+  });
+}
+
+/**
+ * Mark attachments the HTML body shows, such as embedded images
+ * @param {ParsedMail} message - Parsed message
+ * @returns {ParsedMail} The same message
+ */
+function markInlineAttachments(message) {
+  for (const attachment of message.attachments) {
+    if (attachment.contentId && message.html?.includes(`cid:${attachment.contentId}`)) {
+      attachment.inline = true;
+    }
+  }
+  return message;
+}
+
+/**
+ * Parse an RFC 822 message (.eml)
+ * @param {Buffer} buffer - Message
+ * @returns {ParsedMail}
+ */
+export function parseEml(buffer) {
+  const entity = parseEntity(buffer);
+  if (entity.fields.size === 0) throw new Error("The file is not an email message.");
+  const date = new Date(getField(entity.fields, "date"));
+
+  const message = {
+    subject: decodeEncodedWords(getField(entity.fields, "subject")),
+    from: parseAddresses(getField(entity.fields, "from")),
+    to: (entity.fields.get("to") || []).flatMap(parseAddresses),
+    cc: (entity.fields.get("cc") || []).flatMap(parseAddresses),
+    replyTo: parseAddresses(getField(entity.fields, "reply-to")),
+    date: Number.isNaN(date.getTime()) ? null : date,
+    messageId: getField(entity.fields, "message-id").replace(/^<|>$/g, ""),
+    text: null,
+    html: null,
+    attachments: [],
+  };
+  collectParts(entity, message);
+  return markInlineAttachments(message);
+}
+
+/**
+ * Read the storages and streams of a Compound File Binary container
+ * @param {Buffer} buffer - File content
+ * @returns {{streams: Map<string, Function>, storages: Map<string, object>}} Root storage; streams are read on demand
+ */
+function readCompoundFile(buffer) {
+  if (buffer.length < 512 || !buffer.subarray(0, 8).equals(CFB_SIGNATURE)) {
+    throw new Error("The file is not an Outlook message (.msg).");
+  }
+
+  const sectorSize = 2 ** buffer.readUInt16LE(0x1e);
+  const miniSectorSize = 2 ** buffer.readUInt16LE(0x20);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+  const readSector = (sector) => {
+    if (sectorOffset(sector) + sectorSize > buffer.length) throw new Error("The .msg file is truncated.");
+    return buffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+  };
+  const readTable = (sectors) => {
+    const table = [];
+    for (const sector of sectors) {
+      const data = readSector(sector);
+      for (let offset = 0; offset < sectorSize; offset += 4) table.push(data.readUInt32LE(offset));
+    }
+    return table;
+  };
+  const followChain = (start, table) => {
+    const chain = [];
+    for (let sector = start; sector <= MAX_REGULAR_SECTOR; sector = table[sector]) {
+      if (sector === undefined || chain.length > table.length) throw new Error("The .msg file is damaged.");
+      chain.push(sector);
+    }
+    return chain;
+  };
+
+  // The FAT sectors are listed in the header, then in a chain of DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) fatSectors.push(buffer.readUInt32LE(0x4c + i * 4));
+  let difatSector = buffer.readUInt32LE(0x44);
+  for (let count = buffer.readUInt32LE(0x48); count > 0 && difatSector <= MAX_REGULAR_SECTOR; count--) {
+    const data = readSector(difatSector);
+    for (let offset = 0; offset < sectorSize - 4; offset += 4) fatSectors.push(data.readUInt32LE(offset));
+    difatSector = data.readUInt32LE(sectorSize - 4);
+  }
+  const fat = readTable(fatSectors.filter((sector) => sector <= MAX_REGULAR_SECTOR));
+  const readChain = (start, size) => Buffer.concat(followChain(start, fat).map(readSector)).subarray(0, size);
+
+  const directory = Buffer.concat(followChain(buffer.readUInt32LE(0x30), fat).map(readSector));
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = Math.min(directory.readUInt16LE(offset + 64), 64);
+    entries.push({
+      name: directory.toString("utf16le", offset, offset + Math.max(0, nameLength - 2)),
+      type: directory[offset + 66],
+      left: directory.readUInt32LE(offset + 68),
+      right: directory.readUInt32LE(offset + 72),
+      child: directory.readUInt32LE(offset + 76),
+      start: directory.readUInt32LE(offset + 116),
+      size: directory.readUInt32LE(offset + 120),
+    });
+  }
+  if (entries.length === 0) throw new Error("The .msg file is damaged.");
+
+  // Small streams live in the mini stream, which is the root entry's content
+  const miniStream = readChain(entries[0].start, entries[0].size);
+  const miniFatStart = buffer.readUInt32LE(0x3c);
+  const miniFat = miniFatStart <= MAX_REGULAR_SECTOR ? readTable(followChain(miniFatStart, fat)) : [];
+  const readStream = (entry) => {
+    if (entry.size >= miniStreamCutoff) return readChain(entry.start, entry.size);
+    return Buffer.concat(
+      followChain(entry.start, miniFat).map((sector) => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize))
+    ).subarray(0, entry.size);
+  };
+
+  // The children of a storage form a tree through their left and right siblings
+  const visited = new Set();
+  const buildStorage = (entry) => {
+    const storage = { streams: new Map(), storages: new Map() };
+    const pending = [entry.child];
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (id === NO_STREAM || visited.has(id) || !entries[id]) continue;
+      visited.add(id);
+      const child = entries[id];
+      pending.push(child.left, child.right);
+      if (child.type === STREAM) storage.streams.set(child.name, () => readStream(child));
+      else if (child.type === STORAGE) storage.storages.set(child.name, buildStorage(child));
+    }
+    return storage;
+  };
+  visited.add(0);
+  return buildStorage(entries[0]);
+}
+
+/**
+ * Read the MAPI properties of a .msg storage
+ * Variable-length values are streams named __substg1.0_<id><type>; fixed-length
+ * ones are 16-byte entries in __properties_version1.0.
+ * @param {object} storage - Storage from readCompoundFile()
+ * @param {number} headerSize - Header size of the properties stream
+ * @returns {Map<number, {type: number, data: Buffer}>} Properties by id
+ */
+function readProperties(storage, headerSize) {
+  const properties = new Map();
+  for (const [name, read] of storage.streams) {
+    const match = /^__substg1\.0_([0-9A-F]{4})([0-9A-F]{4})$/i.exec(name);
+    if (!match) continue;
+    const type = parseInt(match[2], 16);
+    if (type & 0x1000) continue; // Multi-valued
+    properties.set(parseInt(match[1], 16), { type, data: read() });
+  }
+
+  const fixed = storage.streams.get("__properties_version1.0")?.();
+  for (let offset = headerSize; fixed && offset + 16 <= fixed.length; offset += 16) {
+    const tag = fixed.readUInt32LE(offset);
+    const id = tag >>> 16;
+    if (!properties.has(id)) properties.set(id, { type: tag & 0xffff, data: fixed.subarray(offset + 8, offset + 16) });
+  }
+  return properties;
+}
+
+/**
+ * Read MAPI property values
+ * @param {Map<number, {type: number, data: Buffer}>} properties - Properties from readProperties()
+ * @param {string} charset - Charset of 8-bit strings
+ * @returns {{string: Function, number: Function, bool: Function, time: Function, binary: Function}} Getters by id
+ */
+function propertyReader(properties, charset) {
+  return {
+    string(id) {
+      const property = properties.get(id);
+      if (property?.type === PT_UNICODE) return property.data.toString("utf16le").replace(/\0+$/, "");
+      if (property?.type === PT_STRING8) return decodeText(property.data, charset).replace(/\0+$/, "");
+      return "";
+    },
+    number(id) {
+      const property = properties.get(id);
+      return property?.type === PT_LONG ? property.data.readInt32LE(0) : null;
+    },
+    bool(id) {
+      const property = properties.get(id);
+      return property?.type === PT_BOOLEAN && property.data.readUInt16LE(0) !== 0;
+    },
+    time(id) {
+      const property = properties.get(id);
+      if (property?.type !== PT_SYSTIME) return null;
+      // FILETIME: 100 ns intervals since 1601
+      const date = new Date(Number(property.data.readBigUInt64LE(0) / 10000n) - 11644473600000);
+      return Number.isNaN(date.getTime()) ? null : date;
+    },
+    binary(id) {
+      const property = properties.get(id);
+      return property?.type === PT_BINARY ? property.data : null;
+    },
+  };
+}
+
+/**
+ * Get the child storages whose names start with a prefix, in order
+ * @param {object} storage - Storage from readCompoundFile()
+ * @param {string} prefix - Name prefix, e.g. "__attach_version1.0_"
+ * @returns {object[]} Storages
+ */
+function getChildStorages(storage, prefix) {
+  return [...storage.storages.entries()]
+    .filter(([name]) => name.startsWith(prefix))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, child]) => child);
+}
+
+/**
+ * Turn a subject into a file name
+ * @param {string} subject - Subject
+ * @returns {string} File name without extension
+ */
+function toFileName(subject) {
+  return subject.replace(/[/\\:*?"<>|\u0000-\u001f]+/g, " ").replace(/\s+/g, " ").trim().slice(0, 100) || "Message";
+}
+
+/**
+ * Parse the message in a .msg storage
+ * @param {object} storage - Message storage
+ * @param {number} headerSize - Header size of its properties stream
+ * @param {number} depth - Nesting depth of embedded messages
+ * @returns {ParsedMail}
+ */
+function parseMsgStorage(storage, headerSize, depth) {
+  const properties = readProperties(storage, headerSize);
+  const codepage = propertyReader(properties, "windows-1252").number(PROP.MESSAGE_CODEPAGE);
+  const charset = codepage ? getCodepageCharset(codepage) : "windows-1252";
+  const props = propertyReader(properties, charset);
+
+  // Exchange addresses ("/O=ORG/OU=...") are only used when there is no SMTP address
+  const smtp = (...addresses) => addresses.find((address) => address.includes("@")) || addresses.find(Boolean) || "";
+
+  const recipients = { to: [], cc: [] };
+  for (const child of getChildStorages(storage, "__recip_version1.0_")) {
+    const recipient = propertyReader(readProperties(child, PROPERTY_HEADER_SIZE.child), charset);
+    // 1 To, 2 Cc, 3 Bcc; the high bits are flags
+    const type = recipient.number(PROP.RECIPIENT_TYPE) & 0x0f;
+    if (type === 3) continue;
+    (type === 2 ? recipients.cc : recipients.to).push({
+      name: recipient.string(PROP.DISPLAY_NAME),
+      address: smtp(recipient.string(PROP.SMTP_ADDRESS), recipient.string(PROP.EMAIL_ADDRESS)),
+    });
+  }
+
+  // Received messages keep their Internet headers, which have the real Reply-To and Message-ID
+  const transport = parseHeaderFields(props.string(PROP.TRANSPORT_HEADERS));
+  const senderName = props.string(PROP.SENT_REPRESENTING_NAME) || props.string(PROP.SENDER_NAME);
+  const senderAddress = smtp(
+    props.string(PROP.SENT_REPRESENTING_SMTP_ADDRESS),
+    props.string(PROP.SENDER_SMTP_ADDRESS),
+    props.string(PROP.SENT_REPRESENTING_EMAIL),
+    props.string(PROP.SENDER_EMAIL)
+  );
+
+  let html = null;
+  const htmlBinary = props.binary(PROP.HTML);
+  if (htmlBinary) {
+    const internetCodepage = props.number(PROP.INTERNET_CODEPAGE);
+    html = decodeText(htmlBinary, internetCodepage ? getCodepageCharset(internetCodepage) : charset);
+  } else if (props.string(PROP.HTML)) {
+    html = props.string(PROP.HTML);
+  }
+
+  const attachments = [];
+  for (const child of getChildStorages(storage, "__attach_version1.0_")) {
+    const attachment = propertyReader(readProperties(child, PROPERTY_HEADER_SIZE.child), charset);
+    let name = attachment.string(PROP.ATTACH_LONG_FILENAME) || attachment.string(PROP.ATTACH_FILENAME) || attachment.string(PROP.DISPLAY_NAME);
+    let contentType = attachment.string(PROP.ATTACH_MIME_TAG).toLowerCase() || "application/octet-stream";
+    let data = attachment.binary(PROP.ATTACH_DATA);
+
+    // Embedded messages are storages; they are offered as .eml
+    const embedded = child.storages.get("__substg1.0_3701000D");
+    if (attachment.number(PROP.ATTACH_METHOD) === ATTACH_EMBEDDED_MSG && embedded && depth < MAX_DEPTH) {
+      const message = parseMsgStorage(embedded, PROPERTY_HEADER_SIZE.embedded, depth + 1);
+      data = buildEml(message);
+      name = `${toFileName(message.subject || name)}.eml`;
+      contentType = "message/rfc822";
+    }
+    if (!data) continue;
+
+    const contentId = attachment.string(PROP.ATTACH_CONTENT_ID).replace(/^<|>$/g, "");
+    attachments.push({
+      name: name || getFallbackName(contentType, attachments.length + 1),
+      contentType,
+      size: data.length,
+      data,
+      ...(contentId && { contentId }),
+      ...(attachment.bool(PROP.ATTACHMENT_HIDDEN) && { inline: true }),
+    });
+  }
+
+  return markInlineAttachments({
+    subject: props.string(PROP.SUBJECT),
+    from: senderName || senderAddress ? [{ name: senderName, address: senderAddress }] : parseAddresses(getField(transport, "from")),
+    to: recipients.to,
+    cc: recipients.cc,
+    replyTo: parseAddresses(getField(transport, "reply-to")),
+    date: props.time(PROP.CLIENT_SUBMIT_TIME) || props.time(PROP.DELIVERY_TIME),
+    messageId: (props.string(PROP.INTERNET_MESSAGE_ID) || getField(transport, "message-id")).replace(/^<|>$/g, ""),
+    text: props.string(PROP.BODY) || null,
+    html,
+    attachments,
+  });
+}
+
+/**
+ * Parse an Outlook .msg file
+ * @param {Buffer} buffer - File content
+ * @returns {ParsedMail}
+ */
+export function parseMsg(buffer) {
+  return parseMsgStorage(readCompoundFile(buffer), PROPERTY_HEADER_SIZE.message, 0);
+}
+
+/**
+ * Check whether a buffer is a Compound File Binary container
+ * @param {Buffer} buffer - File content
+ * @returns {boolean}
+ */
+function isCompoundFile(buffer) {
+  return buffer.length >= 8 && buffer.subarray(0, 8).equals(CFB_SIGNATURE);
+}
+
+/**
+ * Read and parse a .eml or .msg file
+ * The content decides the format, so misnamed files still open.
+ * @param {string} filePath - Message file
+ * @returns {Promise<ParsedMail>}
+ */
+export async function parseMailFile(filePath) {
+  const buffer = await readFile(filePath);
+  return isCompoundFile(buffer) ? parseMsg(buffer) : parseEml(buffer);
+}
+
+/**
+ * Encode a header value as an RFC 2047 word when it is not plain ASCII
+ * @param {string} text - Header text
+ * @returns {string} Header-safe text
+ */
+function encodeHeaderText(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString("base64")}?=`;
+}
+
+/**
+ * Format addresses for a header
+ * @param {MailAddress[]} addresses - Addresses
+ * @returns {string} Address list
+ */
+function formatAddresses(addresses) {
+  return addresses.map(({ name, address }) => {
+    if (!name) return address;
+    const display = /^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/(["\\])/g, "\\$1")}"` : encodeHeaderText(name);
+    // An empty address keeps the name from being read as one
+    return `${display} <${address}>`;
+  }).join(", ");
+}
+
+/**
+ * Build a MIME part with base64 content
+ * @param {string[]} headers - Header lines
+ * @param {Buffer} data - Content
+ * @returns {string} Part
+ */
+function buildPart(headers, data) {
+  const base64 = data.toString("base64").replace(/.{1,76}/g, "$&\r\n");
+  return `${[...headers, "Content-Transfer-Encoding: base64"].join("\r\n")}\r\n\r\n${base64}`;
+}
+
+/**
+ * Write a parsed message as an RFC 822 message
+ * Used to offer messages embedded in .msg files as .eml attachments.
+ * @param {ParsedMail} message - Message
+ * @returns {Buffer} .eml content
+ */
+export function buildEml(message) {
+  const boundary = `----=_Part_${randomUUID()}`;
+  const alternative = `----=_Alt_${randomUUID()}`;
+  const headers = [
+    message.from.length > 0 && `From: ${formatAddresses(message.from)}`,
+    message.to.length > 0 && `To: ${formatAddresses(message.to)}`,
+    message.cc.length > 0 && `Cc: ${formatAddresses(message.cc)}`,
+    message.replyTo.length > 0 && `Reply-To: ${formatAddresses(message.replyTo)}`,
+    `Subject: ${encodeHeaderText(message.subject)}`,
+    message.date && `Date: ${message.date.toUTCString()}`,
+    message.messageId && `Message-ID: <${message.messageId}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+  ].filter(Boolean);
+
+  const bodies = [
+    message.text !== null && buildPart(['Content-Type: text/plain; charset="utf-8"'], Buffer.from(message.text)),
+    message.html !== null && buildPart(['Content-Type: text/html; charset="utf-8"'], Buffer.from(message.html)),
+  ].filter(Boolean);
+  const parts = [
+    `Content-Type: multipart/alternative; boundary="${alternative}"\r\n\r\n${bodies.map((body) => `--${alternative}\r\n${body}`).join("\r\n")}\r\n--${alternative}--\r\n`,
+    ...message.attachments.map((attachment) => buildPart([
+      `Content-Type: ${attachment.contentType}`,
+      `Content-Disposition: ${attachment.inline ? "inline" : "attachment"}; filename="${encodeHeaderText(attachment.name).replace(/"/g, "'")}"`,
+      ...(attachment.contentId ? [`Content-ID: <${attachment.contentId}>`] : []),
+    ], attachment.data)),
+  ];
+
+  return Buffer.from(`${headers.join("\r\n")}\r\n\r\n${parts.map((part) => `--${boundary}\r\n${part}`).join("\r\n")}\r\n--${boundary}--\r\n`);
+}
+
+/**
+ * Turn an HTML body into plain text, e.g. to quote it in a reply
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+export function htmlToText(html) {
+  const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+  return html
+    .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|tr|li|h[1-6]|blockquote|table)\s*>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] !== "#") return entities[entity.toLowerCase()] ?? match;
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    })
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -0,0 +1,487 @@
+/**
+ * Mail Viewer Module
+ * Shows .eml and .msg files in a read-only viewer window
+ *
+ * The message body is shown in a sandboxed frame that cannot run scripts or
+ * load remote content; embedded images are inlined and links open in the
+ * browser. Attachments can be saved or opened, and "Reply in Outlook" opens
+ * a compose window addressed to the sender.
+ */
+
+import { BrowserWindow, dialog, ipcMain, nativeTheme, shell } from "electron";
+import { mkdir, writeFile } from "fs/promises";
+import { randomUUID } from "crypto";
+import { basename, dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { launchApp } from "./appLauncher.js";
+import { getMailtoAccountType, handleMailtoUrl, isMailtoUrl } from "./mailto.js";
+import { getDownloadFolder } from "./downloads.js";
+import { getCacheDir } from "./xdg.js";
+import { parseMailFile, htmlToText } from "./mailParser.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Quoted text in a reply is cut here, as it travels in the compose URL
+const MAX_QUOTE_LENGTH = 4000;
+
+// Open viewers by webContents id
+const viewers = new Map();
+
+/**
+ * Strip active content from an HTML body and inline its embedded images
+ * The sandboxed frame is what keeps scripts from running; this removes what
+ * would otherwise show up as broken forms and frames.
+ * @param {string} html - HTML body
+ * @param {Array<object>} attachments - Attachments, for cid: images
+ * @returns {string} HTML
+ */
+function sanitizeHtml(html, attachments) {
+  const images = new Map(
+    attachments.filter((attachment) => attachment.contentId).map((attachment) => [attachment.contentId, attachment])
+  );
+
+  return html
+    .replace(/<(script|iframe|object|embed|applet|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<\/?(script|iframe|frame|frameset|object|embed|applet|form|input|button|select|textarea|meta|link|base)\b[^>]*>/gi, "")
+    .replace(/\s(on[a-z]+|target|formaction)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, "")
+    .replace(/\s(href|src|background)\s*=\s*(["']?)\s*(javascript|vbscript):[^"'>]*\2/gi, "")
+    .replace(/cid:([^"'\s)>]+)/gi, (match, id) => {
+      const image = images.get(decodeURIComponent(id));
+      return image ? `data:${image.contentType};base64,${image.data.toString("base64")}` : match;
+    });
+}
+
+/**
+ * Format addresses for display
+ * @param {Array<{name: string, address: string}>} addresses - Addresses
+ * @returns {string} "Name <address>, ..."
+ */
+function formatAddresses(addresses) {
+  return addresses
+    .map(({ name, address }) => (name && address && name !== address ? `${name} <${address}>` : name || address))
+    .join(", ");
+}
+
+/**
+ * Get what the viewer page shows for a message
+ * @param {object} viewer - Open viewer
+ * @returns {object} Headers, body and attachment list
+ */
+function getViewerData(viewer) {
+  const { message } = viewer;
+  return {
+    fileName: basename(viewer.filePath),
+    subject: message.subject,
+    from: formatAddresses(message.from),
+    to: formatAddresses(message.to),
+    cc: formatAddresses(message.cc),
+    date: message.date ? message.date.toLocaleString() : "",
+    html: message.html !== null ? sanitizeHtml(message.html, message.attachments) : null,
+    text: message.text,
+    attachments: message.attachments
+      .map((attachment, index) => ({ index, name: attachment.name, size: attachment.size, inline: attachment.inline === true }))
+      .filter((attachment) => !attachment.inline),
+  };
+}
+
+/**
+ * Turn an attachment name into a safe file name
+ * @param {string} name - Attachment name
+ * @returns {string} File name
+ */
+function toFileName(name) {
+  return basename(name.replace(/\\/g, "/")).replace(/[\u0000-\u001f]+/g, "").trim() || "attachment";
+}
+
+/**
+ * Save or open an attachment
+ * Opened attachments are written to the cache directory first.
+ * @param {object} viewer - Open viewer
+ * @param {number} index - Attachment index
+ * @param {'save' | 'open'} action - What to do
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function runAttachmentAction(viewer, index, action) {
+  const attachment = viewer.message.attachments[index];
+  if (!attachment) return { success: false, error: "No such attachment" };
+  const fileName = toFileName(attachment.name);
+
+  try {
+    if (action === "save") {
+      const { canceled, filePath } = await dialog.showSaveDialog(viewer.window, {
+        title: "Save Attachment",
+        defaultPath: join(getDownloadFolder(), fileName),
+      });
+      if (canceled || !filePath) return { success: false, error: "Cancelled" };
+      await writeFile(filePath, attachment.data);
+      return { success: true };
+    }
+
+    if (action === "open") {
+      const folder = join(getCacheDir(), "mail-attachments", randomUUID());
+      await mkdir(folder, { recursive: true });
+      const filePath = join(folder, fileName);
+      await writeFile(filePath, attachment.data);
+      const error = await shell.openPath(filePath);
+      if (error) throw new Error(error);
+      return { success: true };
+    }
+  } catch (error) {
+    console.error(`Failed to ${action} attachment "${attachment.name}":`, error);
+    dialog.showErrorBox("Attachment Error", `"${attachment.name}" could not be ${action === "save" ? "saved" : "opened"}.\n\n${error.message}`);
+    return { success: false, error: error.message };
+  }
+
+  return { success: false, error: `Unknown action: ${action}` };
+}
+
+/**
+ * Open an Outlook compose window replying to a message
+ * Uses the account for mail links (Preferences > General).
+ * @param {object} message - Parsed message
+ * @param {boolean} all - Whether to also address the other recipients
+ */
+function replyInOutlook(message, all) {
+  const addresses = (list) => list.map(({ address }) => address).filter((address) => address.includes("@"));
+  const to = addresses(message.replyTo.length > 0 ? message.replyTo : message.from);
+  const cc = all ? [...new Set(addresses([...message.to, ...message.cc]))].filter((address) => !to.includes(address)) : [];
+
+  const subject = /^(re|aw|sv|antw):/i.test(message.subject) ? message.subject : `RE: ${message.subject}`;
+  const original = message.text ?? (message.html !== null ? htmlToText(message.html) : "");
+  const quote = [
+    "",
+    "",
+    "-----Original Message-----",
+    `From: ${formatAddresses(message.from)}`,
+    ...(message.date ? [`Sent: ${message.date.toLocaleString()}`] : []),
+    `To: ${formatAddresses(message.to)}`,
+    ...(message.cc.length > 0 ? [`Cc: ${formatAddresses(message.cc)}`] : []),
+    `Subject: ${message.subject}`,
+    "",
+    original.length > MAX_QUOTE_LENGTH ? `${original.slice(0, MAX_QUOTE_LENGTH)}\n[...]` : original,
+  ].join("\n");
+
+  launchApp("outlook", {
+    accountType: getMailtoAccountType(),
+    action: "compose",
+    compose: { to, cc, bcc: [], subject, body: quote },
+    forceNewWindow: true,
+  });
+}
+
+/**
+ * Generate HTML for the viewer window
+ * @returns {string} HTML
+ */
+function getViewerHTML() {
+  const isDark = nativeTheme.shouldUseDarkColors;
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'self'; style-src 'unsafe-inline'; script-src 'unsafe-inline'; img-src data:">
+  <title>Message</title>
+  <style>
+    :root {
+      --bg-primary: ${isDark ? "#1e1e1e" : "#fafafa"};
+      --bg-secondary: ${isDark ? "#2d2d2d" : "#ffffff"};
+      --bg-hover: ${isDark ? "#3d3d3d" : "#f0f0f0"};
+      --text-primary: ${isDark ? "#ffffff" : "#1a1a1a"};
+      --text-secondary: ${isDark ? "#b0b0b0" : "#666666"};
+      --border-color: ${isDark ? "#404040" : "#e0e0e0"};
+      --accent-color: #0078d4;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    html, body {
+      height: 100%;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, sans-serif;
+      font-size: 14px;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      display: flex;
+      flex-direction: column;
+    }
+
+    header {
+      padding: 16px 24px 12px;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    header h2 {
+      font-size: 20px;
+      font-weight: 600;
+      margin-bottom: 8px;
+      word-break: break-word;
+    }
+
+    .field {
+      font-size: 13px;
+      color: var(--text-secondary);
+      margin-top: 2px;
+      word-break: break-word;
+    }
+
+    .field strong {
+      color: var(--text-primary);
+      font-weight: 500;
+    }
+
+    .actions {
+      display: flex;
+      gap: 8px;
+      margin-top: 12px;
+    }
+
+    .button {
+      padding: 6px 12px;
+      font-size: 13px;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      background: var(--bg-secondary);
+      color: var(--text-primary);
+      cursor: pointer;
+    }
+
+    .button:hover {
+      background: var(--bg-hover);
+    }
+
+    #attachments {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      padding: 8px 24px;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    #attachments:empty {
+      display: none;
+    }
+
+    .attachment {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 8px 6px 12px;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      background: var(--bg-secondary);
+      max-width: 100%;
+    }
+
+    .attachment .name {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .attachment .size {
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    /* Mail is written for a light background */
+    iframe, pre {
+      flex: 1;
+      border: none;
+      background: #ffffff;
+      color: #1a1a1a;
+    }
+
+    pre {
+      padding: 16px 24px;
+      white-space: pre-wrap;
+      word-break: break-word;
+      overflow: auto;
+      font-family: inherit;
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <h2 id="subject"></h2>
+    <div id="fields"></div>
+    <div class="actions">
+      <button class="button" id="reply">Reply in Outlook</button>
+      <button class="button" id="reply-all">Reply All in Outlook</button>
+    </div>
+  </header>
+  <div id="attachments"></div>
+
+  <script>
+    function formatBytes(bytes) {
+      const units = ['B', 'KB', 'MB', 'GB'];
+      let value = bytes;
+      let unit = 0;
+      while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+      }
+      return (unit === 0 ? value : value.toFixed(1)) + ' ' + units[unit];
+    }
+
+    function addField(label, value) {
+      if (!value) return;
+      const field = document.createElement('div');
+      field.className = 'field';
+      const name = document.createElement('strong');
+      name.textContent = label + ': ';
+      field.append(name, value);
+      document.getElementById('fields').append(field);
+    }
+
+    function render(message) {
+      document.title = message.subject || message.fileName;
+      document.getElementById('subject').textContent = message.subject || '(no subject)';
+      addField('From', message.from);
+      addField('To', message.to);
+      addField('Cc', message.cc);
+      addField('Date', message.date);
+
+      const list = document.getElementById('attachments');
+      for (const attachment of message.attachments) {
+        const item = document.createElement('div');
+        item.className = 'attachment';
+        const name = document.createElement('span');
+        name.className = 'name';
+        name.textContent = attachment.name;
+        name.title = attachment.name;
+        const size = document.createElement('span');
+        size.className = 'size';
+        size.textContent = formatBytes(attachment.size);
+        item.append(name, size);
+        for (const [action, label] of [['open', 'Open'], ['save', 'Save']]) {
+          const button = document.createElement('button');
+          button.className = 'button';
+          button.textContent = label;
+          button.addEventListener('click', () => {
+            window.electronAPI.invoke('mail-viewer:attachment', { index: attachment.index, action });
+          });
+          item.append(button);
+        }
+        list.append(item);
+      }
+
+      if (message.html !== null) {
+        // No allow-scripts or allow-same-origin: the body cannot run code or reach this page
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', 'allow-popups allow-popups-to-escape-sandbox');
+        frame.srcdoc = '<!DOCTYPE html><base target="_blank">' + message.html;
+        document.body.append(frame);
+      } else {
+        const text = document.createElement('pre');
+        text.textContent = message.text || '';
+        document.body.append(text);
+      }
+    }
+
+    document.getElementById('reply').addEventListener('click', () => {
+      window.electronAPI.invoke('mail-viewer:reply', { all: false });
+    });
+    document.getElementById('reply-all').addEventListener('click', () => {
+      window.electronAPI.invoke('mail-viewer:reply', { all: true });
+    });
+
+    window.electronAPI.invoke('mail-viewer:get').then(render);
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Open a .eml or .msg file in a viewer window
+ * A file that is already open is brought to the front.
+ * @param {string} filePath - Message file
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function openMailViewer(filePath) {
+  for (const viewer of viewers.values()) {
+    if (viewer.filePath === filePath && !viewer.window.isDestroyed()) {
+      viewer.window.show();
+      viewer.window.focus();
+      return { success: true };
+    }
+  }
+
+  let message;
+  try {
+    message = await parseMailFile(filePath);
+  } catch (error) {
+    console.error(`Failed to read "${filePath}":`, error);
+    dialog.showErrorBox("Cannot Open Message", `"${basename(filePath)}" could not be read.\n\n${error.message}`);
+    return { success: false, error: error.message };
+  }
+
+  const window = new BrowserWindow({
+    width: 900,
+    height: 720,
+    minWidth: 480,
+    minHeight: 360,
+    title: message.subject || basename(filePath),
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: false,
+      preload: join(__dirname, "..", "preload.js"),
+    },
+  });
+  const id = window.webContents.id;
+  viewers.set(id, { filePath, message, window });
+
+  // Links in the message open outside the viewer; mailto: links in Outlook
+  window.webContents.setWindowOpenHandler(({ url }) => {
+    if (isMailtoUrl(url)) {
+      handleMailtoUrl(url);
+    } else if (/^https?:/i.test(url)) {
+      shell.openExternal(url);
+    }
+    return { action: "deny" };
+  });
+  window.webContents.on("will-navigate", (event) => event.preventDefault());
+  window.webContents.on("will-frame-navigate", (event) => {
+    if (!event.isMainFrame && !event.url.startsWith("about:")) event.preventDefault();
+  });
+
+  window.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(getViewerHTML())}`);
+
+  window.on("closed", () => {
+    viewers.delete(id);
+  });
+
+  return { success: true };
+}
+
+/**
+ * Initialize the mail viewer
+ * Registers the viewer's IPC handlers
+ */
+export function initializeMailViewer() {
+  ipcMain.handle("mail-viewer:get", (event) => {
+    const viewer = viewers.get(event.sender.id);
+    return viewer ? getViewerData(viewer) : null;
+  });
+
+  ipcMain.handle("mail-viewer:attachment", (event, { index, action }) => {
+    const viewer = viewers.get(event.sender.id);
+    return viewer ? runAttachmentAction(viewer, index, action) : { success: false, error: "No message" };
+  });
+
+  ipcMain.handle("mail-viewer:reply", (event, { all }) => {
+    const viewer = viewers.get(event.sender.id);
+    if (viewer) replyInOutlook(viewer.message, all === true);
+  });
+}
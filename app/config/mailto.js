@@ -0,0 +1,119 @@
+/**
+ * Mailto Handler Module
+ * Opens mailto: links (RFC 6068) in Outlook's compose form
+ */
+
+import { dialog } from "electron";
+import { getValue } from "./store.js";
+import { getAccountType, launchApp } from "./appLauncher.js";
+import { getProfile } from "./profiles.js";
+
+// Header fields that map onto the Outlook compose form
+const RECIPIENT_FIELDS = ["to", "cc", "bcc"];
+
+/**
+ * Check if a URL is a mailto: link
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isMailtoUrl(url) {
+  return typeof url === "string" && url.toLowerCase().startsWith("mailto:");
+}
+
+/**
+ * Split a comma-separated address list into addresses
+ * @param {string} value - Decoded address list
+ * @returns {string[]} Addresses
+ */
+function splitAddresses(value) {
+  return value
+    .split(",")
+    .map((address) => address.trim())
+    .filter((address) => address.length > 0);
+}
+
+/**
+ * Create an empty set of compose fields
+ * @returns {{to: string[], cc: string[], bcc: string[], subject: string, body: string}}
+ */
+export function createComposeFields() {
+  return { to: [], cc: [], bcc: [], subject: "", body: "" };
+}
+
+/**
+ * Parse a mailto: URL as described in RFC 6068
+ * Percent-encoding is decoded, "+" is kept literally, unknown header fields
+ * are ignored and repeated recipient fields are merged.
+ * @param {string} url - mailto: URL
+ * @returns {{valid: boolean, error?: string, fields?: {to: string[], cc: string[], bcc: string[], subject: string, body: string}}}
+ */
+export function parseMailtoUrl(url) {
+  if (!isMailtoUrl(url)) {
+    return { valid: false, error: `Not a mailto: link: "${url}"` };
+  }
+
+  const fields = createComposeFields();
+  const rest = url.slice("mailto:".length);
+  const queryStart = rest.indexOf("?");
+  const recipients = queryStart === -1 ? rest : rest.slice(0, queryStart);
+  const query = queryStart === -1 ? "" : rest.slice(queryStart + 1);
+
+  try {
+    if (recipients) {
+      fields.to.push(...splitAddresses(decodeURIComponent(recipients)));
+    }
+
+    for (const pair of query.split("&")) {
+      if (!pair) continue;
+
+      const separator = pair.indexOf("=");
+      const name = decodeURIComponent(separator === -1 ? pair : pair.slice(0, separator)).toLowerCase();
+      const value = separator === -1 ? "" : decodeURIComponent(pair.slice(separator + 1));
+
+      if (RECIPIENT_FIELDS.includes(name)) {
+        fields[name].push(...splitAddresses(value));
+      } else if (name === "subject") {
+        fields.subject = value;
+      } else if (name === "body") {
+        // Line breaks are encoded as %0D%0A; Outlook expects plain newlines
+        fields.body = value.replace(/\r\n/g, "\n");
+      }
+    }
+  } catch {
+    return { valid: false, error: `Malformed mailto: link: "${url}"` };
+  }
+
+  return { valid: true, fields };
+}
+
+/**
+ * Get the account mail links open in
+ * @returns {string} Account type (profile id)
+ */
+export function getMailtoAccountType() {
+  const account = getValue("mailtoAccount");
+  return getProfile(account) ? account : getAccountType();
+}
+
+/**
+ * Open a mailto: link in Outlook compose
+ * @param {string} url - mailto: URL
+ * @returns {boolean} True if compose was opened
+ */
+export function handleMailtoUrl(url) {
+  const link = parseMailtoUrl(url);
+  if (!link.valid) {
+    console.warn(`Cannot open mail link: ${link.error}`);
+    dialog.showErrorBox("Cannot Open Mail Link", link.error);
+    return false;
+  }
+
+  launchApp("outlook", {
+    accountType: getMailtoAccountType(),
+    action: "compose",
+    compose: link.fields,
+    forceNewWindow: true,
+  });
+
+  return true;
+}
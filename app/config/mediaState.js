@@ -3,7 +3,8 @@
  * Tracks camera/microphone active state for tray indicators
  */
 
-import { app, ipcMain, session, BrowserWindow } from "electron";
+import { app, ipcMain, session } from "electron";
+import { getContentsWindow } from "./windowManager.js";
 
 // Media state
 let cameraActive = false;
@@ -158,6 +159,10 @@ export function clearAllMediaState() {
 export function getMediaStateScript() {
   return `
     (function() {
+      // Only wrap getUserMedia once per page
+      if (window.__ms365MediaState) return;
+      window.__ms365MediaState = true;
+
       // Track active media streams
       const activeStreams = new Set();
 
@@ -243,7 +248,7 @@ export function getMediaStateScript() {
 export function initializeMediaState() {
   // Handle media state changes from renderer
   ipcMain.on("media:state-changed", (event, data) => {
-    const window = BrowserWindow.fromWebContents(event.sender);
+    const window = getContentsWindow(event.sender);
     const windowId = window?.id;
 
     if (data.active) {
@@ -260,7 +265,7 @@ export function initializeMediaState() {
   });
 
   ipcMain.on("media:screen-share-changed", (event, data) => {
-    const window = BrowserWindow.fromWebContents(event.sender);
+    const window = getContentsWindow(event.sender);
     setScreenShareActive(data.active, window?.id);
   });
 
@@ -276,11 +281,11 @@ export function initializeMediaState() {
 }
 
 /**
- * Inject media state tracking into a window
- * @param {BrowserWindow} window - Window to inject into
+ * Inject media state tracking into a page
+ * @param {Electron.WebContents} contents - Page to inject into
  */
-export function injectMediaStateTracking(window) {
-  window.webContents.executeJavaScript(getMediaStateScript()).catch(() => {
+export function injectMediaStateTracking(contents) {
+  contents.executeJavaScript(getMediaStateScript()).catch(() => {
     // Ignore errors
   });
 }
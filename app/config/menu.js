@@ -7,12 +7,34 @@ import { app, dialog, BrowserWindow, clipboard, shell } from "electron";
 import { launchApp, createNewWindow, goHome, getAppList } from "./appLauncher.js";
 import { showPreferences } from "./preferences.js";
 import { checkForUpdates, openExternalLink, openLogsFolder } from "./utils.js";
+import { buildDesktopLink } from "./protocol.js";
+import {
+  createWindow,
+  getWindowAccountType,
+  getWindowContents,
+  isTabbedMode,
+  isTabbedWindow,
+  closeActiveTab,
+  selectAdjacentTab,
+  moveActiveTabToNewWindow,
+} from "./windowManager.js";
+import { saveBackFocusedWindow } from "./editInPlace.js";
+import { openFocusedDocumentLocally } from "./openLocally.js";
+import { showDownloads } from "./downloads.js";
+import { showUploads } from "./uploadQueue.js";
+import { getSupportedExtensions } from "./fileHandler.js";
+import { createRecentDocumentItems } from "./recentDocuments.js";
+import { printFocusedWindow, exportFocusedWindowToPdf } from "./printing.js";
+import { saveFocusedMessageAsEml, archiveFocusedMailFolder } from "./mailExport.js";
 
 /**
  * Build the application menu template
+ * Tab items are only there in tabbed mode, which takes effect on restart
  * @returns {Array} Menu template
  */
 function buildMenuTemplate() {
+  const tabbed = isTabbedMode();
+
   return [
     // File Menu
     {
@@ -28,6 +50,16 @@ function buildMenuTemplate() {
           accelerator: "CmdOrCtrl+Shift+N",
           click: () => createNewWindow("work"),
         },
+        ...(tabbed ? [{
+          label: "New Tab",
+          accelerator: "CmdOrCtrl+T",
+          click: () => createWindow(),
+        }] : []),
+        {
+          label: "New Private Window",
+          accelerator: "CmdOrCtrl+Shift+P",
+          click: () => createWindow({ isPrivate: true }),
+        },
         { type: "separator" },
         {
           label: "Open File...",
@@ -37,6 +69,7 @@ function buildMenuTemplate() {
               properties: ["openFile"],
               filters: [
                 { name: "Office Documents", extensions: ["docx", "doc", "xlsx", "xls", "pptx", "ppt"] },
+                { name: "All Supported Files", extensions: getSupportedExtensions().map((ext) => ext.slice(1)) },
                 { name: "All Files", extensions: ["*"] },
               ],
             });
@@ -46,10 +79,56 @@ function buildMenuTemplate() {
             }
           },
         },
+        {
+          label: "Open Recent",
+          submenu: createRecentDocumentItems(),
+        },
+        {
+          label: "Open Locally",
+          accelerator: "CmdOrCtrl+Shift+L",
+          click: () => openFocusedDocumentLocally(),
+        },
+        {
+          label: "Save Back to Local File",
+          accelerator: "CmdOrCtrl+Shift+S",
+          click: () => saveBackFocusedWindow(),
+        },
         { type: "separator" },
         {
-          label: "Close Window",
+          label: "Print...",
+          accelerator: "CmdOrCtrl+P",
+          click: () => printFocusedWindow(),
+        },
+        {
+          label: "Export as PDF...",
+          accelerator: "CmdOrCtrl+Shift+E",
+          click: () => exportFocusedWindowToPdf(),
+        },
+        {
+          label: "Save Message as .eml...",
+          click: () => saveFocusedMessageAsEml(),
+        },
+        {
+          label: "Archive Mail Folder to mbox",
+          click: () => archiveFocusedMailFolder(),
+        },
+        { type: "separator" },
+        ...(tabbed ? [{
+          label: "Close Tab",
           accelerator: "CmdOrCtrl+W",
+          click: () => {
+            const focused = BrowserWindow.getFocusedWindow();
+            if (!focused) return;
+            if (isTabbedWindow(focused)) {
+              closeActiveTab(focused);
+            } else {
+              focused.close();
+            }
+          },
+        }] : []),
+        {
+          label: "Close Window",
+          accelerator: tabbed ? "CmdOrCtrl+Shift+W" : "CmdOrCtrl+W",
           click: () => {
             const focused = BrowserWindow.getFocusedWindow();
             if (focused) focused.close();
@@ -87,7 +166,7 @@ function buildMenuTemplate() {
           accelerator: "CmdOrCtrl+R",
           click: () => {
             const focused = BrowserWindow.getFocusedWindow();
-            if (focused) focused.webContents.reload();
+            if (focused) getWindowContents(focused).reload();
           },
         },
         {
@@ -95,7 +174,7 @@ function buildMenuTemplate() {
           accelerator: "CmdOrCtrl+Shift+R",
           click: () => {
             const focused = BrowserWindow.getFocusedWindow();
-            if (focused) focused.webContents.reloadIgnoringCache();
+            if (focused) getWindowContents(focused).reloadIgnoringCache();
           },
         },
         { type: "separator" },
@@ -104,7 +183,7 @@ function buildMenuTemplate() {
           accelerator: "CmdOrCtrl+0",
           click: () => {
             const focused = BrowserWindow.getFocusedWindow();
-            if (focused) focused.webContents.setZoomLevel(0);
+            if (focused) getWindowContents(focused).setZoomLevel(0);
           },
         },
         {
@@ -113,8 +192,8 @@ function buildMenuTemplate() {
           click: () => {
             const focused = BrowserWindow.getFocusedWindow();
             if (focused) {
-              const level = focused.webContents.getZoomLevel();
-              focused.webContents.setZoomLevel(level + 0.5);
+              const contents = getWindowContents(focused);
+              contents.setZoomLevel(contents.getZoomLevel() + 0.5);
             }
           },
         },
@@ -124,8 +203,8 @@ function buildMenuTemplate() {
           click: () => {
             const focused = BrowserWindow.getFocusedWindow();
             if (focused) {
-              const level = focused.webContents.getZoomLevel();
-              focused.webContents.setZoomLevel(level - 0.5);
+              const contents = getWindowContents(focused);
+              contents.setZoomLevel(contents.getZoomLevel() - 0.5);
             }
           },
         },
@@ -162,8 +241,8 @@ function buildMenuTemplate() {
           accelerator: "Alt+Left",
           click: () => {
             const focused = BrowserWindow.getFocusedWindow();
-            if (focused && focused.webContents.canGoBack()) {
-              focused.webContents.goBack();
+            if (focused && getWindowContents(focused).canGoBack()) {
+              getWindowContents(focused).goBack();
             }
           },
         },
@@ -172,8 +251,8 @@ function buildMenuTemplate() {
           accelerator: "Alt+Right",
           click: () => {
             const focused = BrowserWindow.getFocusedWindow();
-            if (focused && focused.webContents.canGoForward()) {
-              focused.webContents.goForward();
+            if (focused && getWindowContents(focused).canGoForward()) {
+              getWindowContents(focused).goForward();
             }
           },
         },
@@ -210,6 +289,42 @@ function buildMenuTemplate() {
           },
         },
         { role: "close" },
+        ...(tabbed ? [
+          { type: "separator" },
+          {
+            label: "Next Tab",
+            accelerator: "Ctrl+Tab",
+            click: () => {
+              const focused = BrowserWindow.getFocusedWindow();
+              if (focused) selectAdjacentTab(focused, 1);
+            },
+          },
+          {
+            label: "Previous Tab",
+            accelerator: "Ctrl+Shift+Tab",
+            click: () => {
+              const focused = BrowserWindow.getFocusedWindow();
+              if (focused) selectAdjacentTab(focused, -1);
+            },
+          },
+          {
+            label: "Move Tab to New Window",
+            click: () => {
+              const focused = BrowserWindow.getFocusedWindow();
+              if (focused) moveActiveTabToNewWindow(focused);
+            },
+          },
+        ] : []),
+        { type: "separator" },
+        {
+          label: "Downloads",
+          accelerator: "CmdOrCtrl+J",
+          click: () => showDownloads(),
+        },
+        {
+          label: "Uploads",
+          click: () => showUploads(),
+        },
         { type: "separator" },
         {
           label: "Copy URL to Clipboard",
@@ -217,7 +332,16 @@ function buildMenuTemplate() {
           click: () => {
             const focused = BrowserWindow.getFocusedWindow();
             if (focused) {
-              clipboard.writeText(focused.webContents.getURL());
+              clipboard.writeText(getWindowContents(focused).getURL());
+            }
+          },
+        },
+        {
+          label: "Copy Desktop Link",
+          click: () => {
+            const focused = BrowserWindow.getFocusedWindow();
+            if (focused) {
+              clipboard.writeText(buildDesktopLink(getWindowContents(focused).getURL(), getWindowAccountType(focused)));
             }
           },
         },
@@ -270,6 +394,15 @@ function buildMenuTemplate() {
  * Show keyboard shortcuts help dialog
  */
 function showKeyboardShortcuts() {
+  const tabbed = isTabbedMode();
+  const tabs = tabbed ? `
+Tabs
+  Ctrl+T          New tab
+  Ctrl+W          Close tab
+  Ctrl+Tab        Next tab
+  Ctrl+Shift+Tab  Previous tab
+` : "";
+
   const shortcuts = `
 Keyboard Shortcuts
 
@@ -280,13 +413,17 @@ Navigation
   Alt+Right       Go forward
   Alt+Home        Go to home page
 
+File
+  Ctrl+P          Print
+  Ctrl+Shift+E    Export as PDF
+
 Window
   Ctrl+N          New window (Personal)
   Ctrl+Shift+N    New window (Work)
-  Ctrl+W          Close window
+  ${tabbed ? "Ctrl+Shift+W" : "Ctrl+W      "}    Close window
   Ctrl+Q          Quit
   F11             Toggle full screen
-
+${tabs}
 Zoom
   Ctrl+0          Reset zoom
   Ctrl++          Zoom in
@@ -303,6 +440,7 @@ Edit
 Other
   Ctrl+,          Open preferences
   Ctrl+Shift+C    Copy URL
+  Ctrl+J          Show downloads
   F1              Help
 `.trim();
 
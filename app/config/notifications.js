@@ -3,8 +3,9 @@
  * Native notifications for Outlook emails, Teams messages, calendar reminders
  */
 
-import { Notification, BrowserWindow, ipcMain, app } from "electron";
+import { Notification, ipcMain, app } from "electron";
 import { getValue, setValue } from "./store.js";
+import { showContents } from "./windowManager.js";
 
 // Notification state
 let notificationsEnabled = true;
@@ -199,31 +200,27 @@ export function initNotificationIPC() {
 
     // Show notification if count increased
     if (data.increased && areNotificationsEnabled()) {
-      // Determine which app based on sender window URL
-      const window = BrowserWindow.fromWebContents(event.sender);
-      if (window) {
-        const url = window.webContents.getURL();
-        if (url.includes("outlook")) {
-          showNotification({
-            title: "New Email",
-            body: `You have ${data.count} unread emails`,
-            type: "email",
-            onClick: () => {
-              window.show();
-              window.focus();
-            },
-          });
-        } else if (url.includes("teams")) {
-          showNotification({
-            title: "New Message",
-            body: `You have ${data.count} unread messages`,
-            type: "message",
-            onClick: () => {
-              window.show();
-              window.focus();
-            },
-          });
-        }
+      // Determine which app based on sender page URL; clicks bring its window or tab forward
+      const contents = event.sender;
+      const url = contents.getURL();
+      if (url.includes("outlook")) {
+        showNotification({
+          title: "New Email",
+          body: `You have ${data.count} unread emails`,
+          type: "email",
+          onClick: () => {
+            if (!contents.isDestroyed()) showContents(contents);
+          },
+        });
+      } else if (url.includes("teams")) {
+        showNotification({
+          title: "New Message",
+          body: `You have ${data.count} unread messages`,
+          type: "message",
+          onClick: () => {
+            if (!contents.isDestroyed()) showContents(contents);
+          },
+        });
       }
     }
   });
@@ -234,11 +231,11 @@ export function initNotificationIPC() {
 }
 
 /**
- * Inject notification observer into a window
- * @param {BrowserWindow} window - Window to inject into
+ * Inject notification observer into a page
+ * @param {Electron.WebContents} contents - Page to inject into
  */
-export function injectNotificationObserver(window) {
-  window.webContents.executeJavaScript(getNotificationObserverScript()).catch(() => {
+export function injectNotificationObserver(contents) {
+  contents.executeJavaScript(getNotificationObserverScript()).catch(() => {
     // Ignore errors - page might not be ready
   });
 }
@@ -0,0 +1,205 @@
+/**
+ * Office URI Scheme Handler
+ * Handles "Open in Desktop App" links (ms-word:, ms-excel:, ms-powerpoint:)
+ *
+ * Format: <scheme>:<command>|u|<document-url>[|s|<save-location>]
+ * Example: ms-word:ofe|u|https://contoso.sharepoint.com/Shared%20Documents/Budget.docx
+ * https://learn.microsoft.com/en-us/office/client-developer/office-uri-schemes
+ */
+
+import { dialog } from "electron";
+import { spawn } from "child_process";
+import { getValue } from "./store.js";
+import { getAccountType } from "./appLauncher.js";
+import { getProfileIdForAuth } from "./profiles.js";
+import { createWindow } from "./windowManager.js";
+import { isAllowedDomain } from "./utils.js";
+
+// Office URI scheme to app mapping
+const OFFICE_URI_SCHEMES = {
+  "ms-word": "word",
+  "ms-excel": "excel",
+  "ms-powerpoint": "powerpoint",
+};
+
+// Office URI commands
+const OFFICE_URI_COMMANDS = {
+  ofe: "edit",
+  ofv: "view",
+  nft: "new",
+};
+
+/**
+ * Check if a URL uses one of the Office URI schemes
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isOfficeUri(url) {
+  if (typeof url !== "string") return false;
+  const scheme = url.slice(0, url.indexOf(":")).toLowerCase();
+  return scheme in OFFICE_URI_SCHEMES;
+}
+
+/**
+ * Parse an Office URI
+ * @param {string} uri - Office URI
+ * @returns {{valid: boolean, error?: string, appType?: string, command?: string, url?: string, saveLocation?: string|null}}
+ */
+export function parseOfficeUri(uri) {
+  if (!isOfficeUri(uri)) {
+    return { valid: false, error: `Not an Office link: "${uri}"` };
+  }
+
+  const separator = uri.indexOf(":");
+  const appType = OFFICE_URI_SCHEMES[uri.slice(0, separator).toLowerCase()];
+  const rest = uri.slice(separator + 1);
+
+  let command = "ofe";
+  let documentUrl = null;
+  let saveLocation = null;
+
+  if (/^https?:/i.test(rest)) {
+    // Abbreviated form: ms-word:https://...
+    documentUrl = rest;
+  } else {
+    const [commandName, ...parts] = rest.split("|");
+    command = commandName.toLowerCase();
+    if (!(command in OFFICE_URI_COMMANDS)) {
+      return { valid: false, error: `Unsupported Office link command: "${commandName}"` };
+    }
+
+    for (let i = 0; i < parts.length - 1; i += 2) {
+      const descriptor = parts[i].toLowerCase();
+      if (descriptor === "u") documentUrl = parts[i + 1];
+      if (descriptor === "s") saveLocation = parts[i + 1];
+    }
+  }
+
+  if (!documentUrl) {
+    return { valid: false, error: "Office link does not contain a document URL" };
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(documentUrl);
+  } catch {
+    return { valid: false, error: `Malformed document URL: "${documentUrl}"` };
+  }
+
+  if (parsedUrl.protocol !== "https:" || !isAllowedDomain(parsedUrl.hostname)) {
+    return { valid: false, error: `Document is not stored in Microsoft 365: "${documentUrl}"` };
+  }
+
+  return {
+    valid: true,
+    appType,
+    command: OFFICE_URI_COMMANDS[command],
+    url: parsedUrl.href,
+    saveLocation,
+  };
+}
+
+/**
+ * Work out which account a document URL belongs to
+ * SharePoint hosts work/school documents; OneDrive personal lives on live.com
+ * @param {string} url - Document URL
+ * @returns {string} Account type (profile id)
+ */
+export function getDocumentAccountType(url) {
+  const hostname = new URL(url).hostname.toLowerCase();
+
+  if (hostname.endsWith(".sharepoint.com") || hostname.endsWith(".sharepoint-df.com")) {
+    return getProfileIdForAuth("work");
+  }
+  if (hostname.endsWith("live.com") || hostname === "1drv.ms" || hostname.endsWith(".onedrive.com")) {
+    return getProfileIdForAuth("personal");
+  }
+
+  return getAccountType();
+}
+
+/**
+ * Get the URL that opens a document in its web editor
+ * @param {string} url - Document URL
+ * @returns {string} Web editor URL
+ */
+export function getWebEditorUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.hostname.toLowerCase().endsWith(".sharepoint.com")) {
+    // Without web=1 SharePoint offers a download instead of the editor
+    parsed.searchParams.set("web", "1");
+  }
+  return parsed.href;
+}
+
+/**
+ * Check if Office links should go to a local editor
+ * @returns {boolean}
+ */
+export function isLocalEditorEnabled() {
+  return getValue("officeLinksInLocalEditor") === true && Boolean(getValue("localEditorCommand"));
+}
+
+/**
+ * Open a document URL with the configured local editor
+ * @param {string} target - URL or file path to open
+ * @returns {Promise<boolean>} True if the editor started
+ */
+export function openInLocalEditor(target) {
+  const [command, ...args] = (getValue("localEditorCommand") || "").trim().split(/\s+/);
+
+  return new Promise((resolve) => {
+    if (!command) {
+      resolve(false);
+      return;
+    }
+
+    const child = spawn(command, [...args, target], {
+      detached: true,
+      stdio: "ignore",
+    });
+
+    child.once("error", (error) => {
+      console.error(`Failed to start local editor "${command}":`, error);
+      dialog.showErrorBox(
+        "Cannot Start Local Editor",
+        `"${command}" could not be started: ${error.message}\n\nCheck the local editor command in Preferences > Apps.`
+      );
+      resolve(false);
+    });
+
+    child.once("spawn", () => {
+      child.unref();
+      resolve(true);
+    });
+  });
+}
+
+/**
+ * Handle an Office URI
+ * @param {string} uri - Office URI
+ * @returns {boolean} True if the link was handled
+ */
+export function handleOfficeUri(uri) {
+  const link = parseOfficeUri(uri);
+  if (!link.valid) {
+    console.warn(`Cannot open Office link: ${link.error}`);
+    dialog.showErrorBox("Cannot Open Document", link.error);
+    return false;
+  }
+
+  if (isLocalEditorEnabled()) {
+    openInLocalEditor(link.url);
+    return true;
+  }
+
+  createWindow({
+    url: getWebEditorUrl(link.url),
+    appType: link.appType,
+    accountType: getDocumentAccountType(link.url),
+  });
+
+  return true;
+}
+
+export { OFFICE_URI_SCHEMES, OFFICE_URI_COMMANDS };
@@ -0,0 +1,266 @@
+/**
+ * OOXML Writer Module
+ * Builds minimal .docx and .xlsx files for the built-in converters
+ *
+ * Only what the web editors need is written: one worksheet of plain cells, or
+ * a document of paragraphs with headings, bold, italic and code runs.
+ */
+
+import { crc32, deflateRawSync } from "zlib";
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Heading levels beyond this are written as the deepest heading
+const MAX_HEADING_LEVEL = 3;
+
+/**
+ * Paragraph of a generated document
+ * @typedef {Object} DocxParagraph
+ * @property {'Normal' | 'Heading1' | 'Heading2' | 'Heading3' | 'Quote' | 'Code'} [style] - Paragraph style
+ * @property {Array<{text: string, bold?: boolean, italic?: boolean, code?: boolean}>} runs - Text runs
+ */
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters other than tab and newlines are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+/**
+ * Pack files into a zip archive (deflate, UTF-8 names)
+ * @param {Array<{name: string, data: string|Buffer}>} files - Archive entries
+ * @returns {Buffer} Zip file
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, "utf8");
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf8");
+    const compressed = deflateRawSync(data);
+    const checksum = crc32(data);
+
+    // Shared fields: version, UTF-8 flag, deflate, 1980-01-01 00:00, crc, sizes, name length
+    const fields = Buffer.alloc(26);
+    fields.writeUInt16LE(20, 0);
+    fields.writeUInt16LE(0x0800, 2);
+    fields.writeUInt16LE(8, 4);
+    fields.writeUInt16LE(0, 6);
+    fields.writeUInt16LE(0x21, 8);
+    fields.writeUInt32LE(checksum, 10);
+    fields.writeUInt32LE(compressed.length, 14);
+    fields.writeUInt32LE(data.length, 18);
+    fields.writeUInt16LE(name.length, 22);
+    fields.writeUInt16LE(0, 24);
+
+    const localHeader = Buffer.alloc(4);
+    localHeader.writeUInt32LE(0x04034b50, 0);
+    localParts.push(localHeader, fields, name, compressed);
+
+    const centralHeader = Buffer.alloc(6);
+    centralHeader.writeUInt32LE(0x02014b50, 0);
+    centralHeader.writeUInt16LE(20, 4);
+    // Comment length, disk, attributes, then the local header offset
+    const centralTail = Buffer.alloc(14);
+    centralTail.writeUInt32LE(offset, 10);
+    centralParts.push(centralHeader, fields, centralTail, name);
+
+    offset += localHeader.length + fields.length + name.length + compressed.length;
+  }
+
+  const central = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(central.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, central, end]);
+}
+
+/**
+ * Build the package parts every OOXML file has
+ * @param {string} mainPart - Path of the main part, e.g. "word/document.xml"
+ * @param {string} mainType - Content type of the main part
+ * @param {Array<{name: string, type: string}>} otherParts - Further parts and their content types
+ * @returns {Array<{name: string, data: string}>} Package entries
+ */
+function getPackageParts(mainPart, mainType, otherParts) {
+  const overrides = [{ name: mainPart, type: mainType }, ...otherParts]
+    .map((part) => `<Override PartName="/${part.name}" ContentType="${part.type}"/>`)
+    .join("");
+
+  return [
+    {
+      name: "[Content_Types].xml",
+      data: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>${overrides}</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="${mainPart}"/></Relationships>`,
+    },
+  ];
+}
+
+/**
+ * Get the column letters of a zero-based column index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function getColumnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Check if a cell should be stored as a number
+ * Values with leading zeros (IDs, postcodes) stay text
+ * @param {string} value - Cell text
+ * @returns {boolean}
+ */
+function isNumericCell(value) {
+  return /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value) && Number.isFinite(Number(value));
+}
+
+/**
+ * Build an .xlsx workbook with one worksheet
+ * @param {string[][]} rows - Cell text by row
+ * @param {string} sheetName - Worksheet name
+ * @returns {Buffer} Workbook
+ */
+export function createXlsx(rows, sheetName) {
+  // Excel rejects sheet names with []:*?/\ or over 31 characters
+  const name = sheetName.replace(/[[\]:*?/\\]/g, " ").slice(0, 31).trim() || "Sheet1";
+
+  const rowsXml = rows
+    .map((cells, rowIndex) => {
+      const cellsXml = cells
+        .map((value, columnIndex) => {
+          if (value === "") return "";
+          const ref = `${getColumnName(columnIndex)}${rowIndex + 1}`;
+          return isNumericCell(value)
+            ? `<c r="${ref}"><v>${value}</v></c>`
+            : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+    })
+    .join("");
+
+  return createZip([
+    ...getPackageParts(
+      "xl/workbook.xml",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml",
+      [
+        { name: "xl/worksheets/sheet1.xml", type: "application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml" },
+        { name: "xl/styles.xml", type: "application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml" },
+      ]
+    ),
+    {
+      name: "xl/workbook.xml",
+      data: `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      data: `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowsXml}</sheetData></worksheet>`,
+    },
+    {
+      name: "xl/styles.xml",
+      data: `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border/></borders><cellStyleXfs count="1"><xf/></cellStyleXfs><cellXfs count="1"><xf xfId="0"/></cellXfs></styleSheet>`,
+    },
+  ]);
+}
+
+/**
+ * Build the XML of one paragraph
+ * @param {DocxParagraph} paragraph - Paragraph
+ * @returns {string} w:p element
+ */
+function getParagraphXml(paragraph) {
+  const style = paragraph.style && paragraph.style !== "Normal" ? `<w:pPr><w:pStyle w:val="${paragraph.style}"/></w:pPr>` : "";
+
+  const runs = paragraph.runs
+    .map((run) => {
+      const properties = [
+        run.bold ? "<w:b/>" : "",
+        run.italic ? "<w:i/>" : "",
+        run.code ? '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>' : "",
+      ].join("");
+
+      // Tabs and line breaks are elements of their own inside a run
+      const content = run.text
+        .split(/(\t|\n)/)
+        .map((part) => {
+          if (part === "\t") return "<w:tab/>";
+          if (part === "\n") return "<w:br/>";
+          return part ? `<w:t xml:space="preserve">${escapeXml(part)}</w:t>` : "";
+        })
+        .join("");
+
+      return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ""}${content}</w:r>`;
+    })
+    .join("");
+
+  return `<w:p>${style}${runs}</w:p>`;
+}
+
+/**
+ * Build the styles part of a generated document
+ * @returns {string} styles.xml
+ */
+function getDocxStyles() {
+  const headingSizes = [32, 26, 24];
+  const headings = headingSizes
+    .slice(0, MAX_HEADING_LEVEL)
+    .map((size, index) => `<w:style w:type="paragraph" w:styleId="Heading${index + 1}"><w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="60"/><w:outlineLvl w:val="${index}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`)
+    .join("");
+
+  return `${XML_HEADER}<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>${headings}<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/></w:rPr></w:style><w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/></w:rPr></w:style></w:styles>`;
+}
+
+/**
+ * Build a .docx document
+ * @param {DocxParagraph[]} paragraphs - Paragraphs
+ * @returns {Buffer} Document
+ */
+export function createDocx(paragraphs) {
+  const body = paragraphs.map(getParagraphXml).join("");
+
+  return createZip([
+    ...getPackageParts(
+      "word/document.xml",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml",
+      [{ name: "word/styles.xml", type: "application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml" }]
+    ),
+    {
+      name: "word/document.xml",
+      data: `${XML_HEADER}<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`,
+    },
+    {
+      name: "word/_rels/document.xml.rels",
+      data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    },
+    { name: "word/styles.xml", data: getDocxStyles() },
+  ]);
+}
+
+export { MAX_HEADING_LEVEL };
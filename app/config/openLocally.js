@@ -0,0 +1,233 @@
+/**
+ * Open Locally Module
+ * Hands the document shown in a web editor to the local editor
+ *
+ * The document is downloaded to a working directory and opened with the
+ * local editor command. The directory is watched; when the local editor
+ * saves, the user is offered to upload the file as a new version.
+ */
+
+import { app, dialog, BrowserWindow } from "electron";
+import { watch } from "fs";
+import { mkdir, stat, writeFile } from "fs/promises";
+import { createHash } from "crypto";
+import { join } from "path";
+import { getValue } from "./store.js";
+import { getDataDir } from "./xdg.js";
+import { getWindowMeta, getWindowAccountType, isPrivateWindow } from "./windowManager.js";
+import { isGraphConfigured, resolveDocumentUrl, getDriveItem, downloadDriveItem, uploadNewVersion } from "./graph.js";
+import { openInLocalEditor } from "./officeUri.js";
+import { getBoundFile } from "./editInPlace.js";
+
+// Editors save in several steps (temp file, rename, lock file); wait for them to finish
+const SAVE_DEBOUNCE_MS = 2000;
+
+// Local copies by file path
+const localCopies = new Map();
+
+/**
+ * Downloaded document being watched
+ * @typedef {Object} LocalCopy
+ * @property {string} filePath - Local file
+ * @property {string} name - File name
+ * @property {string} accountType - Profile id the document was opened with
+ * @property {string} itemId - Drive item id
+ * @property {string} [driveId] - Drive holding the item
+ * @property {string} cTag - Content tag of the version last downloaded or uploaded
+ * @property {number} mtimeMs - Local modification time last seen
+ * @property {number} size - Local size last seen
+ * @property {FSWatcher} watcher - Directory watcher
+ * @property {NodeJS.Timeout|null} timer - Pending save check
+ * @property {boolean} prompting - Whether an upload prompt is showing
+ */
+
+/**
+ * Get the directory documents are downloaded to
+ * @returns {string} Path to the working directory
+ */
+export function getWorkingDir() {
+  return join(getDataDir(), "open-locally");
+}
+
+/**
+ * Ask whether to upload a locally saved copy, then upload it
+ * @param {LocalCopy} copy - Local copy
+ * @param {Stats} current - Current stats of the local file
+ */
+async function offerUpload(copy, current) {
+  const { response } = await dialog.showMessageBox({
+    type: "question",
+    title: "Upload Changes",
+    message: `"${copy.name}" was saved in the local editor`,
+    detail: "Upload it to Microsoft 365 as a new version? Earlier versions stay in the version history.",
+    buttons: ["Upload", "Not Now"],
+    defaultId: 0,
+    cancelId: 1,
+  });
+
+  // One save prompts once; the next save asks again
+  copy.mtimeMs = current.mtimeMs;
+  copy.size = current.size;
+  if (response !== 0) return;
+
+  // Someone may have edited the document online since it was downloaded
+  const remote = await getDriveItem(copy.accountType, copy.itemId, copy.driveId).catch(() => null);
+  if (remote && remote.cTag !== copy.cTag) {
+    const { response: overwrite } = await dialog.showMessageBox({
+      type: "warning",
+      title: "Document Changed Online",
+      message: `"${copy.name}" was also changed in Microsoft 365`,
+      detail: "Uploading makes your local version the current one. The online changes stay available in the version history.",
+      buttons: ["Upload Anyway", "Cancel"],
+      defaultId: 1,
+      cancelId: 1,
+    });
+    if (overwrite !== 0) return;
+  }
+
+  const result = await uploadNewVersion(copy.filePath, {
+    accountType: copy.accountType,
+    itemId: copy.itemId,
+    driveId: copy.driveId,
+  });
+
+  if (!result.success) {
+    dialog.showErrorBox("Upload Failed", `"${copy.name}" could not be uploaded.\n\n${result.error}`);
+    return;
+  }
+  copy.cTag = result.item.cTag;
+}
+
+/**
+ * Check whether a local copy was saved and offer to upload it
+ * @param {LocalCopy} copy - Local copy
+ */
+async function checkForSave(copy) {
+  if (copy.prompting) return;
+
+  const current = await stat(copy.filePath).catch(() => null);
+  if (!current || (current.mtimeMs === copy.mtimeMs && current.size === copy.size)) return;
+
+  copy.prompting = true;
+  try {
+    await offerUpload(copy, current);
+  } finally {
+    copy.prompting = false;
+  }
+}
+
+/**
+ * Download a document into the working directory and start watching it
+ * A document that is already downloaded is reused so local edits are kept.
+ * @param {object} item - Graph driveItem
+ * @param {string} accountType - Profile id
+ * @returns {Promise<LocalCopy>}
+ */
+async function downloadCopy(item, accountType) {
+  const driveId = item.parentReference?.driveId;
+
+  // One directory per document, so documents with the same name do not clash
+  const dir = join(getWorkingDir(), createHash("sha256").update(`${driveId}/${item.id}`).digest("hex").slice(0, 12));
+  const filePath = join(dir, item.name);
+
+  const existing = localCopies.get(filePath);
+  if (existing) return existing;
+
+  await mkdir(dir, { recursive: true });
+  await writeFile(filePath, await downloadDriveItem(accountType, item.id, driveId));
+  const { mtimeMs, size } = await stat(filePath);
+
+  const copy = {
+    filePath,
+    name: item.name,
+    accountType,
+    itemId: item.id,
+    driveId,
+    cTag: item.cTag,
+    mtimeMs,
+    size,
+    timer: null,
+    prompting: false,
+  };
+
+  // Watch the directory: editors often replace the file instead of writing to it
+  copy.watcher = watch(dir, (eventType, fileName) => {
+    if (fileName !== item.name) return;
+    clearTimeout(copy.timer);
+    copy.timer = setTimeout(() => checkForSave(copy), SAVE_DEBOUNCE_MS);
+  });
+
+  localCopies.set(filePath, copy);
+  return copy;
+}
+
+/**
+ * Download the document shown in a window and open it in the local editor
+ * @param {BrowserWindow} window - Window showing a document in a web editor
+ * @returns {Promise<{success: boolean, filePath?: string, error?: string}>}
+ */
+export async function openDocumentLocally(window) {
+  const fail = (error) => {
+    dialog.showErrorBox("Cannot Open Locally", error);
+    return { success: false, error };
+  };
+
+  if (!getValue("localEditorCommand")) {
+    return fail("Set the local editor command in Preferences > Apps first.");
+  }
+  if (!isGraphConfigured()) {
+    return fail("Opening documents locally needs a Microsoft Graph client id (Preferences > Apps).");
+  }
+  if (isPrivateWindow(window)) {
+    return fail("Documents in private windows cannot be opened locally.");
+  }
+  if (getBoundFile(window)) {
+    return fail(`This window is already editing ${getBoundFile(window)}. Open that file in the local editor instead.`);
+  }
+
+  // Windows created by the window manager track their URL; others are asked directly
+  const url = getWindowMeta(window)?.url || window.webContents.getURL();
+  const accountType = getWindowAccountType(window);
+
+  let copy;
+  try {
+    const item = await resolveDocumentUrl(accountType, url);
+    if (!item.file) {
+      return fail("This window does not show a document.");
+    }
+    copy = await downloadCopy(item, accountType);
+  } catch (error) {
+    console.error(`Failed to download the document in window ${window.id}:`, error);
+    return fail(`The document could not be downloaded.\n\n${error.message}`);
+  }
+
+  if (!(await openInLocalEditor(copy.filePath))) {
+    return { success: false, error: "The local editor could not be started." };
+  }
+
+  console.log(`Opened "${copy.name}" locally from ${copy.filePath}`);
+  return { success: true, filePath: copy.filePath };
+}
+
+/**
+ * Open the document in the focused window locally
+ * Used by File > Open Locally
+ */
+export function openFocusedDocumentLocally() {
+  const window = BrowserWindow.getFocusedWindow();
+  if (window) openDocumentLocally(window);
+}
+
+/**
+ * Initialize open-locally
+ * Stops watching local copies when the app quits
+ */
+export function initializeOpenLocally() {
+  app.on("will-quit", () => {
+    for (const copy of localCopies.values()) {
+      clearTimeout(copy.timer);
+      copy.watcher.close();
+    }
+    localCopies.clear();
+  });
+}
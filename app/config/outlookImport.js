@@ -0,0 +1,296 @@
+/**
+ * Outlook Import Module
+ * Imports .ics events into the Outlook calendar and .vcf cards into Outlook contacts
+ *
+ * The file is parsed offline (icalendar.js, vcard.js) and previewed before
+ * anything is sent; the preview also picks the profile to import into.
+ * Events and contacts are then created one by one through Microsoft Graph.
+ * Attendees are listed in the event notes instead of being invited.
+ */
+
+import { dialog } from "electron";
+import { readFile } from "fs/promises";
+import { basename, extname } from "path";
+import { getAccountType } from "./appLauncher.js";
+import { createWindow } from "./windowManager.js";
+import { getProfileAuth, getProfiles } from "./profiles.js";
+import { isGraphConfigured, createCalendarEvent, listEventOccurrences, deleteCalendarEvent, createContact } from "./graph.js";
+import { parseICalendar, toGraphEvent, getSystemTimeZone } from "./icalendar.js";
+import { parseVCards, toGraphContact, getCardDisplayName } from "./vcard.js";
+import { showNotification } from "./notifications.js";
+
+// The preview lists this many items; the rest are counted
+const MAX_PREVIEW_ITEMS = 8;
+
+// Outlook pages imported items show up on, for work/school and personal accounts
+const OUTLOOK_PAGES = {
+  event: { work: "https://outlook.office.com/calendar/", personal: "https://outlook.live.com/calendar/" },
+  contact: { work: "https://outlook.office.com/people/", personal: "https://outlook.live.com/people/" },
+};
+
+/**
+ * One event or contact to import
+ * @typedef {Object} ImportItem
+ * @property {string} label - Title or name shown in the preview
+ * @property {string[]} details - Preview lines below the label
+ * @property {object|null} graph - Graph event or contact, null when it cannot be imported
+ * @property {string|null} error - Why the item cannot be imported
+ * @property {Set<string>} warnings - Details that are left out
+ * @property {Array<object>} [exdates] - Occurrences to remove after a repeating event is created
+ */
+
+/**
+ * Decode a file as UTF-8, or as Windows-1252 when it is not valid UTF-8
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Text
+ */
+function decodeFile(buffer) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder("windows-1252").decode(buffer);
+  }
+}
+
+/**
+ * Say how many of something there are
+ * @param {number} count - Number
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "1 event", "3 events"
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Capitalize a Graph weekday or index
+ * @param {string} word - e.g. "monday"
+ * @returns {string} e.g. "Monday"
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Move a date by whole days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Describe when an event takes place
+ * @param {object} event - Event from parseICalendar()
+ * @returns {string} e.g. "2024-01-08 10:00 – 10:30 (Europe/Berlin)"
+ */
+function describeEventTime({ start, end, allDay }) {
+  if (allDay) {
+    const lastDay = addDays(end.date, -1);
+    return lastDay > start.date ? `${start.date} – ${lastDay}, all day` : `${start.date}, all day`;
+  }
+  const endDate = end.date === start.date ? "" : `${end.date} `;
+  return `${start.date} ${start.time.slice(0, 5)} – ${endDate}${end.time.slice(0, 5)} (${start.timeZone})`;
+}
+
+/**
+ * Describe a Graph recurrence
+ * @param {{pattern: object, range: object}} recurrence - Graph recurrence
+ * @returns {string} e.g. "Repeats every 2 weeks on Monday, Wednesday, until 2024-03-31"
+ */
+function describeRecurrence({ pattern, range }) {
+  const every = (unit) => (pattern.interval === 1 ? `every ${unit}` : `every ${pattern.interval} ${unit}s`);
+  const days = (pattern.daysOfWeek || []).map(capitalize).join(", ");
+  const month = pattern.month && new Date(Date.UTC(2000, pattern.month - 1, 1)).toLocaleString("en-US", { month: "long", timeZone: "UTC" });
+  const descriptions = {
+    daily: every("day"),
+    weekly: `${every("week")} on ${days}`,
+    absoluteMonthly: `${every("month")} on day ${pattern.dayOfMonth}`,
+    relativeMonthly: `${every("month")} on the ${pattern.index} ${days}`,
+    absoluteYearly: `${every("year")} on ${month} ${pattern.dayOfMonth}`,
+    relativeYearly: `${every("year")} on the ${pattern.index} ${days} of ${month}`,
+  };
+  const end = range.type === "numbered" ? `, ${range.numberOfOccurrences} times` : range.type === "endDate" ? `, until ${range.endDate}` : "";
+  return `Repeats ${descriptions[pattern.type]}${end}`;
+}
+
+/**
+ * Read the events of an .ics file
+ * @param {string} text - File contents
+ * @returns {ImportItem[]}
+ * @throws {Error} When the file cannot be imported
+ */
+function readEventItems(text) {
+  const { method, events } = parseICalendar(text);
+  if (method === "CANCEL") throw new Error("The file cancels a meeting, so there is nothing to import.");
+
+  return events.map((event) => {
+    const item = {
+      label: event.summary || "(No title)",
+      details: [describeEventTime(event)],
+      graph: null,
+      error: null,
+      warnings: event.warnings,
+      exdates: event.exdates,
+    };
+    try {
+      item.graph = toGraphEvent(event);
+    } catch (error) {
+      item.error = error.message;
+      return item;
+    }
+    if (item.graph.recurrence) item.details.push(describeRecurrence(item.graph.recurrence));
+    if (event.location) item.details.push(event.location);
+    if (event.attendees.length > 0) item.warnings.add("Attendees are not invited; they are listed in the event notes.");
+    return item;
+  });
+}
+
+/**
+ * Read the cards of a .vcf file
+ * @param {string} text - File contents
+ * @returns {ImportItem[]}
+ * @throws {Error} When the file holds no cards
+ */
+function readContactItems(text) {
+  return parseVCards(text).map((card) => {
+    const graph = toGraphContact(card);
+    return {
+      label: getCardDisplayName(card) || "(No name)",
+      details: [graph.emailAddresses[0]?.address, graph.mobilePhone || graph.businessPhones[0] || graph.homePhones[0], graph.companyName].filter(Boolean),
+      graph,
+      error: null,
+      warnings: card.warnings,
+    };
+  });
+}
+
+/**
+ * Build the preview text
+ * @param {ImportItem[]} items - Items read from the file
+ * @returns {string} Dialog detail
+ */
+function buildPreview(items) {
+  const importable = items.filter((item) => !item.error);
+  const lines = importable.slice(0, MAX_PREVIEW_ITEMS).flatMap((item) => [item.label, ...item.details.map((detail) => `    ${detail}`)]);
+  if (importable.length > MAX_PREVIEW_ITEMS) {
+    lines.push(`…and ${importable.length - MAX_PREVIEW_ITEMS} more`);
+  }
+
+  const skipped = items.filter((item) => item.error).map((item) => `"${item.label}" is skipped: ${item.error}`);
+  const warnings = [...new Set(importable.flatMap((item) => [...item.warnings]))];
+  return [lines.join("\n"), skipped.join("\n"), warnings.join("\n")].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Remove the occurrences a repeating event excludes (EXDATE)
+ * Graph cannot create a series with gaps, so they are deleted once it exists.
+ * @param {string} accountType - Profile id
+ * @param {string} eventId - Created series
+ * @param {Array<{date: string, time?: string, timeZone?: string}>} exdates - Excluded occurrences
+ * @returns {Promise<void>}
+ */
+async function removeExcludedOccurrences(accountType, eventId, exdates) {
+  for (const exdate of exdates) {
+    const timeZone = exdate.time ? exdate.timeZone : getSystemTimeZone();
+    // A day either side covers every time zone; times come back in the exdate's zone
+    const occurrences = await listEventOccurrences(accountType, eventId, {
+      start: `${addDays(exdate.date, -1)}T00:00:00Z`,
+      end: `${addDays(exdate.date, 2)}T00:00:00Z`,
+      timeZone,
+    });
+    const prefix = exdate.time ? `${exdate.date}T${exdate.time.slice(0, 5)}` : exdate.date;
+    const occurrence = occurrences.find((candidate) => candidate.start?.dateTime?.startsWith(prefix));
+    if (occurrence) await deleteCalendarEvent(accountType, occurrence.id);
+  }
+}
+
+/**
+ * Import an .ics or .vcf file into Outlook after showing a preview
+ * @param {string} filePath - File to import
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function importOutlookFile(filePath) {
+  const title = "Cannot Import File";
+  const fileName = basename(filePath);
+  const kind = extname(filePath).toLowerCase() === ".ics" ? "event" : "contact";
+
+  if (!isGraphConfigured()) {
+    dialog.showErrorBox(title, "Importing into Outlook needs a Microsoft Graph client id (Preferences > Apps).");
+    return { success: false, error: "Microsoft Graph is not configured" };
+  }
+
+  let items;
+  try {
+    const text = decodeFile(await readFile(filePath));
+    items = kind === "event" ? readEventItems(text) : readContactItems(text);
+  } catch (error) {
+    console.error(`Failed to read "${filePath}":`, error);
+    dialog.showErrorBox(title, `"${fileName}" could not be read.\n\n${error.message}`);
+    return { success: false, error: error.message };
+  }
+
+  const importable = items.filter((item) => !item.error);
+  if (importable.length === 0) {
+    const reason = items.length === 0 ? `The file holds no ${kind}s.` : buildPreview(items);
+    dialog.showErrorBox(title, `Nothing in "${fileName}" can be imported.\n\n${reason}`);
+    return { success: false, error: "Nothing to import" };
+  }
+
+  const profiles = getProfiles();
+  const defaultIndex = Math.max(0, profiles.findIndex((profile) => profile.id === getAccountType()));
+  const { response } = await dialog.showMessageBox({
+    type: "question",
+    title: "Import into Outlook",
+    message: `Import ${pluralize(importable.length, kind)} from "${fileName}" into Outlook?`,
+    detail: buildPreview(items),
+    buttons: [...profiles.map((profile) => `Import to ${profile.name}`), "Cancel"],
+    defaultId: defaultIndex,
+    cancelId: profiles.length,
+    noLink: true,
+  });
+  if (response >= profiles.length) return { success: false, error: "Cancelled", cancelled: true };
+
+  const accountType = profiles[response].id;
+  const failures = [];
+  let firstLink = null;
+  for (const item of importable) {
+    try {
+      if (kind === "contact") {
+        await createContact(accountType, item.graph);
+        continue;
+      }
+      const created = await createCalendarEvent(accountType, item.graph);
+      firstLink ||= created.webLink || null;
+      if (item.graph.recurrence && item.exdates.length > 0) {
+        await removeExcludedOccurrences(accountType, created.id, item.exdates);
+      }
+    } catch (error) {
+      console.error(`Failed to import "${item.label}" from "${filePath}":`, error);
+      failures.push(`${item.label}: ${error.message}`);
+    }
+  }
+
+  const imported = importable.length - failures.length;
+  console.log(`Imported ${pluralize(imported, kind)} from "${filePath}" into "${accountType}"`);
+  if (failures.length > 0) {
+    dialog.showErrorBox(
+      "Import Incomplete",
+      `${imported} of ${pluralize(importable.length, kind)} from "${fileName}" were imported.\n\n${failures.join("\n")}`
+    );
+    return { success: false, error: failures.join("\n") };
+  }
+
+  const page = OUTLOOK_PAGES[kind][getProfileAuth(accountType) === "work" ? "work" : "personal"];
+  showNotification({
+    title: "Imported into Outlook",
+    body: `${pluralize(imported, kind)} from ${fileName}`,
+    type: "general",
+    onClick: () => createWindow({ url: firstLink || page, appType: "outlook", accountType }),
+  });
+  return { success: true };
+}
+
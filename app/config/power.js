@@ -72,6 +72,10 @@ export function isInCall() {
 export function getCallDetectionScript() {
   return `
     (function() {
+      // Only one detector per page, even if injected on dom-ready and load
+      if (window.__ms365CallDetection) return;
+      window.__ms365CallDetection = true;
+
       let lastCallState = false;
 
       // Check for active call indicators
@@ -146,15 +150,15 @@ export function initializePowerManagement() {
 }
 
 /**
- * Inject call detection into a window
- * @param {BrowserWindow} window - Window to inject into
+ * Inject call detection into a page
+ * @param {Electron.WebContents} contents - Page to inject into
  */
-export function injectCallDetection(window) {
-  const url = window.webContents.getURL();
+export function injectCallDetection(contents) {
+  const url = contents.getURL();
 
   // Only inject for Teams and Outlook
   if (url.includes("teams") || url.includes("outlook")) {
-    window.webContents.executeJavaScript(getCallDetectionScript()).catch(() => {
+    contents.executeJavaScript(getCallDetectionScript()).catch(() => {
       // Ignore errors
     });
   }
@@ -3,10 +3,20 @@
  * GTK-style preferences dialog for MS-365-Electron
  */
 
-import { BrowserWindow, ipcMain, nativeTheme, app } from "electron";
+import { BrowserWindow, ipcMain, nativeTheme, app, dialog } from "electron";
 import { getValue, setValue } from "./store.js";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
+import { setDefaultMailClient } from "./protocol.js";
+import { getProfiles, getDefaultProfileId, setDefaultProfile, addProfile, updateProfile, removeProfile } from "./profiles.js";
+import { signOutGraph, validateGraphUrl } from "./graph.js";
+import { getDownloadDir } from "./xdg.js";
+import { getSendFolderPath, restartSendFolder } from "./sendFolder.js";
+import { getMailArchiveDir } from "./mailExport.js";
+import { updateRecentDocumentsSettings } from "./recentDocuments.js";
+import { getPageSizes, getPrintSettings } from "./printing.js";
+import { getFileManagers, isFileManagerIntegrationInstalled, installFileManagerActions, removeFileManagerActions } from "./fileManagers.js";
+import { getConvertibleExtensions, getConvertersFor, getConversionSetting, setConversionSetting } from "./converters.js";
 import useragents from "../useragents.json" with { type: "json" };
 
 const __filename = fileURLToPath(import.meta.url);
@@ -21,7 +31,10 @@ let preferencesWindow = null;
 export function getAllPreferences() {
   return {
     // Account
-    accountType: getValue("enterprise-or-normal") === "?auth=2" ? "work" : "personal",
+    accountType: getDefaultProfileId(),
+    profiles: getProfiles(),
+    defaultMailClient: getValue("defaultMailClient") === true,
+    mailtoAccount: getValue("mailtoAccount") || "default",
 
     // Startup
     restoreSession: getValue("restoreSession") === true,
@@ -37,7 +50,34 @@ export function getAllPreferences() {
     windowWidth: getValue("windowWidth") || 0.71,
     windowHeight: getValue("windowHeight") || 0.74,
     openInNewWindow: getValue("websites-in-new-window") === "true",
+    officeLinksInLocalEditor: getValue("officeLinksInLocalEditor") === true,
+    localEditorCommand: getValue("localEditorCommand") || "",
+    uploadFolder: getValue("uploadFolder") || "",
+    graphClientId: getValue("graphClientId") || "",
+    graphBaseUrl: getValue("graphBaseUrl") || "",
+    graphAuthorityUrl: getValue("graphAuthorityUrl") || "",
+    downloadDirectory: getValue("downloadDirectory") || "",
+    askWhereToSave: getValue("askWhereToSave") === true,
+    fileManagerActions: isFileManagerIntegrationInstalled(),
+    fileManagers: getFileManagers(),
+    sendFolderEnabled: getValue("sendFolderEnabled") === true,
+    sendFolderPath: getValue("sendFolderPath") || "",
+    sendFolderDestination: getValue("sendFolderDestination") || "",
+    sendFolderAccount: getValue("sendFolderAccount") || "default",
+    sendFolderAfterUpload: getValue("sendFolderAfterUpload") || "move",
+    conversions: getConvertibleExtensions().map((ext) => ({
+      ext,
+      setting: getConversionSetting(ext),
+      converters: getConvertersFor(ext).map((converter) => ({
+        id: converter.id,
+        label: `${converter.name} (${converter.to(ext)})${converter.isAvailable() ? "" : " – not installed"}`,
+      })),
+    })),
+    print: getPrintSettings(),
+    pageSizes: getPageSizes(),
+    mailArchiveDirectory: getValue("mailArchiveDirectory") || "",
     autoHideMenuBar: getValue("autohide-menubar") === "true",
+    tabbedWindows: getValue("tabbedWindows") === true,
 
     // Theme
     theme: getValue("theme") || "system",
@@ -45,6 +85,8 @@ export function getAllPreferences() {
     // Privacy
     blockAdsAndTrackers: getValue("blockadsandtrackers") === "true",
     externalLinks: getValue("externalLinks") === "true",
+    recentDocumentsEnabled: getValue("recentDocumentsEnabled") === true,
+    recentDocumentsDesktop: getValue("recentDocumentsDesktop") === true,
 
     // Network
     userAgent: getValue("useragentstring"),
@@ -87,12 +129,41 @@ function getWindowSizePreset() {
 export function setPreference(key, value) {
   let requiresRestart = false;
 
+  // Conversion settings are keyed by extension, e.g. "conversion:.odt"
+  if (key.startsWith("conversion:")) {
+    const result = setConversionSetting(key.slice("conversion:".length), String(value));
+    if (!result.success) console.warn(result.error);
+    return { success: result.success, requiresRestart };
+  }
+
   switch (key) {
     case "accountType":
-      setValue("enterprise-or-normal", value === "work" ? "?auth=2" : "?auth=1");
+      setDefaultProfile(value);
       requiresRestart = true;
       break;
 
+    case "addProfile":
+    case "updateProfile":
+    case "removeProfile": {
+      const result = key === "addProfile"
+        ? addProfile(value)
+        : key === "updateProfile" ? updateProfile(value.id, value) : removeProfile(value);
+      if (!result.success) {
+        return { success: false, requiresRestart: false, error: result.error };
+      }
+      // Adding or removing changes the list, so redraw it
+      if (key !== "updateProfile") reloadPreferences("profiles");
+      break;
+    }
+
+    case "defaultMailClient":
+      setDefaultMailClient(value);
+      break;
+
+    case "mailtoAccount":
+      setValue("mailtoAccount", value);
+      break;
+
     case "restoreSession":
       setValue("restoreSession", value);
       break;
@@ -146,11 +217,111 @@ export function setPreference(key, value) {
       setValue("websites-in-new-window", value ? "true" : "false");
       break;
 
+    case "officeLinksInLocalEditor":
+      setValue("officeLinksInLocalEditor", value);
+      break;
+
+    case "localEditorCommand":
+      setValue("localEditorCommand", String(value).trim());
+      break;
+
+    case "downloadDirectory":
+      setValue("downloadDirectory", String(value).trim());
+      break;
+
+    case "askWhereToSave":
+      setValue("askWhereToSave", value);
+      break;
+
+    case "uploadFolder":
+      setValue("uploadFolder", String(value).trim().replace(/^\/+|\/+$/g, ""));
+      break;
+
+    case "fileManagerActions": {
+      const result = value ? installFileManagerActions() : removeFileManagerActions();
+      if (!result.success) {
+        dialog.showErrorBox("File Manager Integration", `The file manager actions could not be ${value ? "installed" : "removed"}.\n\n${result.error}`);
+      } else if (value && result.installed.length === 0) {
+        dialog.showErrorBox("File Manager Integration", "No supported file manager was found. Nautilus, Dolphin, Nemo and Thunar are supported.");
+      }
+      // The toggle shows what is actually installed
+      reloadPreferences("apps");
+      return { success: result.success, requiresRestart: false, error: result.error };
+    }
+
+    case "recentDocumentsEnabled":
+    case "recentDocumentsDesktop":
+      setValue(key, value);
+      updateRecentDocumentsSettings();
+      break;
+
+    case "printPageSize":
+      setValue("printPageSize", getPageSizes().includes(value) ? value : "auto");
+      break;
+
+    case "printLandscape":
+      setValue("printLandscape", value === "landscape");
+      break;
+
+    case "printMargins":
+      setValue("printMargins", ["default", "minimum", "none"].includes(value) ? value : "default");
+      break;
+
+    case "printBackground":
+    case "printHeaderFooter":
+      setValue(key, value);
+      break;
+
+    case "mailArchiveDirectory":
+      setValue("mailArchiveDirectory", String(value).trim());
+      break;
+
+    case "sendFolderEnabled":
+      setValue("sendFolderEnabled", value);
+      restartSendFolder();
+      break;
+
+    case "sendFolderPath":
+      setValue("sendFolderPath", String(value).trim());
+      restartSendFolder();
+      break;
+
+    case "sendFolderDestination":
+      setValue("sendFolderDestination", String(value).trim().replace(/^\/+|\/+$/g, ""));
+      break;
+
+    case "sendFolderAccount":
+      setValue("sendFolderAccount", value);
+      break;
+
+    case "sendFolderAfterUpload":
+      setValue("sendFolderAfterUpload", value === "delete" ? "delete" : "move");
+      break;
+
+    case "graphClientId":
+    case "graphBaseUrl":
+    case "graphAuthorityUrl": {
+      const text = String(value).trim();
+      if (key !== "graphClientId") {
+        const validation = validateGraphUrl(key, text);
+        if (!validation.valid) return { success: false, requiresRestart: false, error: validation.error };
+      }
+      setValue(key, text);
+      // Tokens belong to the old app registration or server
+      signOutGraph();
+      break;
+    }
+
     case "autoHideMenuBar":
       setValue("autohide-menubar", value ? "true" : "false");
       requiresRestart = true;
       break;
 
+    case "tabbedWindows":
+      setValue("tabbedWindows", value);
+      requiresRestart = true;
+      break;
+
     case "theme":
       setValue("theme", value);
       if (value === "dark") {
@@ -199,6 +370,53 @@ export function setPreference(key, value) {
   return { success: true, requiresRestart };
 }
 
+/**
+ * Redraw the preferences window, keeping a section open
+ * @param {string} section - Section id to show
+ */
+function reloadPreferences(section) {
+  if (!preferencesWindow || preferencesWindow.isDestroyed()) return;
+  preferencesWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(getPreferencesHTML())}#${section}`);
+}
+
+/**
+ * Generate the HTML row for a profile
+ * @param {object} profile - Profile from getProfiles()
+ * @returns {string} HTML
+ */
+function getProfileRowHTML(profile) {
+  const signIn = profile.auth === "work" ? "Work/School" : "Personal";
+  const controls = profile.builtIn
+    ? `<span class="description">Built-in</span>`
+    : `<input type="text" data-profile-name="${escapeHtml(profile.id)}" value="${escapeHtml(profile.name)}">
+            <input type="color" data-profile-color="${escapeHtml(profile.id)}" value="${escapeHtml(profile.color)}">
+            <button class="button" data-remove-profile="${escapeHtml(profile.id)}">Remove</button>`;
+
+  return `
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title"><span class="profile-swatch" style="background: ${escapeHtml(profile.color)}"></span>${escapeHtml(profile.name)}</div>
+            <div class="description">${signIn} sign-in &middot; --profile ${escapeHtml(profile.id)}</div>
+          </div>
+          <div class="setting-control">
+            ${controls}
+          </div>
+        </div>`;
+}
+
+/**
+ * Escape a value for use in HTML attributes
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
 /**
  * Generate HTML for preferences window
  */
@@ -412,6 +630,61 @@ function getPreferencesHTML() {
       border-color: var(--accent-color);
     }
 
+    /* Text input */
+    input[type="text"] {
+      padding: 8px 12px;
+      font-size: 14px;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      background: var(--bg-secondary);
+      color: var(--text-primary);
+      min-width: 150px;
+    }
+
+    input[type="text"]:focus {
+      outline: none;
+      border-color: var(--accent-color);
+    }
+
+    /* Colour input */
+    input[type="color"] {
+      width: 36px;
+      height: 34px;
+      padding: 2px;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      background: var(--bg-secondary);
+      cursor: pointer;
+    }
+
+    /* Button */
+    .button {
+      padding: 8px 16px;
+      font-size: 14px;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      background: var(--bg-secondary);
+      color: var(--text-primary);
+      cursor: pointer;
+    }
+
+    .button:hover {
+      background: var(--bg-hover);
+    }
+
+    /* Profiles */
+    .profile-swatch {
+      display: inline-block;
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      margin-right: 8px;
+    }
+
+    .profile-error {
+      color: #d13438;
+    }
+
     /* Restart notice */
     .restart-notice {
       display: none;
@@ -447,6 +720,7 @@ function getPreferencesHTML() {
 <body>
   <nav class="sidebar">
     <div class="sidebar-item active" data-section="general">General</div>
+    <div class="sidebar-item" data-section="profiles">Profiles</div>
     <div class="sidebar-item" data-section="apps">Apps</div>
     <div class="sidebar-item" data-section="privacy">Privacy</div>
     <div class="sidebar-item" data-section="network">Network</div>
@@ -462,20 +736,41 @@ function getPreferencesHTML() {
         <h3>Account</h3>
         <div class="setting-row">
           <div class="setting-label">
-            <div class="title">Account Type</div>
-            <div class="description">Choose which Microsoft account to use</div>
+            <div class="title">Default profile</div>
+            <div class="description">Profile the main window and new windows use</div>
           </div>
           <div class="setting-control">
-            <div class="radio-group">
-              <label class="radio-option">
-                <input type="radio" name="accountType" value="personal" ${prefs.accountType === "personal" ? "checked" : ""}>
-                Personal
-              </label>
-              <label class="radio-option">
-                <input type="radio" name="accountType" value="work" ${prefs.accountType === "work" ? "checked" : ""}>
-                Work/School
-              </label>
-            </div>
+            <select data-pref="accountType">
+              ${prefs.profiles.map((profile) => `<option value="${escapeHtml(profile.id)}" ${prefs.accountType === profile.id ? "selected" : ""}>${escapeHtml(profile.name)}</option>`).join("")}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div class="setting-group">
+        <h3>Email</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Default email app</div>
+            <div class="description">Open mailto: links from other apps in Outlook</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="defaultMailClient" ${prefs.defaultMailClient ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Account for mail links</div>
+            <div class="description">Account that composes messages from mailto: links</div>
+          </div>
+          <div class="setting-control">
+            <select data-pref="mailtoAccount">
+              <option value="default" ${prefs.mailtoAccount === "default" ? "selected" : ""}>Default profile</option>
+              ${prefs.profiles.map((profile) => `<option value="${escapeHtml(profile.id)}" ${prefs.mailtoAccount === profile.id ? "selected" : ""}>${escapeHtml(profile.name)}</option>`).join("")}
+            </select>
           </div>
         </div>
       </div>
@@ -568,6 +863,18 @@ function getPreferencesHTML() {
             </label>
           </div>
         </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Open apps as tabs</div>
+            <div class="description">Apps and documents open as tabs in one window</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="tabbedWindows" ${prefs.tabbedWindows ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
       </div>
 
       <div class="setting-group">
@@ -597,6 +904,58 @@ function getPreferencesHTML() {
       </div>
     </section>
 
+    <!-- Profiles Section -->
+    <section id="profiles" class="section">
+      <h2>Profiles</h2>
+
+      <div class="setting-group">
+        <h3>Profiles</h3>
+        ${prefs.profiles.map(getProfileRowHTML).join("")}
+      </div>
+
+      <div class="setting-group">
+        <h3>Add Profile</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Name</div>
+            <div class="description">Shown in the tray; its id is used with --profile</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" id="newProfileName" placeholder="Contoso">
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Sign-in</div>
+            <div class="description">Kind of Microsoft account the profile signs in with</div>
+          </div>
+          <div class="setting-control">
+            <select id="newProfileAuth">
+              <option value="work">Work/School</option>
+              <option value="personal">Personal</option>
+            </select>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Colour</div>
+            <div class="description">Marks the profile in the tray menu</div>
+          </div>
+          <div class="setting-control">
+            <input type="color" id="newProfileColor" value="#605e5c">
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="description profile-error" id="profileError"></div>
+          </div>
+          <div class="setting-control">
+            <button class="button" id="addProfile">Add Profile</button>
+          </div>
+        </div>
+      </div>
+    </section>
+
     <!-- Apps Section -->
     <section id="apps" class="section">
       <h2>Apps</h2>
@@ -617,6 +976,247 @@ function getPreferencesHTML() {
         </div>
       </div>
 
+      <div class="setting-group">
+        <h3>Office Desktop Links</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Open in local editor</div>
+            <div class="description">Send "Open in Desktop App" links to a local editor instead of the web editor</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="officeLinksInLocalEditor" ${prefs.officeLinksInLocalEditor ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Local editor command</div>
+            <div class="description">Command that opens documents (URLs or files from File > Open Locally), e.g. libreoffice</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" data-pref="localEditorCommand" value="${escapeHtml(prefs.localEditorCommand)}">
+          </div>
+        </div>
+      </div>
+
+      <div class="setting-group">
+        <h3>Downloads</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Download folder</div>
+            <div class="description">Folder downloads are saved to (empty for your Downloads folder)</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" data-pref="downloadDirectory" value="${escapeHtml(prefs.downloadDirectory)}" placeholder="${escapeHtml(getDownloadDir())}">
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Ask where to save</div>
+            <div class="description">Choose a location for each download</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="askWhereToSave" ${prefs.askWhereToSave ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
+      </div>
+
+      <div class="setting-group">
+        <h3>OneDrive Upload</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Upload folder</div>
+            <div class="description">OneDrive folder that opened files are uploaded to (empty for the root)</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" data-pref="uploadFolder" value="${escapeHtml(prefs.uploadFolder)}">
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Microsoft Graph client id</div>
+            <div class="description">Application id of your app registration; without it files are uploaded by hand</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" data-pref="graphClientId" value="${escapeHtml(prefs.graphClientId)}" placeholder="00000000-0000-0000-0000-000000000000">
+          </div>
+        </div>
+      </div>
+
+      <div class="setting-group">
+        <h3>File Manager Integration</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Context menu actions</div>
+            <div class="description">Add "Open in Microsoft 365" and "Upload to OneDrive" to ${escapeHtml(prefs.fileManagers.filter((manager) => manager.detected).map((manager) => manager.name).join(", ") || "supported file managers (none found)")}</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="fileManagerActions" ${prefs.fileManagerActions ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
+      </div>
+
+      <div class="setting-group">
+        <h3>Send to OneDrive Folder</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Upload files saved to a folder</div>
+            <div class="description">Watch a local folder and upload everything saved to it</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="sendFolderEnabled" ${prefs.sendFolderEnabled ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Local folder</div>
+            <div class="description">Folder to watch (empty for the default)</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" data-pref="sendFolderPath" value="${escapeHtml(prefs.sendFolderPath)}" placeholder="${escapeHtml(getSendFolderPath())}">
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">OneDrive folder</div>
+            <div class="description">Folder the files are uploaded to (empty for the root)</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" data-pref="sendFolderDestination" value="${escapeHtml(prefs.sendFolderDestination)}">
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Profile</div>
+            <div class="description">Whose OneDrive the files go to</div>
+          </div>
+          <div class="setting-control">
+            <select data-pref="sendFolderAccount">
+              <option value="default" ${prefs.sendFolderAccount === "default" ? "selected" : ""}>Default profile</option>
+              ${prefs.profiles.map((profile) => `<option value="${escapeHtml(profile.id)}" ${prefs.sendFolderAccount === profile.id ? "selected" : ""}>${escapeHtml(profile.name)}</option>`).join("")}
+            </select>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">After uploading</div>
+            <div class="description">What happens to the local file</div>
+          </div>
+          <div class="setting-control">
+            <select data-pref="sendFolderAfterUpload">
+              <option value="move" ${prefs.sendFolderAfterUpload === "move" ? "selected" : ""}>Move to "uploaded"</option>
+              <option value="delete" ${prefs.sendFolderAfterUpload === "delete" ? "selected" : ""}>Delete</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div class="setting-group">
+        <h3>Conversion Before Upload</h3>
+        ${prefs.conversions.map((conversion) => `
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">${escapeHtml(conversion.ext)} files</div>
+            <div class="description">Converter offered when uploading a copy</div>
+          </div>
+          <div class="setting-control">
+            <select data-pref="conversion:${escapeHtml(conversion.ext)}">
+              <option value="auto" ${conversion.setting === "auto" ? "selected" : ""}>Automatic</option>
+              ${conversion.converters.map((converter) => `<option value="${escapeHtml(converter.id)}" ${conversion.setting === converter.id ? "selected" : ""}>${escapeHtml(converter.label)}</option>`).join("")}
+              <option value="none" ${conversion.setting === "none" ? "selected" : ""}>Do not convert</option>
+            </select>
+          </div>
+        </div>`).join("")}
+      </div>
+
+      <div class="setting-group">
+        <h3>Printing and PDF Export</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Page size</div>
+            <div class="description">Automatic uses the printer's size, or the locale's for PDF</div>
+          </div>
+          <div class="setting-control">
+            <select data-pref="printPageSize">
+              ${prefs.pageSizes.map((size) => `<option value="${size}" ${prefs.print.pageSize === size ? "selected" : ""}>${size === "auto" ? "Automatic" : size}</option>`).join("")}
+            </select>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Orientation</div>
+            <div class="description">Page orientation</div>
+          </div>
+          <div class="setting-control">
+            <select data-pref="printLandscape">
+              <option value="portrait" ${!prefs.print.landscape ? "selected" : ""}>Portrait</option>
+              <option value="landscape" ${prefs.print.landscape ? "selected" : ""}>Landscape</option>
+            </select>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Margins</div>
+            <div class="description">Space around the page content</div>
+          </div>
+          <div class="setting-control">
+            <select data-pref="printMargins">
+              <option value="default" ${prefs.print.margins === "default" ? "selected" : ""}>Default</option>
+              <option value="minimum" ${prefs.print.margins === "minimum" ? "selected" : ""}>Minimum</option>
+              <option value="none" ${prefs.print.margins === "none" ? "selected" : ""}>None</option>
+            </select>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Background graphics</div>
+            <div class="description">Print background colours and images</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="printBackground" ${prefs.print.background ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Headers and footers</div>
+            <div class="description">Add the page title, address and page numbers</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="printHeaderFooter" ${prefs.print.headerFooter ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
+      </div>
+
+      <div class="setting-group">
+        <h3>Mail Export</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Archive folder</div>
+            <div class="description">Where File > Archive Mail Folder to mbox saves mailboxes (empty for the default)</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" data-pref="mailArchiveDirectory" value="${escapeHtml(prefs.mailArchiveDirectory)}" placeholder="${escapeHtml(getMailArchiveDir())}">
+          </div>
+        </div>
+      </div>
+
       <div class="setting-group">
         <h3>Appearance</h3>
         <div class="setting-row">
@@ -669,6 +1269,34 @@ function getPreferencesHTML() {
           </div>
         </div>
       </div>
+
+      <div class="setting-group">
+        <h3>Recent Documents</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Remember recent documents</div>
+            <div class="description">List opened documents in File > Open Recent and the tray; turning this off clears the list</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="recentDocumentsEnabled" ${prefs.recentDocumentsEnabled ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Add to desktop recent files</div>
+            <div class="description">Also list documents in the recent files of GNOME, KDE and other desktops</div>
+          </div>
+          <div class="setting-control">
+            <label class="toggle">
+              <input type="checkbox" data-pref="recentDocumentsDesktop" ${prefs.recentDocumentsDesktop ? "checked" : ""}>
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+        </div>
+      </div>
     </section>
 
     <!-- Network Section -->
@@ -739,6 +1367,28 @@ function getPreferencesHTML() {
           </div>
         </div>
       </div>
+
+      <div class="setting-group">
+        <h3>Microsoft Graph</h3>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Graph API URL</div>
+            <div class="description">Base URL for OneDrive uploads; change only to test against a mock server</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" data-pref="graphBaseUrl" value="${escapeHtml(prefs.graphBaseUrl)}">
+          </div>
+        </div>
+        <div class="setting-row">
+          <div class="setting-label">
+            <div class="title">Sign-in authority URL</div>
+            <div class="description">OAuth authority used to sign in for uploads</div>
+          </div>
+          <div class="setting-control">
+            <input type="text" data-pref="graphAuthorityUrl" value="${escapeHtml(prefs.graphAuthorityUrl)}">
+          </div>
+        </div>
+      </div>
     </section>
   </main>
 
@@ -749,16 +1399,24 @@ function getPreferencesHTML() {
 
   <script>
     // Sidebar navigation
-    document.querySelectorAll('.sidebar-item').forEach(item => {
-      item.addEventListener('click', () => {
-        document.querySelectorAll('.sidebar-item').forEach(i => i.classList.remove('active'));
-        document.querySelectorAll('.section').forEach(s => s.classList.remove('active'));
-
-        item.classList.add('active');
-        document.getElementById(item.dataset.section).classList.add('active');
+    function showSection(section) {
+      document.querySelectorAll('.sidebar-item').forEach(i => {
+        i.classList.toggle('active', i.dataset.section === section);
       });
+      document.querySelectorAll('.section').forEach(s => {
+        s.classList.toggle('active', s.id === section);
+      });
+    }
+
+    document.querySelectorAll('.sidebar-item').forEach(item => {
+      item.addEventListener('click', () => showSection(item.dataset.section));
     });
 
+    // Reopen the section shown before a redraw
+    if (location.hash && document.getElementById(location.hash.slice(1))) {
+      showSection(location.hash.slice(1));
+    }
+
     // Handle preference changes
     let needsRestart = false;
 
@@ -792,6 +1450,57 @@ function getPreferencesHTML() {
       });
     });
 
+    // Text inputs
+    document.querySelectorAll('input[type="text"][data-pref]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const pref = e.target.dataset.pref;
+        const value = e.target.value;
+        window.electronAPI.invoke('preferences:set', { key: pref, value }).then(result => {
+          input.setCustomValidity(result.error || '');
+          input.reportValidity();
+          if (result.requiresRestart) {
+            showRestartNotice();
+          }
+        });
+      });
+    });
+
+    // Profiles
+    function changeProfiles(key, value) {
+      window.electronAPI.invoke('preferences:set', { key, value }).then(result => {
+        document.getElementById('profileError').textContent = result.error || '';
+      });
+    }
+
+    document.getElementById('addProfile').addEventListener('click', () => {
+      changeProfiles('addProfile', {
+        name: document.getElementById('newProfileName').value,
+        auth: document.getElementById('newProfileAuth').value,
+        color: document.getElementById('newProfileColor').value,
+      });
+    });
+
+    document.querySelectorAll('[data-profile-name]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        changeProfiles('updateProfile', { id: e.target.dataset.profileName, name: e.target.value });
+      });
+    });
+
+    document.querySelectorAll('[data-profile-color]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        changeProfiles('updateProfile', { id: e.target.dataset.profileColor, color: e.target.value });
+      });
+    });
+
+    document.querySelectorAll('[data-remove-profile]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const id = e.target.dataset.removeProfile;
+        if (confirm('Remove the profile "' + id + '"? It will be signed out and its data deleted.')) {
+          changeProfiles('removeProfile', id);
+        }
+      });
+    });
+
     // Radio buttons
     document.querySelectorAll('input[type="radio"]').forEach(radio => {
       radio.addEventListener('change', (e) => {
@@ -845,19 +1554,34 @@ export function showPreferences() {
   return preferencesWindow;
 }
 
+/**
+ * Check that an IPC call comes from the preferences window
+ * App windows share the preload, so their pages can invoke the channels too
+ * @param {Electron.IpcMainEvent|Electron.IpcMainInvokeEvent} event - IPC event
+ * @returns {boolean}
+ */
+function isFromPreferences(event) {
+  return Boolean(preferencesWindow) && !preferencesWindow.isDestroyed() && event.sender === preferencesWindow.webContents;
+}
+
 /**
  * Initialize IPC handlers for preferences
  */
 export function initPreferencesIPC() {
-  ipcMain.handle("preferences:get", () => {
-    return getAllPreferences();
+  ipcMain.handle("preferences:get", (event) => {
+    return isFromPreferences(event) ? getAllPreferences() : null;
   });
 
   ipcMain.handle("preferences:set", (event, { key, value }) => {
+    if (!isFromPreferences(event)) {
+      console.warn(`Refused to set preference "${key}" from outside the preferences window`);
+      return { success: false, requiresRestart: false, error: "Not allowed" };
+    }
     return setPreference(key, value);
   });
 
-  ipcMain.on("preferences:restart", () => {
+  ipcMain.on("preferences:restart", (event) => {
+    if (!isFromPreferences(event)) return;
     app.relaunch();
     app.exit(0);
   });
@@ -0,0 +1,261 @@
+/**
+ * Printing Module
+ * Prints windows through the system print dialog and exports them as PDF
+ *
+ * Page size, orientation, margins, background graphics and headers/footers
+ * come from Preferences > Apps and apply to both. `--print-to-pdf` loads a
+ * page in a hidden window with a profile's session and saves it as PDF.
+ */
+
+import { app, BrowserWindow, dialog, session, shell } from "electron";
+import { writeFile } from "fs/promises";
+import { basename, dirname, join } from "path";
+import { getValue, setValue } from "./store.js";
+import { getPartition } from "./appLauncher.js";
+import { configureSession } from "./sessionSetup.js";
+import { getWindowContents } from "./windowManager.js";
+import { showNotification } from "./notifications.js";
+import { EXIT_CODES } from "./cli.js";
+
+// Page sizes offered in the preferences; "auto" follows the printer or locale
+const PAGE_SIZES = ["auto", "A3", "A4", "A5", "Letter", "Legal", "Tabloid"];
+
+// Countries that use US paper sizes, for "auto" PDF exports
+const LETTER_COUNTRIES = ["US", "CA", "MX", "PH", "CL", "CO", "VE", "GT", "CR", "PA", "DO", "PR"];
+
+// Margin presets: print dialog margin types, and PDF margins in inches
+const MARGINS = {
+  default: { marginType: "default", pdf: 0.4 },
+  minimum: { marginType: "printableArea", pdf: 0.2 },
+  none: { marginType: "none", pdf: 0 },
+};
+
+// A page loaded for --print-to-pdf has this long to finish loading
+const LOAD_TIMEOUT_MS = 60 * 1000;
+
+// Web apps keep rendering after the load event; wait before capturing
+const RENDER_DELAY_MS = 3000;
+
+// The --print-to-pdf client waits longer than a page may take to load
+export const PRINT_TO_PDF_TIMEOUT_MS = LOAD_TIMEOUT_MS + 30 * 1000;
+
+// Hosts a page ends up on when the profile is not signed in
+const SIGN_IN_HOST = /^login\.(microsoftonline|live|microsoft)\.com$/i;
+
+/**
+ * Get the page sizes offered in the preferences
+ * @returns {string[]}
+ */
+export function getPageSizes() {
+  return [...PAGE_SIZES];
+}
+
+/**
+ * Get the print settings from the store
+ * @returns {{pageSize: string, landscape: boolean, margins: string, background: boolean, headerFooter: boolean}}
+ */
+export function getPrintSettings() {
+  const pageSize = getValue("printPageSize");
+  const margins = getValue("printMargins");
+  return {
+    pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : "auto",
+    landscape: getValue("printLandscape") === true,
+    margins: MARGINS[margins] ? margins : "default",
+    background: getValue("printBackground") === true,
+    headerFooter: getValue("printHeaderFooter") === true,
+  };
+}
+
+/**
+ * Get the page size for PDF export, which has no printer to ask
+ * @param {string} pageSize - Page size setting
+ * @returns {string} Page size name
+ */
+function getPdfPageSize(pageSize) {
+  if (pageSize !== "auto") return pageSize;
+  return LETTER_COUNTRIES.includes(app.getLocaleCountryCode()) ? "Letter" : "A4";
+}
+
+/**
+ * Build the options for webContents.print()
+ * The dialog still lets the user pick the printer and change every option.
+ * @param {WebContents} contents - Contents to print
+ * @returns {object} Print options
+ */
+function getPrintOptions(contents) {
+  const settings = getPrintSettings();
+  return {
+    silent: false,
+    printBackground: settings.background,
+    landscape: settings.landscape,
+    margins: { marginType: MARGINS[settings.margins].marginType },
+    ...(settings.pageSize !== "auto" && { pageSize: settings.pageSize }),
+    ...(settings.headerFooter && { header: contents.getTitle(), footer: contents.getURL() }),
+  };
+}
+
+/**
+ * Build the options for webContents.printToPDF()
+ * @returns {object} PDF options
+ */
+function getPdfOptions() {
+  const settings = getPrintSettings();
+  const margin = MARGINS[settings.margins].pdf;
+  return {
+    pageSize: getPdfPageSize(settings.pageSize),
+    landscape: settings.landscape,
+    printBackground: settings.background,
+    margins: { top: margin, bottom: margin, left: margin, right: margin },
+    // Chromium's default header and footer: date, title, URL and page numbers
+    displayHeaderFooter: settings.headerFooter,
+  };
+}
+
+/**
+ * Save a page as PDF
+ * @param {WebContents} contents - Contents to export
+ * @param {string} outputPath - PDF file to write
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function savePdf(contents, outputPath) {
+  try {
+    const data = await contents.printToPDF(getPdfOptions());
+    await writeFile(outputPath, data);
+    console.log(`Saved "${contents.getURL()}" as "${outputPath}"`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Failed to save "${outputPath}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Turn a page title into a file name
+ * @param {string} title - Page title
+ * @returns {string} File name without extension
+ */
+function getPdfFileName(title) {
+  return title.replace(/[/\\:*?"<>|\u0000-\u001f]+/g, " ").replace(/\s+/g, " ").trim().slice(0, 120) || "Page";
+}
+
+/**
+ * Print the focused window through the system print dialog
+ */
+export function printFocusedWindow() {
+  const window = BrowserWindow.getFocusedWindow();
+  if (!window) return;
+
+  const contents = getWindowContents(window);
+  contents.print(getPrintOptions(contents), (success, failureReason) => {
+    if (success || failureReason === "cancelled") return;
+    console.warn(`Printing "${contents.getURL()}" failed: ${failureReason}`);
+    dialog.showErrorBox("Print Failed", `The page could not be printed.\n\n${failureReason}`);
+  });
+}
+
+/**
+ * Export the focused window as PDF, asking where to save it
+ * The folder chosen is offered again next time.
+ */
+export async function exportFocusedWindowToPdf() {
+  const window = BrowserWindow.getFocusedWindow();
+  if (!window) return;
+
+  const contents = getWindowContents(window);
+  const folder = getValue("pdfExportDirectory") || app.getPath("documents");
+  const { canceled, filePath } = await dialog.showSaveDialog(window, {
+    title: "Export as PDF",
+    defaultPath: join(folder, `${getPdfFileName(contents.getTitle())}.pdf`),
+    filters: [{ name: "PDF Documents", extensions: ["pdf"] }],
+  });
+  if (canceled || !filePath) return;
+
+  const result = await savePdf(contents, filePath);
+  if (!result.success) {
+    dialog.showErrorBox("Export as PDF Failed", `"${filePath}" could not be saved.\n\n${result.error}`);
+    return;
+  }
+
+  setValue("pdfExportDirectory", dirname(filePath));
+  showNotification({
+    title: "Exported as PDF",
+    body: basename(filePath),
+    type: "general",
+    onClick: () => shell.showItemInFolder(filePath),
+  });
+}
+
+/**
+ * Load a page in a hidden window and save it as PDF
+ * @param {string} url - Page to export
+ * @param {string} outputPath - PDF file to write
+ * @param {object} options - Export options
+ * @param {string} options.accountType - Profile whose session loads the page
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function printUrlToPdf(url, outputPath, { accountType }) {
+  const partition = getPartition(accountType);
+  // Set up here too, as a --print-to-pdf process skips the normal startup
+  configureSession(session.fromPartition(partition));
+
+  const window = new BrowserWindow({
+    show: false,
+    width: 1280,
+    height: 900,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      partition,
+    },
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("The page did not finish loading in time.")), LOAD_TIMEOUT_MS);
+      window.webContents.once("did-stop-loading", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      window.webContents.on("did-fail-load", (event, errorCode, errorDescription, validatedUrl, isMainFrame) => {
+        if (!isMainFrame || errorCode === -3) return; // -3: replaced by a redirect
+        clearTimeout(timer);
+        reject(new Error(`The page could not be loaded: ${errorDescription}`));
+      });
+      window.loadURL(url, { userAgent: getValue("useragentstring") }).catch(() => {
+        // Reported through did-fail-load
+      });
+    });
+
+    if (SIGN_IN_HOST.test(new URL(window.webContents.getURL()).hostname)) {
+      return {
+        success: false,
+        error: `The "${accountType}" profile is not signed in. Sign in with MS-365-Electron first, then try again.`,
+      };
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, RENDER_DELAY_MS));
+    return await savePdf(window.webContents, outputPath);
+  } catch (error) {
+    console.error(`Failed to export "${url}" as PDF:`, error);
+    return { success: false, error: error.message };
+  } finally {
+    window.destroy();
+  }
+}
+
+/**
+ * Run --print-to-pdf in this process and report the result
+ * Used when no instance is running; otherwise the running one exports the page.
+ * @param {{url: string, output: string, accountType: string}} request - Request from processCLI()
+ * @returns {Promise<number>} Exit code
+ */
+export async function runPrintToPdf({ url, output, accountType }) {
+  const result = await printUrlToPdf(url, output, { accountType });
+  if (!result.success) {
+    process.stderr.write(`Error: ${result.error}\n`);
+    return EXIT_CODES.PRINT_FAILED;
+  }
+  process.stdout.write(`Saved ${output}\n`);
+  return EXIT_CODES.SUCCESS;
+}
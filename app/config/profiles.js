@@ -0,0 +1,276 @@
+/**
+ * Profiles Module
+ * Named profiles, each with its own session partition, sign-in mode, name and colour
+ *
+ * The built-in "personal" and "work" profiles use the original partitions.
+ * Everywhere the app takes an accountType, a profile id is accepted; the
+ * profile's auth mode ("personal" or "work") picks the Microsoft 365 URLs.
+ */
+
+import { app, session } from "electron";
+import { getValue, setValue } from "./store.js";
+
+// Built-in profiles; their partitions predate profiles and must not change
+const BUILT_IN_PROFILES = [
+  { id: "personal", name: "Personal", auth: "personal", color: "#0078d4", partition: "persist:personal", builtIn: true },
+  { id: "work", name: "Work/School", auth: "work", color: "#d83b01", partition: "persist:work", builtIn: true },
+];
+
+// Sign-in modes a profile can use
+const AUTH_MODES = ["personal", "work"];
+
+// Ids that cannot be given to custom profiles
+const RESERVED_IDS = ["personal", "work", "default", "private"];
+
+/**
+ * Profile definition
+ * @typedef {Object} Profile
+ * @property {string} id - Profile id, used on the command line and in links
+ * @property {string} name - Display name
+ * @property {'personal' | 'work'} auth - Which Microsoft 365 sign-in the profile uses
+ * @property {string} color - Colour as #rrggbb
+ * @property {string} partition - Session partition
+ * @property {boolean} builtIn - Whether the profile is one of the two originals
+ */
+
+/**
+ * Get the custom profiles saved in settings
+ * @returns {Profile[]}
+ */
+function getCustomProfiles() {
+  const saved = getValue("profiles");
+  if (!Array.isArray(saved)) return [];
+
+  return saved
+    .filter((profile) => profile && typeof profile.id === "string" && AUTH_MODES.includes(profile.auth))
+    .map((profile) => ({
+      id: profile.id,
+      name: profile.name || profile.id,
+      auth: profile.auth,
+      color: profile.color || "#605e5c",
+      partition: `persist:profile-${profile.id}`,
+      builtIn: false,
+    }));
+}
+
+/**
+ * Save custom profiles and notify listeners
+ * @param {Profile[]} profiles - Custom profiles
+ */
+function saveCustomProfiles(profiles) {
+  setValue("profiles", profiles.map(({ id, name, auth, color }) => ({ id, name, auth, color })));
+  app.emit("profiles-changed", getProfiles());
+}
+
+/**
+ * Get all profiles, built-in first
+ * @returns {Profile[]}
+ */
+export function getProfiles() {
+  return [...BUILT_IN_PROFILES, ...getCustomProfiles()];
+}
+
+/**
+ * Get a profile by id
+ * @param {string} id - Profile id
+ * @returns {Profile|null}
+ */
+export function getProfile(id) {
+  return getProfiles().find((profile) => profile.id === id) || null;
+}
+
+/**
+ * Find a profile by id or display name, ignoring case
+ * @param {string} nameOrId - Id or display name
+ * @returns {Profile|null}
+ */
+export function findProfile(nameOrId) {
+  if (typeof nameOrId !== "string") return null;
+  const wanted = nameOrId.trim().toLowerCase();
+  return getProfiles().find((profile) =>
+    profile.id === wanted || profile.name.toLowerCase() === wanted
+  ) || null;
+}
+
+/**
+ * Get the profile new windows use by default
+ * Falls back to the two-state account setting from before profiles existed
+ * @returns {string} Profile id
+ */
+export function getDefaultProfileId() {
+  const saved = getValue("defaultProfile");
+  if (saved && getProfile(saved)) return saved;
+  return getValue("enterprise-or-normal") === "?auth=2" ? "work" : "personal";
+}
+
+/**
+ * Make a profile the default
+ * The legacy account setting follows the profile's auth mode
+ * @param {string} id - Profile id
+ * @returns {boolean} Success
+ */
+export function setDefaultProfile(id) {
+  const profile = getProfile(id);
+  if (!profile) return false;
+
+  setValue("defaultProfile", profile.id);
+  setValue("enterprise-or-normal", profile.auth === "work" ? "?auth=2" : "?auth=1");
+  return true;
+}
+
+/**
+ * Resolve a profile id, falling back to the default profile
+ * @param {string} [id] - Profile id
+ * @returns {Profile}
+ */
+export function resolveProfile(id) {
+  return getProfile(id) || getProfile(getDefaultProfileId());
+}
+
+/**
+ * Pick the profile for a link that needs a given sign-in type
+ * The default profile is used when it signs in that way, otherwise the first
+ * profile that does.
+ * @param {'personal' | 'work'} auth - Sign-in type
+ * @returns {string} Profile id
+ */
+export function getProfileIdForAuth(auth) {
+  const defaultProfile = resolveProfile();
+  if (defaultProfile.auth === auth) return defaultProfile.id;
+  return getProfiles().find((profile) => profile.auth === auth)?.id || defaultProfile.id;
+}
+
+/**
+ * Get the sign-in mode of a profile
+ * @param {string} [id] - Profile id (defaults to the default profile)
+ * @returns {'personal' | 'work'} Auth mode
+ */
+export function getProfileAuth(id) {
+  return resolveProfile(id).auth;
+}
+
+/**
+ * Get the session partition of a profile
+ * @param {string} [id] - Profile id (defaults to the default profile)
+ * @returns {string} Partition
+ */
+export function getProfilePartition(id) {
+  return resolveProfile(id).partition;
+}
+
+/**
+ * Find the profile a session belongs to
+ * @param {Session} ses - Electron session
+ * @returns {Profile|null}
+ */
+export function getProfileForSession(ses) {
+  return getProfiles().find((profile) => session.fromPartition(profile.partition) === ses) || null;
+}
+
+/**
+ * Turn a display name into a profile id
+ * @param {string} name - Display name
+ * @returns {string} Id
+ */
+function toProfileId(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Validate a colour value
+ * @param {string} color - Colour
+ * @returns {boolean}
+ */
+function isValidColor(color) {
+  return typeof color === "string" && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+/**
+ * Add a custom profile
+ * @param {{name: string, auth: 'personal' | 'work', color?: string}} options - Profile options
+ * @returns {{success: boolean, error?: string, profile?: Profile}}
+ */
+export function addProfile({ name, auth, color } = {}) {
+  const displayName = typeof name === "string" ? name.trim() : "";
+  const id = toProfileId(displayName);
+
+  if (!id) {
+    return { success: false, error: "Enter a profile name containing letters or digits." };
+  }
+  if (RESERVED_IDS.includes(id) || findProfile(id) || findProfile(displayName)) {
+    return { success: false, error: `A profile named "${displayName}" already exists.` };
+  }
+  if (!AUTH_MODES.includes(auth)) {
+    return { success: false, error: `Invalid sign-in type: "${auth}". Use "personal" or "work".` };
+  }
+
+  const profile = {
+    id,
+    name: displayName,
+    auth,
+    color: isValidColor(color) ? color.toLowerCase() : "#605e5c",
+  };
+  saveCustomProfiles([...getCustomProfiles(), profile]);
+
+  return { success: true, profile: getProfile(id) };
+}
+
+/**
+ * Change the name or colour of a custom profile
+ * The id and partition stay the same so the profile stays signed in
+ * @param {string} id - Profile id
+ * @param {{name?: string, color?: string}} changes - New values
+ * @returns {{success: boolean, error?: string}}
+ */
+export function updateProfile(id, { name, color } = {}) {
+  const profiles = getCustomProfiles();
+  const profile = profiles.find((p) => p.id === id);
+  if (!profile) {
+    return { success: false, error: `No custom profile "${id}".` };
+  }
+
+  if (typeof name === "string" && name.trim()) {
+    const existing = findProfile(name);
+    if (existing && existing.id !== id) {
+      return { success: false, error: `A profile named "${name.trim()}" already exists.` };
+    }
+    profile.name = name.trim();
+  }
+  if (isValidColor(color)) {
+    profile.color = color.toLowerCase();
+  }
+
+  saveCustomProfiles(profiles);
+  return { success: true };
+}
+
+/**
+ * Remove a custom profile and sign it out
+ * @param {string} id - Profile id
+ * @returns {{success: boolean, error?: string}}
+ */
+export function removeProfile(id) {
+  const profiles = getCustomProfiles();
+  const profile = profiles.find((p) => p.id === id);
+  if (!profile) {
+    return { success: false, error: `No custom profile "${id}".` };
+  }
+
+  if (getValue("defaultProfile") === id) {
+    setValue("defaultProfile", profile.auth);
+  }
+
+  saveCustomProfiles(profiles.filter((p) => p.id !== id));
+
+  // Remove cookies and storage so the tenant is signed out
+  session.fromPartition(profile.partition).clearStorageData().catch((error) => {
+    console.warn(`Failed to clear data for profile "${id}":`, error);
+  });
+
+  return { success: true };
+}
+
+export { AUTH_MODES };
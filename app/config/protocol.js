@@ -0,0 +1,243 @@
+/**
+ * Protocol Handler Module
+ * Registers the URL schemes the app handles and routes incoming links
+ *
+ * Desktop links:
+ * - ms-365-electron://open?app=excel&account=work
+ * - ms-365-electron://url?target=<encoded Microsoft 365 URL>&account=personal
+ *
+ * Office "Open in Desktop App" links (ms-word:, ms-excel:, ms-powerpoint:)
+ * are handled by officeUri.js, mailto: links by mailto.js and msteams: links
+ * by teamsLinks.js.
+ */
+
+import { app, dialog } from "electron";
+import { resolve } from "path";
+import { getValue, setValue } from "./store.js";
+import { getAppList, getAppUrl, getAccountType } from "./appLauncher.js";
+import { createWindow, detectAppType } from "./windowManager.js";
+import { isAllowedDomain } from "./utils.js";
+import { findProfile, getProfiles } from "./profiles.js";
+import { parseOfficeUri, handleOfficeUri, OFFICE_URI_SCHEMES } from "./officeUri.js";
+import { parseMailtoUrl, handleMailtoUrl } from "./mailto.js";
+import { parseMsteamsUrl, handleMsteamsUrl } from "./teamsLinks.js";
+
+const PROTOCOL_SCHEME = "ms-365-electron";
+
+/**
+ * Parse an ms-365-electron:// URL
+ * @param {string} url - URL to parse
+ * @returns {{valid: boolean, error?: string, action?: 'open' | 'url', appType?: string, target?: string, accountType?: string}}
+ */
+export function parseDesktopLink(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { valid: false, error: `Malformed link: "${url}"` };
+  }
+
+  if (parsed.protocol !== `${PROTOCOL_SCHEME}:`) {
+    return { valid: false, error: `Not an ${PROTOCOL_SCHEME}:// link: "${url}"` };
+  }
+
+  // The account parameter names a profile ("personal", "work" or a custom profile)
+  const account = parsed.searchParams.get("account");
+  const profile = account ? findProfile(account) : null;
+  if (account && !profile) {
+    return { valid: false, error: `Unknown profile: "${account}". Available profiles: ${getProfiles().map((p) => p.id).join(", ")}` };
+  }
+  const accountType = profile ? profile.id : null;
+
+  // ms-365-electron://open parses with "open" as the host
+  const action = (parsed.hostname || parsed.pathname.replace(/^\/+/, "")).toLowerCase();
+
+  switch (action) {
+    case "open": {
+      const appType = (parsed.searchParams.get("app") || "home").toLowerCase();
+      const validApps = [...getAppList().map((a) => a.id), "home"];
+      if (!validApps.includes(appType)) {
+        return { valid: false, error: `Unknown app: "${appType}". Valid apps are: ${validApps.join(", ")}` };
+      }
+      return { valid: true, action, appType, accountType };
+    }
+
+    case "url": {
+      const target = parsed.searchParams.get("target");
+      if (!target) {
+        return { valid: false, error: "Link is missing the target parameter" };
+      }
+
+      let targetUrl;
+      try {
+        targetUrl = new URL(target);
+      } catch {
+        return { valid: false, error: `Malformed target URL: "${target}"` };
+      }
+
+      if (targetUrl.protocol !== "https:" || !isAllowedDomain(targetUrl.hostname)) {
+        return { valid: false, error: `Target is not a Microsoft 365 URL: "${target}"` };
+      }
+      return { valid: true, action, target: targetUrl.href, appType: detectAppType(targetUrl.href), accountType };
+    }
+
+    default:
+      return { valid: false, error: `Unknown link action: "${action}". Use "open" or "url".` };
+  }
+}
+
+/**
+ * Build a desktop link that reopens a page in the given account
+ * @param {string} pageUrl - Page URL
+ * @param {string} accountType - Account type (profile id)
+ * @returns {string} ms-365-electron:// URL
+ */
+export function buildDesktopLink(pageUrl, accountType) {
+  const params = new URLSearchParams({ target: pageUrl, account: accountType });
+  return `${PROTOCOL_SCHEME}://url?${params.toString()}`;
+}
+
+/**
+ * Open an ms-365-electron:// URL
+ * @param {string} url - URL to open
+ * @returns {boolean} True if the link was opened
+ */
+export function openDesktopLink(url) {
+  const link = parseDesktopLink(url);
+  if (!link.valid) {
+    console.warn(`Cannot open link: ${link.error}`);
+    dialog.showErrorBox("Cannot Open Link", link.error);
+    return false;
+  }
+
+  const accountType = link.accountType || getAccountType();
+
+  if (link.action === "open") {
+    createWindow({
+      appType: link.appType,
+      accountType,
+      url: getAppUrl(link.appType, accountType),
+    });
+  } else {
+    createWindow({
+      appType: link.appType,
+      accountType,
+      url: link.target,
+    });
+  }
+
+  return true;
+}
+
+// Link handlers by URL scheme
+// Optional schemes are only registered with the desktop when the user opts in
+const SCHEME_HANDLERS = {
+  [PROTOCOL_SCHEME]: { parse: parseDesktopLink, open: openDesktopLink },
+  ...Object.fromEntries(
+    Object.keys(OFFICE_URI_SCHEMES).map((scheme) => [scheme, { parse: parseOfficeUri, open: handleOfficeUri }])
+  ),
+  msteams: { parse: parseMsteamsUrl, open: handleMsteamsUrl },
+  mailto: { parse: parseMailtoUrl, open: handleMailtoUrl, optional: true },
+};
+
+/**
+ * Get the handler for a URL's scheme
+ * @param {string} url - URL
+ * @returns {{parse: Function, open: Function}|null}
+ */
+function getSchemeHandler(url) {
+  if (typeof url !== "string" || !url.includes(":")) return null;
+  const scheme = url.slice(0, url.indexOf(":")).toLowerCase();
+  return SCHEME_HANDLERS[scheme] || null;
+}
+
+/**
+ * Check if a string is a link the app handles
+ * @param {string} url - String to check
+ * @returns {boolean}
+ */
+export function isProtocolUrl(url) {
+  return getSchemeHandler(url) !== null;
+}
+
+/**
+ * Validate a link without opening it
+ * @param {string} url - URL to parse
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function parseProtocolUrl(url) {
+  const handler = getSchemeHandler(url);
+  if (!handler) {
+    return { valid: false, error: `Unsupported link: "${url}"` };
+  }
+  return handler.parse(url);
+}
+
+/**
+ * Open a link with the handler for its scheme
+ * @param {string} url - URL to open
+ * @returns {boolean} True if the link was opened
+ */
+export function handleProtocolUrl(url) {
+  const handler = getSchemeHandler(url);
+  if (!handler) {
+    dialog.showErrorBox("Cannot Open Link", `Unsupported link: "${url}"`);
+    return false;
+  }
+  return handler.open(url);
+}
+
+/**
+ * Register or unregister the app as the default handler for a scheme
+ * @param {string} scheme - URL scheme
+ * @param {boolean} enabled - Whether to register
+ * @returns {boolean} Success
+ */
+function setSchemeRegistration(scheme, enabled) {
+  // Unpackaged runs need the app path so the handler relaunches the same project
+  const args = process.defaultApp ? [process.execPath, [resolve(process.argv[1])]] : [];
+  const success = enabled
+    ? app.setAsDefaultProtocolClient(scheme, ...args)
+    : app.removeAsDefaultProtocolClient(scheme, ...args);
+
+  if (!success) {
+    console.warn(`Failed to ${enabled ? "register" : "unregister"} as ${scheme}: handler`);
+  }
+  return success;
+}
+
+/**
+ * Check if the app is set as the default email app
+ * @returns {boolean}
+ */
+export function isDefaultMailClient() {
+  return getValue("defaultMailClient") === true;
+}
+
+/**
+ * Make the app the default email app, or stop being it
+ * @param {boolean} enabled - Whether mailto: links should open here
+ * @returns {boolean} Success
+ */
+export function setDefaultMailClient(enabled) {
+  setValue("defaultMailClient", enabled);
+  return setSchemeRegistration("mailto", enabled);
+}
+
+/**
+ * Register the app as the default handler for all supported schemes
+ * Links arrive as command-line arguments through processCLI()
+ */
+export function initializeProtocolHandler() {
+  for (const [scheme, handler] of Object.entries(SCHEME_HANDLERS)) {
+    if (!handler.optional) {
+      setSchemeRegistration(scheme, true);
+    }
+  }
+
+  if (isDefaultMailClient()) {
+    setSchemeRegistration("mailto", true);
+  }
+}
+
+export { PROTOCOL_SCHEME };
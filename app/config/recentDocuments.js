@@ -0,0 +1,424 @@
+/**
+ * Recent Documents Module
+ * Remembers documents opened in the web editors
+ *
+ * A document is recorded when a window navigates to it and its title is
+ * refreshed as the page updates it. The list is shown in the File menu, the
+ * tray menu and by `ms-365-electron --recent`. When enabled, documents are
+ * also added to the desktop's recently-used.xbel so GTK and KDE recent-file
+ * lists show them.
+ */
+
+import { app } from "electron";
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { dirname, join } from "path";
+import { getValue, setValue } from "./store.js";
+import { getDataHome } from "./xdg.js";
+import { createWindow, detectAppType, focusWindowShowing, getContentsAccountType } from "./windowManager.js";
+import { getDefaultProfileId, getProfile, getProfiles } from "./profiles.js";
+
+// Documents kept in the store, and shown in the menus
+const MAX_ENTRIES = 25;
+const MENU_ENTRIES = 10;
+
+// Reopening the document shown first only moves its time on after this long
+const REFRESH_MS = 60 * 1000;
+
+// Application name in recently-used.xbel
+const XBEL_APP_NAME = "MS-365-Electron";
+
+// App shown for a document's file extension
+const EXTENSION_APPS = {
+  doc: "word", docx: "word", docm: "word", dotx: "word", odt: "word", rtf: "word",
+  xls: "excel", xlsx: "excel", xlsm: "excel", xlsb: "excel", ods: "excel", csv: "excel",
+  ppt: "powerpoint", pptx: "powerpoint", pptm: "powerpoint", ppsx: "powerpoint", odp: "powerpoint",
+  one: "onenote",
+};
+
+// MIME types written to recently-used.xbel, so file pickers show the right icon
+const APP_MIME_TYPES = {
+  word: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  excel: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  powerpoint: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  onenote: "application/onenote",
+};
+
+const APP_NAMES = {
+  word: "Word",
+  excel: "Excel",
+  powerpoint: "PowerPoint",
+  onenote: "OneNote",
+};
+
+// Window title suffixes added by the web editors, e.g. "Budget.xlsx - Excel"
+const TITLE_SUFFIX = /\s+[-–]\s+(Microsoft\s+)?(Word|Excel|PowerPoint|OneNote)(\s+Online|\s+for the web)?$/i;
+
+// Titles shown while an editor is still loading
+const LOADING_TITLE = /^(https?:|(Microsoft\s+)?(Word|Excel|PowerPoint|OneNote|OneDrive|Microsoft 365)(\s+Online|\s+for the web)?$)/i;
+
+/**
+ * Recently opened document
+ * @typedef {Object} RecentDocument
+ * @property {string} url - Document URL
+ * @property {string} title - Document name
+ * @property {string} appType - App the document opens in
+ * @property {string} accountType - Profile id it was opened with
+ * @property {string} lastOpened - ISO time it was last opened
+ */
+
+/**
+ * Check whether a URL opens a document in a web editor
+ * OneDrive for Business, SharePoint and newer OneDrive personal links go
+ * through Doc.aspx; older OneDrive personal links carry the item in resid.
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+export function isDocumentUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== "https:") return false;
+
+  const path = parsed.pathname.toLowerCase();
+  if (path.endsWith("/_layouts/15/doc.aspx") || path.endsWith("/_layouts/15/wopiframe.aspx")) {
+    return true;
+  }
+  return parsed.hostname.toLowerCase() === "onedrive.live.com"
+    && parsed.searchParams.has("resid")
+    && /^\/(edit|view)(\.aspx)?$/.test(path);
+}
+
+/**
+ * Get the key identifying a document whatever extra parameters its URL has
+ * @param {string} url - Document URL
+ * @returns {string} Key
+ */
+function getDocumentKey(url) {
+  const parsed = new URL(url);
+  const id = parsed.searchParams.get("sourcedoc") || parsed.searchParams.get("resid");
+  return id
+    ? `${parsed.hostname}|${id.toLowerCase()}`
+    : `${parsed.hostname}|${parsed.pathname.toLowerCase()}`;
+}
+
+/**
+ * Get a document's name from the window title or its URL
+ * @param {string} title - Window title
+ * @param {string} url - Document URL
+ * @returns {string|null} Name, or null while the editor is loading
+ */
+function getDocumentTitle(title, url) {
+  const name = (title || "").replace(TITLE_SUFFIX, "").trim();
+  if (name && !LOADING_TITLE.test(name)) return name;
+  return new URL(url).searchParams.get("file");
+}
+
+/**
+ * Get the app a document opens in
+ * @param {string} title - Document name
+ * @param {string} url - Document URL
+ * @returns {string} App type
+ */
+function getDocumentApp(title, url) {
+  const fileName = new URL(url).searchParams.get("file") || title;
+  const extension = fileName.includes(".") ? fileName.split(".").pop().toLowerCase() : "";
+  return EXTENSION_APPS[extension] || detectAppType(url);
+}
+
+/**
+ * Get the recent documents, most recent first
+ * @returns {RecentDocument[]}
+ */
+export function getRecentDocuments() {
+  return getValue("recentDocuments") || [];
+}
+
+/**
+ * Get the display name of an app
+ * @param {string} appType - App type
+ * @returns {string} Name
+ */
+export function getAppDisplayName(appType) {
+  return APP_NAMES[appType] || appType;
+}
+
+/**
+ * Format the time a document was opened, in local time
+ * @param {string} time - ISO time
+ * @returns {string} Time as YYYY-MM-DD HH:MM
+ */
+function formatOpened(time) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Format the recent documents as a table
+ * @param {RecentDocument[]} documents - Documents
+ * @returns {string} Table text
+ */
+function formatRecentTable(documents) {
+  if (documents.length === 0) return "No recent documents";
+
+  const rows = documents.map((entry) => [
+    formatOpened(entry.lastOpened),
+    getAppDisplayName(entry.appType),
+    entry.accountType,
+    entry.title,
+    entry.url,
+  ]);
+  const header = ["OPENED", "APP", "ACCOUNT", "TITLE", "URL"];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  );
+
+  return [header, ...rows]
+    .map((row) => row.map((cell, column) =>
+      column === row.length - 1 ? cell : cell.padEnd(widths[column])
+    ).join("  "))
+    .join("\n");
+}
+
+/**
+ * Print the recent documents for --recent
+ * @param {{json: boolean}} options - Output options from processCLI()
+ */
+export function printRecentDocuments({ json = false } = {}) {
+  const documents = getRecentDocuments();
+  process.stdout.write(`${json ? JSON.stringify(documents, null, 2) : formatRecentTable(documents)}\n`);
+}
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Get the desktop's recently used files list
+ * @returns {string} Path to recently-used.xbel
+ */
+function getXbelPath() {
+  return join(getDataHome(), "recently-used.xbel");
+}
+
+/**
+ * Rewrite recently-used.xbel
+ * The file is shared with every GTK and KDE application, so it is replaced in
+ * one rename rather than written in place.
+ * @param {(content: string) => string} change - Returns the new content
+ */
+function updateXbel(change) {
+  const path = getXbelPath();
+  const content = existsSync(path)
+    ? readFileSync(path, "utf8")
+    : `<?xml version="1.0" encoding="UTF-8"?>\n<xbel version="1.0"\n      xmlns:bookmark="http://www.freedesktop.org/standards/desktop-bookmarks"\n      xmlns:mime="http://www.freedesktop.org/standards/shared-mime-info"\n>\n</xbel>\n`;
+
+  const updated = change(content);
+  if (updated === content) return;
+
+  mkdirSync(dirname(path), { recursive: true });
+  const tempPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tempPath, updated);
+  renameSync(tempPath, path);
+}
+
+/**
+ * Add a document to recently-used.xbel, or move it to now
+ * @param {RecentDocument} entry - Document
+ */
+function addToDesktopRecent(entry) {
+  const href = escapeXml(entry.url);
+  const block = new RegExp(`[ \\t]*<bookmark href="${escapeRegExp(href)}"[\\s\\S]*?</bookmark>[ \\t]*\\n?`);
+  const modified = entry.lastOpened.replace(/Z$/, "000Z");
+
+  try {
+    updateXbel((content) => {
+      const existing = content.match(block)?.[0] || "";
+      const added = existing.match(/ added="([^"]*)"/)?.[1] || modified;
+      const count = Number(existing.match(new RegExp(`name="${XBEL_APP_NAME}"[^>]*count="(\\d+)"`))?.[1] || 0) + 1;
+
+      const bookmark = `  <bookmark href="${href}" added="${added}" modified="${modified}" visited="${modified}">
+    <title>${escapeXml(entry.title)}</title>
+    <info>
+      <metadata owner="http://freedesktop.org">
+        <mime:mime-type type="${APP_MIME_TYPES[entry.appType] || "text/html"}"/>
+        <bookmark:applications>
+          <bookmark:application name="${XBEL_APP_NAME}" exec="&apos;ms-365-electron %u&apos;" modified="${modified}" count="${count}"/>
+        </bookmark:applications>
+      </metadata>
+    </info>
+  </bookmark>
+`;
+      return content.replace(block, "").replace("</xbel>", `${bookmark}</xbel>`);
+    });
+  } catch (error) {
+    console.warn("Failed to update recently-used.xbel:", error);
+  }
+}
+
+/**
+ * Remove the documents this app added from recently-used.xbel
+ * Bookmarks other applications also opened are left alone.
+ */
+function clearDesktopRecent() {
+  if (!existsSync(getXbelPath())) return;
+
+  try {
+    updateXbel((content) => content.replace(/[ \t]*<bookmark href="[\s\S]*?<\/bookmark>[ \t]*\n?/g, (bookmark) => {
+      const applications = bookmark.match(/<bookmark:application /g) || [];
+      return applications.length === 1 && bookmark.includes(`name="${XBEL_APP_NAME}"`) ? "" : bookmark;
+    }));
+  } catch (error) {
+    console.warn("Failed to clear recently-used.xbel:", error);
+  }
+}
+
+/**
+ * Record the document a page shows, if any
+ * @param {Electron.WebContents} contents - Page in a window or tab
+ * @param {string} [pageTitle] - Title just set by the page
+ */
+function recordPage(contents, pageTitle = contents.getTitle()) {
+  if (contents.isDestroyed() || getValue("recentDocumentsEnabled") !== true) return;
+
+  // Private windows, and popups opened from them, use an in-memory session
+  if (!contents.session.isPersistent()) return;
+
+  const url = contents.getURL();
+  if (!isDocumentUrl(url)) return;
+
+  const key = getDocumentKey(url);
+  const documents = getRecentDocuments();
+  const previous = documents.find((entry) => getDocumentKey(entry.url) === key);
+
+  const title = getDocumentTitle(pageTitle, url) || previous?.title;
+  if (!title) return;
+
+  const accountType = getContentsAccountType(contents);
+  const unchanged = previous && previous === documents[0]
+    && previous.title === title
+    && previous.accountType === accountType
+    && Date.now() - Date.parse(previous.lastOpened) < REFRESH_MS;
+  if (unchanged) return;
+
+  const entry = {
+    url,
+    title,
+    appType: getDocumentApp(title, url),
+    accountType,
+    lastOpened: new Date().toISOString(),
+  };
+  setValue("recentDocuments", [entry, ...documents.filter((candidate) => candidate !== previous)].slice(0, MAX_ENTRIES));
+  app.emit("recent-documents-changed");
+
+  if (getValue("recentDocumentsDesktop") === true) {
+    addToDesktopRecent(entry);
+  }
+}
+
+/**
+ * Open a recent document, focusing a window that already shows it
+ * @param {RecentDocument} entry - Document
+ * @returns {BrowserWindow} The window
+ */
+export function openRecentDocument(entry) {
+  const key = getDocumentKey(entry.url);
+  const existing = focusWindowShowing((url) => isDocumentUrl(url) && getDocumentKey(url) === key);
+  if (existing) return existing;
+
+  // The profile may have been removed since
+  return createWindow({
+    url: entry.url,
+    appType: entry.appType,
+    accountType: getProfile(entry.accountType) ? entry.accountType : getDefaultProfileId(),
+  });
+}
+
+/**
+ * Forget all recent documents
+ */
+export function clearRecentDocuments() {
+  setValue("recentDocuments", []);
+  clearDesktopRecent();
+  app.emit("recent-documents-changed");
+}
+
+/**
+ * Create menu entries for the recent documents
+ * Used by the File menu and the tray menu.
+ * @returns {Array<object>} Menu items
+ */
+export function createRecentDocumentItems() {
+  const documents = getRecentDocuments().slice(0, MENU_ENTRIES);
+  if (documents.length === 0) {
+    return [{ label: "No Recent Documents", enabled: false }];
+  }
+
+  // The profile only needs naming when there is more than one
+  const showProfile = getProfiles().length > 1;
+
+  return [
+    ...documents.map((entry) => {
+      const profile = showProfile ? getProfile(entry.accountType)?.name : null;
+      // Menus treat "&" as a mnemonic marker
+      const label = profile ? `${entry.title} (${profile})` : entry.title;
+      return {
+        label: label.replace(/&/g, "&&"),
+        click: () => openRecentDocument(entry),
+      };
+    }),
+    { type: "separator" },
+    {
+      label: "Clear Recent Documents",
+      click: clearRecentDocuments,
+    },
+  ];
+}
+
+/**
+ * Apply the recent documents settings
+ * Called by the preferences window; turning tracking off forgets the list.
+ */
+export function updateRecentDocumentsSettings() {
+  if (getValue("recentDocumentsEnabled") !== true) {
+    clearRecentDocuments();
+  } else if (getValue("recentDocumentsDesktop") !== true) {
+    clearDesktopRecent();
+  }
+}
+
+/**
+ * Follow a page's navigation and title
+ * @param {Electron.WebContents} contents - Page in a window or tab
+ */
+function followPage(contents) {
+  contents.on("did-navigate", () => recordPage(contents));
+  contents.on("did-navigate-in-page", () => recordPage(contents));
+  contents.on("page-title-updated", (event, title) => recordPage(contents, title));
+}
+
+/**
+ * Initialize recent document tracking
+ * Every window and tab is followed, including windows opened by links
+ */
+export function initializeRecentDocuments() {
+  app.on("browser-window-created", (event, window) => followPage(window.webContents));
+  app.on("tab-created", (window, contents) => followPage(contents));
+}
@@ -0,0 +1,373 @@
+/**
+ * Send to OneDrive Folder Module
+ * Uploads files saved into a local folder to OneDrive
+ *
+ * Scanners, screenshot tools and scripts that can only write to a directory
+ * save into the send folder; each file is uploaded to the chosen OneDrive
+ * folder and then moved to an "uploaded" subfolder or deleted. The queue is
+ * kept in the store, so files waiting or failed when the app quits are sent
+ * on the next start.
+ */
+
+import { app, shell } from "electron";
+import { existsSync, watch } from "fs";
+import { mkdir, readdir, rename, rm, stat } from "fs/promises";
+import { basename, extname, join } from "path";
+import { getValue, setValue } from "./store.js";
+import { getDataDir } from "./xdg.js";
+import { isGraphConfigured, uploadToOneDrive } from "./graph.js";
+import { getDefaultProfileId, getProfile } from "./profiles.js";
+import { showNotification } from "./notifications.js";
+
+// Subfolder uploaded files are moved to
+const UPLOADED_DIR = "uploaded";
+
+// A file counts as written once it has not changed for this long
+const SETTLE_MS = 3000;
+
+// Failed uploads are retried automatically this many times, waiting longer each time
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+
+// Names of files that are still being written or are not meant to be sent
+const IGNORED_NAME = /^[.~]|\.(part|partial|crdownload|download|tmp|swp)$/i;
+
+let watcher = null;
+let processing = false;
+let currentController = null;
+let retryTimer = null;
+
+// Pending settle checks by file name
+const settleTimers = new Map();
+
+/**
+ * Queued file
+ * @typedef {Object} SendEntry
+ * @property {string} name - File name in the send folder
+ * @property {number} size - Size when queued
+ * @property {number} mtimeMs - Modification time when queued
+ * @property {'queued'|'uploading'|'failed'|'sent'} state - Current state; "sent" files were
+ *   uploaded but could not be moved away, and are only sent again once they change
+ * @property {number} attempts - Failed upload attempts
+ * @property {string} [error] - Reason of the last failure
+ */
+
+/**
+ * Get the folder watched for files to send
+ * @returns {string} Path to the send folder
+ */
+export function getSendFolderPath() {
+  return getValue("sendFolderPath") || join(getDataDir(), "send-to-onedrive");
+}
+
+/**
+ * Get the profile files are uploaded with
+ * @returns {string} Profile id
+ */
+function getSendAccount() {
+  const account = getValue("sendFolderAccount");
+  return getProfile(account) ? account : getDefaultProfileId();
+}
+
+/**
+ * Get the persisted queue
+ * @returns {SendEntry[]}
+ */
+function getQueue() {
+  return getValue("sendFolderQueue") || [];
+}
+
+/**
+ * Persist the queue and refresh the tray menu
+ * @param {SendEntry[]} queue - Queue to save
+ */
+function saveQueue(queue) {
+  setValue("sendFolderQueue", queue);
+  app.emit("send-folder-changed", getSendFolderStatus());
+}
+
+/**
+ * Change one queued file
+ * @param {string} name - File name
+ * @param {Partial<SendEntry>|null} changes - Fields to change, or null to drop the entry
+ */
+function updateEntry(name, changes) {
+  const queue = getQueue();
+  const index = queue.findIndex((entry) => entry.name === name);
+  if (index === -1) return;
+
+  if (changes) {
+    queue[index] = { ...queue[index], ...changes };
+  } else {
+    queue.splice(index, 1);
+  }
+  saveQueue(queue);
+}
+
+/**
+ * Get the queue status for the tray menu
+ * @returns {{enabled: boolean, path: string, queued: number, failed: number, uploading: string|null}}
+ */
+export function getSendFolderStatus() {
+  const queue = getQueue();
+  return {
+    enabled: getValue("sendFolderEnabled") === true,
+    path: getSendFolderPath(),
+    queued: queue.filter((entry) => entry.state === "queued").length,
+    failed: queue.filter((entry) => entry.state === "failed").length,
+    uploading: queue.find((entry) => entry.state === "uploading")?.name || null,
+  };
+}
+
+/**
+ * Pick a path in a folder that does not exist yet, e.g. "scan (1).pdf"
+ * @param {string} folder - Target folder
+ * @param {string} fileName - File name
+ * @returns {string} Free path
+ */
+function getUniquePath(folder, fileName) {
+  const extension = extname(fileName);
+  const stem = basename(fileName, extension);
+
+  let candidate = join(folder, fileName);
+  for (let n = 1; existsSync(candidate); n++) {
+    candidate = join(folder, `${stem} (${n})${extension}`);
+  }
+  return candidate;
+}
+
+/**
+ * Move an uploaded file out of the send folder, or delete it
+ * @param {string} filePath - Uploaded file
+ */
+async function finishFile(filePath) {
+  if (getValue("sendFolderAfterUpload") === "delete") {
+    await rm(filePath, { force: true });
+    return;
+  }
+
+  const uploadedDir = join(getSendFolderPath(), UPLOADED_DIR);
+  await mkdir(uploadedDir, { recursive: true });
+  await rename(filePath, getUniquePath(uploadedDir, basename(filePath)));
+}
+
+/**
+ * Report a failed upload
+ * @param {SendEntry} entry - Failed file
+ * @param {string} error - Reason
+ */
+function notifyFailure(entry, error) {
+  const willRetry = entry.attempts < MAX_ATTEMPTS;
+  showNotification({
+    title: "Send to OneDrive Failed",
+    body: `"${entry.name}" could not be uploaded: ${error}${willRetry ? " It will be retried." : ""}`,
+    type: "general",
+    onClick: () => openSendFolder(),
+  });
+}
+
+/**
+ * Retry failed uploads that have attempts left, after a delay
+ */
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  const failed = getQueue().filter((entry) => entry.state === "failed" && entry.attempts < MAX_ATTEMPTS);
+  if (failed.length === 0) return;
+
+  const attempts = Math.min(...failed.map((entry) => entry.attempts));
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    saveQueue(getQueue().map((entry) =>
+      entry.state === "failed" && entry.attempts < MAX_ATTEMPTS ? { ...entry, state: "queued" } : entry
+    ));
+    processQueue();
+  }, RETRY_DELAY_MS * attempts);
+}
+
+/**
+ * Upload queued files one at a time until none are left
+ */
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    for (;;) {
+      const entry = getQueue().find((candidate) => candidate.state === "queued");
+      if (!entry || !watcher) break;
+
+      const filePath = join(getSendFolderPath(), entry.name);
+      const current = await stat(filePath).catch(() => null);
+      if (!current?.isFile()) {
+        // Removed or replaced by something else while waiting
+        updateEntry(entry.name, null);
+        continue;
+      }
+
+      if (!isGraphConfigured()) {
+        const error = "No Microsoft Graph client id is set up (Preferences > Apps).";
+        updateEntry(entry.name, { state: "failed", attempts: MAX_ATTEMPTS, error });
+        notifyFailure({ ...entry, attempts: MAX_ATTEMPTS }, error);
+        continue;
+      }
+
+      updateEntry(entry.name, { state: "uploading", size: current.size, mtimeMs: current.mtimeMs, error: undefined });
+      currentController = new AbortController();
+      const result = await uploadToOneDrive(filePath, {
+        accountType: getSendAccount(),
+        folder: getValue("sendFolderDestination") || "",
+        signal: currentController.signal,
+      });
+      const aborted = currentController.signal.aborted;
+      currentController = null;
+
+      if (result.success) {
+        try {
+          await finishFile(filePath);
+          updateEntry(entry.name, null);
+        } catch (error) {
+          console.error(`Failed to move "${filePath}" after uploading it:`, error);
+          updateEntry(entry.name, { state: "sent" });
+        }
+      } else if (aborted) {
+        // Stopped by a settings change or quitting; sent again next time
+        updateEntry(entry.name, { state: "queued" });
+        break;
+      } else {
+        const attempts = entry.attempts + 1;
+        updateEntry(entry.name, { state: "failed", attempts, error: result.error });
+        notifyFailure({ ...entry, attempts }, result.error);
+      }
+    }
+  } finally {
+    processing = false;
+  }
+
+  // A restart while uploading stops this run before the new watcher could start one
+  if (watcher && getQueue().some((entry) => entry.state === "queued")) {
+    processQueue();
+  } else {
+    scheduleRetry();
+  }
+}
+
+/**
+ * Queue a file from the send folder once it has been fully written
+ * @param {string} name - File name in the send folder
+ */
+async function queueFile(name) {
+  if (IGNORED_NAME.test(name)) return;
+
+  const current = await stat(join(getSendFolderPath(), name)).catch(() => null);
+  if (!current?.isFile()) return;
+
+  const queue = getQueue();
+  const existing = queue.find((entry) => entry.name === name);
+  if (existing?.state === "uploading") return;
+  if (existing && existing.size === current.size && existing.mtimeMs === current.mtimeMs) return;
+
+  // A new or rewritten file starts over
+  const entry = { name, size: current.size, mtimeMs: current.mtimeMs, state: "queued", attempts: 0 };
+  saveQueue([...queue.filter((candidate) => candidate.name !== name), entry]);
+  processQueue();
+}
+
+/**
+ * Wait for a file to stop changing, then queue it
+ * @param {string} name - File name in the send folder
+ */
+function settleFile(name) {
+  clearTimeout(settleTimers.get(name));
+  settleTimers.set(name, setTimeout(() => {
+    settleTimers.delete(name);
+    queueFile(name);
+  }, SETTLE_MS));
+}
+
+/**
+ * Start watching the send folder
+ * Files already in the folder are queued as well.
+ */
+async function startWatching() {
+  const folder = getSendFolderPath();
+
+  try {
+    await mkdir(folder, { recursive: true });
+    watcher = watch(folder, (eventType, fileName) => {
+      if (fileName && fileName !== UPLOADED_DIR) settleFile(fileName);
+    });
+  } catch (error) {
+    console.error(`Cannot watch the send folder "${folder}":`, error);
+    showNotification({
+      title: "Send to OneDrive Unavailable",
+      body: `The folder "${folder}" cannot be watched: ${error.message}`,
+      type: "general",
+    });
+    return;
+  }
+
+  // Uploads cut off by quitting start again; failed ones get fresh attempts
+  saveQueue(getQueue()
+    .filter((entry) => entry.state !== "sent" || existsSync(join(folder, entry.name)))
+    .map((entry) => (entry.state === "sent" ? entry : { ...entry, state: "queued", attempts: 0 })));
+
+  for (const dirent of await readdir(folder, { withFileTypes: true })) {
+    if (dirent.isFile()) settleFile(dirent.name);
+  }
+  processQueue();
+  console.log(`Watching "${folder}" for files to send to OneDrive`);
+}
+
+/**
+ * Stop watching the send folder and cancel the running upload
+ */
+function stopWatching() {
+  watcher?.close();
+  watcher = null;
+  currentController?.abort();
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  for (const timer of settleTimers.values()) clearTimeout(timer);
+  settleTimers.clear();
+}
+
+/**
+ * Apply changed send folder settings
+ * Called by the preferences window
+ */
+export function restartSendFolder() {
+  stopWatching();
+  if (getValue("sendFolderEnabled") === true) {
+    startWatching();
+  } else {
+    app.emit("send-folder-changed", getSendFolderStatus());
+  }
+}
+
+/**
+ * Queue failed files again, with fresh attempts
+ * Used by the tray menu
+ */
+export function retryFailedSends() {
+  saveQueue(getQueue().map((entry) => (entry.state === "failed" ? { ...entry, state: "queued", attempts: 0 } : entry)));
+  processQueue();
+}
+
+/**
+ * Show the send folder in the file manager
+ */
+export function openSendFolder() {
+  shell.openPath(getSendFolderPath());
+}
+
+/**
+ * Initialize the send folder
+ * Starts the watcher when enabled and stops it when the app quits
+ */
+export function initializeSendFolder() {
+  if (getValue("sendFolderEnabled") === true) {
+    startWatching();
+  }
+
+  app.on("will-quit", stopWatching);
+}
@@ -5,7 +5,7 @@
 
 import { app } from "electron";
 import { getValue, setValue } from "./store.js";
-import { createWindow, getSessionState } from "./windowManager.js";
+import { createWindow, createTabbedWindow, getSessionState, isTabbedMode } from "./windowManager.js";
 import { getDataDir } from "./xdg.js";
 import { join } from "path";
 import { writeFileSync, readFileSync, existsSync, unlinkSync } from "fs";
@@ -20,6 +20,41 @@ function getSessionFilePath() {
   return join(getDataDir(), SESSION_FILE);
 }
 
+/**
+ * Restore one saved window
+ * Tabbed windows come back with the same tabs in tabbed mode; otherwise each
+ * tab gets a window of its own. In tabbed mode a saved plain window becomes a
+ * tabbed window with a single tab.
+ * @param {object} windowMeta - Saved window state
+ */
+function restoreWindow(windowMeta) {
+  const tabs = Array.isArray(windowMeta.tabs) && windowMeta.tabs.length > 0
+    ? windowMeta.tabs
+    : [{ url: windowMeta.url, appType: windowMeta.appType, accountType: windowMeta.accountType }];
+
+  if (isTabbedMode()) {
+    createTabbedWindow({
+      bounds: windowMeta.bounds,
+      isMaximized: windowMeta.isMaximized,
+      show: true,
+      tabs,
+      activeIndex: windowMeta.activeTab ?? 0,
+    });
+    return;
+  }
+
+  tabs.forEach((tab) => {
+    createWindow({
+      url: tab.url,
+      appType: tab.appType,
+      accountType: tab.accountType,
+      bounds: windowMeta.bounds,
+      isMaximized: windowMeta.isMaximized,
+      show: true,
+    });
+  });
+}
+
 /**
  * Save current session state
  */
@@ -84,16 +119,7 @@ export function restoreSession() {
 
     sessionData.windows.forEach((windowMeta, index) => {
       // Delay window creation slightly to prevent overwhelming the system
-      setTimeout(() => {
-        createWindow({
-          url: windowMeta.url,
-          appType: windowMeta.appType,
-          accountType: windowMeta.accountType,
-          bounds: windowMeta.bounds,
-          isMaximized: windowMeta.isMaximized,
-          show: true,
-        });
-      }, index * 100);
+      setTimeout(() => restoreWindow(windowMeta), index * 100);
     });
 
     return true;
@@ -0,0 +1,89 @@
+/**
+ * Session Setup Module
+ * Applies user-agent spoofing, permission and download handlers to every profile's session
+ */
+
+import { app, session } from "electron";
+import { getValue } from "./store.js";
+import { getOptimalUserAgent } from "./arch.js";
+import { configureScreenSharing } from "./wayland.js";
+import { getProfiles } from "./profiles.js";
+import { handleSessionDownloads } from "./downloads.js";
+
+// Sessions that have already been set up
+const configuredSessions = new WeakSet();
+
+/**
+ * Build the client hints headers matching a user-agent string
+ * @param {string} userAgent - User-agent string
+ * @returns {object} Headers
+ */
+function getUserAgentClientHintsHeaders(userAgent) {
+  const edgeMatch = userAgent.match(/Edg\/(\d+)/);
+  const chromeMatch = userAgent.match(/Chrome\/(\d+)/);
+  const edgeMajor = edgeMatch ? edgeMatch[1] : "140";
+  const chromeMajor = chromeMatch ? chromeMatch[1] : edgeMajor;
+
+  return {
+    "sec-ch-ua": `"Microsoft Edge";v="${edgeMajor}", "Chromium";v="${chromeMajor}", "Not_A Brand";v="99"`,
+    "sec-ch-ua-mobile": "?0",
+    "sec-ch-ua-platform": '"Windows"',
+    "sec-ch-ua-platform-version": '"15.0.0"',
+    "sec-ch-ua-arch": '"x86"',
+    "sec-ch-ua-bitness": '"64"',
+    "sec-ch-ua-model": '""',
+  };
+}
+
+/**
+ * Send the user agent and matching client hints on every request
+ * @param {Session} targetSession - Session to configure
+ * @param {string} userAgent - User-agent string
+ */
+export function applyUserAgentSpoofing(targetSession, userAgent) {
+  targetSession.setUserAgent(userAgent);
+
+  const clientHintsHeaders = getUserAgentClientHintsHeaders(userAgent);
+
+  targetSession.webRequest.onBeforeSendHeaders((details, callback) => {
+    const requestHeaders = {
+      ...details.requestHeaders,
+      "User-Agent": userAgent,
+      ...clientHintsHeaders,
+    };
+    callback({ requestHeaders });
+  });
+}
+
+/**
+ * Apply user-agent spoofing, permission and download handlers to a session
+ * Sessions are only configured once
+ * @param {Session} targetSession - Session to configure
+ */
+export function configureSession(targetSession) {
+  if (configuredSessions.has(targetSession)) return;
+  configuredSessions.add(targetSession);
+
+  applyUserAgentSpoofing(targetSession, getValue("useragentstring") || getOptimalUserAgent());
+  configureScreenSharing(targetSession);
+  handleSessionDownloads(targetSession);
+}
+
+/**
+ * Configure the default session and the session of every profile
+ */
+export function configureProfileSessions() {
+  configureSession(session.defaultSession);
+  for (const profile of getProfiles()) {
+    configureSession(session.fromPartition(profile.partition));
+  }
+}
+
+/**
+ * Configure all sessions now and for profiles added later
+ * Must be called after app.ready
+ */
+export function initializeSessionSetup() {
+  configureProfileSessions();
+  app.on("profiles-changed", configureProfileSessions);
+}
@@ -72,8 +72,41 @@ getValueOrDefault("theme", "system");
 getValueOrDefault("restoreSession", false);
 getValueOrDefault("startMinimized", false);
 getValueOrDefault("minimizeToTray", false);
+getValueOrDefault("tabbedWindows", false);
 getValueOrDefault("notifications", true);
 getValueOrDefault("globalHotkeys", false);
+getValueOrDefault("officeLinksInLocalEditor", false);
+getValueOrDefault("localEditorCommand", "libreoffice");
+getValueOrDefault("defaultMailClient", false);
+getValueOrDefault("mailtoAccount", "default");
+getValueOrDefault("profiles", []);
+getValueOrDefault("uploadFolder", "MS-365-Electron");
+getValueOrDefault("graphClientId", "");
+getValueOrDefault("graphBaseUrl", "https://graph.microsoft.com/v1.0");
+getValueOrDefault("graphAuthorityUrl", "https://login.microsoftonline.com");
+getValueOrDefault("conversions", {});
+getValueOrDefault("downloadDirectory", "");
+getValueOrDefault("askWhereToSave", false);
+getValueOrDefault("downloadHistory", []);
+getValueOrDefault("sendFolderEnabled", false);
+getValueOrDefault("sendFolderPath", "");
+getValueOrDefault("sendFolderDestination", "MS-365-Electron/Sent");
+getValueOrDefault("sendFolderAccount", "default");
+getValueOrDefault("sendFolderAfterUpload", "move");
+getValueOrDefault("sendFolderQueue", []);
+getValueOrDefault("fileManagerIntegration", null);
+getValueOrDefault("recentDocumentsEnabled", true);
+getValueOrDefault("recentDocumentsDesktop", false);
+getValueOrDefault("recentDocuments", []);
+getValueOrDefault("printPageSize", "auto");
+getValueOrDefault("printLandscape", false);
+getValueOrDefault("printMargins", "default");
+getValueOrDefault("printBackground", false);
+getValueOrDefault("printHeaderFooter", false);
+getValueOrDefault("pdfExportDirectory", "");
+getValueOrDefault("emlSaveDirectory", "");
+getValueOrDefault("mailArchiveDirectory", "");
+getValueOrDefault("mailArchiveJobs", []);
 
 // Migration: convert old URL-style values to new format
 if (getValue("enterprise-or-normal") === "https://microsoft365.com/?auth=1") {
@@ -0,0 +1,291 @@
+/**
+ * Tab Strip Module
+ * The page shown across the top of tabbed windows
+ *
+ * Tabs are dragged with HTML5 drag and drop: dropping on a strip moves the
+ * tab there, which also merges it into another window, and dropping anywhere
+ * else tears it off into a window of its own. The tabs themselves are
+ * WebContentsViews owned by windowManager.js.
+ */
+
+import { nativeTheme } from "electron";
+
+// Height of the strip; tab views are placed below it
+export const TAB_STRIP_HEIGHT = 36;
+
+/**
+ * Get the tab strip page
+ * @returns {string} HTML
+ */
+export function getTabStripHTML() {
+  const isDark = nativeTheme.shouldUseDarkColors;
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'self'; style-src 'unsafe-inline'; script-src 'unsafe-inline'; img-src data:">
+  <title>Tabs</title>
+  <style>
+    :root {
+      --bg-primary: ${isDark ? "#1e1e1e" : "#e8e8e8"};
+      --bg-tab: ${isDark ? "#2d2d2d" : "#f5f5f5"};
+      --bg-active: ${isDark ? "#3d3d3d" : "#ffffff"};
+      --bg-hover: ${isDark ? "#353535" : "#fafafa"};
+      --text-primary: ${isDark ? "#ffffff" : "#1a1a1a"};
+      --text-secondary: ${isDark ? "#b0b0b0" : "#666666"};
+      --border-color: ${isDark ? "#404040" : "#d0d0d0"};
+      --accent-color: #0078d4;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    html, body {
+      height: ${TAB_STRIP_HEIGHT}px;
+      overflow: hidden;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, sans-serif;
+      font-size: 13px;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      display: flex;
+      align-items: flex-end;
+      padding: 0 4px;
+      user-select: none;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    #tabs {
+      display: flex;
+      flex: 0 1 auto;
+      min-width: 0;
+      height: 100%;
+      align-items: flex-end;
+    }
+
+    .tab {
+      position: relative;
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      flex: 0 1 220px;
+      min-width: 72px;
+      height: 30px;
+      padding: 0 6px 0 10px;
+      margin-right: 2px;
+      border-radius: 6px 6px 0 0;
+      background: var(--bg-tab);
+      color: var(--text-secondary);
+      cursor: default;
+    }
+
+    .tab:hover {
+      background: var(--bg-hover);
+    }
+
+    .tab.active {
+      background: var(--bg-active);
+      color: var(--text-primary);
+    }
+
+    /* Account colour */
+    .tab::before {
+      content: "";
+      position: absolute;
+      left: 6px;
+      right: 6px;
+      top: 0;
+      height: 3px;
+      border-radius: 0 0 2px 2px;
+      background: var(--account, transparent);
+    }
+
+    .tab.drop-before {
+      box-shadow: inset 2px 0 0 var(--accent-color);
+    }
+
+    .tab.drop-after {
+      box-shadow: inset -2px 0 0 var(--accent-color);
+    }
+
+    .tab img {
+      width: 16px;
+      height: 16px;
+      flex-shrink: 0;
+    }
+
+    .tab .title {
+      flex: 1;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .tab .unread {
+      flex-shrink: 0;
+      min-width: 18px;
+      padding: 0 5px;
+      border-radius: 9px;
+      background: var(--accent-color);
+      color: #ffffff;
+      font-size: 11px;
+      font-weight: 600;
+      line-height: 18px;
+      text-align: center;
+    }
+
+    .tab .close, #new-tab {
+      flex-shrink: 0;
+      width: 20px;
+      height: 20px;
+      border: none;
+      border-radius: 4px;
+      background: transparent;
+      color: var(--text-secondary);
+      font-size: 14px;
+      line-height: 20px;
+      cursor: pointer;
+    }
+
+    .tab .close:hover, #new-tab:hover {
+      background: var(--border-color);
+      color: var(--text-primary);
+    }
+
+    #new-tab {
+      align-self: center;
+      margin-left: 4px;
+      font-size: 18px;
+    }
+  </style>
+</head>
+<body>
+  <div id="tabs"></div>
+  <button id="new-tab" title="New Tab">+</button>
+
+  <script>
+    const TAB_TYPE = 'application/x-ms365-tab';
+    const list = document.getElementById('tabs');
+
+    function formatUnread(count) {
+      return count > 99 ? '99+' : String(count);
+    }
+
+    function render(tabs) {
+      list.replaceChildren(...tabs.map((tab) => {
+        const item = document.createElement('div');
+        item.className = tab.active ? 'tab active' : 'tab';
+        item.draggable = true;
+        item.dataset.id = tab.id;
+        item.title = tab.title + ' (' + tab.account + ')';
+        if (tab.color) item.style.setProperty('--account', tab.color);
+
+        const icon = document.createElement('img');
+        icon.src = tab.icon;
+        icon.alt = '';
+        const title = document.createElement('span');
+        title.className = 'title';
+        title.textContent = tab.title;
+        item.append(icon, title);
+
+        if (tab.unread > 0) {
+          const unread = document.createElement('span');
+          unread.className = 'unread';
+          unread.textContent = formatUnread(tab.unread);
+          item.append(unread);
+        }
+
+        const close = document.createElement('button');
+        close.className = 'close';
+        close.title = 'Close Tab';
+        close.textContent = '\\u00d7';
+        close.addEventListener('click', (event) => {
+          event.stopPropagation();
+          window.electronAPI.invoke('tabs:close', { tabId: tab.id });
+        });
+        item.append(close);
+
+        item.addEventListener('mousedown', (event) => {
+          if (event.button === 0) window.electronAPI.invoke('tabs:activate', { tabId: tab.id });
+        });
+        item.addEventListener('auxclick', (event) => {
+          if (event.button === 1) window.electronAPI.invoke('tabs:close', { tabId: tab.id });
+        });
+        item.addEventListener('contextmenu', (event) => {
+          event.preventDefault();
+          window.electronAPI.invoke('tabs:menu', { tabId: tab.id });
+        });
+        item.addEventListener('dragstart', (event) => {
+          event.dataTransfer.setData(TAB_TYPE, String(tab.id));
+          event.dataTransfer.effectAllowed = 'move';
+        });
+        item.addEventListener('dragend', (event) => {
+          clearDropMarker();
+          // Dropped outside every tab strip: tear the tab off
+          if (event.dataTransfer.dropEffect === 'none') {
+            window.electronAPI.invoke('tabs:detach', { tabId: tab.id, x: event.screenX, y: event.screenY });
+          }
+        });
+        return item;
+      }));
+    }
+
+    // Index the dragged tab would be dropped at
+    function getDropIndex(x) {
+      const items = [...list.children];
+      const index = items.findIndex((item) => {
+        const box = item.getBoundingClientRect();
+        return x < box.left + box.width / 2;
+      });
+      return index === -1 ? items.length : index;
+    }
+
+    function clearDropMarker() {
+      for (const item of list.children) item.classList.remove('drop-before', 'drop-after');
+    }
+
+    document.body.addEventListener('dragover', (event) => {
+      if (!event.dataTransfer.types.includes(TAB_TYPE)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+
+      clearDropMarker();
+      const items = list.children;
+      const index = getDropIndex(event.clientX);
+      if (index < items.length) {
+        items[index].classList.add('drop-before');
+      } else if (items.length > 0) {
+        items[items.length - 1].classList.add('drop-after');
+      }
+    });
+
+    document.body.addEventListener('dragleave', (event) => {
+      if (!event.relatedTarget) clearDropMarker();
+    });
+
+    document.body.addEventListener('drop', (event) => {
+      const tabId = Number(event.dataTransfer.getData(TAB_TYPE));
+      if (!tabId) return;
+      event.preventDefault();
+      clearDropMarker();
+      window.electronAPI.invoke('tabs:move', { tabId, index: getDropIndex(event.clientX) });
+    });
+
+    document.getElementById('new-tab').addEventListener('click', () => {
+      window.electronAPI.invoke('tabs:new');
+    });
+
+    window.electronAPI.on('tabs:changed', render);
+    window.electronAPI.invoke('tabs:get').then(render);
+  </script>
+</body>
+</html>
+`;
+}
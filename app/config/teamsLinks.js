@@ -0,0 +1,124 @@
+/**
+ * Teams Meeting Links Module
+ * Opens msteams: URIs and Teams meeting links in a dedicated call window
+ */
+
+import { dialog } from "electron";
+import { getAccountType } from "./appLauncher.js";
+import { getProfileIdForAuth } from "./profiles.js";
+import { createWindow } from "./windowManager.js";
+import { injectCallDetection } from "./power.js";
+import { injectMediaStateTracking } from "./mediaState.js";
+
+// Teams web hosts by sign-in type
+const TEAMS_HOSTS = {
+  "teams.microsoft.com": "work",
+  "teams.cloud.microsoft": "work",
+  "teams.live.com": "personal",
+};
+
+// Path prefixes used by meeting join links
+const MEETING_PATHS = ["/l/meetup-join/", "/meet/", "/l/meet/"];
+
+/**
+ * Check if a URL is a Teams meeting join link
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isTeamsMeetingUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "https:" &&
+      parsed.hostname.toLowerCase() in TEAMS_HOSTS &&
+      MEETING_PATHS.some((prefix) => parsed.pathname.toLowerCase().startsWith(prefix));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse an msteams: URI into the equivalent Teams web URL
+ * Accepts msteams:/l/meetup-join/... and msteams://teams.microsoft.com/l/...
+ * @param {string} uri - msteams: URI
+ * @returns {{valid: boolean, error?: string, url?: string, accountType?: string}}
+ */
+export function parseMsteamsUrl(uri) {
+  if (typeof uri !== "string" || !uri.toLowerCase().startsWith("msteams:")) {
+    return { valid: false, error: `Not an msteams: link: "${uri}"` };
+  }
+
+  const rest = uri.slice("msteams:".length);
+  const webUrl = rest.startsWith("//")
+    ? `https:${rest}`
+    : `https://teams.microsoft.com${rest.startsWith("/") ? "" : "/"}${rest}`;
+
+  let parsed;
+  try {
+    parsed = new URL(webUrl);
+  } catch {
+    return { valid: false, error: `Malformed Teams link: "${uri}"` };
+  }
+
+  const auth = TEAMS_HOSTS[parsed.hostname.toLowerCase()];
+  if (!auth) {
+    return { valid: false, error: `Not a Teams link: "${uri}"` };
+  }
+
+  return { valid: true, url: parsed.href, accountType: getProfileIdForAuth(auth) };
+}
+
+/**
+ * Work out which account a Teams URL belongs to
+ * @param {string} url - Teams web URL
+ * @returns {string} Account type (profile id)
+ */
+export function getTeamsAccountType(url) {
+  try {
+    const auth = TEAMS_HOSTS[new URL(url).hostname.toLowerCase()];
+    return auth ? getProfileIdForAuth(auth) : getAccountType();
+  } catch {
+    return getAccountType();
+  }
+}
+
+/**
+ * Open a Teams link in a dedicated call window
+ * Call detection and media tracking are injected as soon as the DOM is
+ * ready, so the window is tracked before the user joins the call.
+ * @param {string} url - Teams web URL
+ * @param {string} [accountType] - Account type (profile id)
+ * @returns {BrowserWindow} The call window
+ */
+export function openTeamsCallWindow(url, accountType = getTeamsAccountType(url)) {
+  // Calls keep a window of their own, also in tabbed mode
+  const window = createWindow({
+    url,
+    appType: "teams",
+    accountType,
+    tab: false,
+  });
+
+  window.webContents.on("dom-ready", () => {
+    injectCallDetection(window.webContents);
+    injectMediaStateTracking(window.webContents);
+  });
+
+  return window;
+}
+
+/**
+ * Open an msteams: URI
+ * @param {string} uri - msteams: URI
+ * @returns {boolean} True if the link was opened
+ */
+export function handleMsteamsUrl(uri) {
+  const link = parseMsteamsUrl(uri);
+  if (!link.valid) {
+    console.warn(`Cannot open Teams link: ${link.error}`);
+    dialog.showErrorBox("Cannot Open Teams Link", link.error);
+    return false;
+  }
+
+  openTeamsCallWindow(link.url, link.accountType);
+  return true;
+}
@@ -3,7 +3,7 @@
  * Follows system dark/light theme preference
  */
 
-import { nativeTheme, BrowserWindow, app } from "electron";
+import { nativeTheme, webContents, app } from "electron";
 import { getValue, setValue } from "./store.js";
 
 let themeListenerInitialized = false;
@@ -83,15 +83,13 @@ function getThemeCSS() {
 }
 
 /**
- * Inject theme CSS into all windows
+ * Inject theme CSS into all windows and tabs
  */
 function injectThemeCSS() {
-  BrowserWindow.getAllWindows().forEach(window => {
-    if (window.webContents) {
-      window.webContents.insertCSS(getThemeCSS()).catch(() => {
-        // Ignore errors for windows that can't accept CSS
-      });
-    }
+  webContents.getAllWebContents().forEach(contents => {
+    contents.insertCSS(getThemeCSS()).catch(() => {
+      // Ignore errors for pages that can't accept CSS
+    });
   });
 }
 
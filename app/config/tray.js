@@ -8,6 +8,12 @@ import { dirname, join } from "path";
 import { fileURLToPath } from "url";
 import { getValue } from "./store.js";
 import { launchApp, getAppList, createNewWindow } from "./appLauncher.js";
+import { getProfiles } from "./profiles.js";
+import { createWindow } from "./windowManager.js";
+import { getEditBindings } from "./editInPlace.js";
+import { getSendFolderStatus, retryFailedSends, openSendFolder } from "./sendFolder.js";
+import { createRecentDocumentItems, getRecentDocuments } from "./recentDocuments.js";
+import { getMailArchiveStatus, stopMailArchive, resumeMailArchive, discardMailArchive, openMailArchiveDir } from "./mailExport.js";
 import { existsSync } from "fs";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -33,6 +39,124 @@ const iconPaths = {
 // Fallback icon path if app-specific icon not found
 const fallbackIconPath = join(__dirname, "..", "..", "assets", "icons", "png", "32x32.png");
 
+/**
+ * Draw a round colour swatch for a profile menu entry
+ * @param {string} color - Colour as #rrggbb
+ * @returns {nativeImage} 12x12 image
+ */
+function createColorSwatch(color) {
+  const size = 12;
+  const [red, green, blue] = [1, 3, 5].map((start) => parseInt(color.slice(start, start + 2), 16));
+  const bitmap = Buffer.alloc(size * size * 4);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const inside = (x - 5.5) ** 2 + (y - 5.5) ** 2 <= 30;
+      const offset = (y * size + x) * 4;
+      // Bitmaps are BGRA
+      bitmap[offset] = blue;
+      bitmap[offset + 1] = green;
+      bitmap[offset + 2] = red;
+      bitmap[offset + 3] = inside ? 255 : 0;
+    }
+  }
+
+  return nativeImage.createFromBitmap(bitmap, { width: size, height: size });
+}
+
+/**
+ * Create the Send to OneDrive entries showing the send folder's queue
+ * @returns {Array<object>} Menu items, none when the send folder is off
+ */
+function createSendFolderItems() {
+  const status = getSendFolderStatus();
+  if (!status.enabled) return [];
+
+  const waiting = status.queued + (status.uploading ? 1 : 0);
+  const summary = [
+    waiting > 0 ? `${waiting} waiting` : null,
+    status.failed > 0 ? `${status.failed} failed` : null,
+  ].filter(Boolean).join(", ");
+
+  return [
+    {
+      label: summary ? `Send to OneDrive (${summary})` : "Send to OneDrive",
+      submenu: [
+        {
+          label: status.uploading ? `Uploading "${status.uploading}"` : waiting > 0 ? "Waiting to upload" : "All files sent",
+          enabled: false,
+        },
+        { type: "separator" },
+        {
+          label: "Retry Failed",
+          enabled: status.failed > 0,
+          click: retryFailedSends,
+        },
+        {
+          label: "Open Folder",
+          click: openSendFolder,
+        },
+      ],
+    },
+    { type: "separator" },
+  ];
+}
+
+/**
+ * Create the Mail Archive entries for the running and stopped archives
+ * @returns {Array<object>} Menu items, none when there is nothing to show
+ */
+function createMailArchiveItems() {
+  const { running, unfinished } = getMailArchiveStatus();
+  if (!running && unfinished.length === 0) return [];
+
+  const runningItems = running
+    ? [
+        {
+          label: `Archiving "${running.folderName}" (${running.done} of ${Math.max(running.total, running.done)})`,
+          enabled: false,
+        },
+        {
+          label: "Stop",
+          click: stopMailArchive,
+        },
+      ]
+    : [];
+
+  // Only one archive runs at a time
+  const unfinishedItems = unfinished.map((job) => ({
+    label: `"${job.folderName}" (${job.done} of ${Math.max(job.total, job.done)})${job.error ? ` - ${job.error}` : ""}`,
+    submenu: [
+      {
+        label: "Resume",
+        enabled: !running,
+        click: () => resumeMailArchive(job.path),
+      },
+      {
+        label: "Discard",
+        click: () => discardMailArchive(job.path),
+      },
+    ],
+  }));
+
+  return [
+    {
+      label: running ? "Mail Archive (running)" : "Mail Archive (stopped)",
+      submenu: [
+        ...runningItems,
+        ...(runningItems.length > 0 && unfinishedItems.length > 0 ? [{ type: "separator" }] : []),
+        ...unfinishedItems,
+        { type: "separator" },
+        {
+          label: "Open Archive Folder",
+          click: openMailArchiveDir,
+        },
+      ],
+    },
+    { type: "separator" },
+  ];
+}
+
 /**
  * Create the tray context menu
  * @returns {Menu} The context menu for the tray
@@ -46,27 +170,50 @@ function createContextMenu() {
     },
   }));
 
+  const newWindowItems = getProfiles().map((profile) => ({
+    label: `New Window (${profile.name})`,
+    icon: createColorSwatch(profile.color),
+    click: () => {
+      createNewWindow(profile.id);
+    },
+  }));
+
+  // Windows editing local files, so it is clear where edits will be saved
+  const localFileItems = getEditBindings().map((binding) => ({
+    label: binding.displayPath,
+    click: () => {
+      const window = BrowserWindow.fromId(binding.windowId);
+      if (window) {
+        window.show();
+        window.focus();
+      }
+    },
+  }));
+
   return Menu.buildFromTemplate([
     {
       label: "Show/Hide Window",
       click: toggleMainWindow,
     },
     { type: "separator" },
+    ...(localFileItems.length > 0
+      ? [{ label: "Editing Local Files", submenu: localFileItems }, { type: "separator" }]
+      : []),
+    ...createSendFolderItems(),
+    ...createMailArchiveItems(),
+    ...(getRecentDocuments().length > 0
+      ? [{ label: "Recent Documents", submenu: createRecentDocumentItems() }]
+      : []),
     {
       label: "Quick Launch",
       submenu: quickLaunchItems,
     },
     { type: "separator" },
+    ...newWindowItems,
     {
-      label: "New Window (Personal)",
+      label: "New Private Window",
       click: () => {
-        createNewWindow("personal");
-      },
-    },
-    {
-      label: "New Window (Work)",
-      click: () => {
-        createNewWindow("work");
+        createWindow({ isPrivate: true });
       },
     },
     { type: "separator" },
@@ -231,6 +378,31 @@ export function initializeTray() {
       updateTrayIcon(appName);
     });
 
+    // Rebuild the New Window entries when profiles change
+    app.on("profiles-changed", () => {
+      tray?.setContextMenu(createContextMenu());
+    });
+
+    // Rebuild the Editing Local Files entries when windows are bound or closed
+    app.on("edit-bindings-changed", () => {
+      tray?.setContextMenu(createContextMenu());
+    });
+
+    // Show the send folder's queue as it changes
+    app.on("send-folder-changed", () => {
+      tray?.setContextMenu(createContextMenu());
+    });
+
+    // Show mail archive progress as it changes
+    app.on("mail-archive-changed", () => {
+      tray?.setContextMenu(createContextMenu());
+    });
+
+    // Keep the Recent Documents entries current
+    app.on("recent-documents-changed", () => {
+      tray?.setContextMenu(createContextMenu());
+    });
+
     // Listen for badge count changes
     app.on("badge-count-changed", (count) => {
       updateTrayBadge(count);
@@ -0,0 +1,513 @@
+/**
+ * Upload Queue Module
+ * Uploads dropped files one at a time and shows them in an uploads panel
+ *
+ * Each queued file goes to a OneDrive folder or to an Outlook draft. The panel
+ * shows per-file progress with cancel and retry; the queue lives until the app
+ * quits.
+ */
+
+import { app, BrowserWindow, ipcMain, nativeTheme } from "electron";
+import { randomUUID } from "crypto";
+import { basename, dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { uploadToOneDrive, attachToDraft } from "./graph.js";
+import { showNotification } from "./notifications.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Uploads by id, in the order they were queued
+const uploads = new Map();
+
+// Upload being sent, if any
+let current = null;
+
+let uploadsWindow = null;
+
+/**
+ * Where queued files go
+ * @typedef {Object} UploadDestination
+ * @property {'folder' | 'draft'} type - OneDrive folder or Outlook draft
+ * @property {string} accountType - Profile id
+ * @property {string} label - Destination shown to the user
+ * @property {object} [parent] - Folder reference from resolveFolderUrl (folder only; null for the root)
+ * @property {string} [messageId] - Draft message id (draft only)
+ */
+
+/**
+ * Upload shown in the panel
+ * @typedef {Object} UploadEntry
+ * @property {string} id - Upload id
+ * @property {string} filePath - Local file
+ * @property {string} name - File name
+ * @property {string} folder - Folder below the destination, for files from dropped directories
+ * @property {number} size - File size
+ * @property {UploadDestination} destination - Destination
+ * @property {'queued' | 'uploading' | 'completed' | 'failed' | 'cancelled'} state - State
+ * @property {number} sentBytes - Bytes sent
+ * @property {string} [error] - Why the upload failed
+ * @property {AbortController} [controller] - Cancels the upload in progress
+ * @property {string} [uploadUrl] - Upload session a retry continues, for large files
+ */
+
+/**
+ * Get all uploads in queue order, without internal state
+ * @returns {object[]}
+ */
+export function getUploads() {
+  return [...uploads.values()].map((entry) => ({
+    id: entry.id,
+    filePath: entry.filePath,
+    name: entry.name,
+    folder: entry.folder,
+    size: entry.size,
+    state: entry.state,
+    sentBytes: entry.sentBytes,
+    error: entry.error,
+    destination: entry.destination.label,
+    type: entry.destination.type,
+  }));
+}
+
+/**
+ * Send the upload list to the panel
+ */
+function emitUploadsChanged() {
+  if (uploadsWindow && !uploadsWindow.isDestroyed()) {
+    uploadsWindow.webContents.send("uploads:changed", getUploads());
+  }
+}
+
+/**
+ * Send one queued file to its destination
+ * @param {UploadEntry} entry - Upload
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+function sendUpload(entry) {
+  const { destination } = entry;
+  const options = {
+    accountType: destination.accountType,
+    signal: entry.controller.signal,
+    onProgress: (sent) => {
+      entry.sentBytes = sent;
+      emitUploadsChanged();
+    },
+    uploadUrl: entry.uploadUrl,
+    onSession: (uploadUrl) => {
+      if (uploadUrl) entry.uploadUrl = uploadUrl;
+      else delete entry.uploadUrl;
+    },
+  };
+
+  if (destination.type === "draft") {
+    return attachToDraft(entry.filePath, { ...options, messageId: destination.messageId });
+  }
+  return uploadToOneDrive(entry.filePath, { ...options, parent: destination.parent, folder: entry.folder });
+}
+
+/**
+ * Announce that the queue has emptied
+ * @param {number} completed - Files uploaded since the queue started
+ * @param {number} failed - Files that failed since the queue started
+ */
+function notifyQueueDone(completed, failed) {
+  const files = (count) => `${count} ${count === 1 ? "file" : "files"}`;
+
+  showNotification({
+    title: failed > 0 ? "Uploads Failed" : "Uploads Complete",
+    body: failed > 0 ? `${files(failed)} of ${failed + completed} could not be uploaded` : `${files(completed)} uploaded`,
+    type: "general",
+    onClick: () => showUploads(),
+  });
+}
+
+/**
+ * Upload queued files until none are left
+ */
+async function processQueue() {
+  if (current) return;
+
+  let completed = 0;
+  let failed = 0;
+  for (;;) {
+    const entry = [...uploads.values()].find((upload) => upload.state === "queued");
+    if (!entry) break;
+
+    current = entry;
+    entry.state = "uploading";
+    entry.sentBytes = 0;
+    entry.controller = new AbortController();
+    emitUploadsChanged();
+
+    const result = await sendUpload(entry);
+    if (result.success) {
+      entry.state = "completed";
+      entry.sentBytes = entry.size;
+      delete entry.uploadUrl;
+      completed++;
+    } else if (entry.controller.signal.aborted) {
+      entry.state = "cancelled";
+    } else {
+      entry.state = "failed";
+      entry.error = result.error;
+      failed++;
+    }
+    delete entry.controller;
+    current = null;
+    emitUploadsChanged();
+  }
+
+  if (completed + failed > 0) notifyQueueDone(completed, failed);
+}
+
+/**
+ * Queue files for upload and start sending them
+ * @param {Array<{filePath: string, size: number, folder?: string}>} files - Files to upload
+ * @param {UploadDestination} destination - Where the files go
+ */
+export function enqueueUploads(files, destination) {
+  for (const file of files) {
+    const id = randomUUID();
+    uploads.set(id, {
+      id,
+      filePath: file.filePath,
+      name: basename(file.filePath),
+      folder: file.folder || "",
+      size: file.size,
+      destination,
+      state: "queued",
+      sentBytes: 0,
+    });
+  }
+
+  emitUploadsChanged();
+  processQueue();
+}
+
+/**
+ * Apply an action from the uploads panel
+ * @param {string} id - Upload id
+ * @param {'cancel' | 'retry' | 'remove'} action - Action
+ * @returns {{success: boolean, error?: string}}
+ */
+export function runUploadAction(id, action) {
+  const entry = uploads.get(id);
+  if (!entry) {
+    return { success: false, error: "Unknown upload" };
+  }
+
+  switch (action) {
+    case "cancel":
+      if (entry.state === "uploading") {
+        // processQueue marks it cancelled once the request has stopped
+        entry.controller.abort();
+      } else if (entry.state === "queued") {
+        entry.state = "cancelled";
+      }
+      break;
+
+    case "retry":
+      if (entry.state !== "failed" && entry.state !== "cancelled") {
+        return { success: false, error: "Only failed or cancelled uploads can be retried" };
+      }
+      entry.state = "queued";
+      delete entry.error;
+      processQueue();
+      break;
+
+    case "remove":
+      if (entry.state === "uploading" || entry.state === "queued") {
+        return { success: false, error: "Cancel the upload first" };
+      }
+      uploads.delete(id);
+      break;
+
+    default:
+      return { success: false, error: `Unknown action: ${action}` };
+  }
+
+  emitUploadsChanged();
+  return { success: true };
+}
+
+/**
+ * Remove finished, failed and cancelled uploads from the list
+ */
+export function clearFinishedUploads() {
+  for (const [id, entry] of uploads) {
+    if (entry.state !== "queued" && entry.state !== "uploading") uploads.delete(id);
+  }
+  emitUploadsChanged();
+}
+
+/**
+ * Generate HTML for the uploads panel
+ * @returns {string} HTML
+ */
+function getUploadsHTML() {
+  const isDark = nativeTheme.shouldUseDarkColors;
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'self'; style-src 'unsafe-inline'; script-src 'unsafe-inline'">
+  <title>Uploads</title>
+  <style>
+    :root {
+      --bg-primary: ${isDark ? "#1e1e1e" : "#fafafa"};
+      --bg-secondary: ${isDark ? "#2d2d2d" : "#ffffff"};
+      --bg-hover: ${isDark ? "#3d3d3d" : "#f0f0f0"};
+      --text-primary: ${isDark ? "#ffffff" : "#1a1a1a"};
+      --text-secondary: ${isDark ? "#b0b0b0" : "#666666"};
+      --border-color: ${isDark ? "#404040" : "#e0e0e0"};
+      --accent-color: #0078d4;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, sans-serif;
+      font-size: 14px;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      padding: 16px 24px;
+    }
+
+    header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 12px;
+    }
+
+    header h2 {
+      font-size: 20px;
+      font-weight: 600;
+    }
+
+    .upload {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 12px 0;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .upload-info {
+      flex: 1;
+      min-width: 0;
+    }
+
+    .upload-info .title {
+      font-weight: 500;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .upload-info .description {
+      font-size: 12px;
+      color: var(--text-secondary);
+      margin-top: 2px;
+    }
+
+    .upload-info .description.error {
+      color: #d13438;
+    }
+
+    progress {
+      width: 100%;
+      height: 4px;
+      margin-top: 6px;
+      accent-color: var(--accent-color);
+    }
+
+    .button {
+      padding: 6px 12px;
+      font-size: 13px;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      background: var(--bg-secondary);
+      color: var(--text-primary);
+      cursor: pointer;
+    }
+
+    .button:hover {
+      background: var(--bg-hover);
+    }
+
+    .empty {
+      color: var(--text-secondary);
+      text-align: center;
+      padding: 48px 0;
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <h2>Uploads</h2>
+    <button class="button" id="clear">Clear Finished</button>
+  </header>
+  <div id="list"></div>
+
+  <script>
+    const ACTIONS = {
+      queued: [['cancel', 'Cancel']],
+      uploading: [['cancel', 'Cancel']],
+      completed: [['remove', 'Remove']],
+      failed: [['retry', 'Retry'], ['remove', 'Remove']],
+      cancelled: [['retry', 'Retry'], ['remove', 'Remove']],
+    };
+
+    function formatBytes(bytes) {
+      const units = ['B', 'KB', 'MB', 'GB'];
+      let value = bytes;
+      let unit = 0;
+      while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+      }
+      return (unit === 0 ? value : value.toFixed(1)) + ' ' + units[unit];
+    }
+
+    function describe(upload) {
+      const target = upload.folder ? upload.destination + '/' + upload.folder : upload.destination;
+      switch (upload.state) {
+        case 'queued': return 'Waiting \\u00b7 ' + target;
+        case 'uploading': return formatBytes(upload.sentBytes) + ' of ' + formatBytes(upload.size) + ' \\u00b7 ' + target;
+        case 'completed': return (upload.type === 'draft' ? 'Attached to ' : 'Uploaded to ') + target;
+        case 'cancelled': return 'Cancelled';
+        default: return 'Failed: ' + upload.error;
+      }
+    }
+
+    function render(uploads) {
+      const list = document.getElementById('list');
+      list.replaceChildren();
+      if (uploads.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = 'Drop files on OneDrive or an Outlook message to upload them';
+        list.append(empty);
+        return;
+      }
+
+      for (const upload of uploads) {
+        const row = document.createElement('div');
+        row.className = 'upload';
+
+        const info = document.createElement('div');
+        info.className = 'upload-info';
+        const title = document.createElement('div');
+        title.className = 'title';
+        title.textContent = upload.name;
+        title.title = upload.filePath;
+        const description = document.createElement('div');
+        description.className = upload.state === 'failed' ? 'description error' : 'description';
+        description.textContent = describe(upload);
+        info.append(title, description);
+
+        if (upload.state === 'uploading') {
+          const progress = document.createElement('progress');
+          progress.max = upload.size || 1;
+          progress.value = upload.sentBytes;
+          info.append(progress);
+        }
+        row.append(info);
+
+        for (const [action, label] of ACTIONS[upload.state]) {
+          const button = document.createElement('button');
+          button.className = 'button';
+          button.textContent = label;
+          button.addEventListener('click', () => {
+            window.electronAPI.invoke('uploads:action', { id: upload.id, action });
+          });
+          row.append(button);
+        }
+        list.append(row);
+      }
+    }
+
+    document.getElementById('clear').addEventListener('click', () => {
+      window.electronAPI.invoke('uploads:clear');
+    });
+
+    window.electronAPI.on('uploads:changed', render);
+    window.electronAPI.invoke('uploads:list').then(render);
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Create and show the uploads panel
+ * @returns {BrowserWindow} Uploads window
+ */
+export function showUploads() {
+  if (uploadsWindow && !uploadsWindow.isDestroyed()) {
+    uploadsWindow.show();
+    uploadsWindow.focus();
+    return uploadsWindow;
+  }
+
+  uploadsWindow = new BrowserWindow({
+    width: 560,
+    height: 480,
+    minWidth: 400,
+    minHeight: 300,
+    title: "Uploads",
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: false,
+      preload: join(__dirname, "..", "preload.js"),
+    },
+  });
+
+  uploadsWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(getUploadsHTML())}`);
+
+  uploadsWindow.on("closed", () => {
+    uploadsWindow = null;
+  });
+
+  return uploadsWindow;
+}
+
+/**
+ * Check that an IPC call comes from the uploads panel
+ * App windows share the preload, so their pages can invoke the channels too
+ * @param {Electron.IpcMainInvokeEvent} event - IPC event
+ * @returns {boolean}
+ */
+function isFromPanel(event) {
+  return Boolean(uploadsWindow) && !uploadsWindow.isDestroyed() && event.sender === uploadsWindow.webContents;
+}
+
+/**
+ * Initialize the upload queue
+ * Registers the panel's IPC handlers and stops the upload in progress on quit
+ */
+export function initializeUploadQueue() {
+  ipcMain.handle("uploads:list", (event) => (isFromPanel(event) ? getUploads() : []));
+
+  ipcMain.handle("uploads:action", (event, { id, action }) =>
+    isFromPanel(event) ? runUploadAction(id, action) : { success: false, error: "Not allowed" }
+  );
+
+  ipcMain.handle("uploads:clear", (event) => {
+    if (isFromPanel(event)) clearFinishedUploads();
+  });
+
+  app.on("will-quit", () => {
+    current?.controller?.abort();
+  });
+}
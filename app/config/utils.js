@@ -1,6 +1,20 @@
 import { app, dialog, shell } from "electron";
 import axios from "axios";
+import { accessSync, constants } from "fs";
+import { delimiter, join } from "path";
 import { setValue } from "./store.js";
+import domains from "../domains.json" with { type: "json" };
+
+/**
+ * Check if a hostname belongs to one of the allowed Microsoft domains
+ * @param {string} hostname - Hostname to check
+ * @returns {boolean}
+ */
+export function isAllowedDomain(hostname) {
+  return domains.domains.some((allowedDomain) =>
+    new RegExp(`^${allowedDomain.replace(/\./g, "\\.").replace("*\\.", "([a-zA-Z0-9-]+\\.)*")}$`).test(hostname)
+  );
+}
 
 export async function checkForUpdates() {
   try {
@@ -34,6 +48,25 @@ export async function checkForUpdates() {
   }
 }
 
+/**
+ * Find an executable on PATH
+ * @param {string} name - Executable name
+ * @returns {string|null} Full path
+ */
+export function findExecutable(name) {
+  for (const dir of (process.env.PATH || "").split(delimiter)) {
+    if (!dir) continue;
+    const candidate = join(dir, name);
+    try {
+      accessSync(candidate, constants.X_OK);
+      return candidate;
+    } catch {
+      // Not in this directory
+    }
+  }
+  return null;
+}
+
 export async function openExternalLink(url) {
   await shell.openExternal(url);
 }
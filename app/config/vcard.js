@@ -0,0 +1,253 @@
+/**
+ * vCard Module
+ * Reads .vcf files (vCard 2.1, 3.0 and 4.0) and turns them into Microsoft Graph contacts
+ *
+ * Works offline and has no Electron dependencies. A file can hold any number
+ * of cards; each becomes its own contact. Details an Outlook contact has no
+ * field for are reported as warnings.
+ */
+
+import { readComponents, splitValue, unescapeText } from "./icalendar.js";
+
+// Outlook contacts hold up to three email addresses
+const MAX_EMAIL_ADDRESSES = 3;
+
+/**
+ * Decode a quoted-printable value (vCard 2.1) in the charset it names
+ * @param {string} value - Encoded value
+ * @param {string} [charset] - CHARSET parameter
+ * @returns {string} Text
+ */
+function decodeQuotedPrintable(value, charset = "utf-8") {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "=" && /^[0-9A-F]{2}$/i.test(value.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(value.charCodeAt(i) & 0xff);
+    }
+  }
+  try {
+    return new TextDecoder(charset).decode(Uint8Array.from(bytes));
+  } catch {
+    return new TextDecoder("utf-8").decode(Uint8Array.from(bytes));
+  }
+}
+
+/**
+ * Get a property's raw value, undoing vCard 2.1 quoted-printable encoding
+ * @param {object} property - Property
+ * @returns {string} Value, still escaped
+ */
+function getRawValue(property) {
+  const encoding = property.params.ENCODING?.[0]?.toUpperCase();
+  const quotedPrintable = encoding === "QUOTED-PRINTABLE" || property.params.TYPE?.some((type) => type.toUpperCase() === "QUOTED-PRINTABLE");
+  return quotedPrintable ? decodeQuotedPrintable(property.value, property.params.CHARSET?.[0]) : property.value;
+}
+
+/**
+ * Get a property's types in lower case
+ * Covers TYPE=home,work, TYPE="home,work" and vCard 2.1's bare HOME;VOICE.
+ * @param {object} property - Property
+ * @returns {string[]} Types
+ */
+function getTypes(property) {
+  return (property.params.TYPE || []).flatMap((type) => type.toLowerCase().split(",")).map((type) => type.trim());
+}
+
+/**
+ * Parse a BDAY value
+ * @param {string} value - Date, e.g. "19800115", "1980-01-15" or "--0115"
+ * @returns {string|null} Date (YYYY-MM-DD), or null without a year
+ */
+function parseBirthday(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value.trim());
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Parse a VCARD component
+ * @param {object} component - VCARD component
+ * @returns {object} Card
+ */
+function parseCard(component) {
+  const warnings = new Set();
+  const card = {
+    formattedName: "",
+    name: { family: "", given: "", middle: "", prefix: "", suffix: "" },
+    nickname: "",
+    organization: "",
+    department: "",
+    jobTitle: "",
+    emails: [],
+    phones: [],
+    addresses: [],
+    urls: [],
+    birthday: null,
+    note: "",
+    categories: [],
+    warnings,
+  };
+
+  for (const property of component.properties) {
+    const raw = getRawValue(property);
+    const text = unescapeText(raw).trim();
+    switch (property.name) {
+      case "FN":
+        card.formattedName = text;
+        break;
+      case "N": {
+        const [family = "", given = "", middle = "", prefix = "", suffix = ""] = splitValue(raw, ";").map((part) => part.trim());
+        card.name = { family, given, middle, prefix, suffix };
+        break;
+      }
+      case "NICKNAME":
+        card.nickname = splitValue(raw, ",")[0].trim();
+        break;
+      case "ORG": {
+        const [organization = "", department = ""] = splitValue(raw, ";").map((part) => part.trim());
+        Object.assign(card, { organization, department });
+        break;
+      }
+      case "TITLE":
+        card.jobTitle = text;
+        break;
+      case "EMAIL":
+        if (text) card.emails.push({ address: text.replace(/^mailto:/i, ""), types: getTypes(property) });
+        break;
+      case "TEL":
+        if (text) card.phones.push({ number: text.replace(/^tel:/i, ""), types: getTypes(property) });
+        break;
+      case "ADR": {
+        const [poBox = "", extended = "", street = "", city = "", region = "", postalCode = "", country = ""] = splitValue(raw, ";").map((part) => part.trim());
+        card.addresses.push({
+          types: getTypes(property),
+          street: [poBox, extended, street].filter(Boolean).join("\n"),
+          city,
+          region,
+          postalCode,
+          country,
+        });
+        break;
+      }
+      case "URL":
+        if (text) card.urls.push(text);
+        break;
+      case "BDAY":
+        card.birthday = parseBirthday(text);
+        if (!card.birthday) warnings.add("Birthdays without a year are not imported.");
+        break;
+      case "NOTE":
+        card.note = text;
+        break;
+      case "CATEGORIES":
+        card.categories.push(...splitValue(raw, ",").map((category) => category.trim()).filter(Boolean));
+        break;
+      case "PHOTO":
+        warnings.add("Photos are not imported.");
+        break;
+    }
+  }
+  return card;
+}
+
+/**
+ * Parse a vCard file
+ * @param {string} text - File contents
+ * @returns {Array<object>} Cards, in file order
+ * @throws {Error} When the file holds no cards
+ */
+export function parseVCards(text) {
+  const cards = readComponents(text)
+    .filter((component) => component.name === "VCARD")
+    .map(parseCard);
+  if (cards.length === 0) throw new Error("The file is not a vCard file.");
+  return cards;
+}
+
+/**
+ * Get the name a card is shown under
+ * @param {object} card - Card from parseVCards()
+ * @returns {string} Display name
+ */
+export function getCardDisplayName(card) {
+  const { prefix, given, middle, family, suffix } = card.name;
+  return (
+    card.formattedName ||
+    [prefix, given, middle, family, suffix].filter(Boolean).join(" ") ||
+    card.organization ||
+    card.emails[0]?.address ||
+    ""
+  );
+}
+
+/**
+ * Convert a card's address to a Graph physicalAddress
+ * @param {object} address - Address from parseVCards()
+ * @returns {object} Graph physicalAddress
+ */
+function toPhysicalAddress(address) {
+  return {
+    street: address.street,
+    city: address.city,
+    state: address.region,
+    postalCode: address.postalCode,
+    countryOrRegion: address.country,
+  };
+}
+
+/**
+ * Convert a parsed card to a Graph contact
+ * Outlook has one mobile number and one home, work and other address; the
+ * first of each is kept and the rest are added to the card's warnings.
+ * @param {object} card - Card from parseVCards()
+ * @returns {object} Graph contact for POST /me/contacts
+ */
+export function toGraphContact(card) {
+  const contact = {
+    displayName: getCardDisplayName(card),
+    givenName: card.name.given,
+    middleName: card.name.middle,
+    surname: card.name.family,
+    title: card.name.prefix,
+    generation: card.name.suffix,
+    nickName: card.nickname,
+    companyName: card.organization,
+    department: card.department,
+    jobTitle: card.jobTitle,
+    emailAddresses: card.emails.slice(0, MAX_EMAIL_ADDRESSES).map((email) => ({ address: email.address, name: email.address })),
+    homePhones: [],
+    businessPhones: [],
+    ...(card.birthday && { birthday: `${card.birthday}T00:00:00Z` }),
+    ...(card.urls.length > 0 && { businessHomePage: card.urls[0] }),
+    ...(card.note && { personalNotes: card.note }),
+    ...(card.categories.length > 0 && { categories: card.categories }),
+  };
+  if (card.emails.length > MAX_EMAIL_ADDRESSES) {
+    card.warnings.add(`Only the first ${MAX_EMAIL_ADDRESSES} email addresses are imported.`);
+  }
+
+  for (const phone of card.phones) {
+    if (phone.types.includes("fax")) {
+      card.warnings.add("Fax numbers are not imported.");
+    } else if ((phone.types.includes("cell") || phone.types.includes("mobile")) && !contact.mobilePhone) {
+      contact.mobilePhone = phone.number;
+    } else if (phone.types.includes("home")) {
+      contact.homePhones.push(phone.number);
+    } else {
+      contact.businessPhones.push(phone.number);
+    }
+  }
+
+  for (const address of card.addresses) {
+    const field = address.types.includes("home") ? "homeAddress" : address.types.includes("work") ? "businessAddress" : "otherAddress";
+    if (contact[field]) {
+      card.warnings.add("Only one home, work and other address is imported.");
+    } else {
+      contact[field] = toPhysicalAddress(address);
+    }
+  }
+
+  return contact;
+}
@@ -1,5 +1,6 @@
 import { app, desktopCapturer, session, ipcMain } from "electron";
 import { existsSync } from "fs";
+import { isProtocolUrl, handleProtocolUrl } from "./protocol.js";
 
 /**
  * Wayland display server support for Electron.
@@ -110,6 +111,15 @@ export function configureScreenSharing(ses = session.defaultSession) {
       return;
     }
 
+    // Office "Open in Desktop App", msteams: and mailto: links navigate to
+    // their scheme instead of opening a window; handle them in-app rather
+    // than passing them to the OS
+    if (permission === "openExternal" && isProtocolUrl(details.externalURL)) {
+      handleProtocolUrl(details.externalURL);
+      callback(false);
+      return;
+    }
+
     // Allow clipboard access
     if (permission === "clipboard-read" || permission === "clipboard-sanitized-write") {
       callback(true);
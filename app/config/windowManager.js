@@ -1,11 +1,22 @@
 /**
  * Window Manager Module
  * Manages multiple windows with metadata tracking
+ *
+ * In tabbed mode apps open as tabs: WebContentsViews below a tab strip in a
+ * shared window. A tabbed window's metadata follows its active tab, and
+ * getWindowContents() gives the page it shows, so code written for one page
+ * per window keeps working. Private, call and edit-in-place windows stay
+ * windows of their own.
  */
 
-import { BrowserWindow, app, screen } from "electron";
+import { BrowserWindow, Menu, WebContentsView, app, ipcMain, nativeImage, screen, session } from "electron";
 import { getValue } from "./store.js";
-import { getPartition, getAppUrl } from "./appLauncher.js";
+import { getPartition, getAppUrl, getAccountType, getAppList } from "./appLauncher.js";
+import { getProfile, getProfileAuth, getProfileForSession } from "./profiles.js";
+import { configureSession } from "./sessionSetup.js";
+import { parseUnreadFromTitle } from "./badge.js";
+import { iconPaths } from "./tray.js";
+import { TAB_STRIP_HEIGHT, getTabStripHTML } from "./tabStrip.js";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
 
@@ -16,60 +27,173 @@ const __dirname = dirname(__filename);
 const managedWindows = new Map();
 let windowIdCounter = 0;
 
+// Private windows get their own in-memory partition (no "persist:" prefix)
+const PRIVATE_PARTITION_PREFIX = "private-";
+
+// Tabs of tabbed windows, by tab id
+const tabs = new Map();
+let tabIdCounter = 0;
+
+// Tabbed window new tabs join when none is focused
+let lastTabbedWindowId = null;
+
+// Tab icons as data URLs by app type; the tab strip cannot load files
+const tabIcons = new Map();
+
+const WINDOW_ICON = join(__dirname, "..", "..", "assets", "icons", "png", "1024x1024.png");
+
 /**
  * Window metadata structure
  * @typedef {Object} WindowMeta
  * @property {number} id - Unique window ID
  * @property {string} appType - Current app type (word, excel, etc.)
- * @property {'personal' | 'work'} accountType - Account type
+ * @property {string} accountType - Account type (profile id)
  * @property {string} url - Current URL
  * @property {Object} bounds - Window bounds
  * @property {boolean} isMaximized - Whether window is maximized
  * @property {boolean} isFullScreen - Whether window is fullscreen
+ * @property {boolean} isPrivate - Whether the window uses a throwaway session
+ * @property {number[]} [tabs] - Tab ids in strip order, for tabbed windows
+ * @property {number|null} [activeTab] - Id of the tab shown, for tabbed windows
+ */
+
+/**
+ * Tab in a tabbed window
+ * @typedef {Object} Tab
+ * @property {number} id - Unique tab ID
+ * @property {WebContentsView} view - View showing the page
+ * @property {number} windowId - BrowserWindow id of the window holding the tab
+ * @property {string} appType - Current app type
+ * @property {string} accountType - Account type (profile id)
+ * @property {string} url - Current URL
+ * @property {string} title - Page title
+ * @property {number} unread - Unread count from the page title
+ */
+
+/**
+ * Check if apps open as tabs
+ * @returns {boolean}
  */
+export function isTabbedMode() {
+  return getValue("tabbedWindows") === true;
+}
+
+/**
+ * Get the Microsoft 365 start page
+ * @param {string} accountType - Account type (profile id)
+ * @returns {string} URL
+ */
+function getStartUrl(accountType) {
+  return `https://microsoft365.com/${getValue("custompage") || "home"}/${getProfileAuth(accountType) === "work" ? "?auth=2" : "?auth=1"}`;
+}
+
+/**
+ * Get the bounds new windows open with
+ * @returns {Object} Window bounds
+ */
+function getDefaultBounds() {
+  const workArea = screen.getPrimaryDisplay().workArea;
+  const windowWidth = getValue("windowWidth") || 0.71;
+  const windowHeight = getValue("windowHeight") || 0.74;
+
+  return {
+    width: Math.round(workArea.width * windowWidth),
+    height: Math.round(workArea.height * windowHeight),
+    x: undefined,
+    y: undefined,
+  };
+}
+
+/**
+ * Keep a window's metadata in step with its size and state
+ * @param {BrowserWindow} window - The window
+ */
+function trackWindowState(window) {
+  window.on("maximize", () => {
+    const meta = managedWindows.get(window.id);
+    if (meta) meta.isMaximized = true;
+  });
+
+  window.on("unmaximize", () => {
+    const meta = managedWindows.get(window.id);
+    if (meta) meta.isMaximized = false;
+  });
+
+  window.on("enter-full-screen", () => {
+    const meta = managedWindows.get(window.id);
+    if (meta) meta.isFullScreen = true;
+  });
+
+  window.on("leave-full-screen", () => {
+    const meta = managedWindows.get(window.id);
+    if (meta) meta.isFullScreen = false;
+  });
+
+  window.on("resize", () => {
+    if (!window.isMaximized() && !window.isFullScreen()) {
+      const meta = managedWindows.get(window.id);
+      if (meta) meta.bounds = window.getBounds();
+    }
+  });
+
+  window.on("move", () => {
+    if (!window.isMaximized() && !window.isFullScreen()) {
+      const meta = managedWindows.get(window.id);
+      if (meta) meta.bounds = window.getBounds();
+    }
+  });
+}
 
 /**
  * Create a new managed window
  * @param {Object} options - Window creation options
  * @param {string} [options.url] - URL to load
  * @param {string} [options.appType] - App type
- * @param {'personal' | 'work'} [options.accountType] - Account type
+ * @param {string} [options.accountType] - Account type (profile id)
  * @param {Object} [options.bounds] - Window bounds
  * @param {boolean} [options.isMaximized] - Start maximized
  * @param {boolean} [options.show] - Show immediately
- * @returns {BrowserWindow} The created window
+ * @param {boolean} [options.isPrivate] - Use an in-memory session that is discarded on close;
+ *   accountType then only picks the sign-in page
+ * @param {boolean} [options.tab] - In tabbed mode, open as a tab of a tabbed window;
+ *   false for windows that must stand alone
+ * @returns {BrowserWindow} The created window, or the tabbed window the tab opened in
  */
 export function createWindow(options = {}) {
   const {
     url = null,
     appType = "home",
-    accountType = getValue("enterprise-or-normal") === "?auth=2" ? "work" : "personal",
+    accountType = getAccountType(),
     bounds = null,
     isMaximized = false,
     show = true,
+    isPrivate = false,
+    tab = true,
   } = options;
 
-  const windowId = ++windowIdCounter;
-  const partition = getPartition(accountType);
+  if (tab && !isPrivate && isTabbedMode()) {
+    const tabbedWindow = getTargetTabbedWindow();
+    if (!tabbedWindow) {
+      return createTabbedWindow({ bounds, isMaximized, show, tabs: [{ url, appType, accountType }] });
+    }
+    openTab(tabbedWindow, { url, appType, accountType });
+    if (show) showWindow(tabbedWindow);
+    return tabbedWindow;
+  }
 
-  // Calculate window dimensions
-  const display = screen.getPrimaryDisplay();
-  const workArea = display.workArea;
-  const windowWidth = getValue("windowWidth") || 0.71;
-  const windowHeight = getValue("windowHeight") || 0.74;
+  const windowId = ++windowIdCounter;
+  const partition = isPrivate ? `${PRIVATE_PARTITION_PREFIX}${windowId}` : getPartition(accountType);
 
-  const defaultBounds = {
-    width: Math.round(workArea.width * windowWidth),
-    height: Math.round(workArea.height * windowHeight),
-    x: undefined,
-    y: undefined,
-  };
+  // Profile sessions are set up at startup; a private one is new every time
+  const privateSession = isPrivate ? session.fromPartition(partition) : null;
+  if (privateSession) configureSession(privateSession);
 
-  const windowBounds = bounds || defaultBounds;
+  const windowBounds = bounds || getDefaultBounds();
 
   const window = new BrowserWindow({
     ...windowBounds,
-    icon: join(__dirname, "..", "..", "assets", "icons", "png", "1024x1024.png"),
+    ...(isPrivate && { title: "Private Window" }),
+    icon: WINDOW_ICON,
     show: false,
     autoHideMenuBar: getValue("autohide-menubar") === "true",
     webPreferences: {
@@ -91,11 +215,20 @@ export function createWindow(options = {}) {
     bounds: windowBounds,
     isMaximized,
     isFullScreen: false,
+    isPrivate,
   };
   managedWindows.set(window.id, meta);
 
+  // Keep private windows recognisable whatever page they show
+  if (isPrivate) {
+    window.on("page-title-updated", (event, title) => {
+      event.preventDefault();
+      window.setTitle(`${title} (Private)`);
+    });
+  }
+
   // Load URL
-  const loadUrl = url || `https://microsoft365.com/${getValue("custompage") || "home"}/${accountType === "work" ? "?auth=2" : "?auth=1"}`;
+  const loadUrl = url || getStartUrl(accountType);
   window.loadURL(loadUrl, {
     userAgent: getValue("useragentstring"),
   });
@@ -111,39 +244,7 @@ export function createWindow(options = {}) {
   });
 
   // Track window state changes
-  window.on("maximize", () => {
-    const meta = managedWindows.get(window.id);
-    if (meta) meta.isMaximized = true;
-  });
-
-  window.on("unmaximize", () => {
-    const meta = managedWindows.get(window.id);
-    if (meta) meta.isMaximized = false;
-  });
-
-  window.on("enter-full-screen", () => {
-    const meta = managedWindows.get(window.id);
-    if (meta) meta.isFullScreen = true;
-  });
-
-  window.on("leave-full-screen", () => {
-    const meta = managedWindows.get(window.id);
-    if (meta) meta.isFullScreen = false;
-  });
-
-  window.on("resize", () => {
-    if (!window.isMaximized() && !window.isFullScreen()) {
-      const meta = managedWindows.get(window.id);
-      if (meta) meta.bounds = window.getBounds();
-    }
-  });
-
-  window.on("move", () => {
-    if (!window.isMaximized() && !window.isFullScreen()) {
-      const meta = managedWindows.get(window.id);
-      if (meta) meta.bounds = window.getBounds();
-    }
-  });
+  trackWindowState(window);
 
   // Track URL changes
   window.webContents.on("did-navigate", (event, newUrl) => {
@@ -166,6 +267,13 @@ export function createWindow(options = {}) {
   window.on("closed", () => {
     managedWindows.delete(window.id);
     app.emit("window-closed", windowId);
+
+    // Electron keeps in-memory sessions for the life of the process, so empty it now
+    if (privateSession) {
+      privateSession.clearStorageData().catch((error) => {
+        console.warn("Failed to clear private window data:", error);
+      });
+    }
   });
 
   // Emit window created event
@@ -174,6 +282,616 @@ export function createWindow(options = {}) {
   return window;
 }
 
+/**
+ * Create a tabbed window
+ * @param {Object} [options] - Window options
+ * @param {Object} [options.bounds] - Window bounds
+ * @param {boolean} [options.isMaximized] - Start maximized
+ * @param {boolean} [options.show] - Show when ready
+ * @param {Array<{url?: string, appType?: string, accountType?: string}>} [options.tabs] - Tabs to open
+ * @param {number} [options.activeIndex] - Index of the tab to show
+ * @returns {BrowserWindow} The created window
+ */
+export function createTabbedWindow(options = {}) {
+  const { bounds = null, isMaximized = false, show = true, tabs: tabOptions = [], activeIndex = 0 } = options;
+
+  const windowId = ++windowIdCounter;
+  const windowBounds = bounds || getDefaultBounds();
+
+  // The window's own page is the tab strip; pages are in the tabs' views.
+  // The strip gets its own preload that only reaches the tabs:* channels.
+  const window = new BrowserWindow({
+    ...windowBounds,
+    icon: WINDOW_ICON,
+    show: false,
+    autoHideMenuBar: getValue("autohide-menubar") === "true",
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      preload: join(__dirname, "..", "tabStripPreload.cjs"),
+    },
+  });
+
+  const meta = {
+    id: windowId,
+    appType: "home",
+    accountType: getAccountType(),
+    url: "",
+    bounds: windowBounds,
+    isMaximized,
+    isFullScreen: false,
+    isPrivate: false,
+    tabs: [],
+    activeTab: null,
+  };
+  managedWindows.set(window.id, meta);
+  lastTabbedWindowId = window.id;
+
+  window.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(getTabStripHTML())}`);
+
+  window.once("ready-to-show", () => {
+    if (isMaximized) {
+      window.maximize();
+    }
+    if (show) {
+      window.show();
+    }
+  });
+
+  // The title follows the active tab
+  window.on("page-title-updated", (event) => event.preventDefault());
+  window.on("focus", () => {
+    lastTabbedWindowId = window.id;
+  });
+  window.on("resize", () => layoutTabs(window));
+  trackWindowState(window);
+
+  window.on("closed", () => {
+    for (const tabId of meta.tabs) destroyTab(tabs.get(tabId));
+    managedWindows.delete(window.id);
+    app.emit("window-closed", windowId);
+  });
+
+  for (const options of tabOptions) {
+    openTab(window, options, { activate: false });
+  }
+  const first = meta.tabs[Math.min(Math.max(activeIndex, 0), meta.tabs.length - 1)];
+  if (first) activateTab(window, first);
+
+  app.emit("window-created", window, meta);
+
+  return window;
+}
+
+/**
+ * Get the tabbed window a new tab opens in
+ * @returns {BrowserWindow|null} The focused tabbed window, else the last one used
+ */
+function getTargetTabbedWindow() {
+  const focused = BrowserWindow.getFocusedWindow();
+  if (focused && isTabbedWindow(focused)) return focused;
+
+  const last = lastTabbedWindowId !== null ? BrowserWindow.fromId(lastTabbedWindowId) : null;
+  if (last && !last.isDestroyed() && isTabbedWindow(last)) return last;
+
+  return BrowserWindow.getAllWindows().find((window) => isTabbedWindow(window)) || null;
+}
+
+/**
+ * Open a tab in a tabbed window
+ * @param {BrowserWindow} window - Tabbed window
+ * @param {Object} options - Tab options
+ * @param {string} [options.url] - URL to load
+ * @param {string} [options.appType] - App type
+ * @param {string} [options.accountType] - Account type (profile id)
+ * @param {Object} [placement] - Where the tab goes
+ * @param {boolean} [placement.activate] - Show the tab
+ * @param {number} [placement.index] - Position in the strip, last by default
+ * @returns {Tab} The tab
+ */
+function openTab(window, options, { activate = true, index } = {}) {
+  const { url = null, appType = "home", accountType = getAccountType() } = options;
+
+  const view = new WebContentsView({
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      devTools: true,
+      partition: getPartition(accountType),
+      preload: join(__dirname, "..", "preload.js"),
+    },
+  });
+
+  const tab = {
+    id: ++tabIdCounter,
+    view,
+    windowId: window.id,
+    appType,
+    accountType,
+    url: url || getStartUrl(accountType),
+    title: "",
+    unread: 0,
+  };
+  tabs.set(tab.id, tab);
+
+  const contents = view.webContents;
+  contents.on("page-title-updated", (event, title) => {
+    tab.title = title;
+    tab.unread = parseUnreadFromTitle(title);
+    refreshTabs(BrowserWindow.fromId(tab.windowId));
+  });
+
+  // Track URL changes
+  const onNavigate = (event, newUrl) => {
+    tab.url = newUrl;
+    tab.appType = detectAppType(newUrl);
+    refreshTabs(BrowserWindow.fromId(tab.windowId));
+  };
+  contents.on("did-navigate", onNavigate);
+  contents.on("did-navigate-in-page", onNavigate);
+
+  contents.loadURL(tab.url, {
+    userAgent: getValue("useragentstring"),
+  }).catch((error) => console.warn("Failed to load URL:", error));
+
+  attachTab(window, tab, index);
+  app.emit("tab-created", window, contents);
+
+  if (activate || managedWindows.get(window.id).activeTab === null) {
+    activateTab(window, tab.id);
+  } else {
+    refreshTabs(window);
+  }
+  return tab;
+}
+
+/**
+ * Put a tab into a tabbed window's strip, hidden
+ * @param {BrowserWindow} window - Tabbed window
+ * @param {Tab} tab - The tab
+ * @param {number} [index] - Position in the strip, last by default
+ */
+function attachTab(window, tab, index) {
+  const meta = managedWindows.get(window.id);
+  meta.tabs.splice(index ?? meta.tabs.length, 0, tab.id);
+  tab.windowId = window.id;
+
+  tab.view.setVisible(false);
+  window.contentView.addChildView(tab.view);
+  layoutTabs(window);
+}
+
+/**
+ * Take a tab out of its window
+ * The window closes with its last tab; otherwise its neighbour is shown.
+ * @param {Tab} tab - The tab
+ */
+function detachTabView(tab) {
+  const window = BrowserWindow.fromId(tab.windowId);
+  const meta = window && managedWindows.get(window.id);
+  if (!meta) return;
+
+  const position = meta.tabs.indexOf(tab.id);
+  meta.tabs.splice(position, 1);
+  window.contentView.removeChildView(tab.view);
+
+  // destroy() rather than close(), which minimize to tray would turn into hide()
+  if (meta.tabs.length === 0) {
+    window.destroy();
+  } else if (meta.activeTab === tab.id) {
+    activateTab(window, meta.tabs[Math.min(position, meta.tabs.length - 1)]);
+  } else {
+    refreshTabs(window);
+  }
+}
+
+/**
+ * Close a tab's page and forget it
+ * @param {Tab} [tab] - The tab
+ */
+function destroyTab(tab) {
+  if (!tab) return;
+  tabs.delete(tab.id);
+  if (!tab.view.webContents.isDestroyed()) tab.view.webContents.close();
+}
+
+/**
+ * Size a tabbed window's tabs to fill the space below the strip
+ * @param {BrowserWindow} window - Tabbed window
+ */
+function layoutTabs(window) {
+  const meta = managedWindows.get(window.id);
+  if (!meta?.tabs) return;
+
+  const [width, height] = window.getContentSize();
+  const bounds = { x: 0, y: TAB_STRIP_HEIGHT, width, height: Math.max(0, height - TAB_STRIP_HEIGHT) };
+  for (const tabId of meta.tabs) {
+    tabs.get(tabId).view.setBounds(bounds);
+  }
+}
+
+/**
+ * Show one of a tabbed window's tabs
+ * @param {BrowserWindow} window - Tabbed window
+ * @param {number} tabId - Tab to show
+ */
+function activateTab(window, tabId) {
+  const meta = managedWindows.get(window.id);
+  if (!meta?.tabs?.includes(tabId)) return;
+
+  meta.activeTab = tabId;
+  for (const id of meta.tabs) {
+    tabs.get(id).view.setVisible(id === tabId);
+  }
+  tabs.get(tabId).view.webContents.focus();
+  refreshTabs(window);
+}
+
+/**
+ * Update a tabbed window's metadata, title and strip after a tab changes
+ * @param {BrowserWindow|null} window - Tabbed window
+ */
+function refreshTabs(window) {
+  if (!window || window.isDestroyed()) return;
+  const meta = managedWindows.get(window.id);
+  const active = tabs.get(meta?.activeTab);
+  if (!active) return;
+
+  meta.url = active.url;
+  meta.appType = active.appType;
+  meta.accountType = active.accountType;
+  window.setTitle(active.title || "MS-365-Electron");
+  window.webContents.send("tabs:changed", getTabStripState(window));
+}
+
+/**
+ * Get a tab icon as a data URL
+ * @param {string} appType - App type
+ * @returns {string} Data URL
+ */
+function getTabIcon(appType) {
+  if (!tabIcons.has(appType)) {
+    let icon = nativeImage.createFromPath(iconPaths[appType] || iconPaths.office);
+    if (icon.isEmpty()) icon = nativeImage.createFromPath(iconPaths.office);
+    tabIcons.set(appType, icon.resize({ width: 32, height: 32 }).toDataURL());
+  }
+  return tabIcons.get(appType);
+}
+
+/**
+ * Get what a tabbed window's strip shows
+ * @param {BrowserWindow} window - Tabbed window
+ * @returns {Array<{id: number, title: string, icon: string, unread: number, color: string|null, account: string, active: boolean}>}
+ */
+function getTabStripState(window) {
+  const meta = managedWindows.get(window.id);
+  return meta.tabs.map((tabId) => {
+    const tab = tabs.get(tabId);
+    const profile = getProfile(tab.accountType);
+    return {
+      id: tab.id,
+      title: tab.title || tab.url,
+      icon: getTabIcon(tab.appType),
+      unread: tab.unread,
+      color: profile?.color || null,
+      account: profile?.name || tab.accountType,
+      active: tab.id === meta.activeTab,
+    };
+  });
+}
+
+/**
+ * Close a tab
+ * @param {number} tabId - The tab
+ */
+function closeTab(tabId) {
+  const tab = tabs.get(tabId);
+  if (!tab) return;
+  detachTabView(tab);
+  destroyTab(tab);
+}
+
+/**
+ * Move a tab within its window or into another tabbed window
+ * @param {number} tabId - The tab
+ * @param {BrowserWindow} window - Tabbed window to move it to
+ * @param {number} index - Position in that window's strip, counted before the move
+ */
+function moveTab(tabId, window, index) {
+  const tab = tabs.get(tabId);
+  const meta = managedWindows.get(window.id);
+  if (!tab || !meta?.tabs) return;
+
+  if (tab.windowId === window.id) {
+    const from = meta.tabs.indexOf(tabId);
+    meta.tabs.splice(from, 1);
+    meta.tabs.splice(index > from ? index - 1 : index, 0, tabId);
+    refreshTabs(window);
+    return;
+  }
+
+  detachTabView(tab);
+  attachTab(window, tab, index);
+  activateTab(window, tabId);
+  showWindow(window);
+}
+
+/**
+ * Move a tab into a new window of its own
+ * @param {number} tabId - The tab
+ * @param {{x?: number, y?: number}} [point] - Screen point the tab was dropped at
+ * @returns {BrowserWindow|null} The new window, or null for a window's only tab
+ */
+function tearOffTab(tabId, { x, y } = {}) {
+  const tab = tabs.get(tabId);
+  const source = tab && BrowserWindow.fromId(tab.windowId);
+  if (!source || managedWindows.get(source.id).tabs.length < 2) return null;
+
+  // Open where the tab was dropped, else just below the window it came from
+  const { width, height, ...position } = source.getBounds();
+  const dropped = Number.isFinite(x) && Number.isFinite(y) && (x !== 0 || y !== 0);
+  const bounds = dropped
+    ? { x: Math.round(x - 100), y: Math.round(y - TAB_STRIP_HEIGHT / 2), width, height }
+    : { x: position.x + 32, y: position.y + 32, width, height };
+
+  const window = createTabbedWindow({ bounds });
+  moveTab(tabId, window, 0);
+  return window;
+}
+
+/**
+ * Restore, show and focus a window
+ * @param {BrowserWindow} window - The window
+ */
+function showWindow(window) {
+  if (window.isMinimized()) window.restore();
+  window.show();
+  window.focus();
+}
+
+/**
+ * Show the menu of a tab
+ * @param {BrowserWindow} window - Tabbed window
+ * @param {number} tabId - The tab
+ */
+function showTabMenu(window, tabId) {
+  const tab = tabs.get(tabId);
+  const meta = managedWindows.get(window.id);
+  if (!tab || !meta.tabs.includes(tabId)) return;
+
+  const others = BrowserWindow.getAllWindows().filter((other) => other !== window && isTabbedWindow(other));
+  Menu.buildFromTemplate([
+    { label: "Reload", click: () => tab.view.webContents.reload() },
+    {
+      label: "Duplicate",
+      click: () => openTab(window, { url: tab.view.webContents.getURL(), appType: tab.appType, accountType: tab.accountType }),
+    },
+    { type: "separator" },
+    { label: "Move to New Window", enabled: meta.tabs.length > 1, click: () => tearOffTab(tabId) },
+    {
+      label: "Move to Window",
+      enabled: others.length > 0,
+      submenu: others.length > 0
+        ? others.map((other) => ({
+          label: other.getTitle(),
+          click: () => moveTab(tabId, other, managedWindows.get(other.id).tabs.length),
+        }))
+        : [{ label: "No Other Windows", enabled: false }],
+    },
+    { type: "separator" },
+    { label: "Close Tab", click: () => closeTab(tabId) },
+    {
+      label: "Close Other Tabs",
+      enabled: meta.tabs.length > 1,
+      click: () => meta.tabs.filter((id) => id !== tabId).forEach(closeTab),
+    },
+  ]).popup({ window });
+}
+
+/**
+ * Show the menu of apps behind a tabbed window's "+" button
+ * New tabs use the account of the tab shown.
+ * @param {BrowserWindow} window - Tabbed window
+ */
+function showNewTabMenu(window) {
+  const { accountType } = managedWindows.get(window.id);
+  Menu.buildFromTemplate([
+    { label: "Home", click: () => openTab(window, { accountType }) },
+    { type: "separator" },
+    ...getAppList().map((appInfo) => ({
+      label: appInfo.name,
+      click: () => openTab(window, { url: getAppUrl(appInfo.id, accountType), appType: appInfo.id, accountType }),
+    })),
+  ]).popup({ window });
+}
+
+/**
+ * Check if a window holds tabs
+ * @param {BrowserWindow} window - The window
+ * @returns {boolean}
+ */
+export function isTabbedWindow(window) {
+  return Array.isArray(managedWindows.get(window.id)?.tabs);
+}
+
+/**
+ * Check if a page is the tab strip of a tabbed window
+ * @param {Electron.WebContents} contents - Page contents
+ * @returns {boolean}
+ */
+export function isTabStripContents(contents) {
+  const window = BrowserWindow.fromWebContents(contents);
+  return Boolean(window) && window.webContents === contents && isTabbedWindow(window);
+}
+
+/**
+ * Get the page a window shows
+ * For a tabbed window this is the active tab, not the tab strip.
+ * @param {BrowserWindow} window - The window
+ * @returns {Electron.WebContents} Page contents
+ */
+export function getWindowContents(window) {
+  const meta = managedWindows.get(window.id);
+  return tabs.get(meta?.activeTab)?.view.webContents || window.webContents;
+}
+
+/**
+ * Find the tab showing a page
+ * @param {Electron.WebContents} contents - Page contents
+ * @returns {Tab|null}
+ */
+function findTab(contents) {
+  for (const tab of tabs.values()) {
+    if (tab.view.webContents === contents) return tab;
+  }
+  return null;
+}
+
+/**
+ * Get the window a page is shown in
+ * Unlike BrowserWindow.fromWebContents() this finds the window of a tab.
+ * @param {Electron.WebContents} contents - Page contents
+ * @returns {BrowserWindow|null}
+ */
+export function getContentsWindow(contents) {
+  const tab = findTab(contents);
+  return tab ? BrowserWindow.fromId(tab.windowId) : BrowserWindow.fromWebContents(contents);
+}
+
+/**
+ * Get the account type a page is signed in with
+ * @param {Electron.WebContents} contents - Page contents
+ * @returns {string} Account type (profile id)
+ */
+export function getContentsAccountType(contents) {
+  const tab = findTab(contents);
+  if (tab) return tab.accountType;
+
+  const window = BrowserWindow.fromWebContents(contents);
+  if (window) return getWindowAccountType(window);
+
+  const profile = getProfileForSession(contents.session);
+  return profile ? profile.id : getAccountType();
+}
+
+/**
+ * Bring a page to the front, switching to its tab
+ * @param {Electron.WebContents} contents - Page contents
+ * @returns {BrowserWindow|null} The window showing it
+ */
+export function showContents(contents) {
+  const tab = findTab(contents);
+  const window = tab ? BrowserWindow.fromId(tab.windowId) : BrowserWindow.fromWebContents(contents);
+  if (!window) return null;
+
+  if (tab) activateTab(window, tab.id);
+  showWindow(window);
+  return window;
+}
+
+/**
+ * Bring the first page whose URL matches to the front
+ * Private windows are skipped.
+ * @param {(url: string) => boolean} matches - URL test
+ * @returns {BrowserWindow|null} The window showing it, or null if none matches
+ */
+export function focusWindowShowing(matches) {
+  for (const tab of tabs.values()) {
+    if (matches(tab.view.webContents.getURL())) return showContents(tab.view.webContents);
+  }
+
+  const window = BrowserWindow.getAllWindows().find((candidate) =>
+    !isTabbedWindow(candidate) && !isPrivateWindow(candidate) && matches(candidate.webContents.getURL())
+  );
+  return window ? showContents(window.webContents) : null;
+}
+
+/**
+ * Switch to the next or previous tab of a tabbed window
+ * @param {BrowserWindow} window - Tabbed window
+ * @param {number} step - 1 for the next tab, -1 for the previous one
+ */
+export function selectAdjacentTab(window, step) {
+  const meta = managedWindows.get(window.id);
+  if (!meta?.tabs || meta.tabs.length < 2) return;
+
+  const position = meta.tabs.indexOf(meta.activeTab);
+  activateTab(window, meta.tabs[(position + step + meta.tabs.length) % meta.tabs.length]);
+}
+
+/**
+ * Close the tab a tabbed window shows
+ * @param {BrowserWindow} window - Tabbed window
+ */
+export function closeActiveTab(window) {
+  const meta = managedWindows.get(window.id);
+  if (meta?.tabs) closeTab(meta.activeTab);
+}
+
+/**
+ * Move the tab a tabbed window shows into a new window
+ * @param {BrowserWindow} window - Tabbed window
+ * @returns {BrowserWindow|null} The new window
+ */
+export function moveActiveTabToNewWindow(window) {
+  const meta = managedWindows.get(window.id);
+  return meta?.tabs ? tearOffTab(meta.activeTab) : null;
+}
+
+/**
+ * Get the tabbed window whose strip sent an IPC message
+ * Messages from any other page are refused.
+ * @param {Electron.IpcMainInvokeEvent} event - IPC event
+ * @returns {BrowserWindow|null}
+ */
+function getStripWindow(event) {
+  return isTabStripContents(event.sender) ? BrowserWindow.fromWebContents(event.sender) : null;
+}
+
+/**
+ * Initialize tabbed windows
+ * Registers the tab strip's IPC handlers
+ */
+export function initializeTabs() {
+  ipcMain.handle("tabs:get", (event) => {
+    const window = getStripWindow(event);
+    return window ? getTabStripState(window) : [];
+  });
+
+  ipcMain.handle("tabs:activate", (event, { tabId }) => {
+    const window = getStripWindow(event);
+    if (window) activateTab(window, tabId);
+  });
+
+  ipcMain.handle("tabs:close", (event, { tabId }) => {
+    const window = getStripWindow(event);
+    if (window && managedWindows.get(window.id).tabs.includes(tabId)) closeTab(tabId);
+  });
+
+  // The tab may come from another window's strip
+  ipcMain.handle("tabs:move", (event, { tabId, index }) => {
+    const window = getStripWindow(event);
+    if (window && Number.isInteger(index)) moveTab(tabId, window, index);
+  });
+
+  ipcMain.handle("tabs:detach", (event, { tabId, x, y }) => {
+    const window = getStripWindow(event);
+    if (window && managedWindows.get(window.id).tabs.includes(tabId)) tearOffTab(tabId, { x, y });
+  });
+
+  ipcMain.handle("tabs:menu", (event, { tabId }) => {
+    const window = getStripWindow(event);
+    if (window) showTabMenu(window, tabId);
+  });
+
+  ipcMain.handle("tabs:new", (event) => {
+    const window = getStripWindow(event);
+    if (window) showNewTabMenu(window);
+  });
+}
+
 /**
  * Detect app type from URL
  * @param {string} url - URL to analyze
@@ -210,6 +928,20 @@ export function getWindowMeta(window) {
   return managedWindows.get(window.id);
 }
 
+/**
+ * Get the account type a window is signed in with
+ * Falls back to the window's session partition for windows not created here
+ * @param {BrowserWindow} window - The window
+ * @returns {string} Account type (profile id)
+ */
+export function getWindowAccountType(window) {
+  const meta = managedWindows.get(window.id);
+  if (meta) return meta.accountType;
+
+  const profile = getProfileForSession(window.webContents.session);
+  return profile ? profile.id : getAccountType();
+}
+
 /**
  * Get window count
  * @returns {number} Number of managed windows
@@ -220,7 +952,7 @@ export function getWindowCount() {
 
 /**
  * Get windows by account type
- * @param {'personal' | 'work'} accountType - Account type
+ * @param {string} accountType - Account type (profile id)
  * @returns {BrowserWindow[]} Windows for that account type
  */
 export function getWindowsByAccount(accountType) {
@@ -250,22 +982,41 @@ export function getWindowsByApp(appType) {
   return windows;
 }
 
+/**
+ * Check if a window uses a private session
+ * @param {BrowserWindow} window - The window
+ * @returns {boolean}
+ */
+export function isPrivateWindow(window) {
+  return managedWindows.get(window.id)?.isPrivate === true;
+}
+
 /**
  * Get session state for all windows (for session manager)
+ * Private windows are left out so they are never restored. Tabbed windows
+ * list their tabs in strip order, with activeTab as an index into them.
  * @returns {WindowMeta[]} Array of window metadata
  */
 export function getSessionState() {
   const state = [];
   BrowserWindow.getAllWindows().forEach(window => {
     const meta = managedWindows.get(window.id);
-    if (meta) {
-      state.push({
+    if (meta && !meta.isPrivate) {
+      const windowState = {
         ...meta,
         bounds: window.isMaximized() ? meta.bounds : window.getBounds(),
         isMaximized: window.isMaximized(),
         isFullScreen: window.isFullScreen(),
-        url: window.webContents.getURL(),
-      });
+        url: getWindowContents(window).getURL(),
+      };
+      if (meta.tabs) {
+        windowState.tabs = meta.tabs.map((tabId) => {
+          const tab = tabs.get(tabId);
+          return { url: tab.view.webContents.getURL() || tab.url, appType: tab.appType, accountType: tab.accountType };
+        });
+        windowState.activeTab = meta.tabs.indexOf(meta.activeTab);
+      }
+      state.push(windowState);
     }
   });
   return state;
@@ -273,12 +1024,19 @@ export function getSessionState() {
 
 /**
  * Focus or create window for an app
+ * Only a window or tab of the app in the same account is reused; in tabbed
+ * mode an open tab is switched to.
  * @param {string} appType - App type
- * @param {'personal' | 'work'} [accountType] - Account type
+ * @param {string} [accountType] - Account type (profile id, defaults to the default profile)
  * @returns {BrowserWindow} The window
  */
-export function focusOrCreateWindow(appType, accountType) {
-  const existing = getWindowsByApp(appType);
+export function focusOrCreateWindow(appType, accountType = getAccountType()) {
+  const tab = [...tabs.values()].find((candidate) => candidate.appType === appType && candidate.accountType === accountType);
+  if (tab) return showContents(tab.view.webContents);
+
+  const existing = getWindowsByApp(appType).filter(window =>
+    !isPrivateWindow(window) && !isTabbedWindow(window) && getWindowAccountType(window) === accountType
+  );
   if (existing.length > 0) {
     const window = existing[0];
     if (window.isMinimized()) window.restore();
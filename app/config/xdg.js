@@ -11,17 +11,33 @@ import { join } from "path";
  * - XDG_DATA_HOME: User-specific data files (~/.local/share)
  * - XDG_STATE_HOME: User-specific state files (~/.local/state)
  * - XDG_CACHE_HOME: User-specific cache files (~/.cache)
+ * - XDG_RUNTIME_DIR: User-specific runtime files such as sockets (/run/user/<uid>)
  */
 
 const APP_NAME = "ms-365-electron";
 
+/**
+ * Get the user's XDG config home, shared by all applications
+ * @returns {string} Path to XDG_CONFIG_HOME
+ */
+export function getConfigHome() {
+  return process.env.XDG_CONFIG_HOME || join(process.env.HOME, ".config");
+}
+
+/**
+ * Get the user's XDG data home, shared by all applications
+ * @returns {string} Path to XDG_DATA_HOME
+ */
+export function getDataHome() {
+  return process.env.XDG_DATA_HOME || join(process.env.HOME, ".local", "share");
+}
+
 /**
  * Get the XDG config directory
  * @returns {string} Path to config directory
  */
 export function getConfigDir() {
-  const xdgConfigHome = process.env.XDG_CONFIG_HOME || join(process.env.HOME, ".config");
-  return join(xdgConfigHome, APP_NAME);
+  return join(getConfigHome(), APP_NAME);
 }
 
 /**
@@ -29,8 +45,7 @@ export function getConfigDir() {
  * @returns {string} Path to data directory
  */
 export function getDataDir() {
-  const xdgDataHome = process.env.XDG_DATA_HOME || join(process.env.HOME, ".local", "share");
-  return join(xdgDataHome, APP_NAME);
+  return join(getDataHome(), APP_NAME);
 }
 
 /**
@@ -51,6 +66,27 @@ export function getCacheDir() {
   return join(xdgCacheHome, APP_NAME);
 }
 
+/**
+ * Get the XDG runtime directory (for sockets and other runtime files)
+ * Falls back to the cache directory when XDG_RUNTIME_DIR is not set
+ * @returns {string} Path to runtime directory
+ */
+export function getRuntimeDir() {
+  if (process.env.XDG_RUNTIME_DIR) {
+    return join(process.env.XDG_RUNTIME_DIR, APP_NAME);
+  }
+  return getCacheDir();
+}
+
+/**
+ * Get the user's download directory (XDG_DOWNLOAD_DIR from user-dirs.dirs)
+ * Electron reads it through xdg-user-dirs and falls back to ~/Downloads
+ * @returns {string} Path to download directory
+ */
+export function getDownloadDir() {
+  return app.getPath("downloads");
+}
+
 /**
  * Get the logs directory (inside state directory)
  * @returns {string} Path to logs directory
@@ -115,6 +151,7 @@ export function getAllPaths() {
     data: getDataDir(),
     state: getStateDir(),
     cache: getCacheDir(),
+    runtime: getRuntimeDir(),
     logs: getLogsDir(),
   };
 }
@@ -3,7 +3,7 @@
  * Desktop client for Microsoft 365 on Linux
  */
 
-import { app, Menu, BrowserWindow, dialog, shell, ipcMain, session } from "electron";
+import { app, Menu, BrowserWindow, dialog, shell, ipcMain, webContents } from "electron";
 import { ElectronBlocker } from "@ghostery/adblocker-electron";
 import { setValue, getValue } from "./config/store.js";
 import { dirname, join } from "path";
@@ -11,7 +11,7 @@ import { fileURLToPath } from "url";
 
 // Configuration imports
 import { getScreenWidth, getScreenHeight } from "./config/dimensions.js";
-import { configureWayland, getDisplayServer, configureScreenSharing, setupDesktopCapturerHandler } from "./config/wayland.js";
+import { configureWayland, getDisplayServer, setupDesktopCapturerHandler } from "./config/wayland.js";
 import { configureFonts } from "./config/fonts.js";
 import { configureElectronPaths, initializeXdgDirs } from "./config/xdg.js";
 import { initializeTray, destroyTray } from "./config/tray.js";
@@ -19,28 +19,71 @@ import { getOptimalUserAgent } from "./config/arch.js";
 import { clearActivity, setActivity, loginToRPC } from "./config/rpc.js";
 
 // New feature imports
-import { processCLI, getAppForFile } from "./config/cli.js";
+import { processCLI, getAppForFile, EXIT_CODES } from "./config/cli.js";
+import { requestInstanceLock, initializeSingleInstance } from "./config/instance.js";
+import { initializeControlServer, runControlCommand } from "./config/control.js";
+import { initializeSessionSetup } from "./config/sessionSetup.js";
+import { getProfileAuth } from "./config/profiles.js";
+import { printDoctorReport } from "./config/doctor.js";
+import { runPrintToPdf, PRINT_TO_PDF_TIMEOUT_MS } from "./config/printing.js";
+import { initializeProtocolHandler, handleProtocolUrl, isProtocolUrl } from "./config/protocol.js";
+import { isAllowedDomain } from "./config/utils.js";
+import { isTeamsMeetingUrl, openTeamsCallWindow } from "./config/teamsLinks.js";
 import { initializeTheme, getThemeCSS } from "./config/theme.js";
 import { initPreferencesIPC } from "./config/preferences.js";
 import { initializeSessionManager, restoreSession, saveSession } from "./config/sessionManager.js";
 import { initNotificationIPC, injectNotificationObserver } from "./config/notifications.js";
 import { initializeBadge, setTrayRef } from "./config/badge.js";
-import { initializeFileHandler } from "./config/fileHandler.js";
+import { initializeFileHandler, handleOpenFile, handleUploadFiles } from "./config/fileHandler.js";
+import { initializeMailViewer } from "./config/mailViewer.js";
+import { initializeGraph } from "./config/graph.js";
+import { initializeEditInPlace } from "./config/editInPlace.js";
+import { initializeOpenLocally } from "./config/openLocally.js";
+import { initializeDownloads } from "./config/downloads.js";
+import { initializeUploadQueue } from "./config/uploadQueue.js";
+import { initializeSendFolder } from "./config/sendFolder.js";
+import { initializeRecentDocuments } from "./config/recentDocuments.js";
+import { initializeMailExport } from "./config/mailExport.js";
 import { initializeHotkeyManager } from "./config/hotkeyManager.js";
 import { initializePowerManagement, injectCallDetection } from "./config/power.js";
 import { initializeMediaState, injectMediaStateTracking } from "./config/mediaState.js";
 import { initializeDropHandler, injectDropHandler } from "./config/dropHandler.js";
-import { launchApp, getAppUrl, getAccountType } from "./config/appLauncher.js";
+import { launchApp, getActionUrl, getAccountType, getPartition, createNewWindow } from "./config/appLauncher.js";
+import {
+  focusOrCreateWindow,
+  createWindow as createManagedWindow,
+  createTabbedWindow,
+  isTabbedMode,
+  getWindowContents,
+  getContentsWindow,
+  isTabStripContents,
+  initializeTabs,
+} from "./config/windowManager.js";
 
 import useragents from "./useragents.json" with { type: "json" };
-import domains from "./domains.json" with { type: "json" };
 import checkInternetConnected from "check-internet-connected";
 import contextMenu from "electron-context-menu";
 import updaterpkg from "electron-updater";
-import ElectronDl from "electron-dl";
-import menulayout from "./config/menu.js";
+import menulayout, { buildMenuTemplate } from "./config/menu.js";
 import logpkg from "electron-log";
 
+const { transports, log: _log, functions } = logpkg;
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const { autoUpdater } = updaterpkg;
+
+// Process CLI arguments early
+const cliConfig = processCLI();
+
+// Configure logging
+transports.file.level = "verbose";
+if (cliConfig.control || cliConfig.doctor || cliConfig.printToPdf) {
+  // ctl, --doctor and --print-to-pdf output is read by scripts, so log lines stay out of the terminal
+  transports.console.level = false;
+}
+console.log = _log;
+Object.assign(console, functions);
+
 // Configure XDG paths and Wayland BEFORE app.ready
 configureElectronPaths();
 configureWayland();
@@ -55,16 +98,6 @@ if (process.platform === "linux") {
   app.commandLine.appendSwitch("name", "ms-365-electron");
 }
 
-const { transports, log: _log, functions } = logpkg;
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const { autoUpdater } = updaterpkg;
-
-// Configure logging
-transports.file.level = "verbose";
-console.log = _log;
-Object.assign(console, functions);
-
 console.log(`Display server: ${getDisplayServer()}`);
 
 // Global unhandled rejection handler
@@ -75,44 +108,70 @@ process.on("unhandledRejection", (reason, promise) => {
 // Track whether the app is quitting (for minimize to tray feature)
 let isQuitting = false;
 
-// Process CLI arguments early
-const cliConfig = processCLI();
 if (cliConfig.exit) {
   app.exit(cliConfig.code);
+} else if (cliConfig.doctor) {
+  app.exit(printDoctorReport(cliConfig.doctor));
+} else if (cliConfig.control) {
+  // ctl commands talk to the running instance and exit with its answer
+  runControlCommand(cliConfig.control).then((code) => app.exit(code));
+} else if (cliConfig.printToPdf) {
+  if (requestInstanceLock(cliConfig)) {
+    // Nothing else is running, so this process loads the page with the profile's session
+    app.whenReady().then(() => runPrintToPdf(cliConfig.printToPdf)).then((code) => app.exit(code));
+  } else {
+    // The running instance holds the sessions and exports the page
+    runControlCommand({ command: "print-to-pdf", ...cliConfig.printToPdf, json: false }, { timeout: PRINT_TO_PDF_TIMEOUT_MS })
+      .then((code) => app.exit(code));
+  }
+} else if (!requestInstanceLock(cliConfig)) {
+  // Another instance is already running and has received our arguments
+  console.log("MS-365-Electron is already running - forwarded arguments");
+  app.exit(EXIT_CODES.SUCCESS);
 }
 
 /**
  * Create the main application window
  */
 function createWindow() {
-  const enterpriseOrNormal = getValue("enterprise-or-normal");
   const custompage = getValue("custompage") || "home";
-  const partition = enterpriseOrNormal === "?auth=1" ? "persist:personal" : "persist:work";
-
-  const win = new BrowserWindow({
-    width: Math.round(getScreenWidth() * getValue("windowWidth")),
-    height: Math.round(getScreenHeight() * getValue("windowHeight")),
-    icon: join(__dirname, "..", "assets", "icons", "png", "1024x1024.png"),
-    show: false,
-    autoHideMenuBar: getValue("autohide-menubar") === "true",
-    webPreferences: {
-      nodeIntegration: false,
-      contextIsolation: true,
-      sandbox: true,
-      devTools: true,
-      partition: partition,
-      preload: join(__dirname, "preload.js"),
-    },
-  });
+  const accountType = cliConfig.accountType || getAccountType();
+  const partition = getPartition(accountType);
 
   // Handle CLI startup options
-  let startUrl = `https://microsoft365.com/${custompage}/${enterpriseOrNormal}`;
+  let startUrl = `https://microsoft365.com/${custompage}/${getProfileAuth(accountType) === "work" ? "?auth=2" : "?auth=1"}`;
 
   if (cliConfig.startupApp) {
-    const accountType = cliConfig.accountType || getAccountType();
-    startUrl = getAppUrl(cliConfig.startupApp, accountType);
+    startUrl = getActionUrl(cliConfig.startupApp, cliConfig.startupAction, accountType, cliConfig.composeFields);
   }
 
+  // In tabbed mode the start page is the first tab of a tabbed window
+  const win = isTabbedMode()
+    ? createTabbedWindow({
+      bounds: {
+        width: Math.round(getScreenWidth() * getValue("windowWidth")),
+        height: Math.round(getScreenHeight() * getValue("windowHeight")),
+      },
+      show: false,
+      tabs: [{ url: startUrl, appType: cliConfig.startupApp || "home", accountType }],
+    })
+    : new BrowserWindow({
+      width: Math.round(getScreenWidth() * getValue("windowWidth")),
+      height: Math.round(getScreenHeight() * getValue("windowHeight")),
+      icon: join(__dirname, "..", "assets", "icons", "png", "1024x1024.png"),
+      show: false,
+      autoHideMenuBar: getValue("autohide-menubar") === "true",
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        devTools: true,
+        partition: partition,
+        preload: join(__dirname, "preload.js"),
+      },
+    });
+  const contents = getWindowContents(win);
+
   // Create splash screen
   const splash = new BrowserWindow({
     width: Math.round(getScreenWidth() * 0.49),
@@ -129,9 +188,11 @@ function createWindow() {
 
   splash.loadURL("https://agam778.github.io/MS-365-Electron/loading");
 
-  win.loadURL(startUrl, {
-    userAgent: getValue("useragentstring") || getOptimalUserAgent(),
-  });
+  if (contents === win.webContents) {
+    win.loadURL(startUrl, {
+      userAgent: getValue("useragentstring") || getOptimalUserAgent(),
+    });
+  }
 
   // Handle minimize to tray on close for main window
   win.on("close", (e) => {
@@ -141,7 +202,7 @@ function createWindow() {
     }
   });
 
-  win.webContents.on("did-finish-load", () => {
+  contents.on("did-finish-load", () => {
     splash.destroy();
 
     // Check if should start minimized
@@ -150,12 +211,12 @@ function createWindow() {
     }
 
     if (getValue("discordrpcstatus") === "true") {
-      setActivity(`On "${win.webContents.getTitle()}"`);
+      setActivity(`On "${contents.getTitle()}"`);
     }
 
     if (getValue("blockadsandtrackers") === "true") {
       ElectronBlocker.fromPrebuiltAdsAndTracking(fetch).then((blocker) => {
-        blocker.enableBlockingInSession(win.webContents.session);
+        blocker.enableBlockingInSession(contents.session);
       }).catch((err) => {
         console.warn("Failed to initialize ad blocker:", err);
       });
@@ -167,87 +228,134 @@ function createWindow() {
   return win;
 }
 
-// Configure downloads
-ElectronDl({
-  dlPath: "./downloads",
-  onStarted: (item) => {
-    dialog.showMessageBox({
-      type: "info",
-      title: "Downloading File",
-      message: `Downloading "${item.getFilename()}" to "${item.getSavePath()}"`,
-      buttons: ["OK"],
-    });
-  },
-  onCompleted: () => {
-    dialog.showMessageBox({
-      type: "info",
-      title: "Download Completed",
-      message: 'Download completed! Please check your "Downloads" folder.',
-      buttons: ["OK"],
-    });
-  },
-  onError: (item) => {
-    dialog.showMessageBox({
-      type: "error",
-      title: "Download Failed",
-      message: `Downloading "${item.getFilename()}" failed.`,
-      buttons: ["OK"],
+/**
+ * Open a private window for --private
+ * The account type only picks which sign-in page the window starts on
+ * @param {object} config - Startup config
+ */
+function createPrivateWindow(config) {
+  const accountType = config.accountType || getAccountType();
+  const appType = config.startupApp || "home";
+
+  createManagedWindow({
+    appType,
+    accountType,
+    url: config.startupApp ? getActionUrl(config.startupApp, config.startupAction, accountType, config.composeFields) : null,
+    isPrivate: true,
+  });
+}
+
+/**
+ * Open the app given with --app, with its --new or --compose action
+ * @param {object} config - Startup config
+ */
+function openStartupApp(config) {
+  const accountType = config.accountType || getAccountType();
+  if (config.startupAction) {
+    launchApp(config.startupApp, {
+      accountType,
+      action: config.startupAction,
+      compose: config.composeFields,
+      forceNewWindow: true,
     });
-  },
-});
+  } else {
+    focusOrCreateWindow(config.startupApp, accountType);
+  }
+}
 
-// Context menu
-contextMenu({
-  showInspectElement: false,
-  showServices: false,
-});
+/**
+ * Handle a file or upload that could not be opened on first launch
+ * Cancelling falls back to the main window. Any other failure exits with
+ * OPEN_FAILED, unless restored windows keep the app running.
+ * @param {object} result - Result of handleOpenFile() or handleUploadFiles()
+ * @param {boolean} sessionRestored - Whether the previous session was restored
+ */
+function handleStartupFailure(result, sessionRestored) {
+  if (sessionRestored) {
+    console.error(`Could not open startup file: ${result.error}`);
+  } else if (result.cancelled) {
+    createWindow();
+  } else {
+    console.error(`Error: ${result.error}`);
+    app.exit(EXIT_CODES.OPEN_FAILED);
+  }
+}
 
+/**
+ * Handle arguments forwarded from a second instance
+ * @param {object} config - Startup config from the second instance
+ */
+function handleSecondInstance(config) {
+  // --print-to-pdf sends its request over the control socket instead
+  if (config.printToPdf) return;
 
-function getUserAgentClientHintsHeaders(userAgent) {
-  const edgeMatch = userAgent.match(/Edg\/(\d+)/);
-  const chromeMatch = userAgent.match(/Chrome\/(\d+)/);
-  const edgeMajor = edgeMatch ? edgeMatch[1] : "140";
-  const chromeMajor = chromeMatch ? chromeMatch[1] : edgeMajor;
-
-  return {
-    "sec-ch-ua": `"Microsoft Edge";v="${edgeMajor}", "Chromium";v="${chromeMajor}", "Not_A Brand";v="99"`,
-    "sec-ch-ua-mobile": "?0",
-    "sec-ch-ua-platform": '"Windows"',
-    "sec-ch-ua-platform-version": '"15.0.0"',
-    "sec-ch-ua-arch": '"x86"',
-    "sec-ch-ua-bitness": '"64"',
-    "sec-ch-ua-model": '""',
-  };
-}
+  if (config.private) {
+    createPrivateWindow(config);
+    return;
+  }
 
-function applyUserAgentSpoofing(targetSession, userAgent) {
-  targetSession.setUserAgent(userAgent);
+  if (config.startupUrl) {
+    handleProtocolUrl(config.startupUrl);
+    return;
+  }
 
-  const clientHintsHeaders = getUserAgentClientHintsHeaders(userAgent);
+  if (config.startupFile) {
+    handleOpenFile(config.startupFile);
+    return;
+  }
 
-  targetSession.webRequest.onBeforeSendHeaders((details, callback) => {
-    const requestHeaders = {
-      ...details.requestHeaders,
-      "User-Agent": userAgent,
-      ...clientHintsHeaders,
-    };
+  if (config.startupUploads) {
+    handleUploadFiles(config.startupUploads, config.accountType || getAccountType());
+    return;
+  }
 
-    callback({ requestHeaders });
-  });
+  if (config.startupApp) {
+    openStartupApp(config);
+    return;
+  }
+
+  if (config.accountType) {
+    createNewWindow(config.accountType);
+    return;
+  }
+
+  // Plain relaunch: bring the existing window to the front
+  const [existing] = BrowserWindow.getAllWindows();
+  if (!existing) {
+    createWindow();
+    return;
+  }
+  if (existing.isMinimized()) existing.restore();
+  existing.show();
+  existing.focus();
 }
 
+// Forward later invocations to this instance
+initializeSingleInstance(handleSecondInstance);
+
+// Context menu
+contextMenu({
+  showInspectElement: false,
+  showServices: false,
+});
+
 // Set application menu
 Menu.setApplicationMenu(Menu.buildFromTemplate(menulayout));
 
+// Rebuild the Open Recent submenu as documents are opened
+app.on("recent-documents-changed", () => {
+  Menu.setApplicationMenu(Menu.buildFromTemplate(buildMenuTemplate()));
+});
+
 /**
  * App ready handler - initialize all modules
  */
 app.on("ready", () => {
-  // Apply user-agent and client-hints spoofing for all partitions
-  const userAgent = getValue("useragentstring") || getOptimalUserAgent();
-  applyUserAgentSpoofing(session.defaultSession, userAgent);
-  applyUserAgentSpoofing(session.fromPartition("persist:personal"), userAgent);
-  applyUserAgentSpoofing(session.fromPartition("persist:work"), userAgent);
+  // A ctl or --print-to-pdf process does nothing else
+  if (cliConfig.control || cliConfig.printToPdf) return;
+
+  // Apply user-agent spoofing and permission handlers to every profile's session
+  initializeSessionSetup();
 
   // Initialize XDG directories
   initializeXdgDirs();
@@ -266,21 +374,56 @@ app.on("ready", () => {
   // Initialize feature modules
   initializeBadge();
   initializeFileHandler();
+  initializeMailViewer();
+  initializeGraph();
+  initializeEditInPlace();
+  initializeOpenLocally();
+  initializeDownloads();
+  initializeUploadQueue();
+  initializeSendFolder();
+  initializeRecentDocuments();
+  initializeMailExport();
   initializeHotkeyManager();
   initializePowerManagement();
   initializeMediaState();
   initializeDropHandler();
+  initializeTabs();
   initializeSessionManager();
-
-  // Configure screen sharing permissions
-  configureScreenSharing();
+  initializeProtocolHandler();
+  initializeControlServer();
 
   // Try to restore previous session
   const sessionRestored = restoreSession();
 
-  // Create main window if session not restored
-  if (!sessionRestored) {
+  if (cliConfig.startupUrl) {
+    // Links open in their own window
+    if (!handleProtocolUrl(cliConfig.startupUrl) && !sessionRestored) {
+      createWindow();
+    }
+  } else if (cliConfig.startupFile) {
+    // The file opens in its own window
+    handleOpenFile(cliConfig.startupFile).then((result) => {
+      if (!result.success) {
+        handleStartupFailure(result, sessionRestored);
+      }
+    });
+  } else if (cliConfig.startupUploads) {
+    // The uploads panel stands in for the main window
+    const result = handleUploadFiles(cliConfig.startupUploads, cliConfig.accountType || getAccountType());
+    if (!result.success) {
+      handleStartupFailure(result, sessionRestored);
+    }
+  } else if (cliConfig.private) {
+    // A private window stands in for the main window
+    createPrivateWindow(cliConfig);
+  } else if (!sessionRestored) {
+    // Create main window if session not restored
     createWindow();
+  } else if (cliConfig.startupApp) {
+    // The restored windows don't carry out --app, --new or --compose
+    openStartupApp(cliConfig);
+  } else if (cliConfig.accountType) {
+    createNewWindow(cliConfig.accountType);
   }
 
   // Check internet connectivity
@@ -316,29 +459,37 @@ app.on("web-contents-created", (event, contents) => {
   const windowHeight = getValue("windowHeight");
 
   contents.setWindowOpenHandler(({ url }) => {
+    // "Open in Desktop App", msteams: and mailto: links are handled in-app
+    if (isProtocolUrl(url)) {
+      handleProtocolUrl(url);
+      return { action: "deny" };
+    }
+
+    // Meeting links get a dedicated call window in the meeting's account
+    if (isTeamsMeetingUrl(url)) {
+      openTeamsCallWindow(url);
+      return { action: "deny" };
+    }
+
     const urlObject = new URL(url);
     const domain = urlObject.hostname;
     const protocol = urlObject.protocol;
 
     if (getValue("externalLinks") === "true") {
       if (protocol === "http:" || protocol === "https:") {
-        const isAllowedDomain = domains.domains.some((allowedDomain) =>
-          new RegExp(`^${allowedDomain.replace(/\./g, "\\.").replace("*\\.", "([a-zA-Z0-9-]+\\.)*")}$`).test(domain)
-        );
-
-        if (isAllowedDomain) {
+        if (isAllowedDomain(domain)) {
           if (getValue("websites-in-new-window") === "false") {
             if (url.includes("page=Download")) return { action: "allow" };
             const focused = BrowserWindow.getFocusedWindow();
-            if (focused) focused.loadURL(url).catch((err) => console.warn("Failed to load URL:", err));
+            if (focused) getWindowContents(focused).loadURL(url).catch((err) => console.warn("Failed to load URL:", err));
             if (getValue("discordrpcstatus") === "true" && focused) {
-              setActivity(`On "${focused.webContents.getTitle()}"`);
+              setActivity(`On "${getWindowContents(focused).getTitle()}"`);
             }
             return { action: "deny" };
           } else {
             if (getValue("discordrpcstatus") === "true") {
               const focused = BrowserWindow.getFocusedWindow();
-              if (focused) setActivity(`On "${focused.webContents.getTitle()}"`);
+              if (focused) setActivity(`On "${getWindowContents(focused).getTitle()}"`);
             }
             return {
               action: "allow",
@@ -359,15 +510,15 @@ app.on("web-contents-created", (event, contents) => {
       if (getValue("websites-in-new-window") === "false") {
         if (url.includes("page=Download")) return { action: "allow" };
         const focused = BrowserWindow.getFocusedWindow();
-        if (focused) focused.loadURL(url).catch((err) => console.warn("Failed to load URL:", err));
+        if (focused) getWindowContents(focused).loadURL(url).catch((err) => console.warn("Failed to load URL:", err));
         if (getValue("discordrpcstatus") === "true" && focused) {
-          setActivity(`On "${focused.webContents.getTitle()}"`);
+          setActivity(`On "${getWindowContents(focused).getTitle()}"`);
         }
         return { action: "deny" };
       } else {
         if (getValue("discordrpcstatus") === "true") {
           const focused = BrowserWindow.getFocusedWindow();
-          if (focused) setActivity(`On "${focused.webContents.getTitle()}"`);
+          if (focused) setActivity(`On "${getWindowContents(focused).getTitle()}"`);
         }
         return {
           action: "allow",
@@ -386,8 +537,8 @@ app.on("web-contents-created", (event, contents) => {
     if (getValue("dynamicicons") === "true") {
       const focused = BrowserWindow.getFocusedWindow();
       if (focused) {
-        const url = focused.webContents.getURL();
-        const title = focused.webContents.getTitle();
+        const url = getWindowContents(focused).getURL();
+        const title = getWindowContents(focused).getTitle();
         let currentApp = "office";
 
         if (url.includes("&ithint=file%2cpptx") || title.includes(".pptx")) {
@@ -410,10 +561,10 @@ app.on("web-contents-created", (event, contents) => {
       }
     }
 
-    // Remove Outlook ads
-    BrowserWindow.getAllWindows().forEach((window) => {
-      if (window.webContents.getURL().includes("outlook.live.com")) {
-        window.webContents.executeJavaScript(`
+    // Remove Outlook ads, in windows and tabs alike
+    webContents.getAllWebContents().forEach((page) => {
+      if (page.getURL().includes("outlook.live.com")) {
+        page.executeJavaScript(`
           const observer = new MutationObserver((mutationsList) => {
             let adElementFound = false;
             for (const mutation of mutationsList) {
@@ -444,13 +595,12 @@ app.on("web-contents-created", (event, contents) => {
     // Inject theme CSS
     contents.insertCSS(getThemeCSS());
 
-    // Inject feature scripts for new windows
-    const window = BrowserWindow.fromWebContents(contents);
-    if (window) {
-      injectNotificationObserver(window);
-      injectCallDetection(window);
-      injectMediaStateTracking(window);
-      injectDropHandler(window);
+    // Inject feature scripts for new windows and tabs, but not the tab strip
+    if (getContentsWindow(contents) && !isTabStripContents(contents)) {
+      injectNotificationObserver(contents);
+      injectCallDetection(contents);
+      injectMediaStateTracking(contents);
+      injectDropHandler(contents);
     }
   });
 });
@@ -484,10 +634,33 @@ app.on("browser-window-created", (event, window) => {
   }
 });
 
+/**
+ * Handle new tabs in tabbed windows
+ * The window's own session is the tab strip's, so tab pages are set up here
+ */
+app.on("tab-created", (window, contents) => {
+  contents.on("did-finish-load", () => {
+    if (getValue("discordrpcstatus") === "true") {
+      setActivity(`On "${contents.getTitle()}"`);
+    }
+  });
+
+  if (getValue("blockadsandtrackers") === "true") {
+    ElectronBlocker.fromPrebuiltAdsAndTracking(fetch).then((blocker) => {
+      blocker.enableBlockingInSession(contents.session);
+    }).catch((err) => {
+      console.warn("Failed to initialize ad blocker:", err);
+    });
+  }
+});
+
 /**
  * Handle all windows closed
  */
 app.on("window-all-closed", () => {
+  // --print-to-pdf exits with its own code once the page is saved
+  if (cliConfig.printToPdf) return;
+
   // Don't quit if minimize to tray is enabled - windows are just hidden
   if (getValue("minimizeToTray") === true) {
     return;
@@ -3,7 +3,7 @@
  * Secure context isolation with expanded IPC APIs
  */
 
-import { contextBridge, ipcRenderer } from "electron";
+import { contextBridge, ipcRenderer, webUtils } from "electron";
 
 /**
  * Allowed IPC channels for security
@@ -40,9 +40,6 @@ const validSendChannels = [
 
   // Power management
   "power:call-state-changed",
-
-  // Drag and drop
-  "drop:files",
 ];
 
 const validReceiveChannels = [
@@ -58,6 +55,12 @@ const validReceiveChannels = [
 
   // Session
   "session:restored",
+
+  // Downloads
+  "downloads:changed",
+
+  // Uploads
+  "uploads:changed",
 ];
 
 const validInvokeChannels = [
@@ -76,6 +79,21 @@ const validInvokeChannels = [
 
   // Screen sharing
   "get-desktop-sources",
+
+  // Downloads
+  "downloads:list",
+  "downloads:action",
+  "downloads:clear",
+
+  // Uploads
+  "uploads:list",
+  "uploads:action",
+  "uploads:clear",
+
+  // Mail viewer
+  "mail-viewer:get",
+  "mail-viewer:attachment",
+  "mail-viewer:reply",
 ];
 
 // Expose protected methods to renderer
@@ -141,4 +159,21 @@ contextBridge.exposeInMainWorld("electronAPI", {
   },
 });
 
+/**
+ * Report files dropped on the page
+ * Only trusted drops are reported, with the paths resolved here, so pages
+ * cannot make the app upload files the user never dropped. Listening in the
+ * capture phase sees the drop before page handlers can stop it.
+ */
+window.addEventListener("drop", (event) => {
+  if (!event.isTrusted || !event.dataTransfer) return;
+
+  const paths = Array.from(event.dataTransfer.files)
+    .map((file) => webUtils.getPathForFile(file))
+    .filter(Boolean);
+  if (paths.length > 0) {
+    ipcRenderer.send("drop:files", { paths });
+  }
+}, true);
+
 console.log("Preload script loaded - context isolation enabled");
@@ -0,0 +1,56 @@
+/**
+ * Tab Strip Preload Script
+ * Context bridge for the tab strip of tabbed windows, limited to its tabs:* channels
+ *
+ * The strip runs sandboxed, and sandboxed preloads cannot be ES modules, so
+ * this one is CommonJS.
+ */
+
+const { contextBridge, ipcRenderer } = require("electron");
+
+const validReceiveChannels = ["tabs:changed"];
+
+const validInvokeChannels = [
+  "tabs:get",
+  "tabs:activate",
+  "tabs:close",
+  "tabs:move",
+  "tabs:detach",
+  "tabs:menu",
+  "tabs:new",
+];
+
+contextBridge.exposeInMainWorld("electronAPI", {
+  /**
+   * Receive messages from the main process
+   * @param {string} channel - The IPC channel
+   * @param {Function} callback - The callback function
+   * @returns {Function} Cleanup function
+   */
+  on: (channel, callback) => {
+    if (!validReceiveChannels.includes(channel)) {
+      console.warn(`Invalid receive channel: ${channel}`);
+      return () => {};
+    }
+
+    const subscription = (event, ...args) => callback(...args);
+    ipcRenderer.on(channel, subscription);
+    return () => {
+      ipcRenderer.removeListener(channel, subscription);
+    };
+  },
+
+  /**
+   * Invoke a method in the main process and get a response
+   * @param {string} channel - The IPC channel
+   * @param {any} data - The data to send
+   * @returns {Promise<any>} The response from main process
+   */
+  invoke: (channel, data) => {
+    if (!validInvokeChannels.includes(channel)) {
+      console.warn(`Invalid invoke channel: ${channel}`);
+      return Promise.reject(new Error(`Invalid channel: ${channel}`));
+    }
+    return ipcRenderer.invoke(channel, data);
+  },
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { buildCompletionScript, COMPLETION_SHELLS } from "../app/config/completionScripts.js";
+
+// Descriptions with the characters each shell's quoting has to survive
+const cliArgs = {
+  "--app": { description: "Launch a specific Office app", value: "<app-name>", complete: "app" },
+  "--open": { description: "Open a document [file: path]", value: "<file>", complete: "file" },
+  "--print-to-pdf": {
+    description: "Save a page as PDF with the profile's session (see Preferences > Apps > Printing)",
+    value: "<url> <out.pdf>",
+  },
+  "--quote": { description: `Backslash \\ and "double" quotes; $HOME and \`ticks\``, value: "<text>" },
+  "--help": { description: "Show help" },
+};
+const ctlCommands = {
+  "list-windows": { description: "List the app's open windows" },
+  open: { description: "Open an app: word, excel" },
+};
+const sources = {
+  getValues: (kind) => (kind === "app" ? ["word", "excel"] : []),
+  extensions: [".docx", ".xlsx"],
+};
+
+/**
+ * Check a script's syntax with a shell, if it is installed
+ * @param {string} shell - Shell to run
+ * @param {string} script - Script
+ * @returns {{status: number, stderr: string}|null} Result, or null without the shell
+ */
+function checkSyntax(shell, script) {
+  const result = spawnSync(shell, ["-n"], { input: script, encoding: "utf8" });
+  return result.error ? null : result;
+}
+
+test("generates a script for each shell", () => {
+  assert.deepEqual(COMPLETION_SHELLS, ["bash", "zsh", "fish"]);
+});
+
+test("bash script is valid bash", () => {
+  const result = checkSyntax("bash", buildCompletionScript("bash", cliArgs, ctlCommands, sources));
+  assert.equal(result.status, 0, result.stderr);
+});
+
+test("zsh script parses with apostrophes and > in descriptions", () => {
+  const script = buildCompletionScript("zsh", cliArgs, ctlCommands, sources);
+  assert.match(script, /'--print-to-pdf\[Save a page as PDF with the profile'\\''s session/);
+
+  // The specs only use quoting that bash reads the same way, so bash stands in without zsh
+  const result = checkSyntax("zsh", script) || checkSyntax("bash", script);
+  assert.equal(result.status, 0, result.stderr);
+});
+
+test("fish script is valid fish", (t) => {
+  const result = checkSyntax("fish", buildCompletionScript("fish", cliArgs, ctlCommands, sources));
+  if (!result) {
+    t.skip("fish is not installed");
+    return;
+  }
+  assert.equal(result.status, 0, result.stderr);
+});
@@ -0,0 +1,191 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getSystemTimeZone, parseICalendar, readContentLines, toGraphEvent, toGraphRecurrence } from "../app/config/icalendar.js";
+
+/**
+ * Wrap events in a calendar, with CRLF line endings
+ * @param {...string} lines - Content lines inside VCALENDAR
+ * @returns {string} iCalendar text
+ */
+function calendar(...lines) {
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Test//EN", ...lines, "END:VCALENDAR", ""].join("\r\n");
+}
+
+test("unfolds lines and reads parameters", () => {
+  const [property] = readContentLines('ATTENDEE;CN="Doe, Jane";ROLE=REQ-PARTICIPANT:mailto:ja\r\n ne@example.com');
+  assert.equal(property.name, "ATTENDEE");
+  assert.deepEqual(property.params.CN, ["Doe, Jane"]);
+  assert.equal(property.value, "mailto:jane@example.com");
+});
+
+test("parses a timed event with a time zone", () => {
+  const { events } = parseICalendar(
+    calendar(
+      "BEGIN:VEVENT",
+      "UID:1@example.com",
+      "SUMMARY:Planning\\, Q3",
+      "DESCRIPTION:Agenda:\\nBudget",
+      "LOCATION:Room 1",
+      "DTSTART;TZID=Europe/Berlin:20240108T100000",
+      "DTEND;TZID=Europe/Berlin:20240108T103000",
+      "ORGANIZER;CN=Ann:mailto:ann@example.com",
+      "ATTENDEE;CN=Bob:mailto:bob@example.com",
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      "TRIGGER:-PT15M",
+      "END:VALARM",
+      "END:VEVENT"
+    )
+  );
+
+  assert.equal(events.length, 1);
+  const event = toGraphEvent(events[0]);
+  assert.equal(event.subject, "Planning, Q3");
+  assert.deepEqual(event.start, { dateTime: "2024-01-08T10:00:00", timeZone: "Europe/Berlin" });
+  assert.deepEqual(event.end, { dateTime: "2024-01-08T10:30:00", timeZone: "Europe/Berlin" });
+  assert.equal(event.isAllDay, false);
+  assert.deepEqual(event.location, { displayName: "Room 1" });
+  assert.equal(event.reminderMinutesBeforeStart, 15);
+  assert.equal(event.body.content, "Agenda:\nBudget\n\nOrganizer: Ann <ann@example.com>\nAttendees: Bob <bob@example.com>");
+  assert.equal(event.attendees, undefined);
+});
+
+test("parses UTC, floating and all-day dates", () => {
+  const { events } = parseICalendar(
+    calendar(
+      "BEGIN:VEVENT",
+      "DTSTART:20240301T090000Z",
+      "DURATION:PT1H30M",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "DTSTART:20240301T090000",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "DTSTART;VALUE=DATE:20240229",
+      "END:VEVENT"
+    )
+  );
+
+  assert.deepEqual(events[0].end, { date: "2024-03-01", time: "10:30:00", timeZone: "UTC" });
+  assert.equal(events[1].start.timeZone, getSystemTimeZone());
+  assert.deepEqual(events[1].end, events[1].start);
+  assert.equal(events[2].allDay, true);
+  assert.deepEqual(events[2].end, { date: "2024-03-01" });
+  assert.equal(toGraphEvent(events[2]).start.dateTime, "2024-02-29T00:00:00");
+});
+
+test("maps time zone names Graph does not know", () => {
+  const { events } = parseICalendar(
+    calendar(
+      "BEGIN:VTIMEZONE",
+      "TZID:Custom Zone",
+      "X-LIC-LOCATION:America/New_York",
+      "END:VTIMEZONE",
+      "BEGIN:VEVENT",
+      "DTSTART;TZID=Custom Zone:20240108T100000",
+      "DTEND;TZID=/mozilla.org/20050126_1/Europe/Paris:20240108T110000",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "DTSTART;TZID=W. Europe Standard Time:20240108T100000",
+      "DTEND;TZID=Nowhere:20240108T110000",
+      "END:VEVENT"
+    )
+  );
+
+  assert.equal(events[0].start.timeZone, "America/New_York");
+  assert.equal(events[0].end.timeZone, "Europe/Paris");
+  assert.equal(events[1].start.timeZone, "W. Europe Standard Time");
+  assert.equal(events[1].end.timeZone, getSystemTimeZone());
+  assert.equal(events[1].warnings.size, 1);
+});
+
+test("converts weekly and daily rules", () => {
+  const start = { date: "2024-01-08", time: "10:00:00", timeZone: "Europe/Berlin" };
+
+  assert.deepEqual(toGraphRecurrence({ FREQ: "WEEKLY", INTERVAL: "2", BYDAY: "MO,WE", UNTIL: "20240331T235959Z" }, start), {
+    pattern: { type: "weekly", interval: 2, daysOfWeek: ["monday", "wednesday"], firstDayOfWeek: "monday" },
+    range: { type: "endDate", startDate: "2024-01-08", endDate: "2024-03-31", recurrenceTimeZone: "Europe/Berlin" },
+  });
+  assert.deepEqual(toGraphRecurrence({ FREQ: "WEEKLY" }, start).pattern.daysOfWeek, ["monday"]);
+  assert.deepEqual(toGraphRecurrence({ FREQ: "DAILY", COUNT: "5" }, start), {
+    pattern: { type: "daily", interval: 1 },
+    range: { type: "numbered", numberOfOccurrences: 5, startDate: "2024-01-08", recurrenceTimeZone: "Europe/Berlin" },
+  });
+  assert.deepEqual(toGraphRecurrence({ FREQ: "DAILY", BYDAY: "MO,TU,WE,TH,FR" }, start).pattern.daysOfWeek, [
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+  ]);
+  assert.equal(toGraphRecurrence({ FREQ: "DAILY" }, start).range.type, "noEnd");
+});
+
+test("converts monthly and yearly rules", () => {
+  const start = { date: "2024-01-31", time: "09:00:00", timeZone: "UTC" };
+
+  assert.deepEqual(toGraphRecurrence({ FREQ: "MONTHLY" }, start).pattern, { type: "absoluteMonthly", interval: 1, dayOfMonth: 31 });
+  assert.deepEqual(toGraphRecurrence({ FREQ: "MONTHLY", BYDAY: "2TU" }, start).pattern, {
+    type: "relativeMonthly",
+    interval: 1,
+    daysOfWeek: ["tuesday"],
+    index: "second",
+  });
+  assert.deepEqual(toGraphRecurrence({ FREQ: "MONTHLY", BYDAY: "MO,TU,WE,TH,FR", BYSETPOS: "-1" }, start).pattern.index, "last");
+  assert.deepEqual(toGraphRecurrence({ FREQ: "YEARLY" }, start).pattern, {
+    type: "absoluteYearly",
+    interval: 1,
+    dayOfMonth: 31,
+    month: 1,
+  });
+  assert.deepEqual(toGraphRecurrence({ FREQ: "YEARLY", BYMONTH: "11", BYDAY: "4TH" }, start).pattern, {
+    type: "relativeYearly",
+    interval: 1,
+    daysOfWeek: ["thursday"],
+    index: "fourth",
+    month: 11,
+  });
+});
+
+test("rejects rules Outlook has no pattern for", () => {
+  const start = { date: "2024-01-08", time: "10:00:00", timeZone: "UTC" };
+
+  assert.throws(() => toGraphRecurrence({ FREQ: "HOURLY" }, start), /cannot repeat events hourly/);
+  assert.throws(() => toGraphRecurrence({ FREQ: "DAILY", BYHOUR: "9,17" }, start), /by hour/);
+  assert.throws(() => toGraphRecurrence({ FREQ: "MONTHLY", BYMONTHDAY: "1,15" }, start), /one day of the month/);
+  assert.throws(() => toGraphRecurrence({ FREQ: "MONTHLY", BYDAY: "1MO,3MO" }, start), /first, second/);
+  assert.throws(() => toGraphRecurrence({ FREQ: "YEARLY", BYMONTH: "1,7" }, start), /several months/);
+});
+
+test("keeps excluded dates and drops changed occurrences", () => {
+  const { events } = parseICalendar(
+    calendar(
+      "BEGIN:VEVENT",
+      "UID:standup",
+      "SUMMARY:Stand-up",
+      "DTSTART;TZID=Europe/London:20240108T093000",
+      "DTEND;TZID=Europe/London:20240108T094500",
+      "RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=10",
+      "EXDATE;TZID=Europe/London:20240110T093000,20240112T093000",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:standup",
+      "RECURRENCE-ID;TZID=Europe/London:20240115T093000",
+      "DTSTART;TZID=Europe/London:20240115T100000",
+      "END:VEVENT"
+    )
+  );
+
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].exdates, [
+    { date: "2024-01-10", time: "09:30:00", timeZone: "Europe/London" },
+    { date: "2024-01-12", time: "09:30:00", timeZone: "Europe/London" },
+  ]);
+  assert.deepEqual([...events[0].warnings], ["Changes to single occurrences are not imported."]);
+  assert.equal(toGraphEvent(events[0]).recurrence.range.numberOfOccurrences, 10);
+});
+
+test("reads the calendar method and rejects other files", () => {
+  assert.equal(parseICalendar(calendar("METHOD:CANCEL")).method, "CANCEL");
+  assert.throws(() => parseICalendar("BEGIN:VCARD\r\nEND:VCARD\r\n"), /not an iCalendar file/);
+});
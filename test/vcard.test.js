@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getCardDisplayName, parseVCards, toGraphContact } from "../app/config/vcard.js";
+
+test("reads several cards of different versions", () => {
+  const cards = parseVCards(
+    [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      "FN:Jane Doe",
+      "N:Doe;Jane;Q.;Dr.;PhD",
+      "ORG:Example Corp;Research",
+      "TITLE:Chemist",
+      "EMAIL;TYPE=INTERNET,WORK:jane@example.com",
+      "TEL;TYPE=CELL:+1 555 0100",
+      "TEL;TYPE=HOME,VOICE:+1 555 0101",
+      "TEL;TYPE=WORK,FAX:+1 555 0102",
+      "ADR;TYPE=WORK:;Suite 5;1 Main St;Springfield;IL;62701;USA",
+      "BDAY:1980-01-15",
+      "NOTE:Met at the conference\\, 2023",
+      "END:VCARD",
+      "BEGIN:VCARD",
+      "VERSION:4.0",
+      "FN:Bob",
+      "EMAIL:bob@example.org",
+      'TEL;VALUE=uri;TYPE="work,voice":tel:+44-20-7946-0000',
+      "BDAY:--0704",
+      "END:VCARD",
+      "",
+    ].join("\r\n")
+  );
+
+  assert.equal(cards.length, 2);
+  const jane = toGraphContact(cards[0]);
+  assert.equal(jane.displayName, "Jane Doe");
+  assert.equal(jane.givenName, "Jane");
+  assert.equal(jane.surname, "Doe");
+  assert.equal(jane.title, "Dr.");
+  assert.equal(jane.generation, "PhD");
+  assert.equal(jane.companyName, "Example Corp");
+  assert.equal(jane.department, "Research");
+  assert.deepEqual(jane.emailAddresses, [{ address: "jane@example.com", name: "jane@example.com" }]);
+  assert.equal(jane.mobilePhone, "+1 555 0100");
+  assert.deepEqual(jane.homePhones, ["+1 555 0101"]);
+  assert.deepEqual(jane.businessPhones, []);
+  assert.deepEqual(jane.businessAddress, {
+    street: "Suite 5\n1 Main St",
+    city: "Springfield",
+    state: "IL",
+    postalCode: "62701",
+    countryOrRegion: "USA",
+  });
+  assert.equal(jane.birthday, "1980-01-15T00:00:00Z");
+  assert.equal(jane.personalNotes, "Met at the conference, 2023");
+  assert.deepEqual([...cards[0].warnings], ["Fax numbers are not imported."]);
+
+  const bob = toGraphContact(cards[1]);
+  assert.deepEqual(bob.businessPhones, ["+44-20-7946-0000"]);
+  assert.equal(bob.birthday, undefined);
+  assert.deepEqual([...cards[1].warnings], ["Birthdays without a year are not imported."]);
+});
+
+test("decodes vCard 2.1 quoted-printable values", () => {
+  const [card] = parseVCards(
+    [
+      "BEGIN:VCARD",
+      "VERSION:2.1",
+      "N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:M=C3=BCller;J=C3=B6rg",
+      "NOTE;ENCODING=QUOTED-PRINTABLE:First line=0D=0A=",
+      "Second line",
+      "TEL;CELL;VOICE:0151 000000",
+      "item1.EMAIL;INTERNET:joerg@example.de",
+      "END:VCARD",
+    ].join("\n")
+  );
+
+  assert.equal(getCardDisplayName(card), "Jörg Müller");
+  assert.equal(card.note, "First line\r\nSecond line");
+  const contact = toGraphContact(card);
+  assert.equal(contact.mobilePhone, "0151 000000");
+  assert.equal(contact.emailAddresses[0].address, "joerg@example.de");
+});
+
+test("keeps what fits an Outlook contact", () => {
+  const [card] = parseVCards(
+    [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      "FN:Many Addresses",
+      "EMAIL:a@example.com",
+      "EMAIL:b@example.com",
+      "EMAIL:c@example.com",
+      "EMAIL:d@example.com",
+      "ADR;TYPE=HOME:;;1 First St;Town;;;",
+      "ADR;TYPE=HOME:;;2 Second St;Town;;;",
+      "END:VCARD",
+    ].join("\r\n")
+  );
+
+  const contact = toGraphContact(card);
+  assert.equal(contact.emailAddresses.length, 3);
+  assert.equal(contact.homeAddress.street, "1 First St");
+  assert.equal(card.warnings.size, 2);
+});
+
+test("rejects files without cards", () => {
+  assert.throws(() => parseVCards("hello"), /not a vCard file/);
+});